@@ -18,11 +18,11 @@ export async function checkHealth() {
   }
 }
 
-export async function runAudit(url, skipLLM = false) {
+export async function runAudit(url, skipLLM = false, viewports, fullPageScreenshot = false, wcagTarget, scoringProfile) {
   const res = await fetch(`${API_BASE}/api/audit`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ url, skipLLM }),
+    body: JSON.stringify({ url, skipLLM, viewports, fullPageScreenshot, wcagTarget, scoringProfile }),
   });
 
   if (!res.ok) {
@@ -36,15 +36,51 @@ export async function runAudit(url, skipLLM = false) {
   // Poll for results if we get a jobId back
   const auditId = data.jobId || data.auditId;
   if (auditId && !data.results && !data.summary?.overallScore) {
-    return await pollForResults(auditId);
+    return fromRecord(await pollForResults(auditId));
   }
 
   return data;
 }
 
+/**
+ * DynamoDB records keep report extras (focus order, violation boxes,
+ * per-viewport and per-step breakdowns) under `results`; lift them to the
+ * top level so the dashboard sees the same shape as the local server returns.
+ * The page screenshot and element crops live in S3 and are linked rather
+ * than inlined.
+ */
+function fromRecord(record) {
+  const { keyboard, annotations, viewports, steps, type, screenshotKey, violations } = record.results || {};
+  const auditUrl = `${API_BASE}/api/audit/${encodeURIComponent(record.auditId)}`;
+  return {
+    ...record,
+    ...(violations && { results: withElementShots(record.results, auditUrl) }),
+    ...(type && { type }),
+    ...(screenshotKey && { screenshotUrl: `${auditUrl}/screenshot` }),
+    ...(keyboard && { keyboard }),
+    ...(annotations && { annotations }),
+    ...(viewports && { viewports }),
+    ...(steps && { steps }),
+  };
+}
+
+/** Point each violation example that has an element crop (`screenshotKey`) at its image */
+function withElementShots(results, auditUrl) {
+  const link = (items) => items && items.map(v => ({
+    ...v,
+    examples: (v.examples || []).map(ex => (ex?.screenshotKey
+      ? { ...ex, screenshotUrl: `${auditUrl}/screenshots/${ex.screenshotKey.split('/').pop()}` }
+      : ex)),
+  }));
+  return {
+    ...results,
+    violations: link(results.violations),
+    ...(results.suppressed && { suppressed: link(results.suppressed) }),
+  };
+}
+
 /** Poll the AWS backend until audit is COMPLETED or FAILED */
-async function pollForResults(auditId) {
-  const maxAttempts = 60; // 60 * 3s = 3 minutes max
+async function pollForResults(auditId, maxAttempts = 60) { // 60 * 3s = 3 minutes max
   const pollInterval = 3000; // 3 seconds
 
   for (let i = 0; i < maxAttempts; i++) {
@@ -80,6 +116,24 @@ async function pollForResults(auditId) {
   throw new Error('Audit timed out — please try again');
 }
 
+/** Submit a user-flow audit and poll until done */
+export async function runFlowAudit(url, steps, skipLLM = false, fullPageScreenshot = false, wcagTarget, scoringProfile) {
+  const res = await fetch(`${API_BASE}/api/audit/flow`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ url, steps, skipLLM, fullPageScreenshot, wcagTarget, scoringProfile }),
+  });
+
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({ message: 'Flow audit request failed' }));
+    throw new Error(err.message || err.error || 'Flow audit failed');
+  }
+
+  const { jobId } = await res.json();
+  const data = await pollForResults(jobId, 110); // Flows can use the full 5-minute consumer timeout
+  return fromRecord(data);
+}
+
 export async function runBatchAudit(urls, skipLLM = false) {
   const res = await fetch(`${API_BASE}/api/audit/batch`, {
     method: 'POST',
@@ -95,9 +149,26 @@ export async function runBatchAudit(urls, skipLLM = false) {
   return await res.json();
 }
 
-export async function getHistory() {
+/** Mark a needs-review item as pass / fail ('pending' clears it); returns the re-scored audit */
+export async function submitReview(auditId, ruleId, status, note) {
+  const res = await fetch(`${API_BASE}/api/audit/${encodeURIComponent(auditId)}/review`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ruleId, status, note }),
+  });
+
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({ message: 'Review update failed' }));
+    throw new Error(err.message || err.error || 'Review update failed');
+  }
+
+  return fromRecord(await res.json());
+}
+
+export async function getHistory(url) {
   try {
-    const res = await fetch(`${API_BASE}/api/audit/history`);
+    const query = url ? `?url=${encodeURIComponent(url)}` : '';
+    const res = await fetch(`${API_BASE}/api/audit/history${query}`);
     if (!res.ok) return { history: [] };
     return await res.json();
   } catch {
@@ -105,6 +176,75 @@ export async function getHistory() {
   }
 }
 
+/** Two audits of the same URL: new, fixed and unchanged violations plus score / coverage change */
+export async function compareAudits(baseId, headId) {
+  const query = `base=${encodeURIComponent(baseId)}&head=${encodeURIComponent(headId)}`;
+  const res = await fetch(`${API_BASE}/api/audit/compare?${query}`);
+
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({ message: 'Comparison failed' }));
+    throw new Error(err.message || err.error || 'Comparison failed');
+  }
+
+  return await res.json();
+}
+
+/** One page of a violation's failing elements (AWS records only keep a sample inline) */
+export async function getAffectedNodes(auditId, fingerprint, offset = 0, limit = 50) {
+  const path = `/api/audit/${encodeURIComponent(auditId)}/violations/${encodeURIComponent(fingerprint)}/nodes`;
+  const res = await fetch(`${API_BASE}${path}?offset=${offset}&limit=${limit}`);
+
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({ message: 'Could not load elements' }));
+    throw new Error(err.message || err.error || 'Could not load elements');
+  }
+
+  return await res.json();
+}
+
+/** Draft VPAT 2.x conformance report ({ auditIds, product, edits }) with reviewer edits applied */
+export async function draftVpat(request) {
+  const res = await fetch(`${API_BASE}/api/vpat`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(request),
+  });
+
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({ message: 'Conformance report failed' }));
+    throw new Error(err.message || err.error || 'Conformance report failed');
+  }
+
+  return await res.json();
+}
+
+/** Save the conformance report (html, docx) under the filename the server picked */
+export async function downloadVpat(format, request) {
+  const res = await fetch(`${API_BASE}/api/vpat/report.${format}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(request),
+  });
+
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({ message: 'Conformance report export failed' }));
+    throw new Error(err.message || err.error || 'Conformance report export failed');
+  }
+
+  const filename = (res.headers.get('Content-Disposition') || '').match(/filename="([^"]+)"/)?.[1] || `vpat.${format}`;
+  const href = URL.createObjectURL(await res.blob());
+  const link = document.createElement('a');
+  link.href = href;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(href);
+}
+
+/** Download link for an exported report (html, pdf) */
+export function reportUrl(auditId, format) {
+  return `${API_BASE}/api/audit/${encodeURIComponent(auditId)}/report.${format}`;
+}
+
 export async function getApiInfo() {
   const res = await fetch(`${API_BASE}/api/info`);
   return await res.json();
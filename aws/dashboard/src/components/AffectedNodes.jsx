@@ -0,0 +1,71 @@
+import React, { useState, useEffect } from 'react'
+import { getAffectedNodes } from '../api'
+
+const PAGE_SIZE = 25
+
+export default function AffectedNodes({ nodes, total, auditId, fingerprint }) {
+  const [open, setOpen] = useState(false)
+  const [shown, setShown] = useState(PAGE_SIZE)
+  const [loaded, setLoaded] = useState([])
+  const [error, setError] = useState(null)
+
+  // Stored records may keep only a sample inline; the rest is paged from the API
+  const remote = !nodes && auditId && fingerprint && total > 0
+  const count = nodes ? nodes.length : remote ? total : 0
+
+  useEffect(() => {
+    if (!open || !remote || loaded.length >= Math.min(shown, total)) return
+    let cancelled = false
+    getAffectedNodes(auditId, fingerprint, loaded.length, PAGE_SIZE)
+      .then(page => { if (!cancelled) setLoaded(list => [...list, ...page.nodes]) })
+      .catch(err => { if (!cancelled) setError(err.message) })
+    return () => { cancelled = true }
+  }, [open, remote, shown, total, loaded.length, auditId, fingerprint])
+
+  if (count === 0) return null
+
+  const list = nodes || loaded
+  const remaining = count - shown
+
+  // Clicks in here must not collapse the violation row
+  return (
+    <div className="affected-nodes" onClick={(e) => e.stopPropagation()}>
+      <button className="filter-btn" onClick={() => setOpen(!open)}>
+        {open ? 'Hide elements' : `Show all ${count} element${count === 1 ? '' : 's'}`}
+      </button>
+
+      {open && (
+        <>
+          <ol className="affected-node-list">
+            {list.slice(0, shown).map((n, i) => {
+              const groups = [['Fix any of', n.checks?.any], ['Fix all of', [...(n.checks?.all || []), ...(n.checks?.none || [])]]]
+                .filter(([, messages]) => messages?.length)
+              return (
+                <li key={i} className="affected-node">
+                  <div className="affected-node-target">{n.target}</div>
+                  <div className="violation-code">{n.html}</div>
+                  {groups.length > 0 ? groups.map(([label, messages]) => (
+                    <div key={label} className="affected-node-checks">
+                      {label}:
+                      <ul>
+                        {messages.map((m, j) => <li key={j}>{m}</li>)}
+                      </ul>
+                    </div>
+                  )) : n.failureSummary && (
+                    <div className="affected-node-checks">{n.failureSummary}</div>
+                  )}
+                </li>
+              )
+            })}
+          </ol>
+          {error && <div style={{ color: '#ef4444', fontSize: '0.8rem' }}>{error}</div>}
+          {remaining > 0 && (
+            <button className="filter-btn" onClick={() => setShown(shown + PAGE_SIZE)}>
+              Show {Math.min(PAGE_SIZE, remaining)} more ({remaining} left)
+            </button>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
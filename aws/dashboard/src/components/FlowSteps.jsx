@@ -0,0 +1,61 @@
+import React, { useState, useEffect } from 'react'
+import ViolationsTable from './ViolationsTable'
+
+export default function FlowSteps({ steps, violations, focus }) {
+  const [selected, setSelected] = useState('all')
+
+  // Screenshot markers belong to the combined list
+  useEffect(() => {
+    if (focus) setSelected('all')
+  }, [focus])
+
+  const current = selected === 'all' ? null : steps.find(s => s.index === selected)
+
+  return (
+    <>
+      <div className="card" style={{ marginBottom: '1.5rem' }}>
+        <div className="card-header">
+          <span className="card-title">🧭 User Flow Steps</span>
+          <span style={{ fontSize: '0.8rem', color: '#64748b' }}>{steps.length - 1} steps</span>
+        </div>
+
+        <div className="flow-steps-tabs">
+          <button
+            className={`filter-btn ${selected === 'all' ? 'active' : ''}`}
+            onClick={() => setSelected('all')}
+          >
+            All steps ({violations.length})
+          </button>
+          {steps.map(s => (
+            <button
+              key={s.index}
+              className={`filter-btn ${selected === s.index ? 'active' : ''}`}
+              onClick={() => setSelected(s.index)}
+            >
+              {s.index}. {s.label} ({s.summary.totalIssues})
+            </button>
+          ))}
+        </div>
+
+        {current ? (
+          <div className="flow-step-meta">
+            <span>🔗 {current.url}</span>
+            <span>Score: {current.summary.overallScore}/100</span>
+            <span>Issues: {current.summary.totalIssues}</span>
+            <span>Critical: {current.summary.criticalIssues}</span>
+          </div>
+        ) : (
+          <div className="flow-step-meta">
+            <span>Each issue is listed once, tagged with the steps where it was found.</span>
+          </div>
+        )}
+      </div>
+
+      <ViolationsTable
+        key={selected}
+        focus={selected === 'all' ? focus : null}
+        violations={current ? current.results.violations : violations}
+      />
+    </>
+  )
+}
@@ -0,0 +1,102 @@
+import React, { useState } from 'react'
+
+const DECISIONS = [
+  ['pass', '✅ Pass'],
+  ['fail', '❌ Fail'],
+]
+
+export default function NeedsReview({ items, onReview }) {
+  const [expandedId, setExpandedId] = useState(null)
+  const [saving, setSaving] = useState(null)
+
+  if (!items || items.length === 0) return null
+
+  const pending = items.filter(item => !item.review).length
+
+  const decide = async (ruleId, status) => {
+    setSaving(ruleId)
+    try {
+      await onReview(ruleId, status)
+    } finally {
+      setSaving(null)
+    }
+  }
+
+  return (
+    <div className="violations-section">
+      <div className="violations-table-container">
+        <div className="violations-table-header">
+          <h3>🔎 Needs Review ({pending} of {items.length} pending)</h3>
+          <span style={{ fontSize: '0.8rem', color: '#64748b' }}>
+            axe-core could not decide these. They do not affect the score until marked as failing.
+          </span>
+        </div>
+
+        <div className="violations-list">
+          {items.map(item => {
+            const isExpanded = expandedId === item.id
+            return (
+              <div key={item.id} className={`violation-item ${isExpanded ? 'expanded' : ''}`}>
+                <div
+                  className="violation-header"
+                  onClick={() => setExpandedId(isExpanded ? null : item.id)}
+                >
+                  <span className={`violation-severity-badge ${item.impact}`}>{item.impact}</span>
+                  <span className="violation-title">{item.id}</span>
+                  {item.review && (
+                    <span className={`review-status-badge ${item.review.status}`}>
+                      {item.review.status === 'pass' ? 'passed' : 'failed'}
+                    </span>
+                  )}
+                  <div className="review-actions" onClick={(e) => e.stopPropagation()}>
+                    {DECISIONS.map(([status, label]) => (
+                      <button
+                        key={status}
+                        className={`filter-btn ${item.review?.status === status ? 'active' : ''}`}
+                        disabled={saving === item.id}
+                        onClick={() => decide(item.id, item.review?.status === status ? 'pending' : status)}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+                <div className="violation-description">{item.help}</div>
+
+                {isExpanded && (
+                  <div className="violation-details">
+                    {item.helpUrl && (
+                      <div className="violation-detail-row">
+                        <span className="violation-detail-label">Learn more:</span>
+                        <span className="violation-detail-value">
+                          <a href={item.helpUrl} target="_blank" rel="noopener noreferrer" style={{ color: '#3b82f6' }}>
+                            {item.helpUrl}
+                          </a>
+                        </span>
+                      </div>
+                    )}
+                    <div className="violation-detail-row">
+                      <span className="violation-detail-label">Affected:</span>
+                      <span className="violation-detail-value">{item.nodes} element{item.nodes > 1 ? 's' : ''}</span>
+                    </div>
+                    {item.examples.map((ex, i) => (
+                      <div key={i} style={{ marginTop: 8 }}>
+                        <div style={{ fontSize: '0.8rem', color: '#94a3b8' }}>{ex.message}</div>
+                        <div className="violation-code">{ex.html}</div>
+                      </div>
+                    ))}
+                    {item.review?.reviewedAt && (
+                      <div style={{ fontSize: '0.75rem', color: '#64748b', marginTop: 8 }}>
+                        Reviewed {new Date(item.review.reviewedAt).toLocaleString()}
+                      </div>
+                    )}
+                  </div>
+                )}
+              </div>
+            )
+          })}
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,57 @@
+import React, { useState } from 'react'
+
+const VISIBLE = 8
+
+export default function ScoreBreakdown({ scoring, score }) {
+  const [showAll, setShowAll] = useState(false)
+
+  if (!scoring) return null
+
+  const { profile, deductions, totalDeduction } = scoring
+  const shown = showAll ? deductions : deductions.slice(0, VISIBLE)
+
+  const explain = (d) => {
+    const parts = [`${d.base} pts (${d.impact})`]
+    if (d.nodeFactor !== 1) parts.push(`× ${d.nodeFactor} for ${d.nodes} element${d.nodes > 1 ? 's' : ''}`)
+    if (d.sourceWeight !== 1) parts.push(`× ${d.sourceWeight} ${d.source}`)
+    return parts.join(' ')
+  }
+
+  return (
+    <div className="card" style={{ marginBottom: '1.5rem' }}>
+      <div className="card-header">
+        <span className="card-title">🧮 Score Breakdown</span>
+        <span style={{ fontSize: '0.85rem', color: '#94a3b8' }} title={profile.description}>
+          Profile: {profile.name}
+        </span>
+      </div>
+      <div className="flow-step-meta" style={{ marginBottom: '0.75rem' }}>
+        <span>{profile.description}</span>
+      </div>
+
+      {deductions.length === 0 ? (
+        <div style={{ fontSize: '0.85rem', color: '#64748b' }}>Nothing deducted.</div>
+      ) : (
+        <div className="score-deductions">
+          {shown.map((d, i) => (
+            <div key={i} className="score-deduction">
+              <span className="score-deduction-points">−{d.points}</span>
+              <span className="score-deduction-rule">{d.rule}</span>
+              <span className="score-deduction-detail">{explain(d)}</span>
+            </div>
+          ))}
+          <div className="score-deduction total">
+            <span className="score-deduction-points">−{totalDeduction}</span>
+            <span className="score-deduction-rule">100 − {totalDeduction} → {score}</span>
+          </div>
+        </div>
+      )}
+
+      {deductions.length > VISIBLE && (
+        <button className="filter-btn" style={{ marginTop: '0.75rem' }} onClick={() => setShowAll(!showAll)}>
+          {showAll ? 'Show fewer' : `Show all ${deductions.length}`}
+        </button>
+      )}
+    </div>
+  )
+}
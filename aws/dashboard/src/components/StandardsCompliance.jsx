@@ -0,0 +1,69 @@
+import React, { useState } from 'react'
+
+const STATUS_BADGES = {
+  passed: { label: 'Passed', className: 'excellent' },
+  failed: { label: 'Does not conform', className: 'poor' },
+  notVerified: { label: 'Not verified', className: 'good' },
+}
+
+const CLAUSE_STATUS = {
+  passed: 'Passed',
+  failed: 'Failed',
+  notApplicable: 'Not applicable',
+  notTested: 'Not tested — manual review required',
+}
+
+export default function StandardsCompliance({ standards }) {
+  const [openKey, setOpenKey] = useState(null)
+
+  if (!standards) return null
+
+  const describe = (c) => {
+    const found = c.violations.length ? ` (${c.violations.join(', ')})` : ''
+    return `${c.clause} ${c.title} — WCAG ${c.wcag} ${c.level} — ${CLAUSE_STATUS[c.status]}${found}`
+  }
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <span className="card-title">🏛️ Section 508 & EN 301 549</span>
+      </div>
+      <div className="wcag-levels">
+        {Object.entries(standards).map(([key, standard]) => {
+          const badge = STATUS_BADGES[standard.status]
+          const { summary } = standard
+          return (
+            <div
+              className="wcag-level"
+              key={key}
+              onClick={() => setOpenKey(openKey === key ? null : key)}
+              style={{ cursor: 'pointer' }}
+              title={standard.basis}
+            >
+              <div className="wcag-level-label">{standard.name}</div>
+              <div className={`compliance-badge ${badge.className}`} style={{ fontSize: '0.75rem' }}>
+                {badge.label}
+              </div>
+              <div className="wcag-level-counts">
+                <span className="passed">✓ {summary.passed}</span>
+                <span className="failed">✗ {summary.failed}</span>
+                <span>N/A {summary.notApplicable}</span>
+                <span>? {summary.notTested}</span>
+              </div>
+            </div>
+          )
+        })}
+      </div>
+
+      {openKey && (
+        <div className="wcag-criteria">
+          {standards[openKey].clauses.map(c => (
+            <span key={c.clause} className={`wcag-criterion ${c.status}`} title={describe(c)}>
+              {c.clause}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
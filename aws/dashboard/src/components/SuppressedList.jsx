@@ -0,0 +1,51 @@
+import React, { useState } from 'react'
+
+export default function SuppressedList({ items }) {
+  const [open, setOpen] = useState(false)
+
+  if (!items || items.length === 0) return null
+
+  return (
+    <div className="violations-section">
+      <div className="violations-table-container">
+        <div className="violations-table-header" onClick={() => setOpen(!open)} style={{ cursor: 'pointer' }}>
+          <h3>🔕 Suppressed ({items.length})</h3>
+          <span style={{ fontSize: '0.8rem', color: '#64748b' }}>
+            Accepted under a waiver. Not scored, but they still fail their WCAG criteria. {open ? '▲' : '▼'}
+          </span>
+        </div>
+
+        {open && (
+          <div className="violations-list">
+            {items.map(v => (
+              <div key={v.fingerprint} className="violation-item">
+                <div className="violation-header">
+                  <span className={`violation-severity-badge ${v.impact}`}>{v.impact}</span>
+                  <span className="violation-title">{v.type || v.id}</span>
+                  <span className="violation-target-badge">until {v.suppression.expires}</span>
+                </div>
+                <div className="violation-description">{v.suppression.justification}</div>
+                <div className="violation-details">
+                  <div className="violation-detail-row">
+                    <span className="violation-detail-label">Owner:</span>
+                    <span className="violation-detail-value">{v.suppression.owner}</span>
+                  </div>
+                  {v.suppression.id && (
+                    <div className="violation-detail-row">
+                      <span className="violation-detail-label">Waiver:</span>
+                      <span className="violation-detail-value">{v.suppression.id}</span>
+                    </div>
+                  )}
+                  <div className="violation-detail-row">
+                    <span className="violation-detail-label">ID:</span>
+                    <span className="violation-detail-value violation-fingerprint">{v.fingerprint}</span>
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,77 @@
+import React, { useState, useEffect } from 'react'
+import ViolationsTable from './ViolationsTable'
+
+export default function ViewportResults({ viewports, violations, url, focus }) {
+  const [selected, setSelected] = useState('all')
+
+  // Screenshot markers belong to the combined list
+  useEffect(() => {
+    if (focus) setSelected('all')
+  }, [focus])
+
+  const current = viewports.find(v => v.name === selected)
+
+  return (
+    <>
+      <div className="card" style={{ marginBottom: '1.5rem' }}>
+        <div className="card-header">
+          <span className="card-title">📱 Viewports</span>
+          <span style={{ fontSize: '0.8rem', color: '#64748b' }}>{viewports.length} profiles</span>
+        </div>
+
+        <div className="flow-steps-tabs">
+          <button
+            className={`filter-btn ${selected === 'all' ? 'active' : ''}`}
+            onClick={() => setSelected('all')}
+          >
+            All viewports ({violations.length})
+          </button>
+          {viewports.map(v => (
+            <button
+              key={v.name}
+              className={`filter-btn ${selected === v.name ? 'active' : ''}`}
+              onClick={() => setSelected(v.name)}
+            >
+              {v.name} ({v.summary.totalIssues})
+            </button>
+          ))}
+        </div>
+
+        <div className="viewport-grid">
+          {(current ? [current] : viewports).map(v => (
+            <div
+              key={v.name}
+              className="viewport-card"
+              onClick={() => setSelected(v.name)}
+            >
+              {v.screenshot && (
+                <img
+                  src={`data:image/jpeg;base64,${v.screenshot}`}
+                  alt={`Screenshot of ${url} at ${v.name}`}
+                  className="viewport-screenshot"
+                />
+              )}
+              <div className="flow-step-meta">
+                <span>{v.name} — {v.viewport.width}×{v.viewport.height}{v.viewport.isMobile ? ' (touch)' : ''}</span>
+                <span>Score: {v.summary.overallScore}/100</span>
+                <span>Issues: {v.summary.totalIssues}</span>
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {!current && (
+          <div className="flow-step-meta" style={{ marginTop: '0.75rem' }}>
+            <span>Per-viewport scores are axe-core only; each issue below is tagged with the viewports where it was found.</span>
+          </div>
+        )}
+      </div>
+
+      <ViolationsTable
+        key={selected}
+        focus={selected === 'all' ? focus : null}
+        violations={current ? current.results.violations : violations}
+      />
+    </>
+  )
+}
@@ -1,8 +1,33 @@
-import React, { useState } from 'react'
+import React, { useState, useEffect, useRef } from 'react'
+import AffectedNodes from './AffectedNodes'
+import { reportUrl } from '../api'
 
-export default function ViolationsTable({ violations }) {
+const SOURCE_BADGES = {
+  'axe-core': { className: 'axe', label: '🤖 axe-core' },
+  llm: { className: 'llm', label: '🧠 LLM' },
+  keyboard: { className: 'keyboard', label: '⌨️ Keyboard' },
+}
+
+export default function ViolationsTable({ violations, focus, auditId }) {
   const [filter, setFilter] = useState('all')
   const [expandedId, setExpandedId] = useState(null)
+  const rowRefs = useRef({})
+
+  // Results from before fingerprints existed fall back to the list position
+  const rowKey = (v) => v.fingerprint || violations.indexOf(v)
+
+  // A click on a screenshot marker jumps to its rule
+  useEffect(() => {
+    if (!focus) return
+    const target = violations.find(v => v.source === 'axe-core' && v.id === focus.ruleId)
+    if (!target) return
+    const key = rowKey(target)
+    setFilter('all')
+    setExpandedId(key)
+    requestAnimationFrame(() => {
+      rowRefs.current[key]?.scrollIntoView({ behavior: 'smooth', block: 'center' })
+    })
+  }, [focus, violations])
 
   const handleFilterChange = (f) => {
     setFilter(f)
@@ -30,6 +55,12 @@ export default function ViolationsTable({ violations }) {
                 {f === 'all' ? `All (${violations.length})` : `${f.charAt(0).toUpperCase() + f.slice(1)}`}
               </button>
             ))}
+            {auditId && (
+              <>
+                <a className="export-link" href={reportUrl(auditId, 'csv')} download>⬇️ CSV</a>
+                <a className="export-link" href={reportUrl(auditId, 'xlsx')} download>⬇️ Excel</a>
+              </>
+            )}
           </div>
         </div>
 
@@ -39,22 +70,51 @@ export default function ViolationsTable({ violations }) {
               No violations matching this filter.
             </div>
           ) : (
-            filtered.map((v, idx) => {
-              const isExpanded = expandedId === idx
+            filtered.map(v => {
+              const key = rowKey(v)
+              const isExpanded = expandedId === key
               return (
                 <div
-                  key={idx}
+                  key={key}
+                  ref={el => { rowRefs.current[key] = el }}
                   className={`violation-item ${isExpanded ? 'expanded' : ''}`}
-                  onClick={() => setExpandedId(isExpanded ? null : idx)}
+                  onClick={() => setExpandedId(isExpanded ? null : key)}
                 >
                   <div className="violation-header">
+                    <span className="violation-number">#{violations.indexOf(v) + 1}</span>
                     <span className={`violation-severity-badge ${v.impact}`}>
                       {v.impact}
                     </span>
-                    <span className={`violation-source-badge ${v.source === 'axe-core' ? 'axe' : 'llm'}`}>
-                      {v.source === 'axe-core' ? '🤖 axe-core' : '🧠 LLM'}
+                    <span className={`violation-source-badge ${SOURCE_BADGES[v.source]?.className || 'llm'}`}>
+                      {SOURCE_BADGES[v.source]?.label || '🧠 LLM'}
                     </span>
+                    {v.sources?.includes('llm') && (
+                      <span className="violation-source-badge llm" title="The LLM reported the same issue">
+                        + 🧠 LLM
+                      </span>
+                    )}
                     <span className="violation-title">{v.type || v.id}</span>
+                    {v.steps && (
+                      <span className="violation-step-badge">
+                        {v.steps.map(s => (s === 0 ? 'load' : `step ${s}`)).join(', ')}
+                      </span>
+                    )}
+                    {v.viewports && (
+                      <span className="violation-viewport-badge">{v.viewports.join(', ')}</span>
+                    )}
+                    {v.outOfTarget && (
+                      <span className="violation-target-badge" title="Above the audit's conformance target; not scored">
+                        outside target
+                      </span>
+                    )}
+                    {v.waiverExpired && (
+                      <span
+                        className="violation-target-badge expired"
+                        title={`Waiver (${v.waiverExpired.owner}) expired ${v.waiverExpired.expires}: ${v.waiverExpired.justification}`}
+                      >
+                        waiver expired
+                      </span>
+                    )}
                   </div>
                   <div className="violation-description">{v.description}</div>
 
@@ -65,6 +125,13 @@ export default function ViolationsTable({ violations }) {
                         <span className="violation-detail-value">{v.recommendation || v.help}</span>
                       </div>
 
+                      {v.llmFindings?.map((f, i) => (
+                        <div key={i} className="violation-detail-row">
+                          <span className="violation-detail-label">LLM ({f.type}):</span>
+                          <span className="violation-detail-value">{f.description}</span>
+                        </div>
+                      ))}
+
                       {v.helpUrl && (
                         <div className="violation-detail-row">
                           <span className="violation-detail-label">Learn more:</span>
@@ -76,6 +143,13 @@ export default function ViolationsTable({ violations }) {
                         </div>
                       )}
 
+                      {v.fingerprint && (
+                        <div className="violation-detail-row">
+                          <span className="violation-detail-label">ID:</span>
+                          <span className="violation-detail-value violation-fingerprint">{v.fingerprint}</span>
+                        </div>
+                      )}
+
                       {v.nodes > 0 && (
                         <div className="violation-detail-row">
                           <span className="violation-detail-label">Affected:</span>
@@ -91,7 +165,16 @@ export default function ViolationsTable({ violations }) {
                               {typeof ex === 'string' ? (
                                 <div className="violation-code">{ex}</div>
                               ) : ex.html ? (
-                                <div className="violation-code">{ex.html}</div>
+                                <div className="violation-example">
+                                  {(ex.screenshot || ex.screenshotUrl) && (
+                                    <img
+                                      src={ex.screenshotUrl || `data:image/jpeg;base64,${ex.screenshot}`}
+                                      alt={`Element affected by ${v.id}`}
+                                      className="violation-thumbnail"
+                                    />
+                                  )}
+                                  <div className="violation-code">{ex.html}</div>
+                                </div>
                               ) : null}
                               {ex.target && (
                                 <div style={{ fontSize: '0.75rem', color: '#64748b', marginTop: 4 }}>
@@ -103,6 +186,8 @@ export default function ViolationsTable({ violations }) {
                         </div>
                       )}
 
+                      <AffectedNodes nodes={v.affectedNodes} total={v.nodes} auditId={auditId} fingerprint={v.fingerprint} />
+
                       {v.wcagTags && v.wcagTags.length > 0 && (
                         <div className="violation-wcag-tags">
                           {v.wcagTags.map((tag, i) => (
@@ -0,0 +1,197 @@
+import React, { useState, useEffect } from 'react'
+import { getHistory, draftVpat, downloadVpat } from '../api'
+
+const CONFORMANCE = ['Supports', 'Partially Supports', 'Does Not Support', 'Not Applicable', 'Not Evaluated']
+const LEVELS = ['A', 'AA', 'AAA']
+
+const hostOf = (url) => {
+  try {
+    return new URL(url).hostname
+  } catch {
+    return 'the host'
+  }
+}
+
+export default function VpatEditor({ auditId, url }) {
+  const [open, setOpen] = useState(false)
+  const [others, setOthers] = useState([])
+  const [included, setIncluded] = useState([])
+  const [product, setProduct] = useState({ name: '', version: '' })
+  const [acr, setAcr] = useState(null)
+  const [edits, setEdits] = useState({})
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    setAcr(null)
+    setEdits({})
+    setIncluded([])
+    if (!open) return
+    let cancelled = false
+    getHistory().then(data => {
+      if (cancelled) return
+      setOthers((data.history || []).filter(h => h.auditId !== auditId && h.complianceLevel !== 'pending'))
+    })
+    return () => { cancelled = true }
+  }, [auditId, open])
+
+  const scope = () => ({
+    auditIds: [auditId, ...included],
+    product: Object.fromEntries(Object.entries(product).filter(([, value]) => value.trim())),
+  })
+  const request = () => ({ ...scope(), edits })
+
+  const run = async (action) => {
+    setBusy(true)
+    setError(null)
+    try {
+      await action()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const generate = () => run(async () => {
+    const data = await draftVpat(scope())
+    // Reviewer edits stay on top of the new draft
+    setAcr(data.acr)
+    if (!product.name) setProduct(p => ({ ...p, name: data.acr.product.name }))
+  })
+
+  const toggleIncluded = (id) => {
+    setIncluded(ids => (ids.includes(id) ? ids.filter(i => i !== id) : [...ids, id]))
+  }
+
+  const edit = (id, field, value) => {
+    setEdits(all => ({ ...all, [id]: { ...all[id], [field]: value } }))
+  }
+
+  const resetEdit = (id) => {
+    setEdits(({ [id]: _, ...rest }) => rest)
+  }
+
+  return (
+    <div className="violations-section">
+      <div className="violations-table-container">
+        <div className="violations-table-header" onClick={() => setOpen(!open)} style={{ cursor: 'pointer' }}>
+          <h3>📄 Conformance Report (VPAT)</h3>
+          <span style={{ fontSize: '0.8rem', color: '#64748b' }}>
+            Draft an ACR from this audit, review the remarks and export it. {open ? '▲' : '▼'}
+          </span>
+        </div>
+
+        {open && (
+          <div className="vpat-editor">
+            <div className="vpat-product">
+              <input
+                className="url-input"
+                placeholder={`Product name (defaults to ${hostOf(url)})`}
+                value={product.name}
+                onChange={(e) => setProduct({ ...product, name: e.target.value })}
+              />
+              <input
+                className="url-input vpat-version"
+                placeholder="Version"
+                value={product.version}
+                onChange={(e) => setProduct({ ...product, version: e.target.value })}
+              />
+            </div>
+
+            {others.length > 0 && (
+              <details className="vpat-scope">
+                <summary>Include other audits ({included.length} selected)</summary>
+                {others.map(h => (
+                  <label key={h.auditId} className="checkbox-label">
+                    <input
+                      type="checkbox"
+                      checked={included.includes(h.auditId)}
+                      onChange={() => toggleIncluded(h.auditId)}
+                    />
+                    {h.url} — {new Date(h.scannedAt).toLocaleString()} — score {h.score}
+                  </label>
+                ))}
+              </details>
+            )}
+
+            <div className="vpat-actions">
+              <button className="filter-btn" disabled={busy} onClick={generate}>
+                {acr ? '🔄 Regenerate draft' : '📝 Generate draft'}
+              </button>
+              {acr && (
+                <>
+                  <button className="filter-btn" disabled={busy} onClick={() => run(() => downloadVpat('html', request()))}>⬇️ HTML</button>
+                  <button className="filter-btn" disabled={busy} onClick={() => run(() => downloadVpat('docx', request()))}>⬇️ Word</button>
+                </>
+              )}
+            </div>
+
+            {error && <div style={{ padding: '0.5rem 0', color: '#ef4444' }}>{error}</div>}
+
+            {acr && (
+              <>
+                <div className="diff-summary" style={{ padding: '0.75rem 0' }}>
+                  <span>{acr.standard} · target {acr.target}</span>
+                  <span>{acr.scope.length} page{acr.scope.length === 1 ? '' : 's'}</span>
+                  {CONFORMANCE.map(level => {
+                    const count = acr.criteria.filter(c => (edits[c.id]?.conformance ?? c.conformance) === level).length
+                    return count > 0 && <span key={level}>{level}: {count}</span>
+                  })}
+                </div>
+
+                {LEVELS.map(level => {
+                  const rows = acr.criteria.filter(c => c.level === level)
+                  if (rows.length === 0) return null
+                  return (
+                    <table key={level} className="vpat-table">
+                      <caption>Success Criteria, Level {level}</caption>
+                      <thead>
+                        <tr>
+                          <th scope="col">Criteria</th>
+                          <th scope="col">Conformance Level</th>
+                          <th scope="col">Remarks and Explanations</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {rows.map(c => (
+                          <tr key={c.id}>
+                            <th scope="row">
+                              {c.id} {c.name}
+                              {edits[c.id] && (
+                                <button className="vpat-reset" onClick={() => resetEdit(c.id)}>reset</button>
+                              )}
+                            </th>
+                            <td>
+                              <select
+                                className="target-select"
+                                aria-label={`Conformance of ${c.id}`}
+                                value={edits[c.id]?.conformance ?? c.conformance}
+                                onChange={(e) => edit(c.id, 'conformance', e.target.value)}
+                              >
+                                {CONFORMANCE.map(option => <option key={option} value={option}>{option}</option>)}
+                              </select>
+                            </td>
+                            <td>
+                              <textarea
+                                className="url-input vpat-remarks"
+                                aria-label={`Remarks for ${c.id}`}
+                                maxLength={4000}
+                                value={edits[c.id]?.remarks ?? c.remarks}
+                                onChange={(e) => edit(c.id, 'remarks', e.target.value)}
+                              />
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )
+                })}
+              </>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -1,22 +1,51 @@
-import React from 'react'
+import React, { useState } from 'react'
+
+const STATUS_LABELS = {
+  passed: 'Passed',
+  failed: 'Failed',
+  notApplicable: 'Not applicable',
+  notTested: 'Not tested — manual review required',
+}
+
+export default function WcagCoverage({ coverage, criteria, target }) {
+  const [openLevel, setOpenLevel] = useState(null)
 
-export default function WcagCoverage({ coverage }) {
   const getColor = (pct) => {
     if (pct >= 90) return '#22c55e'
     if (pct >= 70) return '#eab308'
     return '#ef4444'
   }
 
+  const countFor = (level) => {
+    const counts = { passed: 0, failed: 0, notApplicable: 0, notTested: 0 }
+    for (const c of criteria || []) {
+      if (c.level === level) counts[c.status]++
+    }
+    return counts
+  }
+
+  const describe = (c) => {
+    // Partial evidence (keyboard checks that found nothing) still leaves the criterion to review
+    const rules = [...c.failed, ...c.pending, ...c.passed, ...(c.partial || []).map(rule => `${rule}: no issues found`), ...c.inapplicable]
+    return `${c.id}${c.name ? ` ${c.name}` : ''} — ${STATUS_LABELS[c.status]}${rules.length ? ` (${rules.join(', ')})` : ''}`
+  }
+
   return (
     <div className="card">
       <div className="card-header">
-        <span className="card-title">🏆 WCAG 2.1 Coverage</span>
+        <span className="card-title">🏆 {target || 'WCAG 2.1'} Coverage</span>
       </div>
       <div className="wcag-levels">
-        {['A', 'AA', 'AAA'].map((level) => {
+        {Object.keys(coverage).map((level) => {
           const pct = coverage[level] || 0
+          const counts = countFor(level)
           return (
-            <div className="wcag-level" key={level}>
+            <div
+              className="wcag-level"
+              key={level}
+              onClick={() => criteria && setOpenLevel(openLevel === level ? null : level)}
+              style={{ cursor: criteria ? 'pointer' : 'default' }}
+            >
               <div className="wcag-level-label">Level {level}</div>
               <div className="wcag-level-value" style={{ color: getColor(pct) }}>
                 {pct}%
@@ -30,10 +59,28 @@ export default function WcagCoverage({ coverage }) {
                   }}
                 ></div>
               </div>
+              {criteria && (
+                <div className="wcag-level-counts">
+                  <span className="passed">✓ {counts.passed}</span>
+                  <span className="failed">✗ {counts.failed}</span>
+                  <span>N/A {counts.notApplicable}</span>
+                  <span>? {counts.notTested}</span>
+                </div>
+              )}
             </div>
           )
         })}
       </div>
+
+      {openLevel && (
+        <div className="wcag-criteria">
+          {criteria.filter(c => c.level === openLevel).map(c => (
+            <span key={c.id} className={`wcag-criterion ${c.status}`} title={describe(c)}>
+              {c.id}
+            </span>
+          ))}
+        </div>
+      )}
     </div>
   )
 }
@@ -0,0 +1,194 @@
+/**
+ * acr.js — Draft Accessibility Conformance Reports (VPAT® 2.x, WCAG edition)
+ *
+ * Turns one or more finished audits into the rows of an ACR: every WCAG
+ * success criterion of the audited version (A, AA and AAA) with a
+ * conformance level and remarks.
+ *
+ * Conformance per criterion, combining each audit's wcagCriteria entry:
+ *   - Does Not Support:   failed, and nothing passed it on any page
+ *   - Partially Supports: failed somewhere, but passed or did not apply elsewhere
+ *                         (or other rules for it passed on the failing page)
+ *   - Supports:           passed (or did not apply) on every page
+ *                         (or obsolete in the audited version: 4.1.1 in WCAG 2.2)
+ *   - Not Applicable:     no applicable content on any page
+ *   - Not Evaluated:      not covered by automated checks, awaiting manual
+ *                         review, or outside the audits' conformance target
+ * Remarks are drafted from the violation descriptions (elements and pages
+ * affected, waivers) or the evidence behind the level. Reviewers can change
+ * both through `edits`; the generated text is kept under `draft`.
+ * Rendering (HTML / DOCX) lives in reports/vpat-report.js.
+ */
+
+const { CRITERIA, WCAG_VERSIONS, DEFAULT_TARGET, parseTarget, tagsToCriteria } = require('./wcag-criteria');
+
+const CONFORMANCE = ['Supports', 'Partially Supports', 'Does Not Support', 'Not Applicable', 'Not Evaluated'];
+const PRODUCT_FIELDS = ['name', 'version', 'description', 'contact'];
+const MAX_REMARKS = 4000;
+
+/** WCAG 2.2 keeps 4.1.1 Parsing in the ACR as always satisfied rather than dropping it */
+const OBSOLETE_REMARKS = 'WCAG 2.2 removed this criterion as obsolete; under WCAG 2.2 it is always satisfied.';
+
+const EVALUATION_METHODS = 'Automated testing of the listed pages with axe-core, a keyboard tab-walk and, where enabled, '
+  + 'LLM review of the rendered content, followed by manual review of the items the automated checks could not decide. '
+  + 'Criteria marked "Not Evaluated" need manual testing before this report is published.';
+
+/**
+ * Validate the product details and reviewer edits of an ACR request
+ * @param {Object} body
+ * @param {Object} [body.product] — { name, version, description, contact } strings
+ * @param {Object} [body.edits] — { "<criterion>": { conformance?, remarks? } }
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateAcrOptions({ product, edits } = {}) {
+  if (product !== undefined) {
+    if (!product || typeof product !== 'object' || Array.isArray(product)) return 'product must be an object';
+    for (const key of PRODUCT_FIELDS) {
+      if (product[key] !== undefined && typeof product[key] !== 'string') return `product.${key} must be a string`;
+    }
+  }
+  if (edits === undefined) return null;
+  if (!edits || typeof edits !== 'object' || Array.isArray(edits)) return 'edits must be an object keyed by criterion, e.g. { "1.1.1": { "remarks": "..." } }';
+  for (const [id, edit] of Object.entries(edits)) {
+    if (!CRITERIA.some(c => c.id === id)) return `edits: unknown WCAG criterion ${id}`;
+    if (!edit || typeof edit !== 'object') return `edits["${id}"] must be an object`;
+    if (edit.conformance !== undefined && !CONFORMANCE.includes(edit.conformance)) {
+      return `edits["${id}"].conformance must be one of: ${CONFORMANCE.join(', ')}`;
+    }
+    if (edit.remarks !== undefined && (typeof edit.remarks !== 'string' || edit.remarks.length > MAX_REMARKS)) {
+      return `edits["${id}"].remarks must be a string of at most ${MAX_REMARKS} characters`;
+    }
+  }
+  return null;
+}
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+const sentence = text => (/[.!?]$/.test(text) ? text : `${text}.`);
+
+/** Failing violations behind one criterion, merged per rule across pages (waived ones included: they still fail) */
+function failuresFor(id, reports) {
+  const byRule = new Map();
+  for (const report of reports) {
+    const listed = [
+      ...report.results.violations.map(v => [v, false]),
+      ...(report.results.suppressed || []).map(v => [v, true]),
+    ];
+    for (const [v, waived] of listed) {
+      if (!tagsToCriteria(v.wcagTags).includes(id)) continue;
+      const rule = v.id || v.type;
+      const entry = byRule.get(rule) || { text: v.help || v.description, elements: 0, pages: new Set(), waived: true };
+      entry.elements += v.nodes || v.examples?.length || 0;
+      entry.pages.add(report.url);
+      entry.waived = entry.waived && waived;
+      byRule.set(rule, entry);
+    }
+  }
+  return [...byRule.values()];
+}
+
+/** Generated remarks for a criterion at the given conformance level */
+function draftRemarks(status, { id, reports, evaluated, passed, inapplicable, partial, pending, target }) {
+  const across = reports.length > 1;
+  switch (status) {
+    case 'Does Not Support':
+    case 'Partially Supports':
+      return failuresFor(id, reports).map(f => {
+        const where = across ? ` on ${f.pages.size} of ${plural(reports.length, 'page')}` : '';
+        return sentence(`${f.text} (${plural(f.elements, 'element')}${where}${f.waived ? ', accepted under a waiver' : ''})`);
+      }).join(' ');
+    case 'Supports':
+      return `No failures found by the automated checks (${[...passed].join(', ')}).`;
+    case 'Not Applicable':
+      return `No content this criterion applies to was found (${[...inapplicable].join(', ')}).`;
+    default:
+      if (evaluated === 0) return `Outside the audit's conformance target (${target}); not evaluated.`;
+      if (pending.size) return `Needs manual review: automated checks could not decide ${[...pending].join(', ')}.`;
+      if (partial.size) return `Partially evaluated: automated checks found no failures (${[...partial].join(', ')}), but they cannot confirm conformance; review manually.`;
+      if (evaluated < reports.length) return `Within the conformance target of only ${evaluated} of ${plural(reports.length, 'audit')}; evaluate manually.`;
+      return 'Not covered by automated testing; requires manual evaluation.';
+  }
+}
+
+/**
+ * Draft an Accessibility Conformance Report from one or more finished audits
+ * @param {Array<Object>} reports — Audit records (single page, viewport or flow)
+ * @param {Object} [options]
+ * @param {Object} [options.product] — Product details; the name defaults to the first page's host
+ * @returns {Object} { product, reportDate, standard, target, evaluationMethods, scope, criteria }
+ */
+function buildAcr(reports, { product = {} } = {}) {
+  const targets = reports.map(r => parseTarget(r.results.target) || parseTarget(DEFAULT_TARGET));
+  const version = WCAG_VERSIONS[Math.max(...targets.map(t => WCAG_VERSIONS.indexOf(t.version)))];
+  const target = reports[0].results.target || DEFAULT_TARGET;
+  let host = '';
+  try {
+    host = new URL(reports[0].url).hostname;
+  } catch {
+    // No product name to suggest
+  }
+
+  const v = WCAG_VERSIONS.indexOf(version);
+  const criteria = CRITERIA.filter(c => WCAG_VERSIONS.indexOf(c.since) <= v).map(({ id, name, level, removedIn }) => {
+    if (removedIn && WCAG_VERSIONS.indexOf(removedIn) <= v) {
+      return { id, name, level, conformance: 'Supports', remarks: OBSOLETE_REMARKS, draft: { conformance: 'Supports', remarks: OBSOLETE_REMARKS } };
+    }
+    const entries = reports.map(r => (r.results.wcagCriteria || []).find(c => c.id === id)).filter(Boolean);
+    const failedPages = entries.filter(c => c.status === 'failed');
+    const passed = new Set(entries.flatMap(c => c.passed));
+    const inapplicable = new Set(entries.flatMap(c => c.inapplicable));
+    const pending = new Set(entries.flatMap(c => c.pending));
+    const partial = new Set(entries.flatMap(c => c.partial || []));
+
+    let conformance = 'Not Evaluated';
+    if (failedPages.length) {
+      const heldUp = entries.some(c => c.status === 'passed' || c.status === 'notApplicable') || failedPages.some(c => c.passed.length);
+      conformance = heldUp ? 'Partially Supports' : 'Does Not Support';
+    } else if (entries.length === reports.length && entries.every(c => c.status === 'notApplicable')) {
+      conformance = 'Not Applicable';
+    } else if (entries.length === reports.length && entries.every(c => c.status === 'passed' || c.status === 'notApplicable')) {
+      conformance = 'Supports';
+    }
+
+    const remarks = draftRemarks(conformance, { id, reports, evaluated: entries.length, passed, inapplicable, partial, pending, target });
+    return { id, name, level, conformance, remarks, draft: { conformance, remarks } };
+  });
+
+  return {
+    product: {
+      name: product.name || host,
+      version: product.version || '',
+      description: product.description || '',
+      contact: product.contact || '',
+    },
+    reportDate: new Date().toISOString().slice(0, 10),
+    standard: `WCAG ${version}`,
+    target,
+    evaluationMethods: EVALUATION_METHODS,
+    scope: reports.map(r => ({ auditId: r.auditId || null, url: r.url, scannedAt: r.scannedAt || null, score: r.summary?.overallScore ?? null })),
+    criteria,
+  };
+}
+
+/**
+ * Apply reviewer changes on top of the draft; the generated text stays under `draft`
+ * @param {Object} acr — From buildAcr
+ * @param {Object} [edits] — { "<criterion>": { conformance?, remarks? } }
+ * @returns {Object} ACR with edited rows flagged `edited: true`
+ */
+function applyAcrEdits(acr, edits = {}) {
+  return {
+    ...acr,
+    criteria: acr.criteria.map(c => {
+      const edit = edits[c.id];
+      if (!edit) return c;
+      return {
+        ...c,
+        ...(edit.conformance !== undefined && { conformance: edit.conformance }),
+        ...(edit.remarks !== undefined && { remarks: edit.remarks }),
+        edited: true,
+      };
+    }),
+  };
+}
+
+module.exports = { CONFORMANCE, validateAcrOptions, buildAcr, applyAcrEdits };
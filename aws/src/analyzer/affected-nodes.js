@@ -0,0 +1,63 @@
+/**
+ * affected-nodes.js — Paged access to the failing elements of a violation
+ *
+ * Every axe-core violation and needs-review item carries `affectedNodes`:
+ * one entry per failing element with its selector, HTML snippet, failure
+ * summary and the any / all / none check messages. A busy page can list
+ * hundreds of them, so the API hands them out a page at a time, looked up
+ * by the violation's fingerprint (see fingerprint.js).
+ */
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+/**
+ * Validate offset / limit as they arrive in a query string
+ *
+ * @param {Object} query — { offset?, limit? } (strings or numbers)
+ * @returns {Object} { offset, limit } or { error }
+ */
+function parsePage({ offset, limit } = {}) {
+  const start = offset === undefined ? 0 : Number(offset);
+  const size = limit === undefined ? DEFAULT_PAGE_SIZE : Number(limit);
+  if (!Number.isInteger(start) || start < 0) return { error: 'offset must be a non-negative integer' };
+  if (!Number.isInteger(size) || size < 1 || size > MAX_PAGE_SIZE) {
+    return { error: `limit must be an integer from 1 to ${MAX_PAGE_SIZE}` };
+  }
+  return { offset: start, limit: size };
+}
+
+/**
+ * One page of a violation's (or needs-review item's) failing elements
+ *
+ * Active, suppressed and needs-review lists are searched in that order.
+ * Records from before full node lists were kept only have their examples.
+ *
+ * @param {Object} results — Combined results ({ violations, suppressed, needsReview })
+ * @param {string} fingerprint — Violation fingerprint
+ * @param {Object} page — { offset, limit } from parsePage
+ * @returns {Object|null} { fingerprint, rule, source, status, total, offset, limit, hasMore, nodes }
+ */
+function pageAffectedNodes(results, fingerprint, { offset, limit }) {
+  const lists = [['active', results.violations], ['suppressed', results.suppressed], ['needs-review', results.needsReview]];
+  for (const [status, items] of lists) {
+    const item = (items || []).find(v => v.fingerprint === fingerprint);
+    if (!item) continue;
+
+    const nodes = item.affectedNodes || (item.examples || []).filter(ex => ex && typeof ex === 'object');
+    return {
+      fingerprint,
+      rule: item.id || item.type,
+      source: item.source || 'axe-core',
+      status,
+      total: nodes.length,
+      offset,
+      limit,
+      hasMore: offset + limit < nodes.length,
+      nodes: nodes.slice(offset, offset + limit),
+    };
+  }
+  return null;
+}
+
+module.exports = { parsePage, pageAffectedNodes };
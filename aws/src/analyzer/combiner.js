@@ -3,38 +3,123 @@
  *
  * This module:
  *   1. Normalizes violations from both sources into a unified format
- *   2. Calculates WCAG 2.1 coverage (Level A / AA / AAA)
- *   3. Computes an overall compliance score (0–100)
+ *   2. Builds a per-criterion WCAG matrix for the audit's conformance target
+ *      (passed / failed / not applicable / not tested) from violations,
+ *      axe passes + inapplicable rules (keyboard checks that find nothing
+ *      are recorded as partial evidence and leave the criterion to review)
+ *   3. Computes an overall compliance score (0–100) from in-target violations
  *   4. Sorts violations by severity (critical → minor)
+ *   5. Queues axe-core "incomplete" results for human review (unscored)
+ *   6. Maps the results onto Section 508 / EN 301 549 clauses (standards-mapping.js)
+ *   7. Folds LLM findings that repeat an axe-core violation (same criterion,
+ *      same elements) into that violation, so one issue isn't counted twice
+ *   8. Gives every violation, needs-review item and affected node a stable
+ *      `fingerprint` (fingerprint.js) so issues can be followed across runs
+ *   9. Moves violations covered by a current waiver into `suppressed`
+ *      (suppressions.js): listed, not scored, but still failing their criteria
  *
- * Scoring formula:
- *   Start at 100, deduct: critical(-10), serious(-5), moderate(-2), minor(-1)
+ * Scoring:
+ *   Start at 100 and deduct per in-target violation under the audit's scoring
+ *   profile (scoring-profiles.js). The default "classic" profile deducts
+ *   critical(-10), serious(-5), moderate(-2), minor(-1) per rule; others scale
+ *   with node counts and weigh sources differently. `scoring.deductions`
+ *   lists every line that went into the score.
+ *
+ * Conformance:
+ *   A level is only claimed when every criterion up to it passed or does not
+ *   apply. Automated checks can't cover most criteria, so the usual outcome is
+ *   "Not Verified" with `automatedLevel` saying how far the automated checks got.
+ *   Levels above the target (e.g. AAA on a "WCAG 2.2 AA" audit) aren't assessed.
  */
 
+const { DEFAULT_TARGET, targetLevels, criteriaForTarget, tagsToCriteria } = require('./wcag-criteria');
+const { mapToStandards } = require('./standards-mapping');
+const { resolveProfile, scoreViolations } = require('./scoring-profiles');
+const { assignFingerprints } = require('./fingerprint');
+const { applySuppressions } = require('./suppressions');
+const { aggregatePages } = require('./site-aggregator');
+
+const IMPACT_ORDER = { critical: 0, serious: 1, moderate: 2, minor: 3 };
+
+// Criteria the keyboard audit checks. A heuristic that finds nothing is only
+// partial evidence (e.g. a focus indicator it could not see is not proof that
+// every one is visible), so the criterion stays "not tested" until reviewed
+const KEYBOARD_CHECKS = {
+  'keyboard-trap': ['wcag212'],
+  'clickable-not-focusable': ['wcag211'],
+  'positive-tabindex': ['wcag243'],
+  'focus-not-visible': ['wcag247'],
+};
+
+// axe-core rules that test the same thing as an LLM finding type (for findings that quote no element)
+const LLM_AXE_RULES = {
+  'missing-alt-text': ['image-alt', 'input-image-alt', 'area-alt', 'role-img-alt', 'svg-img-alt', 'object-alt'],
+  'low-color-contrast': ['color-contrast'],
+};
+
+/** An LLM severity on the axe-core impact scale; anything else ("high", "medium") counts as moderate, as in scoring */
+function llmImpact(severity) {
+  const impact = String(severity || '').toLowerCase();
+  return impact in IMPACT_ORDER ? impact : 'moderate';
+}
+
+/** Lowercase, unquote and collapse whitespace so LLM-quoted markup can be compared with axe's */
+function normalizeQuote(value) {
+  return String(value || '').toLowerCase().replace(/["'`]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+/** The element snippets an LLM finding quotes, normalized (too-short quotes are dropped) */
+function llmQuotes(violation) {
+  return (violation.examples || [])
+    .map(ex => normalizeQuote(typeof ex === 'string' ? ex : ex?.html))
+    .filter(q => q.length >= 3);
+}
+
+/** Whether a normalized quote names a normalized element: its markup, or its text content */
+function quoteMatches(quote, element) {
+  const text = quote.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+  return element.includes(quote)
+    || (element.length >= 10 && quote.includes(element))
+    || (text.length >= 3 && element.includes(text));
+}
+
+/** Every failing element of an axe-core result: selector, markup, summary and the check messages behind it */
+function describeNodes(nodes) {
+  const messages = checks => (checks || []).map(c => c.message).filter(Boolean);
+  return nodes.map(n => ({
+    target: n.target.join(' > '),
+    html: n.html,
+    failureSummary: n.failureSummary || null,
+    checks: { any: messages(n.any), all: messages(n.all), none: messages(n.none) },
+  }));
+}
+
 class ResultCombiner {
   /**
-   * Merge axe-core and LLM violations into one unified report
+   * Merge axe-core, LLM and keyboard violations into one unified report
+   *
+   * axe-core "incomplete" results (checks it couldn't decide, e.g. contrast
+   * over a background image) go into a separate `needsReview` queue. They
+   * don't affect the score until a reviewer marks them failed (applyReview).
    *
    * @param {Object} axeResults  — Raw output from axe-core (via puppeteer-scraper)
    * @param {Object} llmResults  — Output from GPT-4 (via llm-analyzer)
-   * @returns {Object} Combined report with violations, summary, wcagCoverage, complianceScore
+   * @param {Object} extra
+   * @param {Object} extra.keyboardResults — Tab-walk findings (via keyboard-audit)
+   * @param {string} extra.target — WCAG conformance target, e.g. "WCAG 2.2 AA" (see wcag-criteria.js)
+   * @param {string|Object} extra.scoringProfile — Profile name or custom profile (see scoring-profiles.js)
+   * @param {string} extra.url — Audited page URL (its path template goes into the fingerprints)
+   * @param {Array} extra.suppressions — Waivers for accepted issues (see suppressions.js)
+   * @returns {Object} Combined report with violations, suppressed, needsReview, summary, wcagCriteria, wcagCoverage,
+   *                   standards (Section 508 / EN 301 549), scoring, complianceScore
    */
-  combineResults(axeResults, llmResults) {
-    const combined = {
-      summary: {
-        totalViolations: 0,
-        critical: 0, serious: 0, moderate: 0, minor: 0,
-        sources: { axeCore: 0, llm: 0 },
-      },
-      violations: [],
-      wcagCoverage: {},
-      complianceScore: 0,
-    };
+  combineResults(axeResults, llmResults, { keyboardResults, target = DEFAULT_TARGET, scoringProfile, url, suppressions = [] } = {}) {
+    const violations = [];
 
     // ── Process axe-core violations (rule-based) ─────────────────────
     if (axeResults?.violations) {
       for (const v of axeResults.violations) {
-        combined.violations.push({
+        violations.push({
           source: 'axe-core',
           id: v.id,
           type: v.id,
@@ -44,80 +129,616 @@ class ResultCombiner {
           helpUrl: v.helpUrl,
           wcagTags: v.tags.filter(t => t.startsWith('wcag')),
           nodes: v.nodes.length,
-          examples: v.nodes.slice(0, 3).map(n => ({
+          // First three nodes, plus any further ones the scraper cropped
+          examples: v.nodes.filter((n, i) => i < 3 || n.screenshot).map(n => ({
             html: n.html,
             target: n.target.join(' > '),
             failureSummary: n.failureSummary,
+            ...(n.screenshot && { screenshot: n.screenshot }), // Cropped element image (base64 JPEG)
           })),
+          affectedNodes: describeNodes(v.nodes), // Every failing element; `examples` is the sample
           recommendation: v.help,
+          ...(v.steps && { steps: v.steps }), // User-flow steps where it occurs
+          ...(v.viewports && { viewports: v.viewports }), // Viewport profiles where it occurs
         });
-
-        combined.summary[v.impact]++;
-        combined.summary.totalViolations++;
-        combined.summary.sources.axeCore++;
       }
     }
 
     // ── Process LLM violations (semantic/contextual) ─────────────────
     if (llmResults?.violations) {
       for (const v of llmResults.violations) {
-        const severity = v.severity.toLowerCase();
-        combined.violations.push({
+        violations.push({
           source: 'llm',
           type: v.type,
-          impact: severity,
+          impact: llmImpact(v.severity),
           description: v.description,
           recommendation: v.recommendation,
           examples: v.examples || [],
           wcagTags: this._inferWCAGTags(v.type),
           isSemanticIssue: true,
+          ...(v.steps && { steps: v.steps }),
         });
+      }
+    }
+
+    // ── Process keyboard findings (real Tab presses) ─────────────────
+    violations.push(...this._keyboardViolations(keyboardResults));
+
+    // ── Needs review (axe-core "incomplete") — not scored ────────────
+    const needsReview = (axeResults?.incomplete || []).map(v => ({
+      id: v.id,
+      impact: v.impact || 'moderate',
+      description: v.description,
+      help: v.help,
+      helpUrl: v.helpUrl,
+      wcagTags: v.tags.filter(t => t.startsWith('wcag')),
+      nodes: v.nodes.length,
+      examples: v.nodes.slice(0, 3).map(n => ({
+        html: n.html,
+        target: n.target.join(' > '),
+        // Why axe-core couldn't decide, e.g. "Element's background color could not be determined"
+        message: [...(n.any || []), ...(n.all || []), ...(n.none || [])][0]?.message || n.failureSummary,
+      })),
+      affectedNodes: describeNodes(v.nodes),
+      review: null, // { status: 'pass' | 'fail', note, reviewedAt } once a human decides
+      ...(v.steps && { steps: v.steps }),
+      ...(v.viewports && { viewports: v.viewports }),
+    }));
+
+    // ── Fingerprints, then fold LLM duplicates into axe-core rules ───
+    this._pinQuotedElements(violations, axeResults);
+    assignFingerprints(violations, needsReview, url);
+    const { kept, duplicatesRemoved } = this._reconcile(violations);
+    return this._score(kept, needsReview, this._collectEvidence(axeResults, keyboardResults), {
+      target,
+      duplicatesRemoved,
+      profile: resolveProfile(scoringProfile),
+      url,
+      suppressions,
+    });
+  }
+
+  /**
+   * Record a reviewer's decision on a needs-review item and re-score
+   *
+   * A "fail" turns the item into a regular axe-core violation (flagged
+   * `reviewed: true`); "pass" just clears it from the queue; "pending"
+   * undoes an earlier decision.
+   *
+   * @param {Object} combinedResults — Output of combineResults (or a previous applyReview)
+   * @param {string} ruleId — axe-core rule id of the needs-review item
+   * @param {Object} decision — { status: 'pass' | 'fail' | 'pending', note? }
+   * @returns {Object} New combined results (the input is not modified)
+   */
+  applyReview(combinedResults, ruleId, { status, note } = {}) {
+    const needsReview = (combinedResults.needsReview || []).map(item => (item.id !== ruleId ? item : {
+      ...item,
+      review: status === 'pending' ? null : { status, note: note || null, reviewedAt: new Date().toISOString() },
+    }));
+
+    // Confirmed failures count like any other violation; passes simply leave the queue.
+    // Suppressed ones go back in the pool so waivers are re-checked (and may have expired).
+    const violations = [...combinedResults.violations, ...(combinedResults.suppressed || [])].filter(v => !v.reviewed);
+    for (const item of needsReview) {
+      if (item.review?.status !== 'fail') continue;
+      violations.push({
+        source: 'axe-core',
+        id: item.id,
+        type: item.id,
+        impact: item.impact,
+        description: item.description,
+        help: item.help,
+        helpUrl: item.helpUrl,
+        wcagTags: item.wcagTags,
+        nodes: item.nodes,
+        examples: item.examples,
+        ...(item.affectedNodes && { affectedNodes: item.affectedNodes }),
+        recommendation: item.help,
+        reviewed: true,
+        fingerprint: item.fingerprint,
+        ...(item.steps && { steps: item.steps }),
+        ...(item.viewports && { viewports: item.viewports }),
+      });
+    }
+    const evidence = this._evidenceFromCriteria(combinedResults.wcagCriteria, needsReview, combinedResults.passedRules);
+    return this._score(violations, needsReview, evidence, {
+      target: combinedResults.target || DEFAULT_TARGET,
+      duplicatesRemoved: combinedResults.summary?.duplicatesRemoved || 0,
+      // Keep the audit's profile; results from before profiles existed score as classic
+      profile: combinedResults.scoring?.profile || resolveProfile(),
+      url: combinedResults.url,
+      suppressions: combinedResults.suppressions || [],
+    });
+  }
+
+  /**
+   * Apply waivers, then count, score and sort a violation list
+   * @param {Object} evidence — { passed, inapplicable, partial } rule ids by criterion (see _collectEvidence)
+   * @param {Object} context
+   * @param {string} context.target — WCAG conformance target
+   * @param {number} context.duplicatesRemoved — LLM findings already merged by _reconcile
+   * @param {Object} context.profile — Resolved scoring profile
+   * @param {string} context.url — Audited page URL (for url waivers)
+   * @param {Array} context.suppressions — Waiver entries, kept with the results for re-scores
+   * @returns {Object} { target, url, summary, violations, suppressed, suppressions, needsReview, wcagCriteria,
+   *                     wcagCoverage, passedRules, standards, scoring, complianceScore }
+   */
+  _score(pool, needsReview, evidence, { target, duplicatesRemoved = 0, profile, url, suppressions = [] }) {
+    const { active: violations, suppressed } = applySuppressions(pool, suppressions, { url });
+    const summary = {
+      totalViolations: 0,
+      critical: 0, serious: 0, moderate: 0, minor: 0,
+      sources: { axeCore: 0, llm: 0, keyboard: 0 },
+      needsReview: needsReview.filter(item => !item.review).length, // Still awaiting a decision
+      outOfTarget: 0, // Listed but not scored
+      duplicatesRemoved, // LLM findings merged into axe-core violations
+      suppressed: suppressed.length, // Covered by a current waiver, not counted above
+      waiversExpired: violations.filter(v => v.waiverExpired).length, // Active again after their waiver lapsed
+    };
+    const sourceKeys = { 'axe-core': 'axeCore', llm: 'llm', keyboard: 'keyboard' };
+    const inTarget = new Set(criteriaForTarget(target).map(c => c.id));
+
+    for (const v of pool) {
+      // Only mapped to criteria the target doesn't include (e.g. AAA contrast on an AA audit).
+      // Unmapped findings (best practices, most LLM issues) still count.
+      const criteria = tagsToCriteria(v.wcagTags);
+      v.outOfTarget = criteria.length > 0 && !criteria.some(id => inTarget.has(id));
+    }
+
+    for (const v of violations) {
+      if (v.outOfTarget) {
+        summary.outOfTarget++;
+        continue;
+      }
+
+      if (summary[v.impact] !== undefined) {
+        summary[v.impact]++;
+      } else {
+        summary.moderate++; // Unknown LLM severities count as moderate
+      }
+      summary.totalViolations++;
+      summary.sources[sourceKeys[v.source]]++;
+    }
+
+    // Sort: critical first, minor last
+    const bySeverity = (a, b) => (IMPACT_ORDER[a.impact] ?? 2) - (IMPACT_ORDER[b.impact] ?? 2);
+    violations.sort(bySeverity);
+    suppressed.sort(bySeverity);
+
+    // A waiver keeps an accepted issue out of the score, not out of conformance
+    const failing = [...violations, ...suppressed];
+    const wcagCriteria = this._buildCriteria(failing, needsReview, evidence, target);
+    const { score, deductions, totalDeduction } = scoreViolations(violations, profile);
+
+    return {
+      target,
+      url: url || null,
+      summary,
+      violations,
+      suppressed,
+      suppressions,
+      needsReview,
+      wcagCriteria,
+      wcagCoverage: this._calculateWCAGCoverage(wcagCriteria, target),
+      passedRules: evidence.rules || [],
+      standards: mapToStandards(failing, wcagCriteria),
+      scoring: { profile, deductions, totalDeduction },
+      complianceScore: score,
+    };
+  }
+
+  /**
+   * Fold LLM findings that repeat an axe-core violation into it
+   *
+   * The axe violation is kept (it has the node count and help link) and gains
+   * `sources: ['axe-core', 'llm']`, the LLM's wording under `llmFindings`, and
+   * the more severe of the two impacts.
+   *
+   * @param {Array} violations — Normalized violations from combineResults
+   * @returns {Object} { kept, duplicatesRemoved }
+   */
+  _reconcile(violations) {
+    const axe = violations.filter(v => v.source === 'axe-core');
+    const kept = [];
+    let duplicatesRemoved = 0;
 
-        if (combined.summary[severity] !== undefined) {
-          combined.summary[severity]++;
-        } else {
-          combined.summary.moderate++;
+    for (const v of violations) {
+      const match = v.source === 'llm' && axe.find(a => this._isDuplicate(a, v));
+      if (!match) {
+        kept.push(v);
+        continue;
+      }
+
+      duplicatesRemoved++;
+      match.sources = ['axe-core', 'llm'];
+      match.llmFindings = [...(match.llmFindings || []), {
+        fingerprint: v.fingerprint,
+        type: v.type,
+        description: v.description,
+        recommendation: v.recommendation,
+        examples: v.examples,
+      }];
+      if ((IMPACT_ORDER[v.impact] ?? 2) < (IMPACT_ORDER[match.impact] ?? 2)) match.impact = v.impact;
+      if (match.steps && v.steps) match.steps = [...new Set([...match.steps, ...v.steps])].sort((a, b) => a - b);
+    }
+    return { kept, duplicatesRemoved };
+  }
+
+  /**
+   * Does an LLM finding describe the same issue as an axe-core violation?
+   *
+   * They must share a WCAG criterion. If the LLM quoted any elements, one of
+   * them must also be among the elements axe flagged (markup or its text
+   * content). A finding without quotes only merges into an axe rule listed for
+   * its type in LLM_AXE_RULES, and only if that rule covers all its criteria:
+   * a shared criterion alone would drop the finding's other failures.
+   */
+  _isDuplicate(axeViolation, llmViolation) {
+    const criteria = tagsToCriteria(axeViolation.wcagTags);
+    const llmCriteria = tagsToCriteria(llmViolation.wcagTags);
+    if (!llmCriteria.some(id => criteria.includes(id))) return false;
+
+    const quotes = llmQuotes(llmViolation);
+    if (quotes.length === 0) {
+      return (LLM_AXE_RULES[llmViolation.type] || []).includes(axeViolation.id)
+        && llmCriteria.every(id => criteria.includes(id));
+    }
+
+    const elements = (axeViolation.affectedNodes || axeViolation.examples || [])
+      .map(ex => normalizeQuote(ex?.html)).filter(Boolean);
+    return quotes.some(q => elements.some(el => quoteMatches(q, el)));
+  }
+
+  /**
+   * Pin each LLM finding to the page element it quotes (`matchedTarget`),
+   * so its fingerprint follows the element instead of the model's wording
+   *
+   * Candidates are every element axe-core checked (violations, incomplete
+   * and passes); the shortest matching markup is the most specific element.
+   */
+  _pinQuotedElements(violations, axeResults) {
+    const elements = new Map();
+    for (const type of ['violations', 'incomplete', 'passes']) {
+      for (const rule of axeResults?.[type] || []) {
+        for (const node of rule.nodes || []) {
+          const target = node.target.join(' > ');
+          if (!elements.has(target)) elements.set(target, normalizeQuote(node.html));
         }
-        combined.summary.totalViolations++;
-        combined.summary.sources.llm++;
       }
     }
+    const bySize = [...elements].filter(([, html]) => html).sort((a, b) => a[1].length - b[1].length);
 
-    // ── Calculate coverage & score ───────────────────────────────────
-    combined.wcagCoverage = this._calculateWCAGCoverage(combined.violations);
-    combined.complianceScore = this._calculateScore(combined.summary);
+    for (const v of violations) {
+      if (v.source !== 'llm') continue;
+      for (const quote of llmQuotes(v)) {
+        const match = bySize.find(([, html]) => quoteMatches(quote, html));
+        if (match) {
+          v.matchedTarget = match[0];
+          break;
+        }
+      }
+    }
+  }
 
-    // Sort: critical first, minor last
-    const order = { critical: 0, serious: 1, moderate: 2, minor: 3 };
-    combined.violations.sort((a, b) => order[a.impact] - order[b.impact]);
+  /**
+   * Gather what the scrape proved about each criterion: rules axe-core ran
+   * and passed, rules with nothing to test, and keyboard checks that ran
+   * (partial: they cannot prove a criterion on their own).
+   * @returns {{ passed: Object<string, string[]>, inapplicable: Object<string, string[]>,
+   *             partial: Object<string, string[]>, rules: Array<{ source, id, help }> }}
+   */
+  _collectEvidence(axeResults, keyboard) {
+    const evidence = { passed: {}, inapplicable: {}, partial: {} };
+    for (const rule of axeResults?.passes || []) this._addEvidence(evidence.passed, rule.tags, rule.id);
+    for (const rule of axeResults?.inapplicable || []) this._addEvidence(evidence.inapplicable, rule.tags, rule.id);
+    if (keyboard && !keyboard.error) {
+      for (const [type, tags] of Object.entries(KEYBOARD_CHECKS)) this._addEvidence(evidence.partial, tags, type);
+    }
+    // Flat list of the rules and checks that found nothing, for exports that count passing tests (JUnit)
+    const failedChecks = new Set(this._keyboardViolations(keyboard).map(v => v.type));
+    evidence.rules = [
+      ...(axeResults?.passes || []).map(rule => ({ source: 'axe-core', id: rule.id, help: rule.help || null })),
+      ...(keyboard && !keyboard.error ? Object.keys(KEYBOARD_CHECKS) : [])
+        .filter(type => !failedChecks.has(type))
+        .map(type => ({ source: 'keyboard', id: type, help: null })),
+    ];
+    return evidence;
+  }
 
-    return combined;
+  /**
+   * Recover the scrape evidence from a stored matrix, for re-scoring without
+   * the raw axe output. Reviewer passes are rebuilt from needsReview, so those are dropped;
+   * the flat passed-rule list is carried over as stored.
+   */
+  _evidenceFromCriteria(criteria = [], needsReview = [], rules = []) {
+    const reviewIds = new Set(needsReview.map(item => item.id));
+    const evidence = { passed: {}, inapplicable: {}, partial: {}, rules };
+    for (const c of criteria) {
+      evidence.passed[c.id] = c.passed.filter(id => !reviewIds.has(id));
+      evidence.inapplicable[c.id] = c.inapplicable;
+      evidence.partial[c.id] = c.partial || [];
+    }
+    return evidence;
+  }
+
+  /** Add a rule / check name to every criterion its WCAG tags map to */
+  _addEvidence(bucket, tags, name) {
+    for (const id of tagsToCriteria(tags)) {
+      if (!bucket[id]) bucket[id] = [];
+      if (!bucket[id].includes(name)) bucket[id].push(name);
+    }
   }
 
   /**
-   * Generate a human-readable summary from combined results
-   * @returns {{ overallScore, complianceLevel, totalIssues, criticalIssues, recommendation }}
+   * Criterion-by-criterion results for every success criterion in the target
+   *
+   * Status precedence: failed → notTested (a pending review) → passed →
+   * notTested (partial evidence only) → notApplicable → notTested
+   * @returns {Array<{ id, name, level, status, failed, passed, inapplicable, partial, pending }>}
    */
-  generateSummary(combinedResults) {
-    const { summary, complianceScore, wcagCoverage } = combinedResults;
+  _buildCriteria(violations, needsReview, evidence, target) {
+    const failed = {};
+    const pending = {};
+    const passed = {};
+    for (const [id, rules] of Object.entries(evidence.passed)) passed[id] = [...rules];
+
+    for (const v of violations) this._addEvidence(failed, v.wcagTags, v.id || v.type);
+    for (const item of needsReview) {
+      if (!item.review) this._addEvidence(pending, item.wcagTags, item.id);
+      else if (item.review.status === 'pass') this._addEvidence(passed, item.wcagTags, item.id);
+    }
+
+    const criteria = [];
+    for (const { id, name, level } of criteriaForTarget(target)) {
+      const entry = {
+        id,
+        name,
+        level,
+        status: 'notTested',
+        failed: failed[id] || [],
+        passed: passed[id] || [],
+        inapplicable: evidence.inapplicable[id] || [],
+        partial: evidence.partial?.[id] || [],
+        pending: pending[id] || [],
+      };
+      // An undecided check outranks passes from other rules: the criterion still needs a human
+      if (entry.failed.length) entry.status = 'failed';
+      else if (entry.pending.length) entry.status = 'notTested';
+      else if (entry.passed.length) entry.status = 'passed';
+      else if (entry.partial.length) entry.status = 'notTested';
+      else if (entry.inapplicable.length) entry.status = 'notApplicable';
+      criteria.push(entry);
+    }
+    return criteria;
+  }
 
-    // Determine highest WCAG conformance level achieved
+  /**
+   * Conformance from the matrix. `level` needs every criterion up to it passed
+   * or not applicable; `automatedLevel` only needs no failures.
+   * @returns {{ level, automatedLevel, notTested }}
+   */
+  _conformance(criteria, target) {
     let level = 'Not Compliant';
-    if (wcagCoverage.AAA >= 90) level = 'AAA';
-    else if (wcagCoverage.AA >= 90) level = 'AA';
-    else if (wcagCoverage.A >= 90) level = 'A';
+    let automatedLevel = 'Not Compliant';
+    let clean = true;
+    let verified = true;
+
+    for (const lvl of targetLevels(target)) {
+      const atLevel = criteria.filter(c => c.level === lvl);
+      clean = clean && !atLevel.some(c => c.status === 'failed');
+      verified = verified && clean && !atLevel.some(c => c.status === 'notTested');
+      if (clean) automatedLevel = lvl;
+      if (verified) level = lvl;
+    }
+
+    // No failures, but nothing to back a claim either
+    if (level === 'Not Compliant' && automatedLevel !== 'Not Compliant') level = 'Not Verified';
+    return { level, automatedLevel, notTested: criteria.filter(c => c.status === 'notTested').length };
+  }
+
+  /**
+   * Generate a human-readable summary from combined results
+   * @returns {{ target, overallScore, scoringProfile, complianceLevel, automatedLevel, criteriaNotTested, totalIssues, criticalIssues, recommendation }}
+   */
+  generateSummary(combinedResults) {
+    const { summary, complianceScore, scoring, wcagCriteria = [], target = DEFAULT_TARGET } = combinedResults;
+    const conformance = this._conformance(wcagCriteria, target);
 
     return {
+      target,
       overallScore: complianceScore,
-      complianceLevel: level,
+      scoringProfile: scoring?.profile.name || null,
+      complianceLevel: conformance.level,
+      automatedLevel: conformance.automatedLevel,
+      criteriaNotTested: conformance.notTested,
       totalIssues: summary.totalViolations,
       criticalIssues: summary.critical,
       recommendation: this._getRecommendation(complianceScore),
     };
   }
 
+  /**
+   * Merge several axe-core runs of the same page (e.g. one per user-flow step)
+   * into a single axe result set. Rules are unioned by id, nodes by CSS
+   * target, and each rule records which runs it appeared in under `tagKey`.
+   *
+   * @param {Array<{label, axeResults}>} snapshots — One entry per run
+   * @param {string} tagKey — Property to tag rules with (e.g. 'steps')
+   * @returns {Object} axe-shaped { testEngine, violations, incomplete, passes, inapplicable }
+   */
+  mergeAxeResults(snapshots, tagKey) {
+    const merged = { testEngine: snapshots[0]?.axeResults?.testEngine };
+    for (const type of ['violations', 'incomplete', 'passes', 'inapplicable']) {
+      const byRule = new Map();
+      for (const { label, axeResults } of snapshots) {
+        for (const rule of axeResults?.[type] || []) {
+          if (!byRule.has(rule.id)) byRule.set(rule.id, { ...rule, nodes: [], [tagKey]: [] });
+          const entry = byRule.get(rule.id);
+          if (!entry[tagKey].includes(label)) entry[tagKey].push(label);
+
+          // Same element failing in several runs counts once
+          for (const node of rule.nodes || []) {
+            const target = (node.target || []).join(' > ');
+            if (!entry.nodes.some(n => (n.target || []).join(' > ') === target)) entry.nodes.push(node);
+          }
+        }
+      }
+      merged[type] = Array.from(byRule.values());
+    }
+    return merged;
+  }
+
+  /**
+   * Merge several LLM analyses into one, keyed by finding type
+   * (LLM wording varies between runs, so the type is the stable identity)
+   *
+   * @param {Array<{label, llmResults}>} snapshots — One entry per run
+   * @param {string} tagKey — Property to tag findings with (e.g. 'steps')
+   * @returns {Object} { violations }
+   */
+  mergeLlmResults(snapshots, tagKey) {
+    const byType = new Map();
+    for (const { label, llmResults } of snapshots) {
+      for (const v of llmResults?.violations || []) {
+        if (!byType.has(v.type)) byType.set(v.type, { ...v, examples: [], [tagKey]: [] });
+        const entry = byType.get(v.type);
+        if (!entry[tagKey].includes(label)) entry[tagKey].push(label);
+        for (const ex of v.examples || []) {
+          if (!entry.examples.includes(ex) && entry.examples.length < 5) entry.examples.push(ex);
+        }
+      }
+    }
+    return { violations: Array.from(byType.values()) };
+  }
+
+  /**
+   * Roll up per-page audit reports (from a crawl or batch) into a site report
+   *
+   * Rules, shared-template issues, score distribution and worst pages come
+   * from site-aggregator.js.
+   *
+   * @param {Array<{success, url, data?, error?}>} pages — Per-page results
+   * @returns {Object} Site totals, average score, most common rules, shared issues,
+   *                   score distribution, worst pages
+   */
+  combineSiteResults(pages) {
+    const audited = pages.filter(p => p.success);
+    const site = {
+      pagesAudited: audited.length,
+      pagesFailed: pages.length - audited.length,
+      averageScore: 0,
+      complianceLevel: 'Not Compliant',
+      summary: {
+        totalViolations: 0,
+        critical: 0, serious: 0, moderate: 0, minor: 0,
+        findings: { total: 0, unique: 0, sharedElements: 0 },
+      },
+      rules: [],
+      sharedIssues: [],
+      scoreDistribution: null,
+      worstPages: [],
+      pages: [],
+    };
+    if (audited.length === 0) return site;
+
+    const levels = ['Not Compliant', 'Not Verified', 'A', 'AA', 'AAA'];
+    let lowestLevel = levels.length - 1;
+    let scoreTotal = 0;
+
+    for (const { url, data } of audited) {
+      const { summary } = data.results;
+      scoreTotal += data.summary.overallScore;
+      // A site is only as conformant as its weakest page
+      lowestLevel = Math.min(lowestLevel, Math.max(0, levels.indexOf(data.summary.complianceLevel)));
+
+      for (const sev of ['totalViolations', 'critical', 'serious', 'moderate', 'minor']) {
+        site.summary[sev] += summary[sev] || 0;
+      }
+
+      site.pages.push({
+        url,
+        score: data.summary.overallScore,
+        complianceLevel: data.summary.complianceLevel,
+        totalIssues: data.summary.totalIssues,
+        criticalIssues: data.summary.criticalIssues,
+      });
+    }
+
+    site.averageScore = Math.round(scoreTotal / audited.length);
+    site.complianceLevel = levels[lowestLevel];
+    const { findings, ...aggregate } = aggregatePages(audited);
+    site.summary.findings = findings;
+    Object.assign(site, aggregate);
+    site.pages.sort((a, b) => a.score - b.score); // Worst pages first
+    return site;
+  }
+
   // ─── Private helpers ──────────────────────────────────────────────────────
 
+  /**
+   * Turn keyboard-audit.js findings into violations (source 'keyboard'),
+   * one per finding type, mapped to WCAG 2.1.1 / 2.1.2 / 2.4.3 / 2.4.7
+   */
+  _keyboardViolations(keyboard) {
+    if (!keyboard || keyboard.error) return [];
+    const violations = [];
+    const toExamples = (elements) => elements.slice(0, 3).map(el => ({ html: el.html, target: el.selector }));
+
+    if (keyboard.trap) {
+      violations.push({
+        source: 'keyboard',
+        type: 'keyboard-trap',
+        impact: 'critical',
+        description: 'Keyboard focus gets stuck cycling between these elements and Escape does not release it.',
+        recommendation: 'Make sure Tab and Shift+Tab can move focus out of every component, or that Escape closes it and returns focus.',
+        wcagTags: ['wcag212'],
+        nodes: keyboard.trap.elements.length,
+        examples: toExamples(keyboard.trap.elements),
+      });
+    }
+
+    if (keyboard.notFocusable?.length) {
+      violations.push({
+        source: 'keyboard',
+        type: 'clickable-not-focusable',
+        impact: 'serious',
+        description: 'Elements respond to mouse clicks but cannot be reached with the Tab key.',
+        recommendation: 'Use a native <button> or <a href>, or add tabindex="0", an ARIA role and Enter/Space key handlers.',
+        wcagTags: ['wcag211'],
+        nodes: keyboard.notFocusable.length,
+        examples: toExamples(keyboard.notFocusable),
+      });
+    }
+
+    if (keyboard.positiveTabindex?.length) {
+      violations.push({
+        source: 'keyboard',
+        type: 'positive-tabindex',
+        impact: 'moderate',
+        description: 'Elements with a positive tabindex are focused before everything else, out of reading order.',
+        recommendation: 'Remove positive tabindex values and order the DOM so the natural tab order matches the visual order.',
+        wcagTags: ['wcag243'],
+        nodes: keyboard.positiveTabindex.length,
+        examples: toExamples(keyboard.positiveTabindex),
+      });
+    }
+
+    if (keyboard.noVisibleFocus?.length) {
+      violations.push({
+        source: 'keyboard',
+        type: 'focus-not-visible',
+        impact: 'serious',
+        description: 'Focused elements show no visible focus indicator, so keyboard users cannot tell where they are.',
+        recommendation: 'Do not remove the outline without replacement; add a clear :focus-visible style.',
+        wcagTags: ['wcag247'],
+        nodes: keyboard.noVisibleFocus.length,
+        examples: toExamples(keyboard.noVisibleFocus),
+      });
+    }
+
+    return violations;
+  }
+
   /** Map LLM violation types → WCAG guideline numbers */
   _inferWCAGTags(violationType) {
     const mapping = {
@@ -130,57 +751,22 @@ class ResultCombiner {
       'missing-alt-text':       ['wcag111'],
       'low-color-contrast':     ['wcag143'],
       'missing-form-labels':    ['wcag332', 'wcag131'],
+      'illogical-focus-order':  ['wcag243'],
     };
     return mapping[violationType] || [];
   }
 
-  /** Calculate WCAG compliance percentage for each level (A, AA, AAA) */
-  _calculateWCAGCoverage(violations) {
-    // Full list of WCAG 2.1 success criteria by level
-    const guidelines = {
-      A: ['1.1.1','1.2.1','1.2.2','1.2.3','1.3.1','1.3.2','1.3.3','1.4.1','1.4.2',
-          '2.1.1','2.1.2','2.1.4','2.2.1','2.2.2','2.3.1','2.4.1','2.4.2','2.4.3',
-          '2.4.4','2.5.1','2.5.2','2.5.3','2.5.4','3.1.1','3.2.1','3.2.2','3.3.1',
-          '3.3.2','4.1.1','4.1.2','4.1.3'],
-      AA: ['1.2.4','1.2.5','1.3.4','1.3.5','1.4.3','1.4.4','1.4.5','1.4.10','1.4.11',
-           '1.4.12','1.4.13','2.4.5','2.4.6','2.4.7','2.5.5','2.5.6','3.1.2','3.2.3',
-           '3.2.4','3.3.3','3.3.4'],
-      AAA: ['1.2.6','1.2.7','1.2.8','1.2.9','1.4.6','1.4.7','1.4.8','1.4.9','2.1.3',
-            '2.2.3','2.2.4','2.2.5','2.2.6','2.3.2','2.3.3','2.4.8','2.4.9','2.4.10',
-            '2.5.5','2.5.6','3.1.3','3.1.4','3.1.5','3.1.6','3.2.5','3.3.5','3.3.6'],
-    };
-
-    // Collect all violated WCAG criteria (e.g. "wcag244" → "2.4.4")
-    const violated = new Set();
-    for (const v of violations) {
-      for (const tag of (v.wcagTags || [])) {
-        const m = tag.match(/wcag(\d)(\d)(\d)/);
-        if (m) violated.add(`${m[1]}.${m[2]}.${m[3]}`);
-      }
-    }
-
-    // compliance % = (total − violated) / total * 100
+  /** Share of criteria per target level (A, AA, AAA) that passed or do not apply; failed and untested count against it */
+  _calculateWCAGCoverage(criteria, target) {
     const coverage = {};
-    for (const [level, criteria] of Object.entries(guidelines)) {
-      const fails = criteria.filter(c => violated.has(c)).length;
-      coverage[level] = Math.round(((criteria.length - fails) / criteria.length) * 100);
+    for (const level of targetLevels(target)) {
+      const atLevel = criteria.filter(c => c.level === level);
+      const covered = atLevel.filter(c => c.status === 'passed' || c.status === 'notApplicable').length;
+      coverage[level] = atLevel.length ? Math.round((covered / atLevel.length) * 100) : 0;
     }
     return coverage;
   }
 
-  /**
-   * Calculate overall compliance score (0–100)
-   * Weighted deductions: critical=-10, serious=-5, moderate=-2, minor=-1
-   */
-  _calculateScore(summary) {
-    const weights = { critical: -10, serious: -5, moderate: -2, minor: -1 };
-    let score = 100;
-    for (const [sev, weight] of Object.entries(weights)) {
-      score += summary[sev] * weight;
-    }
-    return Math.max(0, Math.min(100, score));
-  }
-
   /** Get a human-readable recommendation based on score */
   _getRecommendation(score) {
     if (score >= 90) return 'Excellent! Strong accessibility compliance. Focus on remaining minor issues.';
@@ -0,0 +1,109 @@
+/**
+ * fingerprint.js — Stable identities for violations and affected nodes
+ *
+ * The same issue should get the same ID on every run so it can be tracked,
+ * suppressed, diffed and linked to tickets. Fingerprints are short SHA-256
+ * digests of:
+ *   - violation: source + rule id + page template (+ for LLM findings, the
+ *                quoted element's selector, or else the WCAG criteria)
+ *   - node:      rule id + page template + normalized CSS selector
+ *
+ * The page template is the URL path with ids swapped out ("/products/:id"),
+ * so a rule failing on every product page shares one fingerprint and staging
+ * and production runs line up. Selectors drop whitespace differences and
+ * generated ids / CSS-in-JS class hashes that change between builds.
+ */
+
+const crypto = require('crypto');
+const { tagsToCriteria } = require('./wcag-criteria');
+
+// Path segments that differ per record rather than per template: numbers, UUIDs, long hex ids
+const ID_SEGMENT = /^(\d+|[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}|(?=[a-f]*\d)[0-9a-f]{12,})$/i;
+
+/** First 16 hex chars of sha256 over the parts */
+function hash(parts) {
+  return crypto.createHash('sha256').update(parts.join('\u0000')).digest('hex').slice(0, 16);
+}
+
+/**
+ * URL → path template, e.g. "https://shop.example.com/products/123/?ref=x" → "/products/:id"
+ * @returns {string} Template, or '' when there is no usable URL
+ */
+function pageTemplate(url) {
+  let pathname;
+  try {
+    pathname = new URL(url).pathname;
+  } catch {
+    return '';
+  }
+  const segments = pathname.toLowerCase().split('/').filter(Boolean)
+    .map(segment => (ID_SEGMENT.test(segment) ? ':id' : segment));
+  return `/${segments.join('/')}`;
+}
+
+/** "#ember1234 >div > .css-1x2abc" → "#ember* > div > .css-*" */
+function normalizeSelector(selector) {
+  return String(selector || '')
+    .replace(/\s*([>+~])\s*/g, ' $1 ')
+    .replace(/\s+/g, ' ')
+    .replace(/\.(css|sc|jsx|emotion|svelte)-[\w-]+/g, '.$1-*')
+    .replace(/([#.][\w-]*?)\d{3,}[\w-]*/g, '$1*')
+    .trim();
+}
+
+/** Fingerprint of one affected element */
+function nodeFingerprint(rule, page, selector) {
+  return hash(['node', rule, page, normalizeSelector(selector)]);
+}
+
+/**
+ * Fingerprint of a violation (or needs-review item, with kind 'needs-review')
+ *
+ * axe-core and keyboard rules occur once per page; LLM types can repeat, so
+ * the element they quote (`matchedTarget`, pinned by the combiner) tells them
+ * apart. Their quotes and descriptions are prose that changes on every run, so
+ * without a matched element only the type and criteria count.
+ */
+function violationFingerprint(violation, page, kind = violation.source) {
+  const rule = violation.id || violation.type;
+  const parts = [kind, rule, page];
+  if (violation.source === 'llm') {
+    parts.push(violation.matchedTarget
+      ? normalizeSelector(violation.matchedTarget)
+      : tagsToCriteria(violation.wcagTags || []).join(','));
+  }
+  return hash(parts);
+}
+
+/**
+ * Stamp `fingerprint` on violations, needs-review items and their example / affected nodes
+ *
+ * Collisions inside one result set (e.g. two LLM findings quoting the same
+ * text) get a -2, -3… suffix in list order.
+ *
+ * @param {Array} violations — Normalized violations (modified in place)
+ * @param {Array} needsReview — Needs-review items (modified in place)
+ * @param {string} url — Audited page URL
+ */
+function assignFingerprints(violations, needsReview, url) {
+  const page = pageTemplate(url);
+  const seen = new Map();
+  const unique = (fingerprint) => {
+    const count = (seen.get(fingerprint) || 0) + 1;
+    seen.set(fingerprint, count);
+    return count === 1 ? fingerprint : `${fingerprint}-${count}`;
+  };
+
+  const stamp = (item, kind) => {
+    const rule = item.id || item.type;
+    item.fingerprint = unique(violationFingerprint(item, page, kind));
+    for (const ex of [...(item.examples || []), ...(item.affectedNodes || [])]) {
+      if (ex && typeof ex === 'object' && ex.target) ex.fingerprint = nodeFingerprint(rule, page, ex.target);
+    }
+  };
+
+  for (const v of violations) stamp(v, v.source);
+  for (const item of needsReview) stamp(item, 'needs-review');
+}
+
+module.exports = { pageTemplate, normalizeSelector, nodeFingerprint, violationFingerprint, assignFingerprints };
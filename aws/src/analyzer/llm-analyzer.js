@@ -8,12 +8,14 @@
  *   - Poor heading structure (skipped levels, misleading headings)
  *   - Ambiguous button labels
  *   - Missing context in form errors/instructions
+ *   - Illogical keyboard focus order (from the scraper's Tab walk)
  *
  * This is what makes the platform a "hybrid" — combining deterministic rules
  * with AI reasoning for ~95% WCAG coverage (vs ~30% with axe-core alone).
  */
 
 const OpenAI = require('openai');
+const { DEFAULT_TARGET } = require('./wcag-criteria');
 
 class LLMAnalyzer {
   /**
@@ -32,9 +34,11 @@ class LLMAnalyzer {
    * Send page content to GPT-4 for semantic accessibility analysis
    *
    * @param {Object} pageData — Scraped page data from puppeteer-scraper
+   * @param {Object} options
+   * @param {string} options.target — WCAG conformance target the findings are judged against
    * @returns {Object} { violations: [...] } — Array of semantic violations
    */
-  async analyzeContent(pageData) {
+  async analyzeContent(pageData, { target = DEFAULT_TARGET } = {}) {
     if (!this.enabled) {
       return { violations: [], skipped: true, reason: 'No API key configured' };
     }
@@ -45,7 +49,7 @@ class LLMAnalyzer {
       const response = await this.openai.chat.completions.create({
         model: 'gpt-4o',
         messages: [
-          { role: 'system', content: SYSTEM_PROMPT },
+          { role: 'system', content: systemPrompt(target) },
           { role: 'user', content: this._buildPrompt(pageData) },
         ],
         temperature: 0.3,        // Low temp for consistent, factual output
@@ -65,8 +69,9 @@ class LLMAnalyzer {
   // ─── Private: Build the prompt from scraped data ───────────────────────
 
   _buildPrompt(pageData) {
-    const { content } = pageData;
+    const { content, keyboardResults } = pageData;
     const maxTextLen = 2000;
+    const focusOrder = keyboardResults?.focusOrder || []; // Recorded by keyboard-audit.js
 
     return `
 Analyze this webpage for accessibility issues:
@@ -101,6 +106,11 @@ ${content.buttons.slice(0, 10).map(b =>
   `"${b.ariaLabel ? `aria-label="${b.ariaLabel}"` : b.text || 'NO TEXT'}" (${b.type})`
 ).join('\n')}
 
+**KEYBOARD FOCUS ORDER** (Tab sequence, first 30):
+${focusOrder.length
+  ? focusOrder.slice(0, 30).map(f => `${f.index}. <${f.tag}> "${f.name || 'NO NAME'}" at (${f.bbox.x}, ${f.bbox.y})`).join('\n')
+  : 'Not recorded'}
+
 **PAGE TEXT** (first ${maxTextLen} chars):
 ${content.text.substring(0, maxTextLen)}
 
@@ -110,7 +120,8 @@ Find accessibility violations that axe-core cannot detect.`.trim();
 }
 
 // ─── System prompt for GPT-4 ─────────────────────────────────────────────────
-const SYSTEM_PROMPT = `You are an expert WCAG 2.1 accessibility auditor. Analyze web content for accessibility issues that automated tools cannot detect.
+const systemPrompt = (target) => `You are an expert ${target} accessibility auditor. Analyze web content for accessibility issues that automated tools cannot detect.
+Only report issues that fail a ${target} success criterion; ignore requirements above that level.
 
 Focus on semantic and contextual violations:
 1. **Unclear link text**: Links with text like "click here", "read more", "here" without context
@@ -118,6 +129,7 @@ Focus on semantic and contextual violations:
 3. **Poor heading structure**: Skipped heading levels, misleading headings, too many H1s
 4. **Missing context**: Form errors, buttons, or instructions that lack clear meaning
 5. **Ambiguous labels**: Buttons or form fields with unclear purposes
+6. **Illogical focus order**: A Tab sequence that jumps around the page instead of following the reading order (type "illogical-focus-order")
 
 Return ONLY valid JSON in this exact format:
 {
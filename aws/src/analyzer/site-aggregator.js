@@ -0,0 +1,114 @@
+/**
+ * site-aggregator.js — Site-level view over many audited pages (crawl or batch)
+ *
+ * Per-page reports repeat whatever lives in shared templates: a header with a
+ * missing label fails on every page, so a 40-page crawl reports it 40 times.
+ * This module rolls the pages up into:
+ *   - rules:             most common rules / LLM finding types, by pages affected
+ *   - sharedIssues:      elements failing the same rule under the same (normalized)
+ *                        selector on at least half the pages — likely one shared
+ *                        component, so one fix clears every page
+ *   - findings:          element-level findings in total and with shared elements
+ *                        counted once
+ *   - scoreDistribution: min / median / max and pages per score band
+ *   - worstPages:        lowest-scoring pages with their most severe rules
+ */
+
+const { normalizeSelector } = require('./fingerprint');
+
+const IMPACT_ORDER = { critical: 0, serious: 1, moderate: 2, minor: 3 };
+const SCORE_BANDS = [[90, 100], [75, 89], [50, 74], [0, 49]];
+const WORST_PAGES = 5;
+const MAX_SHARED = 50;
+const MAX_PAGE_URLS = 10;
+// An element failing the same rule on at least half the pages (and at least two) is a shared template
+const SHARED_MIN_SHARE = 0.5;
+
+// Elements with a selector; LLM quotes can't be matched across pages
+const failingElements = v => (v.affectedNodes || v.examples || []).filter(n => n && typeof n === 'object' && n.target);
+const bySeverity = (a, b) => (IMPACT_ORDER[a.impact] ?? 2) - (IMPACT_ORDER[b.impact] ?? 2);
+
+/** min / median / max plus how many pages fall in each score band */
+function scoreDistribution(scores) {
+  const sorted = [...scores].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return {
+    min: sorted[0],
+    median: sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2),
+    max: sorted[sorted.length - 1],
+    bands: SCORE_BANDS.map(([low, high]) => ({
+      range: `${low}-${high}`,
+      pages: sorted.filter(s => s >= low && s <= high).length,
+    })),
+  };
+}
+
+/**
+ * Aggregate successfully audited pages
+ *
+ * Node-level matching uses each violation's `affectedNodes` (or the stored
+ * examples for older reports).
+ *
+ * @param {Array<{url, data}>} audited — Per-page audit reports (successful ones only)
+ * @returns {Object} { findings, rules, sharedIssues, scoreDistribution, worstPages }
+ */
+function aggregatePages(audited) {
+  const rules = new Map();
+  const elements = new Map();
+  let findings = 0;
+
+  for (const { url, data } of audited) {
+    for (const v of data.results.violations) {
+      const rule = v.id || v.type;
+      const key = `${v.source}:${rule}`;
+      if (!rules.has(key)) {
+        rules.set(key, { source: v.source, type: rule, impact: v.impact, help: v.help || v.description, pages: 0, nodes: 0, uniqueNodes: 0 });
+      }
+      const entry = rules.get(key);
+      entry.pages++;
+      entry.nodes += v.nodes || 1;
+      entry.uniqueNodes += v.nodes || 1;
+      if (IMPACT_ORDER[v.impact] < IMPACT_ORDER[entry.impact]) entry.impact = v.impact;
+      findings += v.nodes || 1;
+
+      for (const node of failingElements(v)) {
+        const elementKey = `${key}\u0000${normalizeSelector(node.target)}`;
+        if (!elements.has(elementKey)) {
+          elements.set(elementKey, { key, source: v.source, rule, impact: v.impact, selector: node.target, html: node.html || null, pageUrls: [] });
+        }
+        const element = elements.get(elementKey);
+        if (!element.pageUrls.includes(url)) element.pageUrls.push(url);
+      }
+    }
+  }
+
+  const minPages = Math.max(2, Math.ceil(audited.length * SHARED_MIN_SHARE));
+  const shared = Array.from(elements.values()).filter(el => el.pageUrls.length >= minPages);
+  let repeats = 0;
+  for (const el of shared) {
+    repeats += el.pageUrls.length - 1;
+    rules.get(el.key).uniqueNodes -= el.pageUrls.length - 1;
+  }
+
+  const pages = audited.map(({ url, data }) => ({
+    url,
+    score: data.summary.overallScore,
+    complianceLevel: data.summary.complianceLevel,
+    totalIssues: data.summary.totalIssues,
+    criticalIssues: data.summary.criticalIssues,
+    topRules: [...data.results.violations].sort(bySeverity).slice(0, 3).map(v => v.id || v.type),
+  }));
+
+  return {
+    findings: { total: findings, unique: findings - repeats, sharedElements: shared.length },
+    rules: Array.from(rules.values()).sort((a, b) => b.pages - a.pages || b.nodes - a.nodes),
+    sharedIssues: shared
+      .sort((a, b) => b.pageUrls.length - a.pageUrls.length || bySeverity(a, b))
+      .slice(0, MAX_SHARED)
+      .map(({ key, pageUrls, ...el }) => ({ ...el, pages: pageUrls.length, pageUrls: pageUrls.slice(0, MAX_PAGE_URLS) })),
+    scoreDistribution: scoreDistribution(pages.map(p => p.score)),
+    worstPages: [...pages].sort((a, b) => a.score - b.score).slice(0, WORST_PAGES),
+  };
+}
+
+module.exports = { aggregatePages };
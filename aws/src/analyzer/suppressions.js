@@ -0,0 +1,131 @@
+/**
+ * suppressions.js — Waivers for known, accepted issues
+ *
+ * Each entry matches violations by any combination of:
+ *   - rule:        rule id / LLM type, "*" wildcards allowed ("aria-*")
+ *   - selector:    CSS selector pattern every affected node must match ("#chat-widget*")
+ *   - url:         URL or path-template pattern ("https://shop.example.com/checkout*", "/products/:id")
+ *   - fingerprint: exact violation fingerprint (see fingerprint.js)
+ * and must carry a justification, an owner and an expiry date.
+ *
+ * Matching violations move to `suppressed`: listed, but not counted or
+ * scored. They still fail their WCAG criteria, since a waiver accepts an
+ * issue rather than fixing it. Once a waiver expires the violation is active
+ * again (flagged `waiverExpired`) on the next audit or re-score.
+ *
+ * Entries come from the audit request (`suppressions`) and, optionally, a
+ * JSON file named by SUPPRESSIONS_FILE.
+ */
+
+const fs = require('fs');
+const { pageTemplate } = require('./fingerprint');
+
+const MAX_SUPPRESSIONS = 200;
+const MATCH_KEYS = ['rule', 'selector', 'url', 'fingerprint'];
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/** "*" matches any run of characters; everything else is literal (case-insensitive) */
+function globToRegExp(pattern) {
+  const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${escaped.join('.*')}$`, 'i');
+}
+
+/** Expiry as epoch ms; a date-only expiry is good through the end of that day (UTC) */
+function expiresAt(expires) {
+  const time = new Date(expires).getTime();
+  return DATE_ONLY.test(expires) ? time + 24 * 60 * 60 * 1000 : time;
+}
+
+/**
+ * Validate a `suppressions` request option (used by the API before queueing)
+ * @returns {string|null} Error message, or null if valid / absent
+ */
+function validateSuppressions(suppressions) {
+  if (suppressions === undefined) return null;
+  if (!Array.isArray(suppressions)) return 'suppressions must be an array';
+  if (suppressions.length > MAX_SUPPRESSIONS) return `suppressions can have at most ${MAX_SUPPRESSIONS} entries`;
+
+  for (const [i, s] of suppressions.entries()) {
+    const where = `suppressions[${i}]`;
+    if (!s || typeof s !== 'object' || Array.isArray(s)) return `${where} must be an object`;
+    if (!MATCH_KEYS.some(key => s[key] !== undefined)) return `${where} needs at least one of: ${MATCH_KEYS.join(', ')}`;
+    for (const key of [...MATCH_KEYS, 'id']) {
+      if (s[key] !== undefined && (typeof s[key] !== 'string' || !s[key].trim())) return `${where}.${key} must be a non-empty string`;
+    }
+    for (const key of ['justification', 'owner', 'expires']) {
+      if (typeof s[key] !== 'string' || !s[key].trim()) return `${where}.${key} is required`;
+    }
+    if (Number.isNaN(expiresAt(s.expires))) return `${where}.expires must be a date, e.g. 2025-12-31`;
+  }
+  return null;
+}
+
+/** Entries from SUPPRESSIONS_FILE; a missing or broken file is logged and skipped */
+function loadSuppressions(file = process.env.SUPPRESSIONS_FILE) {
+  if (!file) return [];
+  try {
+    const suppressions = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const error = validateSuppressions(suppressions);
+    if (error) throw new Error(error);
+    return suppressions;
+  } catch (error) {
+    console.warn(`⚠️ Ignoring suppressions file ${file}: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Does a waiver cover this violation? Every key it sets has to match. A
+ * selector pattern must cover every affected node, so a waiver for a
+ * widget doesn't hide the same rule failing elsewhere on the page.
+ */
+function matches(s, v, url) {
+  if (s.fingerprint && v.fingerprint !== s.fingerprint) return false;
+  if (s.rule && !globToRegExp(s.rule).test(v.id || v.type)) return false;
+  if (s.url && !(globToRegExp(s.url).test(url || '') || globToRegExp(s.url).test(pageTemplate(url)))) return false;
+  if (s.selector) {
+    const targets = (v.affectedNodes || v.examples || []).map(ex => ex?.target).filter(Boolean);
+    if (targets.length === 0 || !targets.every(t => globToRegExp(s.selector).test(t))) return false;
+  }
+  return true;
+}
+
+const describe = s => ({
+  id: s.id || null,
+  justification: s.justification,
+  owner: s.owner,
+  expires: s.expires,
+});
+
+/**
+ * Split violations into active and suppressed
+ *
+ * Suppressed violations get `suppression` (the waiver that applies); active
+ * ones only covered by expired waivers get `waiverExpired`.
+ *
+ * @param {Array} violations — Combined violations (flags are reset in place)
+ * @param {Array} suppressions — Validated waiver entries
+ * @param {Object} context — { url, now }
+ * @returns {Object} { active, suppressed }
+ */
+function applySuppressions(violations, suppressions = [], { url, now = Date.now() } = {}) {
+  const active = [];
+  const suppressed = [];
+
+  for (const v of violations) {
+    delete v.suppression;
+    delete v.waiverExpired;
+    const matching = suppressions.filter(s => matches(s, v, url));
+    const current = matching.find(s => expiresAt(s.expires) > now);
+    if (current) {
+      v.suppression = describe(current);
+      suppressed.push(v);
+      continue;
+    }
+    if (matching.length) v.waiverExpired = describe(matching[0]);
+    active.push(v);
+  }
+  return { active, suppressed };
+}
+
+module.exports = { validateSuppressions, loadSuppressions, applySuppressions };
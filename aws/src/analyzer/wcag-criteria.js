@@ -0,0 +1,173 @@
+/**
+ * wcag-criteria.js — WCAG success criteria and conformance targets
+ *
+ * Every WCAG 2.x success criterion with its level and the version that
+ * introduced it. An audit's `wcagTarget` (e.g. "WCAG 2.2 AA") picks the
+ * criteria it is measured against: everything up to that version and level.
+ * 4.1.1 Parsing is obsolete in WCAG 2.2 and drops out of 2.2 targets.
+ */
+
+const WCAG_LEVELS = ['A', 'AA', 'AAA'];
+const WCAG_VERSIONS = ['2.0', '2.1', '2.2'];
+
+const WCAG_TARGETS = ['WCAG 2.1 A', 'WCAG 2.1 AA', 'WCAG 2.1 AAA', 'WCAG 2.2 A', 'WCAG 2.2 AA', 'WCAG 2.2 AAA'];
+const DEFAULT_TARGET = 'WCAG 2.1 AA'; // Used when an audit doesn't name one
+
+// [id, name, level, version introduced, version removed]
+const CRITERIA = [
+  ['1.1.1', 'Non-text Content', 'A', '2.0'],
+  ['1.2.1', 'Audio-only and Video-only (Prerecorded)', 'A', '2.0'],
+  ['1.2.2', 'Captions (Prerecorded)', 'A', '2.0'],
+  ['1.2.3', 'Audio Description or Media Alternative (Prerecorded)', 'A', '2.0'],
+  ['1.2.4', 'Captions (Live)', 'AA', '2.0'],
+  ['1.2.5', 'Audio Description (Prerecorded)', 'AA', '2.0'],
+  ['1.2.6', 'Sign Language (Prerecorded)', 'AAA', '2.0'],
+  ['1.2.7', 'Extended Audio Description (Prerecorded)', 'AAA', '2.0'],
+  ['1.2.8', 'Media Alternative (Prerecorded)', 'AAA', '2.0'],
+  ['1.2.9', 'Audio-only (Live)', 'AAA', '2.0'],
+  ['1.3.1', 'Info and Relationships', 'A', '2.0'],
+  ['1.3.2', 'Meaningful Sequence', 'A', '2.0'],
+  ['1.3.3', 'Sensory Characteristics', 'A', '2.0'],
+  ['1.3.4', 'Orientation', 'AA', '2.1'],
+  ['1.3.5', 'Identify Input Purpose', 'AA', '2.1'],
+  ['1.3.6', 'Identify Purpose', 'AAA', '2.1'],
+  ['1.4.1', 'Use of Color', 'A', '2.0'],
+  ['1.4.2', 'Audio Control', 'A', '2.0'],
+  ['1.4.3', 'Contrast (Minimum)', 'AA', '2.0'],
+  ['1.4.4', 'Resize Text', 'AA', '2.0'],
+  ['1.4.5', 'Images of Text', 'AA', '2.0'],
+  ['1.4.6', 'Contrast (Enhanced)', 'AAA', '2.0'],
+  ['1.4.7', 'Low or No Background Audio', 'AAA', '2.0'],
+  ['1.4.8', 'Visual Presentation', 'AAA', '2.0'],
+  ['1.4.9', 'Images of Text (No Exception)', 'AAA', '2.0'],
+  ['1.4.10', 'Reflow', 'AA', '2.1'],
+  ['1.4.11', 'Non-text Contrast', 'AA', '2.1'],
+  ['1.4.12', 'Text Spacing', 'AA', '2.1'],
+  ['1.4.13', 'Content on Hover or Focus', 'AA', '2.1'],
+  ['2.1.1', 'Keyboard', 'A', '2.0'],
+  ['2.1.2', 'No Keyboard Trap', 'A', '2.0'],
+  ['2.1.3', 'Keyboard (No Exception)', 'AAA', '2.0'],
+  ['2.1.4', 'Character Key Shortcuts', 'A', '2.1'],
+  ['2.2.1', 'Timing Adjustable', 'A', '2.0'],
+  ['2.2.2', 'Pause, Stop, Hide', 'A', '2.0'],
+  ['2.2.3', 'No Timing', 'AAA', '2.0'],
+  ['2.2.4', 'Interruptions', 'AAA', '2.0'],
+  ['2.2.5', 'Re-authenticating', 'AAA', '2.0'],
+  ['2.2.6', 'Timeouts', 'AAA', '2.1'],
+  ['2.3.1', 'Three Flashes or Below Threshold', 'A', '2.0'],
+  ['2.3.2', 'Three Flashes', 'AAA', '2.0'],
+  ['2.3.3', 'Animation from Interactions', 'AAA', '2.1'],
+  ['2.4.1', 'Bypass Blocks', 'A', '2.0'],
+  ['2.4.2', 'Page Titled', 'A', '2.0'],
+  ['2.4.3', 'Focus Order', 'A', '2.0'],
+  ['2.4.4', 'Link Purpose (In Context)', 'A', '2.0'],
+  ['2.4.5', 'Multiple Ways', 'AA', '2.0'],
+  ['2.4.6', 'Headings and Labels', 'AA', '2.0'],
+  ['2.4.7', 'Focus Visible', 'AA', '2.0'],
+  ['2.4.8', 'Location', 'AAA', '2.0'],
+  ['2.4.9', 'Link Purpose (Link Only)', 'AAA', '2.0'],
+  ['2.4.10', 'Section Headings', 'AAA', '2.0'],
+  ['2.4.11', 'Focus Not Obscured (Minimum)', 'AA', '2.2'],
+  ['2.4.12', 'Focus Not Obscured (Enhanced)', 'AAA', '2.2'],
+  ['2.4.13', 'Focus Appearance', 'AAA', '2.2'],
+  ['2.5.1', 'Pointer Gestures', 'A', '2.1'],
+  ['2.5.2', 'Pointer Cancellation', 'A', '2.1'],
+  ['2.5.3', 'Label in Name', 'A', '2.1'],
+  ['2.5.4', 'Motion Actuation', 'A', '2.1'],
+  ['2.5.5', 'Target Size (Enhanced)', 'AAA', '2.1'],
+  ['2.5.6', 'Concurrent Input Mechanisms', 'AAA', '2.1'],
+  ['2.5.7', 'Dragging Movements', 'AA', '2.2'],
+  ['2.5.8', 'Target Size (Minimum)', 'AA', '2.2'],
+  ['3.1.1', 'Language of Page', 'A', '2.0'],
+  ['3.1.2', 'Language of Parts', 'AA', '2.0'],
+  ['3.1.3', 'Unusual Words', 'AAA', '2.0'],
+  ['3.1.4', 'Abbreviations', 'AAA', '2.0'],
+  ['3.1.5', 'Reading Level', 'AAA', '2.0'],
+  ['3.1.6', 'Pronunciation', 'AAA', '2.0'],
+  ['3.2.1', 'On Focus', 'A', '2.0'],
+  ['3.2.2', 'On Input', 'A', '2.0'],
+  ['3.2.3', 'Consistent Navigation', 'AA', '2.0'],
+  ['3.2.4', 'Consistent Identification', 'AA', '2.0'],
+  ['3.2.5', 'Change on Request', 'AAA', '2.0'],
+  ['3.2.6', 'Consistent Help', 'A', '2.2'],
+  ['3.3.1', 'Error Identification', 'A', '2.0'],
+  ['3.3.2', 'Labels or Instructions', 'A', '2.0'],
+  ['3.3.3', 'Error Suggestion', 'AA', '2.0'],
+  ['3.3.4', 'Error Prevention (Legal, Financial, Data)', 'AA', '2.0'],
+  ['3.3.5', 'Help', 'AAA', '2.0'],
+  ['3.3.6', 'Error Prevention (All)', 'AAA', '2.0'],
+  ['3.3.7', 'Redundant Entry', 'A', '2.2'],
+  ['3.3.8', 'Accessible Authentication (Minimum)', 'AA', '2.2'],
+  ['3.3.9', 'Accessible Authentication (Enhanced)', 'AAA', '2.2'],
+  ['4.1.1', 'Parsing', 'A', '2.0', '2.2'],
+  ['4.1.2', 'Name, Role, Value', 'A', '2.0'],
+  ['4.1.3', 'Status Messages', 'AA', '2.1'],
+].map(([id, name, level, since, removedIn]) => ({ id, name, level, since, removedIn: removedIn || null }));
+
+/**
+ * Split a target into its parts
+ * @returns {{ version: string, level: string }|null} null if not one of WCAG_TARGETS
+ */
+function parseTarget(target) {
+  if (!WCAG_TARGETS.includes(target)) return null;
+  const [, version, level] = target.split(' ');
+  return { version, level };
+}
+
+/**
+ * Validate a `wcagTarget` request option (used by the API before queueing)
+ * @returns {string|null} Error message, or null if valid / absent
+ */
+function validateTarget(target) {
+  if (target === undefined) return null;
+  if (!parseTarget(target)) return `wcagTarget must be one of: ${WCAG_TARGETS.join(', ')}`;
+  return null;
+}
+
+/** Levels up to and including the target's, e.g. AA → ['A', 'AA'] */
+function targetLevels(target) {
+  const { level } = parseTarget(target) || parseTarget(DEFAULT_TARGET);
+  return WCAG_LEVELS.slice(0, WCAG_LEVELS.indexOf(level) + 1);
+}
+
+/**
+ * Success criteria a page must meet for the target; obsolete ones (4.1.1 in 2.2) are left out
+ * @returns {Array<{ id, name, level, since, removedIn }>}
+ */
+function criteriaForTarget(target) {
+  const { version, level } = parseTarget(target) || parseTarget(DEFAULT_TARGET);
+  return criteriaFor(version, level);
+}
+
+/** Criteria in a WCAG version up to a level (also used for standards built on WCAG 2.0 / 2.1) */
+function criteriaFor(version, level) {
+  const v = WCAG_VERSIONS.indexOf(version);
+  const levels = WCAG_LEVELS.slice(0, WCAG_LEVELS.indexOf(level) + 1);
+  return CRITERIA.filter(c => WCAG_VERSIONS.indexOf(c.since) <= v
+    && !(c.removedIn && WCAG_VERSIONS.indexOf(c.removedIn) <= v)
+    && levels.includes(c.level));
+}
+
+/** WCAG criterion tags → criterion ids (e.g. "wcag1410" → "1.4.10"); level tags like "wcag2aa" are skipped */
+function tagsToCriteria(tags = []) {
+  const ids = [];
+  for (const tag of tags) {
+    const m = tag.match(/^wcag(\d)(\d)(\d+)$/);
+    if (m) ids.push(`${m[1]}.${m[2]}.${m[3]}`);
+  }
+  return ids;
+}
+
+module.exports = {
+  WCAG_LEVELS,
+  WCAG_VERSIONS,
+  WCAG_TARGETS,
+  DEFAULT_TARGET,
+  CRITERIA,
+  parseTarget,
+  validateTarget,
+  targetLevels,
+  criteriaForTarget,
+  criteriaFor,
+  tagsToCriteria,
+};
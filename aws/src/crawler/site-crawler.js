@@ -0,0 +1,295 @@
+/**
+ * site-crawler.js — Breadth-first same-origin crawler for whole-site audits
+ *
+ * This module:
+ *   1. Seeds the crawl from a root URL and/or its sitemap.xml (same-origin sitemap indexes supported)
+ *   2. Follows same-origin links extracted by the scraper (content.links)
+ *   3. Normalizes URLs (drops #fragments, tracking params, trailing slashes)
+ *      so the same page is never audited twice
+ *   4. Honors max depth, max pages, include/exclude patterns and a deadline
+ *
+ * The crawler knows nothing about Puppeteer — the caller passes a `visit(url)`
+ * function that loads the page and returns `{ report, links }`. This keeps
+ * the crawl logic independent from the audit pipeline (see JobManager.discoverSite).
+ *
+ * A crawl stopped by its deadline hands back its frontier (`state`), and a
+ * later call resumes from it — so discovery can span several Lambda runs.
+ *
+ * Patterns are matched against the URL path + query string, with `*` as a
+ * wildcard: e.g. include ['/docs/*'], exclude ['/docs/archive/*'].
+ */
+
+// ─── Defaults ────────────────────────────────────────────────────────────────
+const DEFAULT_CRAWL_OPTIONS = {
+  maxDepth: 2,          // Link hops from the root URL
+  maxPages: 50,         // Hard cap on audited pages
+  include: [],          // Only crawl paths matching one of these (empty = all)
+  exclude: [],          // Never crawl paths matching one of these
+  sitemap: null,        // Explicit sitemap URL (overrides /sitemap.xml discovery)
+  useSitemap: true,     // Try <origin>/sitemap.xml when no sitemap is given
+  delay: 1000,          // Politeness delay between pages (ms)
+  deadline: null,       // Epoch ms after which no new pages are started
+};
+
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|mc_cid|mc_eid)$/i;
+const SKIPPED_EXTENSIONS = /\.(pdf|zip|gz|rar|7z|jpe?g|png|gif|svg|webp|ico|mp3|mp4|webm|avi|mov|docx?|xlsx?|pptx?|csv|xml|json|css|js)$/i;
+const MAX_SITEMAP_FILES = 10; // Cap on sitemap index fan-out
+const CRAWL_OPTION_KEYS = ['maxDepth', 'maxPages', 'include', 'exclude', 'sitemap', 'useSitemap', 'delay'];
+const MAX_DEPTH = 10;
+const MAX_DELAY = 10000;      // ms
+const MAX_PATTERNS = 50;      // Per include / exclude list
+
+class SiteCrawler {
+  /**
+   * @param {Object} options — Overrides for DEFAULT_CRAWL_OPTIONS
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_CRAWL_OPTIONS, ...options };
+    this.includePatterns = this.options.include.map(toPattern);
+    this.excludePatterns = this.options.exclude.map(toPattern);
+  }
+
+  /**
+   * Crawl a site breadth-first, auditing each page via `visit`
+   *
+   * @param {string} startUrl — Root page or sitemap.xml URL
+   * @param {Function} visit — async (url, depth) => ({ report, links })
+   * @param {Object} [resume] — `state` returned by an earlier, deadline-truncated call
+   * @returns {Object} { startUrl, pages, skipped, pending, truncated, state }
+   *                   (`state` is set only when the deadline stopped the crawl)
+   */
+  async crawl(startUrl, visit, resume = null) {
+    const root = SiteCrawler.normalizeUrl(startUrl);
+    if (!root) throw new Error(`Invalid start URL: ${startUrl}`);
+
+    const origin = new URL(root).origin;
+    const { maxDepth, maxPages, delay, deadline } = this.options;
+    const seen = new Set(resume?.seen || []);
+    const queue = resume ? [...resume.queue] : [];
+    const visited = resume?.visited || 0; // Pages taken by earlier runs of this crawl
+    const pages = [];
+    const skipped = [];
+    let truncated = null;
+
+    // The root URL is always audited, even if it doesn't match `include`
+    const enqueue = (url, depth, from, isRoot = false) => {
+      const normalized = SiteCrawler.normalizeUrl(url, from);
+      if (!normalized || seen.has(normalized)) return;
+      seen.add(normalized);
+
+      if (new URL(normalized).origin !== origin) return;
+      if (!isRoot && !this._isAllowed(normalized)) {
+        skipped.push({ url: normalized, reason: 'filtered' });
+        return;
+      }
+      queue.push({ url: normalized, depth });
+    };
+
+    // ── Seed from root + sitemap ──────────────────────────────────────
+    if (!resume) {
+      const sitemapUrls = await this._loadSitemap(root, origin);
+      if (!root.endsWith('.xml')) enqueue(root, 0, null, true);
+      for (const url of sitemapUrls) enqueue(url, 0);
+      console.log(`🕸️  Crawl seeded with ${queue.length} URL(s)${sitemapUrls.length ? ` (${sitemapUrls.length} from sitemap)` : ''}`);
+    }
+
+    // ── Breadth-first traversal ───────────────────────────────────────
+    while (queue.length > 0) {
+      if (visited + pages.length >= maxPages) {
+        truncated = 'maxPages';
+        break;
+      }
+      if (deadline && Date.now() >= deadline) {
+        truncated = 'deadline'; // e.g. Lambda is about to time out
+        break;
+      }
+
+      const { url, depth } = queue.shift();
+      console.log(`[crawl ${visited + pages.length + 1}/${maxPages}] depth=${depth} ${url}`);
+
+      try {
+        const result = await visit(url, depth);
+        pages.push({ success: true, url, depth, data: result.report });
+
+        if (depth < maxDepth) {
+          for (const href of result.links || []) enqueue(href, depth + 1, url);
+        }
+      } catch (error) {
+        pages.push({ success: false, url, depth, error: error.message });
+      }
+
+      if (queue.length > 0 && delay > 0) {
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+
+    return {
+      startUrl: root,
+      pages,
+      skipped,
+      pending: queue.map(q => q.url),
+      truncated,
+      state: truncated === 'deadline'
+        ? { seen: [...seen], queue, visited: visited + pages.length, skipped: (resume?.skipped || 0) + skipped.length }
+        : null,
+    };
+  }
+
+  /**
+   * Normalize a URL so equivalent links collapse to one crawl entry
+   *
+   * @param {string} href — Absolute or relative URL
+   * @param {string} [base] — Base URL for relative links
+   * @returns {string|null} Normalized absolute URL, or null if not crawlable
+   */
+  static normalizeUrl(href, base) {
+    let url;
+    try {
+      url = base ? new URL(href, base) : new URL(href);
+    } catch {
+      return null;
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+    if (SKIPPED_EXTENSIONS.test(url.pathname) && !/sitemap[^/]*\.xml$/i.test(url.pathname)) return null;
+
+    url.hash = '';
+    for (const key of [...url.searchParams.keys()]) {
+      if (TRACKING_PARAMS.test(key)) url.searchParams.delete(key);
+    }
+    url.searchParams.sort();
+    url.pathname = url.pathname.replace(/\/index\.html?$/i, '/').replace(/\/{2,}/g, '/');
+    if (url.pathname.length > 1 && url.pathname.endsWith('/')) {
+      url.pathname = url.pathname.slice(0, -1);
+    }
+    return url.toString();
+  }
+
+  /**
+   * Validate request-supplied crawl options (`deadline` is set by the
+   * consumer, never by clients)
+   *
+   * @param {*} crawl — The request's `crawl` value
+   * @param {number} maxPagesCap — Largest allowed maxPages
+   * @returns {Object|null} { error, provided } or null when valid
+   */
+  static validateOptions(crawl, maxPagesCap) {
+    if (crawl === undefined) return null;
+    if (Object.prototype.toString.call(crawl) !== '[object Object]') {
+      return { error: 'crawl must be an object of crawl options', provided: crawl };
+    }
+    const unknown = Object.keys(crawl).filter(key => !CRAWL_OPTION_KEYS.includes(key));
+    if (unknown.length) {
+      return { error: `Unknown crawl option(s): ${unknown.join(', ')}`, allowed: CRAWL_OPTION_KEYS };
+    }
+
+    const { maxPages, maxDepth, delay, useSitemap, sitemap } = crawl;
+    if (maxPages !== undefined && !(Number.isInteger(maxPages) && maxPages > 0 && maxPages <= maxPagesCap)) {
+      return { error: `crawl.maxPages must be an integer between 1 and ${maxPagesCap}`, provided: maxPages };
+    }
+    if (maxDepth !== undefined && !(Number.isInteger(maxDepth) && maxDepth >= 0 && maxDepth <= MAX_DEPTH)) {
+      return { error: `crawl.maxDepth must be an integer between 0 and ${MAX_DEPTH}`, provided: maxDepth };
+    }
+    if (delay !== undefined && !(Number.isInteger(delay) && delay >= 0 && delay <= MAX_DELAY)) {
+      return { error: `crawl.delay must be an integer between 0 and ${MAX_DELAY} (ms)`, provided: delay };
+    }
+    if (useSitemap !== undefined && typeof useSitemap !== 'boolean') {
+      return { error: 'crawl.useSitemap must be a boolean', provided: useSitemap };
+    }
+    if (sitemap !== undefined && sitemap !== null && !isHttpUrl(sitemap)) {
+      return { error: 'crawl.sitemap must be an http(s) URL', provided: sitemap };
+    }
+    for (const key of ['include', 'exclude']) {
+      const patterns = crawl[key];
+      if (patterns !== undefined && !(Array.isArray(patterns) && patterns.length <= MAX_PATTERNS && patterns.every(p => typeof p === 'string' && p))) {
+        return { error: `crawl.${key} must be an array of at most ${MAX_PATTERNS} URL path patterns`, provided: patterns };
+      }
+    }
+    return null;
+  }
+
+  // ─── Private helpers ──────────────────────────────────────────────────────
+
+  /** Apply include/exclude patterns to the URL path + query */
+  _isAllowed(url) {
+    const { pathname, search } = new URL(url);
+    const target = pathname + search;
+    if (this.excludePatterns.some(p => p.test(target))) return false;
+    if (this.includePatterns.length && !this.includePatterns.some(p => p.test(target))) return false;
+    return true;
+  }
+
+  /**
+   * Collect page URLs from the sitemap (following sitemap indexes)
+   * A missing auto-discovered sitemap is fine; a missing explicit one is an error.
+   */
+  async _loadSitemap(root, origin) {
+    let sitemapUrl = this.options.sitemap;
+    if (!sitemapUrl && root.endsWith('.xml')) sitemapUrl = root;
+    const explicit = !!sitemapUrl;
+    if (!sitemapUrl && this.options.useSitemap) sitemapUrl = `${origin}/sitemap.xml`;
+    if (!sitemapUrl) return [];
+
+    const urls = [];
+    const files = [sitemapUrl];
+    let fetched = 0;
+
+    while (files.length > 0 && fetched < MAX_SITEMAP_FILES) {
+      const file = files.shift();
+      fetched++;
+      try {
+        const res = await fetch(file, { signal: AbortSignal.timeout(10000) });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const xml = await res.text();
+        const locs = Array.from(xml.matchAll(/<loc>\s*([^<\s]+)\s*<\/loc>/gi), m => decodeXml(m[1]));
+
+        // Child sitemaps are only followed on the site being crawled — an
+        // index must not send the crawler's requests to other hosts
+        if (/<sitemapindex[\s>]/i.test(xml)) files.push(...locs.filter(loc => isOnOrigin(loc, origin)));
+        else urls.push(...locs);
+      } catch (error) {
+        if (explicit) throw new Error(`Failed to load sitemap ${file}: ${error.message}`);
+        console.log(`No sitemap at ${file} (${error.message}), crawling links only`);
+      }
+    }
+    return urls;
+  }
+}
+
+/** Convert a wildcard pattern ("/blog/*") to an anchored RegExp */
+function toPattern(pattern) {
+  if (pattern instanceof RegExp) return pattern;
+  const escaped = String(pattern).replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+/** True for an absolute http(s) URL string */
+function isHttpUrl(value) {
+  try {
+    return typeof value === 'string' && ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/** True when `url` parses and belongs to `origin` */
+function isOnOrigin(url, origin) {
+  try {
+    return new URL(url).origin === origin;
+  } catch {
+    return false;
+  }
+}
+
+/** Decode the XML entities allowed inside sitemap <loc> values */
+function decodeXml(value) {
+  return value
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'");
+}
+
+SiteCrawler.DEFAULT_CRAWL_OPTIONS = DEFAULT_CRAWL_OPTIONS;
+
+module.exports = SiteCrawler;
@@ -11,26 +11,178 @@
  *   POST /api/audit         → Enqueue single audit job (async via SQS)
  *   POST /api/audit/sync    → Run audit synchronously (for small jobs)
  *   POST /api/audit/batch   → Enqueue batch audit jobs
+ *   POST /api/audit/crawl   → Enqueue a whole-site crawl job
+ *   POST /api/audit/flow    → Enqueue a scripted user-flow audit
  *   GET  /api/audit/:id     → Get audit result by ID (from DynamoDB)
- *   GET  /api/audit/history → Recent audit history (from DynamoDB)
+ *   GET  /api/audit/history → Recent audit history (from DynamoDB; ?url= for one URL)
+ *   GET  /api/audit/compare → Diff two audits of the same URL (?base=&head=)
+ *   GET  /api/audit/:id/violations/:fingerprint/nodes → Page through a violation's failing elements
+ *   GET  /api/audit/:id/screenshot → The page screenshot the violation markers are drawn on (JPEG)
+ *   GET  /api/audit/:id/screenshots/:name → A cropped element screenshot (an example's `screenshotKey`)
+ *   GET  /api/audit/batch/:batchId → Site report over the finished pages of a batch
+ *   GET  /api/audit/:id/report.html → Standalone HTML report (download)
+ *   GET  /api/audit/:id/report.pdf  → PDF report, printed by headless Chromium
+ *   GET  /api/audit/:id/report.sarif → SARIF 2.1.0 log for code-scanning tools
+ *   GET  /api/audit/:id/report.xml  → JUnit XML for CI test dashboards (?failOn=<impact>)
+ *   GET  /api/audit/:id/report.csv  → Violations, one row per affected element (crawls: every page)
+ *   GET  /api/audit/:id/report.xlsx → Same as a workbook with a summary sheet
+ *   GET  /api/audit/batch/:batchId/report.{csv,xlsx} → Every finished page of a batch in one file
+ *   POST /api/vpat          → Draft a VPAT 2.x conformance report from finished audits
+ *   POST /api/vpat/report.{html,docx} → The conformance report with reviewer edits, as a file
  */
 
 import { APIGatewayProxyEventV2, APIGatewayProxyResultV2, Context } from 'aws-lambda';
-import { enqueueAuditJob, enqueueBatchAuditJobs, getQueueStats } from '../services/sqs';
-import { getAuditReport, getRecentAudits, saveAuditReport, AuditRecord } from '../services/dynamodb';
+import {
+  enqueueAuditJob,
+  enqueueBatchAuditJobs,
+  getQueueStats,
+  CrawlJobOptions,
+  AuditAuthOptions,
+  AuthStep,
+  ViewportOption,
+  AxeAuditOptions,
+  ScoringProfileOption,
+  SuppressionEntry,
+} from '../services/sqs';
+import { getAuditReport, getAuditsByUrl, getRecentAudits, saveAuditReport, AuditRecord } from '../services/dynamodb';
+import { withNodeLists, withoutNodeLists, getArtifact } from '../services/s3';
+
+// Shared JS validation (same module the scraper uses to apply credentials)
+const SiteCrawler = require('../crawler/site-crawler');
+const { validateAuth } = require('../scraper/auth');
+const { validateSteps } = require('../scraper/page-actions');
+const { validateViewports } = require('../scraper/viewports');
+const { validateElementShots } = require('../scraper/element-shots');
+const { validateAxeOptions } = require('../scraper/axe-config');
+const { validateTarget } = require('../analyzer/wcag-criteria');
+const { validateProfile } = require('../analyzer/scoring-profiles');
+const { validateSuppressions } = require('../analyzer/suppressions');
+const ResultCombiner = require('../analyzer/combiner');
+const { validateComparable, diffAudits } = require('../analyzer/audit-diff');
+const { parsePage, pageAffectedNodes } = require('../analyzer/affected-nodes');
+const { reportFilename, isExportable } = require('../reports/common');
+const { renderHtmlReport } = require('../reports/html-report');
+const { renderPdfReport } = require('../reports/pdf-report');
+const { toSarif } = require('../reports/sarif');
+const { parseFailOn, toJUnit } = require('../reports/junit');
+const { toCsv } = require('../reports/spreadsheet');
+const { toXlsx } = require('../reports/xlsx');
+const { validateAcrOptions, buildAcr, applyAcrEdits } = require('../analyzer/acr');
+const { renderAcrHtml, renderAcrDocx } = require('../reports/vpat-report');
+const AccessibilityScraper = require('../scraper/puppeteer-scraper');
 
 // ─── Types ───────────────────────────────────────────────────────────────────
 
 interface AuditRequest {
   url: string;
   skipLLM?: boolean;
+  skipKeyboard?: boolean;
+  fullPageScreenshot?: boolean;
+  elementScreenshots?: number;
+  auth?: AuditAuthOptions;
+  axe?: AxeAuditOptions;
+  wcagTarget?: string;
+  scoringProfile?: ScoringProfileOption;
+  suppressions?: SuppressionEntry[];
+  viewports?: ViewportOption[];
 }
 
 interface BatchAuditRequest {
   urls: string[];
   skipLLM?: boolean;
+  skipKeyboard?: boolean;
+  fullPageScreenshot?: boolean;
+  elementScreenshots?: number;
+  auth?: AuditAuthOptions;
+  axe?: AxeAuditOptions;
+  wcagTarget?: string;
+  scoringProfile?: ScoringProfileOption;
+  suppressions?: SuppressionEntry[];
+  viewports?: ViewportOption[];
 }
 
+interface CrawlAuditRequest {
+  url: string;
+  skipLLM?: boolean;
+  skipKeyboard?: boolean;
+  auth?: AuditAuthOptions;
+  axe?: AxeAuditOptions;
+  wcagTarget?: string;
+  scoringProfile?: ScoringProfileOption;
+  suppressions?: SuppressionEntry[];
+  crawl?: CrawlJobOptions;
+}
+
+interface FlowAuditRequest {
+  url: string;
+  steps: AuthStep[];
+  skipLLM?: boolean;
+  fullPageScreenshot?: boolean;
+  auth?: AuditAuthOptions;
+  axe?: AxeAuditOptions;
+  wcagTarget?: string;
+  scoringProfile?: ScoringProfileOption;
+  suppressions?: SuppressionEntry[];
+}
+
+interface ReviewRequest {
+  ruleId: string;
+  status: 'pass' | 'fail' | 'pending';
+  note?: string;
+}
+
+const REVIEW_STATUSES = ['pass', 'fail', 'pending'];
+
+interface VpatRequest {
+  auditIds?: string[];
+  batchId?: string;
+  product?: Record<string, string>;
+  edits?: Record<string, { conformance?: string; remarks?: string }>;
+}
+
+// A conformance report loads every audit it covers, so keep it to a crawl's worth
+const MAX_ACR_AUDITS = 50;
+
+// Every step runs axe-core (and optionally GPT-4) again, so flows are capped
+const MAX_FLOW_STEPS = 25;
+
+// Batch pages are stored as <batchId>-0 … <batchId>-9
+const MAX_BATCH_URLS = 10;
+
+// Export formats for GET /api/audit/:id/report.<format>; `options` reads and
+// validates format-specific query parameters, `renderPages` exports a whole
+// batch or crawl into one file
+interface ReportFormat {
+  contentType: string;
+  options?: (query: Record<string, string | undefined>) => Record<string, any>;
+  render: (report: AuditRecord, options: Record<string, any>) => string | Buffer | Promise<string | Buffer>;
+  renderPages?: (reports: AuditRecord[]) => string | Buffer;
+}
+
+const REPORT_FORMATS: Record<string, ReportFormat> = {
+  html: { contentType: 'text/html; charset=utf-8', render: renderHtmlReport },
+  pdf: { contentType: 'application/pdf', render: printPdfReport },
+  sarif: { contentType: 'application/sarif+json', render: (report) => JSON.stringify(toSarif(report), null, 2) },
+  xml: { contentType: 'application/xml', options: (query) => parseFailOn(query.failOn), render: toJUnit }, // JUnit
+  csv: { contentType: 'text/csv; charset=utf-8', render: (report) => toCsv([report]), renderPages: toCsv },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    render: (report) => toXlsx([report]),
+    renderPages: toXlsx,
+  },
+};
+
+const PAGE_FORMATS = Object.keys(REPORT_FORMATS).filter((format) => REPORT_FORMATS[format].renderPages);
+
+// Accessibility Conformance Report (VPAT) formats for POST /api/vpat/report.<format>
+const ACR_FORMATS: Record<string, { contentType: string; render: (acr: Record<string, any>) => string | Buffer }> = {
+  html: { contentType: 'text/html; charset=utf-8', render: renderAcrHtml },
+  docx: { contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', render: renderAcrDocx },
+};
+
+// A crawl queues one consumer job per page; this matches the local server's cap
+const MAX_CRAWL_PAGES = 500;
+
 // ─── Main Handler ────────────────────────────────────────────────────────────
 
 export async function handler(
@@ -75,8 +227,27 @@ export async function handler(
           '/api/audit': 'POST — Submit audit job (async)',
           '/api/audit/sync': 'POST — Run audit synchronously',
           '/api/audit/batch': 'POST — Submit batch audit jobs',
+          '/api/audit/batch/:batchId': 'GET — Site report (common rules, shared-template issues, worst pages) for a batch',
+          '/api/audit/crawl': 'POST — Submit whole-site crawl job',
+          '/api/audit/flow': 'POST — Submit scripted user-flow audit',
           '/api/audit/:id': 'GET — Get audit result',
-          '/api/audit/history': 'GET — Recent audit history',
+          '/api/audit/:id/review': 'POST — Mark a needs-review item as pass or fail',
+          '/api/audit/history': 'GET — Recent audit history (?url= for one URL)',
+          '/api/audit/compare': 'GET — New, fixed and unchanged violations between two audits (?base=&head=)',
+          '/api/audit/:id/violations/:fingerprint/nodes': 'GET — Every failing element of a violation, paged (?offset=&limit=)',
+          '/api/audit/:id/screenshot': 'GET — Page screenshot the violation markers are drawn on (JPEG)',
+          '/api/audit/:id/screenshots/:name': 'GET — Cropped element screenshot named by a violation example (JPEG)',
+          '/api/audit/:id/report.html': 'GET — Standalone HTML report',
+          '/api/audit/:id/report.pdf': 'GET — PDF report (cover, summary, coverage, charts, violation detail)',
+          '/api/audit/:id/report.sarif': 'GET — SARIF 2.1.0 log for code-scanning tools',
+          '/api/audit/:id/report.xml': 'GET — JUnit XML for CI test dashboards (?failOn=critical|serious|moderate|minor)',
+          '/api/audit/:id/report.csv': 'GET — Violations as CSV, one row per affected element (a crawl exports every page)',
+          '/api/audit/:id/report.xlsx': 'GET — Violations as an Excel workbook with a summary sheet',
+          '/api/audit/batch/:batchId/report.csv': 'GET — Every finished page of a batch in one CSV',
+          '/api/audit/batch/:batchId/report.xlsx': 'GET — Every finished page of a batch in one workbook',
+          '/api/vpat': 'POST — Draft VPAT 2.x conformance report from audits ({ auditIds, batchId, product, edits })',
+          '/api/vpat/report.html': 'POST — The conformance report with reviewer edits applied, as HTML',
+          '/api/vpat/report.docx': 'POST — The conformance report with reviewer edits applied, as a Word document',
           '/api/queue/stats': 'GET — SQS queue statistics',
         },
       });
@@ -84,7 +255,7 @@ export async function handler(
 
     // POST /api/audit — Async (enqueue to SQS)
     if (httpMethod === 'POST' && path === '/api/audit') {
-      const { url, skipLLM } = parseBody<AuditRequest>(body);
+      const { url, skipLLM, skipKeyboard, fullPageScreenshot, elementScreenshots, auth, viewports, axe, wcagTarget, scoringProfile, suppressions } = parseBody<AuditRequest>(body);
 
       if (!url) {
         return respond(400, { error: 'URL is required', example: { url: 'https://example.com' } });
@@ -96,6 +267,21 @@ export async function handler(
         return respond(400, { error: 'Invalid URL format', provided: url });
       }
 
+      const optionsError = validateAuditOptions({ auth, axe, wcagTarget, scoringProfile, suppressions });
+      if (optionsError) {
+        return respond(400, optionsError);
+      }
+
+      const viewportError = validateViewports(viewports);
+      if (viewportError) {
+        return respond(400, { error: viewportError });
+      }
+
+      const shotsError = validateElementShots(elementScreenshots);
+      if (shotsError) {
+        return respond(400, { error: shotsError });
+      }
+
       const jobId = `audit-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
 
       // Create a "pending" record in DynamoDB so polling returns status immediately
@@ -117,7 +303,7 @@ export async function handler(
       await enqueueAuditJob({
         jobId,
         url,
-        options: { skipLLM },
+        options: { skipLLM, skipKeyboard, fullPageScreenshot, elementScreenshots, auth, viewports, axe, wcagTarget, scoringProfile, suppressions },
         submittedAt: new Date().toISOString(),
       });
 
@@ -131,13 +317,28 @@ export async function handler(
 
     // POST /api/audit/batch — Async batch (fan-out via SQS)
     if (httpMethod === 'POST' && path === '/api/audit/batch') {
-      const { urls, skipLLM } = parseBody<BatchAuditRequest>(body);
+      const { urls, skipLLM, skipKeyboard, fullPageScreenshot, elementScreenshots, auth, viewports, axe, wcagTarget, scoringProfile, suppressions } = parseBody<BatchAuditRequest>(body);
 
       if (!urls || !Array.isArray(urls) || urls.length === 0) {
         return respond(400, { error: 'URLs array is required' });
       }
-      if (urls.length > 10) {
-        return respond(400, { error: 'Batch limited to 10 URLs', provided: urls.length });
+      if (urls.length > MAX_BATCH_URLS) {
+        return respond(400, { error: `Batch limited to ${MAX_BATCH_URLS} URLs`, provided: urls.length });
+      }
+
+      const optionsError = validateAuditOptions({ auth, axe, wcagTarget, scoringProfile, suppressions });
+      if (optionsError) {
+        return respond(400, optionsError);
+      }
+
+      const viewportError = validateViewports(viewports);
+      if (viewportError) {
+        return respond(400, { error: viewportError });
+      }
+
+      const shotsError = validateElementShots(elementScreenshots);
+      if (shotsError) {
+        return respond(400, { error: shotsError });
       }
 
       const batchId = `batch-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
@@ -145,7 +346,7 @@ export async function handler(
       const messageIds = await enqueueBatchAuditJobs({
         batchId,
         urls,
-        options: { skipLLM },
+        options: { skipLLM, skipKeyboard, fullPageScreenshot, elementScreenshots, auth, viewports, axe, wcagTarget, scoringProfile, suppressions },
         submittedAt: new Date().toISOString(),
       });
 
@@ -154,13 +355,143 @@ export async function handler(
         message: `${urls.length} audit jobs submitted`,
         batchId,
         jobIds: messageIds,
+        report: `/api/audit/batch/${batchId}`,
+        exports: Object.fromEntries(PAGE_FORMATS.map((format) => [format, `/api/audit/batch/${batchId}/report.${format}`])),
+      });
+    }
+
+    // POST /api/audit/crawl — Async whole-site crawl (discovery job, then one SQS job per page)
+    if (httpMethod === 'POST' && path === '/api/audit/crawl') {
+      const { url, skipLLM, skipKeyboard, auth, axe, wcagTarget, scoringProfile, suppressions, crawl = {} } = parseBody<CrawlAuditRequest>(body);
+
+      if (!url) {
+        return respond(400, {
+          error: 'URL is required',
+          example: { url: 'https://example.com', crawl: { maxPages: 20, maxDepth: 2 } },
+        });
+      }
+
+      try {
+        new URL(url);
+      } catch {
+        return respond(400, { error: 'Invalid URL format', provided: url });
+      }
+
+      const crawlError = SiteCrawler.validateOptions(crawl, MAX_CRAWL_PAGES);
+      if (crawlError) {
+        return respond(400, crawlError);
+      }
+
+      const optionsError = validateAuditOptions({ auth, axe, wcagTarget, scoringProfile, suppressions });
+      if (optionsError) {
+        return respond(400, optionsError);
+      }
+
+      const jobId = `crawl-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+      const pendingRecord: AuditRecord = {
+        auditId: jobId,
+        url,
+        scannedAt: new Date().toISOString(),
+        duration: 0,
+        score: 0,
+        complianceLevel: 'pending',
+        totalIssues: 0,
+        criticalIssues: 0,
+        // Discovery lists the pages here and each page job counts itself done
+        results: { type: 'crawl', pages: [], progress: { finished: 0, total: null } },
+        summary: { status: 'pending' },
+        metadata: { submittedAt: new Date().toISOString(), type: 'crawl' },
+      };
+      await saveAuditReport(pendingRecord);
+
+      await enqueueAuditJob({
+        jobId,
+        type: 'crawl',
+        url,
+        options: { skipLLM, skipKeyboard, auth, axe, wcagTarget, scoringProfile, suppressions, crawl: { ...crawl, maxPages: crawl.maxPages ?? 20 } },
+        submittedAt: new Date().toISOString(),
+      });
+
+      return respond(202, {
+        success: true,
+        message: 'Crawl job submitted',
+        jobId,
+        statusUrl: `/api/audit/${jobId}`,
+      });
+    }
+
+    // POST /api/audit/flow — Async user-flow audit (axe-core after every step)
+    if (httpMethod === 'POST' && path === '/api/audit/flow') {
+      const { url, steps, skipLLM, fullPageScreenshot, auth, axe, wcagTarget, scoringProfile, suppressions } = parseBody<FlowAuditRequest>(body);
+
+      if (!url) {
+        return respond(400, {
+          error: 'URL is required',
+          example: {
+            url: 'https://example.com',
+            steps: [{ action: 'click', selector: '#open-menu', label: 'Open menu' }],
+          },
+        });
+      }
+
+      try {
+        new URL(url);
+      } catch {
+        return respond(400, { error: 'Invalid URL format', provided: url });
+      }
+
+      const stepsError = validateSteps(steps);
+      if (stepsError) {
+        return respond(400, { error: stepsError });
+      }
+      if (steps.length > MAX_FLOW_STEPS) {
+        return respond(400, { error: `Flow limited to ${MAX_FLOW_STEPS} steps`, provided: steps.length });
+      }
+
+      const optionsError = validateAuditOptions({ auth, axe, wcagTarget, scoringProfile, suppressions });
+      if (optionsError) {
+        return respond(400, optionsError);
+      }
+
+      const jobId = `flow-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+      const pendingRecord: AuditRecord = {
+        auditId: jobId,
+        url,
+        scannedAt: new Date().toISOString(),
+        duration: 0,
+        score: 0,
+        complianceLevel: 'pending',
+        totalIssues: 0,
+        criticalIssues: 0,
+        results: {},
+        summary: { status: 'pending' },
+        metadata: { submittedAt: new Date().toISOString(), type: 'flow' },
+      };
+      await saveAuditReport(pendingRecord);
+
+      await enqueueAuditJob({
+        jobId,
+        type: 'flow',
+        url,
+        options: { skipLLM, fullPageScreenshot, auth, axe, wcagTarget, scoringProfile, suppressions, steps },
+        submittedAt: new Date().toISOString(),
+      });
+
+      return respond(202, {
+        success: true,
+        message: 'Flow audit job submitted',
+        jobId,
+        statusUrl: `/api/audit/${jobId}`,
       });
     }
 
     // GET /api/audit/history
     if (httpMethod === 'GET' && path === '/api/audit/history') {
       const limit = parseInt(event.queryStringParameters?.limit || '50', 10);
-      const history = await getRecentAudits(limit);
+      const url = event.queryStringParameters?.url;
+      const history = url ? await getAuditsByUrl(url, limit) : await getRecentAudits(limit);
 
       return respond(200, {
         success: true,
@@ -169,6 +500,238 @@ export async function handler(
       });
     }
 
+    // GET /api/audit/compare?base=&head= — Diff two audits of the same URL
+    if (httpMethod === 'GET' && path === '/api/audit/compare') {
+      const { base, head } = event.queryStringParameters || {};
+      if (!base || !head) {
+        return respond(400, { error: 'base and head audit IDs are required', example: '/api/audit/compare?base=<id>&head=<id>' });
+      }
+
+      const [baseRecord, headRecord] = await Promise.all([getFullAuditReport(base), getFullAuditReport(head)]);
+      if (!baseRecord) {
+        return respond(404, { error: 'Audit not found', auditId: base });
+      }
+      if (!headRecord) {
+        return respond(404, { error: 'Audit not found', auditId: head });
+      }
+
+      const compareError = validateComparable(baseRecord, headRecord);
+      if (compareError) {
+        return respond(400, { error: compareError });
+      }
+
+      return respond(200, { success: true, ...diffAudits(baseRecord, headRecord) });
+    }
+
+    // GET /api/audit/batch/:batchId — Aggregate whichever batch pages have finished
+    const batchMatch = path.match(/^\/api\/audit\/batch\/([^/]+)$/);
+    if (httpMethod === 'GET' && batchMatch) {
+      const batchId = batchMatch[1];
+      const finished = await getBatchPages(batchId);
+
+      if (finished.length === 0) {
+        return respond(404, {
+          error: 'Batch not found',
+          message: 'No page of this batch has finished yet. Try again in a few seconds.',
+          batchId,
+        });
+      }
+
+      const site = new ResultCombiner().combineSiteResults(
+        finished.map((r) => ({ success: true, url: r.url, data: { results: r.results, summary: r.summary } }))
+      );
+      return respond(200, {
+        success: true,
+        batchId,
+        pages: finished.map((r) => ({ auditId: r.auditId, url: r.url, score: r.score })),
+        site,
+      });
+    }
+
+    // GET /api/audit/batch/:batchId/report.<format> — Every finished batch page in one file
+    const batchReportMatch = path.match(/^\/api\/audit\/batch\/([^/]+)\/report\.(\w+)$/);
+    if (httpMethod === 'GET' && batchReportMatch) {
+      const [, batchId, format] = batchReportMatch;
+      const exporter = REPORT_FORMATS[format];
+      if (!exporter?.renderPages) {
+        return respond(404, { error: `Unknown batch report format: ${format}`, formats: PAGE_FORMATS });
+      }
+
+      const finished = await getBatchPages(batchId);
+      if (finished.length === 0) {
+        return respond(404, {
+          error: 'Batch not found',
+          message: 'No page of this batch has finished yet. Try again in a few seconds.',
+          batchId,
+        });
+      }
+
+      return respondFile(
+        exporter.renderPages(finished),
+        exporter.contentType,
+        reportFilename(finished[0], format, 'accessibility-batch')
+      );
+    }
+
+    // GET /api/audit/:id/report.<format> — Download the audit as a report file
+    const reportMatch = path.match(/^\/api\/audit\/([^/]+)\/report\.(\w+)$/);
+    if (httpMethod === 'GET' && reportMatch) {
+      const [, auditId, format] = reportMatch;
+      const exporter = REPORT_FORMATS[format];
+      if (!exporter) {
+        return respond(404, { error: `Unknown report format: ${format}`, formats: Object.keys(REPORT_FORMATS) });
+      }
+
+      const report = await getFullAuditReport(auditId);
+      if (!report) {
+        return respond(404, { error: 'Audit not found', auditId });
+      }
+      // A crawl's record only lists its pages; spreadsheet formats load and export all of them
+      if (report.results?.type === 'crawl' && exporter.renderPages) {
+        const pages = await Promise.all(
+          (report.results.pages || []).filter((p: any) => p.success).map((p: any) => getFullAuditReport(p.auditId))
+        );
+        const finished = pages.filter((r): r is AuditRecord => !!r && isExportable(r));
+        if (finished.length === 0) {
+          return respond(400, { error: 'No page of this crawl was audited', auditId });
+        }
+        return respondFile(
+          exporter.renderPages(finished),
+          exporter.contentType,
+          reportFilename(report, format, 'accessibility-crawl')
+        );
+      }
+      if (!isExportable(report)) {
+        return respond(400, { error: 'Only finished page, viewport and flow audits can be exported', auditId });
+      }
+      const options = exporter.options ? exporter.options(event.queryStringParameters || {}) : {};
+      if (options.error) {
+        return respond(400, { error: options.error });
+      }
+
+      return respondFile(await exporter.render(report, options), exporter.contentType, reportFilename(report, format));
+    }
+
+    // POST /api/vpat — Draft an Accessibility Conformance Report from finished audits
+    if (httpMethod === 'POST' && path === '/api/vpat') {
+      const draft = await draftAcr(parseBody<VpatRequest>(body));
+      if (!draft.acr) {
+        const { status, ...error } = draft;
+        return respond(status, error);
+      }
+
+      return respond(200, { success: true, acr: draft.acr });
+    }
+
+    // POST /api/vpat/report.<format> — The conformance report, reviewer edits applied, as a file
+    const vpatReportMatch = path.match(/^\/api\/vpat\/report\.(\w+)$/);
+    if (httpMethod === 'POST' && vpatReportMatch) {
+      const format = vpatReportMatch[1];
+      const exporter = ACR_FORMATS[format];
+      if (!exporter) {
+        return respond(404, { error: `Unknown report format: ${format}`, formats: Object.keys(ACR_FORMATS) });
+      }
+
+      const draft = await draftAcr(parseBody<VpatRequest>(body));
+      if (!draft.acr) {
+        const { status, ...error } = draft;
+        return respond(status, error);
+      }
+
+      return respondFile(exporter.render(draft.acr), exporter.contentType, reportFilename(draft.acr.scope[0], format, 'vpat'));
+    }
+
+    // GET /api/audit/:id/violations/:fingerprint/nodes — A page of a violation's failing elements
+    const nodesMatch = path.match(/^\/api\/audit\/([^/]+)\/violations\/([^/]+)\/nodes$/);
+    if (httpMethod === 'GET' && nodesMatch) {
+      const [, auditId, fingerprint] = nodesMatch;
+      const page = parsePage(event.queryStringParameters || {});
+      if (page.error) {
+        return respond(400, { error: page.error });
+      }
+
+      const report = await getFullAuditReport(auditId);
+      if (!report) {
+        return respond(404, { error: 'Audit not found', auditId });
+      }
+      const nodes = pageAffectedNodes(report.results || {}, fingerprint, page);
+      if (!nodes) {
+        return respond(404, { error: 'No violation with this fingerprint', auditId, fingerprint });
+      }
+
+      return respond(200, { success: true, auditId, ...nodes });
+    }
+
+    // GET /api/audit/:id/screenshot — Page screenshot (records keep only its S3 key)
+    const screenshotMatch = path.match(/^\/api\/audit\/([^/]+)\/screenshot$/);
+    if (httpMethod === 'GET' && screenshotMatch) {
+      const auditId = screenshotMatch[1];
+      const report = await getAuditReport(auditId);
+      if (!report) {
+        return respond(404, { error: 'Audit not found', auditId });
+      }
+      const image = report.results?.screenshotKey && await getArtifact(report.results.screenshotKey);
+      if (!image) {
+        return respond(404, { error: 'This audit has no stored screenshot', auditId });
+      }
+
+      return respondFile(image, 'image/jpeg', `${auditId}.jpg`);
+    }
+
+    // GET /api/audit/:id/screenshots/:name — Cropped element screenshot (examples keep its S3 key)
+    const elementShotMatch = path.match(/^\/api\/audit\/([^/]+)\/screenshots\/(element-\d+\.jpg)$/);
+    if (httpMethod === 'GET' && elementShotMatch) {
+      const [, auditId, name] = elementShotMatch;
+      const image = await getArtifact(`screenshots/${auditId}/${name}`);
+      if (!image) {
+        return respond(404, { error: 'Element screenshot not found', auditId, name });
+      }
+
+      return respondFile(image, 'image/jpeg', `${auditId}-${name}`);
+    }
+
+    // POST /api/audit/:id/review — Record a reviewer's pass/fail on a needs-review item
+    const reviewMatch = path.match(/^\/api\/audit\/([^/]+)\/review$/);
+    if (httpMethod === 'POST' && reviewMatch) {
+      const auditId = reviewMatch[1];
+      const { ruleId, status, note } = parseBody<ReviewRequest>(body);
+
+      if (!REVIEW_STATUSES.includes(status)) {
+        return respond(400, { error: `status must be one of: ${REVIEW_STATUSES.join(', ')}`, provided: status });
+      }
+      if (note !== undefined && !(typeof note === 'string' && note.length <= 500)) {
+        return respond(400, { error: 'note must be a string of at most 500 characters' });
+      }
+
+      // Waivers and re-scoring need every failing element, not just the stored examples
+      const report = await getFullAuditReport(auditId);
+      if (!report) {
+        return respond(404, { error: 'Audit not found', auditId });
+      }
+      if (!report.results?.needsReview?.some((item: any) => item.id === ruleId)) {
+        return respond(404, { error: 'No needs-review item for this rule', ruleId });
+      }
+
+      // Re-score with the decision applied; extras under results (keyboard, viewports, ...) are kept
+      const combiner = new ResultCombiner();
+      const rescored = combiner.applyReview(report.results, ruleId, { status, note });
+      const summary = combiner.generateSummary(rescored);
+
+      const updated: AuditRecord = {
+        ...report,
+        score: summary.overallScore,
+        complianceLevel: summary.complianceLevel,
+        totalIssues: summary.totalIssues,
+        criticalIssues: summary.criticalIssues,
+        // The node lists stay in S3 under the same fingerprints (nodeListKey is kept)
+        results: withoutNodeLists({ ...report.results, ...rescored }),
+        summary: { ...report.summary, ...summary },
+      };
+      await saveAuditReport(updated);
+
+      return respond(200, { success: true, status: 'COMPLETED', ...updated });
+    }
+
     // GET /api/audit/:id — Get specific audit result
     if (httpMethod === 'GET' && path.startsWith('/api/audit/')) {
       const auditId = path.split('/').pop() || '';
@@ -228,6 +791,128 @@ function respond(statusCode: number, body: Record<string, any>): APIGatewayProxy
   };
 }
 
+/** A file download (reports); binary bodies go out base64-encoded, the filename is exposed via CORS */
+function respondFile(body: string | Buffer, contentType: string, filename: string): APIGatewayProxyResultV2 {
+  const binary = Buffer.isBuffer(body);
+  return {
+    statusCode: 200,
+    headers: {
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Expose-Headers': 'Content-Disposition',
+    },
+    body: binary ? body.toString('base64') : body,
+    isBase64Encoded: binary,
+  };
+}
+
+/**
+ * Validate the options every audit route accepts (auth, axe, WCAG target,
+ * scoring profile, suppressions)
+ *
+ * @returns The 400 response body, or null when they are valid
+ */
+function validateAuditOptions(
+  { auth, axe, wcagTarget, scoringProfile, suppressions }: Pick<AuditRequest, 'auth' | 'axe' | 'wcagTarget' | 'scoringProfile' | 'suppressions'>
+): Record<string, any> | null {
+  const targetError = validateTarget(wcagTarget);
+  if (targetError) return { error: targetError, provided: wcagTarget };
+  const error = validateAuth(auth) || validateAxeOptions(axe) || validateProfile(scoringProfile) || validateSuppressions(suppressions);
+  return error ? { error } : null;
+}
+
+/**
+ * An audit record with its full node lists loaded back from S3
+ *
+ * Records keep only a few example elements per violation (DynamoDB item
+ * limit); paging, comparisons and exports need every failing element.
+ */
+async function getFullAuditReport(auditId: string): Promise<AuditRecord | null> {
+  const report = await getAuditReport(auditId);
+  if (!report?.results?.nodeListKey) return report;
+  return { ...report, results: await withNodeLists(report.results) };
+}
+
+/** Finished pages of a batch (stored as <batchId>-0 … <batchId>-9); pending ones are left out */
+async function getBatchPages(batchId: string): Promise<AuditRecord[]> {
+  const records = await Promise.all(
+    Array.from({ length: MAX_BATCH_URLS }, (_, i) => getFullAuditReport(`${batchId}-${i}`))
+  );
+  return records.filter((r): r is AuditRecord => !!r && Array.isArray(r.results?.violations));
+}
+
+/** The finished audits a conformance report covers: listed audits (a crawl brings its pages) plus a batch */
+async function acrReports({ auditIds = [], batchId }: VpatRequest): Promise<Record<string, any>> {
+  if (!Array.isArray(auditIds) || auditIds.some((id) => typeof id !== 'string')) {
+    return { status: 400, error: 'auditIds must be an array of audit IDs' };
+  }
+  if (auditIds.length === 0 && !batchId) {
+    return { status: 400, error: 'auditIds or batchId is required', example: { auditIds: ['<auditId>'], product: { name: 'Shop', version: '2.4' } } };
+  }
+  if (auditIds.length > MAX_ACR_AUDITS) {
+    return { status: 400, error: `A conformance report can cover at most ${MAX_ACR_AUDITS} audits`, provided: auditIds.length };
+  }
+
+  const reports: AuditRecord[] = [];
+  for (const auditId of auditIds) {
+    const report = await getAuditReport(auditId);
+    if (!report) {
+      return { status: 404, error: 'Audit not found', auditId };
+    }
+    if (report.results?.type === 'crawl') {
+      const pages = await Promise.all(
+        (report.results.pages || []).filter((p: any) => p.success).map((p: any) => getAuditReport(p.auditId))
+      );
+      reports.push(...pages.filter((r): r is AuditRecord => !!r && isExportable(r)));
+      continue;
+    }
+    if (!isExportable(report)) {
+      return { status: 400, error: 'Only finished page, viewport, flow and crawl audits can be reported on', auditId };
+    }
+    reports.push(report);
+  }
+  if (batchId) {
+    const finished = await getBatchPages(batchId);
+    if (finished.length === 0) {
+      return { status: 404, error: 'Batch not found', batchId };
+    }
+    reports.push(...finished);
+  }
+
+  if (reports.length === 0) {
+    return { status: 400, error: 'No audited page to report on' };
+  }
+  if (reports.length > MAX_ACR_AUDITS) {
+    return { status: 400, error: `A conformance report can cover at most ${MAX_ACR_AUDITS} audits`, provided: reports.length };
+  }
+  return { reports };
+}
+
+/** Validate the request, load its audits and build the ACR with the reviewer's edits applied */
+async function draftAcr(request: VpatRequest): Promise<Record<string, any>> {
+  const optionsError = validateAcrOptions(request);
+  if (optionsError) {
+    return { status: 400, error: optionsError };
+  }
+  const { reports, ...failure } = await acrReports(request);
+  if (!reports) {
+    return failure;
+  }
+  return { acr: applyAcrEdits(buildAcr(reports, { product: request.product }), request.edits) };
+}
+
+/** Launch Chromium for one PDF and close it again, like the audit consumer does per invocation */
+async function printPdfReport(report: AuditRecord): Promise<Buffer> {
+  const scraper = new AccessibilityScraper();
+  try {
+    await scraper.initialize();
+    return await renderPdfReport(report, scraper);
+  } finally {
+    await scraper.close();
+  }
+}
+
 function parseBody<T>(body: string | null): T {
   if (!body) return {} as T;
   try {
@@ -2,11 +2,15 @@
  * audit-consumer.ts — SQS consumer Lambda that processes audit jobs
  *
  * This Lambda is triggered by SQS messages. Each message contains a URL
- * to audit. The handler:
+ * to audit (or, for crawl jobs, a root URL to crawl; for flow jobs, a start
+ * URL plus the interaction steps to script). A crawl job only discovers
+ * pages and queues one page job per page; the last page job to finish
+ * rolls them up into the site record. The handler:
  *   1. Receives the SQS event with audit job details
  *   2. Launches Puppeteer (via chrome-aws-lambda in production)
  *   3. Runs the axe-core + GPT-4o hybrid analysis pipeline
- *   4. Stores the completed report in DynamoDB
+ *   4. Stores the completed report in DynamoDB (full node lists, the page
+ *      screenshot and element crops go to S3)
  *   5. Optionally sends a webhook callback
  *
  * SQS automatically handles:
@@ -16,14 +20,28 @@
  */
 
 import { SQSEvent, SQSRecord, Context } from 'aws-lambda';
-import { saveAuditReport, AuditRecord } from '../services/dynamodb';
+import {
+  saveAuditReport,
+  getAuditReport,
+  addCrawlPages,
+  markCrawlPageDone,
+  AuditRecord,
+  CrawlPageEntry,
+  CrawlProgress,
+} from '../services/dynamodb';
+import { saveNodeLists, withoutNodeLists, saveScreenshot, saveElementShot, saveCrawlState, getCrawlState } from '../services/s3';
+import { AuditJobMessage, enqueueAuditJob, enqueueBatchAuditJobs } from '../services/sqs';
 
 // Import the JS modules (they stay as CommonJS)
 const JobManager = require('../orchestrator/job-manager');
+const ResultCombiner = require('../analyzer/combiner');
 
 // ─── Configuration ───────────────────────────────────────────────────────────
 
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+const CRAWL_TIME_MARGIN_MS = 60000; // Stop discovering pages 60s before Lambda timeout
+const MAX_RECEIVE_COUNT = 3; // Matches the queue's redrive policy (serverless.yml)
+const SITE_LOAD_CHUNK = 25; // Page records fetched in parallel when rolling up a crawl
 
 // ─── Handler ─────────────────────────────────────────────────────────────────
 
@@ -51,7 +69,7 @@ export async function handler(
 
     for (const record of event.Records) {
       try {
-        await processRecord(record, jobManager);
+        await processRecord(record, jobManager, context);
       } catch (error: any) {
         console.error(`[AuditConsumer] Failed to process message ${record.messageId}:`, error.message);
         // Report individual message failure for partial batch retry
@@ -85,15 +103,40 @@ export async function handler(
 
 // ─── Process Individual Record ───────────────────────────────────────────────
 
-async function processRecord(record: SQSRecord, jobManager: any): Promise<void> {
-  const job = JSON.parse(record.body) as {
-    jobId: string;
-    url: string;
-    options: { skipLLM?: boolean; callbackUrl?: string };
-    submittedAt: string;
-    retryCount?: number;
-  };
+async function processRecord(record: SQSRecord, jobManager: any, context: Context): Promise<void> {
+  const job = JSON.parse(record.body) as AuditJobMessage;
+
+  if (job.type === 'crawl') {
+    await processCrawl(job, jobManager, context);
+    return;
+  }
+  if (job.type === 'flow') {
+    await processFlow(job, jobManager);
+    return;
+  }
+
+  if (job.crawlPage) {
+    await processCrawlPage(job, record, jobManager);
+    return;
+  }
+
+  const auditRecord = await auditPage(job, jobManager);
 
+  // Optional: Send webhook callback
+  if (job.options.callbackUrl) {
+    try {
+      await sendWebhook(job.options.callbackUrl, auditRecord);
+    } catch (err: any) {
+      console.warn(`[AuditConsumer] Webhook failed for ${job.jobId}:`, err.message);
+      // Don't fail the job if webhook fails
+    }
+  }
+}
+
+/**
+ * Audit a single page and store its record
+ */
+async function auditPage(job: AuditJobMessage, jobManager: any): Promise<AuditRecord> {
   console.log(`[AuditConsumer] Processing job ${job.jobId}: ${job.url}`);
 
   const startTime = Date.now();
@@ -101,6 +144,16 @@ async function processRecord(record: SQSRecord, jobManager: any): Promise<void>
   // Run the full audit pipeline
   const results = await jobManager.auditWebsite(job.url, {
     skipLLM: job.options.skipLLM,
+    skipKeyboard: job.options.skipKeyboard,
+    fullPageScreenshot: job.options.fullPageScreenshot,
+    // Crops go to S3 (storeElementShots); crawl pages skip them, as a local crawl does
+    elementScreenshots: job.crawlPage ? 0 : job.options.elementScreenshots,
+    auth: job.options.auth, // Applied by the scraper; only a redacted summary reaches metadata
+    axe: job.options.axe,
+    wcagTarget: job.options.wcagTarget,
+    scoringProfile: job.options.scoringProfile,
+    suppressions: job.options.suppressions,
+    viewports: job.options.viewports,
   });
 
   const duration = (Date.now() - startTime) / 1000;
@@ -115,9 +168,24 @@ async function processRecord(record: SQSRecord, jobManager: any): Promise<void>
     complianceLevel: results.summary.complianceLevel,
     totalIssues: results.summary.totalIssues,
     criticalIssues: results.summary.criticalIssues,
-    results: results.results,
+    // Extras ride along under results: the keyboard focus order, the
+    // violation boxes, the S3 key of the page screenshot they are drawn on
+    // and, for multi-viewport audits, the per-profile breakdown (minus
+    // screenshots and node lists)
+    results: {
+      ...(await storeNodeLists(job.jobId, await storeElementShots(job.jobId, results.results))),
+      ...(results.screenshot && { screenshotKey: await saveScreenshot(job.jobId, results.screenshot) }),
+      ...(results.keyboard && { keyboard: results.keyboard }),
+      ...(results.annotations && { annotations: results.annotations }),
+      ...(results.viewports && {
+        viewports: results.viewports.map(({ screenshot, ...v }: any) => ({ ...v, results: withoutElementShots(withoutNodeLists(v.results)) })),
+      }),
+    },
     summary: results.summary,
-    metadata: results.metadata,
+    metadata: {
+      ...results.metadata,
+      ...(job.crawlPage && { crawlId: job.crawlPage.crawlId, depth: job.crawlPage.depth }),
+    },
   };
 
   // Persist to DynamoDB
@@ -126,18 +194,288 @@ async function processRecord(record: SQSRecord, jobManager: any): Promise<void>
   console.log(
     `[AuditConsumer] Job ${job.jobId} complete: score=${auditRecord.score}, issues=${auditRecord.totalIssues}`
   );
+  return auditRecord;
+}
+
+// ─── Process Crawl Job ───────────────────────────────────────────────────────
+
+/**
+ * Discover a site's pages and queue one page job per page
+ *
+ * Page jobs reuse the batch fan-out and are named `<jobId>-page-<n>`, so
+ * each page can be fetched individually via GET /api/audit/:id. The pages
+ * are listed on the crawl record first; each page job marks its entry when
+ * done. Discovery that runs out of time parks its frontier in S3 and
+ * re-queues itself to carry on.
+ */
+async function processCrawl(job: AuditJobMessage, jobManager: any, context: Context): Promise<void> {
+  const crawlId = job.jobId;
+  const resume = job.resumeKey ? await getCrawlState(job.resumeKey) : null;
+  console.log(`[AuditConsumer] Processing crawl ${crawlId}: ${job.url}${resume ? ` (resuming after ${resume.visited} pages)` : ''}`);
+
+  const discovery = await jobManager.discoverSite(job.url, {
+    auth: job.options.auth,
+    crawl: {
+      ...job.options.crawl,
+      deadline: Date.now() + context.getRemainingTimeInMillis() - CRAWL_TIME_MARGIN_MS,
+    },
+  }, resume);
+
+  const offset: number = resume?.visited || 0; // Pages queued by earlier runs
+  const found: Array<{ url: string; depth: number }> = discovery.pages;
+  const entries: CrawlPageEntry[] = found.map((page, i) => ({ auditId: `${crawlId}-page-${offset + i}`, ...page }));
+  const final = discovery.state ? undefined : {
+    total: offset + entries.length,
+    crawl: {
+      options: discovery.options,
+      truncated: discovery.truncated, // 'maxPages' | null
+      pending: discovery.pending,     // Discovered but not audited
+      skipped: discovery.skipped,     // Filtered by include/exclude
+    },
+  };
+  const progress = await addCrawlPages(crawlId, offset, entries, final);
+
+  if (entries.length > 0) {
+    const { skipLLM, skipKeyboard, auth, axe, wcagTarget, scoringProfile, suppressions } = job.options;
+    await enqueueBatchAuditJobs({
+      batchId: crawlId,
+      urls: found.map((page) => page.url),
+      crawl: { offset, depths: found.map((page) => page.depth) },
+      options: { skipLLM, skipKeyboard, auth, axe, wcagTarget, scoringProfile, suppressions },
+      submittedAt: job.submittedAt,
+    });
+  }
+
+  if (discovery.state) {
+    const resumeKey = await saveCrawlState(crawlId, offset + entries.length, discovery.state);
+    await enqueueAuditJob({ ...job, resumeKey });
+    console.log(`[AuditConsumer] Crawl ${crawlId}: queued ${entries.length} pages, discovery continues`);
+    return;
+  }
+
+  console.log(`[AuditConsumer] Crawl ${crawlId}: discovery complete, ${final!.total} pages queued`);
+  // Every page may already be done (or none was found)
+  if (isCrawlDone(progress)) await finishCrawl(crawlId);
+}
+
+/**
+ * Audit one page of a crawl and count it on the crawl record
+ *
+ * A page that keeps failing is recorded as failed on its last delivery
+ * instead of going to the DLQ, so the crawl still completes.
+ */
+async function processCrawlPage(job: AuditJobMessage, record: SQSRecord, jobManager: any): Promise<void> {
+  const { crawlId, index } = job.crawlPage!;
+  let outcome: { success: boolean; error?: string };
+
+  try {
+    await auditPage(job, jobManager);
+    outcome = { success: true };
+  } catch (error: any) {
+    if (Number(record.attributes.ApproximateReceiveCount) < MAX_RECEIVE_COUNT) throw error; // SQS retries it
+    console.error(`[AuditConsumer] Crawl ${crawlId}: giving up on ${job.url}:`, error.message);
+    outcome = { success: false, error: error.message };
+  }
+
+  const progress = await markCrawlPageDone(crawlId, index, outcome);
+  console.log(`[AuditConsumer] Crawl ${crawlId}: ${progress.finished}/${progress.total ?? '?'} pages done`);
+  if (isCrawlDone(progress)) await finishCrawl(crawlId);
+}
+
+function isCrawlDone(progress: CrawlProgress): boolean {
+  return progress.total !== null && progress.finished >= progress.total;
+}
+
+/**
+ * Roll the finished page records of a crawl up into its site record
+ *
+ * Page records keep example elements only (node lists stay in S3), which
+ * keeps even a 500-page roll-up within the consumer's memory. A page job
+ * SQS delivers again after the roll-up finds the crawl finished and stops.
+ */
+async function finishCrawl(crawlId: string): Promise<void> {
+  const crawl = await getAuditReport(crawlId);
+  if (!crawl) throw new Error(`Crawl ${crawlId} not found`);
+  if (crawl.results.site) {
+    console.log(`[AuditConsumer] Crawl ${crawlId} already finished`);
+    return;
+  }
+  const entries: CrawlPageEntry[] = crawl.results.pages;
+
+  const pages: Array<Record<string, any>> = [];
+  for (let i = 0; i < entries.length; i += SITE_LOAD_CHUNK) {
+    const chunk = entries.slice(i, i + SITE_LOAD_CHUNK);
+    const records = await Promise.all(chunk.map((entry) => (entry.success ? getAuditReport(entry.auditId) : null)));
+    chunk.forEach((entry, j) => {
+      const page = records[j];
+      pages.push(page
+        ? { success: true, url: entry.url, data: { results: page.results, summary: page.summary } }
+        : { success: false, url: entry.url, error: entry.error || 'Audit record not found' });
+    });
+  }
+
+  const site = new ResultCombiner().combineSiteResults(pages);
+  const siteRecord: AuditRecord = {
+    auditId: crawlId,
+    url: crawl.url,
+    scannedAt: crawl.scannedAt,
+    duration: parseFloat(((Date.now() - Date.parse(crawl.scannedAt)) / 1000).toFixed(2)),
+    score: site.averageScore,
+    complianceLevel: site.complianceLevel,
+    totalIssues: site.summary.totalViolations,
+    criticalIssues: site.summary.critical,
+    results: {
+      type: 'crawl',
+      crawl: crawl.results.crawl,
+      progress: crawl.results.progress, // Late page deliveries still read it (markCrawlPageDone)
+      site,
+      pages: entries.map(({ auditId, url, depth }, i) => (pages[i].success
+        ? { auditId, url, depth, success: true }
+        : { url, depth, success: false, error: pages[i].error })),
+    },
+    summary: {
+      overallScore: site.averageScore,
+      complianceLevel: site.complianceLevel,
+      totalIssues: site.summary.totalViolations,
+      criticalIssues: site.summary.critical,
+      pagesAudited: site.pagesAudited,
+      pagesFailed: site.pagesFailed,
+    },
+    metadata: { ...crawl.metadata, type: 'crawl', crawlOptions: crawl.results.crawl?.options || {} },
+  };
+
+  await saveAuditReport(siteRecord);
+
+  console.log(
+    `[AuditConsumer] Crawl ${crawlId} complete: ${site.pagesAudited} pages, average score=${siteRecord.score}`
+  );
+}
+
+// ─── Process Flow Job ────────────────────────────────────────────────────────
+
+/**
+ * Run a scripted user flow and store it as a single record
+ *
+ * `results` holds the whole-flow violations (each tagged with the steps it
+ * appeared in) plus a per-step breakdown. Unlike single-page records, no
+ * screenshots are kept, which keeps the item under the DynamoDB size limit.
+ */
+async function processFlow(job: AuditJobMessage, jobManager: any): Promise<void> {
+  const steps = job.options.steps || [];
+  console.log(`[AuditConsumer] Processing flow ${job.jobId}: ${job.url} (${steps.length} steps)`);
+
+  const flow = await jobManager.auditUserFlow(job.url, steps, {
+    skipLLM: job.options.skipLLM,
+    fullPageScreenshot: job.options.fullPageScreenshot,
+    auth: job.options.auth,
+    axe: job.options.axe,
+    wcagTarget: job.options.wcagTarget,
+    scoringProfile: job.options.scoringProfile,
+    suppressions: job.options.suppressions,
+  });
+
+  const auditRecord: AuditRecord = {
+    auditId: job.jobId,
+    url: job.url,
+    scannedAt: flow.scannedAt,
+    duration: flow.duration,
+    score: flow.summary.overallScore,
+    complianceLevel: flow.summary.complianceLevel,
+    totalIssues: flow.summary.totalIssues,
+    criticalIssues: flow.summary.criticalIssues,
+    results: {
+      ...(await storeNodeLists(job.jobId, flow.results)),
+      type: 'flow',
+      steps: flow.steps.map((s: any) => ({
+        index: s.index,
+        label: s.label,
+        step: s.step,
+        url: s.url,
+        results: withoutNodeLists(s.results),
+        summary: s.summary,
+      })),
+    },
+    summary: flow.summary,
+    metadata: { ...flow.metadata, type: 'flow' },
+  };
+
+  await saveAuditReport(auditRecord);
+
+  console.log(
+    `[AuditConsumer] Flow ${job.jobId} complete: ${flow.steps.length} snapshots, score=${auditRecord.score}`
+  );
 
-  // Optional: Send webhook callback
   if (job.options.callbackUrl) {
     try {
       await sendWebhook(job.options.callbackUrl, auditRecord);
     } catch (err: any) {
       console.warn(`[AuditConsumer] Webhook failed for ${job.jobId}:`, err.message);
-      // Don't fail the job if webhook fails
     }
   }
 }
 
+// ─── Record Size ─────────────────────────────────────────────────────────────
+
+/**
+ * Move every failing element of the combined results to S3
+ *
+ * The record keeps the examples plus `nodeListKey`; the API loads the lists
+ * back by fingerprint for GET /api/audit/:id/violations/:fingerprint/nodes
+ * and the report exports.
+ */
+async function storeNodeLists(auditId: string, results: any): Promise<any> {
+  const lists: Record<string, any[]> = {};
+  for (const item of [...(results?.violations || []), ...(results?.suppressed || []), ...(results?.needsReview || [])]) {
+    if (item.affectedNodes?.length && item.fingerprint) lists[item.fingerprint] = item.affectedNodes;
+  }
+  if (Object.keys(lists).length === 0) return withoutNodeLists(results);
+
+  return { ...withoutNodeLists(results), nodeListKey: await saveNodeLists(auditId, lists) };
+}
+
+/**
+ * Move the cropped element screenshots of the combined results to S3
+ *
+ * Each example keeps `screenshotKey` in place of the image (served by
+ * GET /api/audit/:id/screenshots/:name); dozens of crops would otherwise
+ * crowd the record.
+ */
+async function storeElementShots(auditId: string, results: any): Promise<any> {
+  if (!results?.violations) return results;
+  let count = 0;
+  const store = (items: any[]) => Promise.all(items.map(async (item: any) => ({
+    ...item,
+    examples: await Promise.all((item.examples || []).map(async (ex: any) => {
+      if (!ex?.screenshot) return ex;
+      const { screenshot, ...example } = ex;
+      return { ...example, screenshotKey: await saveElementShot(auditId, count++, screenshot) };
+    })),
+  })));
+  return {
+    ...results,
+    violations: await store(results.violations),
+    ...(results.suppressed && { suppressed: await store(results.suppressed) }),
+  };
+}
+
+/** Drop element crops from a per-viewport breakdown (the combined results keep them) */
+function withoutElementShots(results: any): any {
+  if (!results?.violations) return results;
+  const strip = (items: any[]) => items.map((item: any) => ({
+    ...item,
+    examples: (item.examples || []).map((ex: any) => {
+      if (!ex?.screenshot) return ex;
+      const { screenshot, ...example } = ex;
+      return example;
+    }),
+  }));
+  return {
+    ...results,
+    violations: strip(results.violations),
+    ...(results.suppressed && { suppressed: strip(results.suppressed) }),
+  };
+}
+
 // ─── Webhook Notification ────────────────────────────────────────────────────
 
 async function sendWebhook(url: string, data: AuditRecord): Promise<void> {
@@ -5,6 +5,7 @@
  *   1. AccessibilityScraper  → Loads page via Puppeteer, runs axe-core
  *   2. LLMAnalyzer           → Sends page content to GPT-4 for semantic checks
  *   3. ResultCombiner        → Merges both result sets, calculates compliance score
+ *   4. SiteCrawler           → Discovers same-origin pages for whole-site audits
  *
  * Usage:
  *   const mgr = new JobManager(OPENAI_API_KEY);
@@ -15,6 +16,11 @@
 const AccessibilityScraper = require('../scraper/puppeteer-scraper');
 const LLMAnalyzer = require('../analyzer/llm-analyzer');
 const ResultCombiner = require('../analyzer/combiner');
+const SiteCrawler = require('../crawler/site-crawler');
+const { describeAuth } = require('../scraper/auth');
+const { resolveViewports } = require('../scraper/viewports');
+const { describeAxeOptions } = require('../scraper/axe-config');
+const { loadSuppressions } = require('../analyzer/suppressions');
 
 class JobManager {
   constructor(openaiKey) {
@@ -44,7 +50,17 @@ class JobManager {
    * @param {string} url  — The URL to audit
    * @param {Object} options
    * @param {boolean} options.skipLLM — If true, skip GPT-4 analysis (faster)
+   * @param {boolean} options.skipKeyboard — If true, skip the Tab-walk keyboard checks
+   * @param {boolean} options.fullPageScreenshot — Capture the whole page (with violation boxes)
+   * @param {number} options.elementScreenshots — Cropped thumbnails per rule (0 disables, default 3)
+   * @param {Object} options.auth — Credentials / login script for protected pages
+   * @param {Array} options.viewports — Profile names / custom profiles to audit at (see viewports.js)
+   * @param {Object} options.axe — axe-core tags / rules / include / exclude (see axe-config.js)
+   * @param {string} options.wcagTarget — Conformance target, e.g. "WCAG 2.2 AA" (see wcag-criteria.js)
+   * @param {string|Object} options.scoringProfile — Scoring profile name or custom profile (see scoring-profiles.js)
+   * @param {Array} options.suppressions — Waivers for accepted issues, added to SUPPRESSIONS_FILE (see suppressions.js)
    * @returns {Object} Full audit report with score, violations, metadata
+   *                   (plus `viewports` with per-profile results when requested)
    */
   async auditWebsite(url, options = {}) {
     if (!this.initialized) await this.initialize();
@@ -55,55 +71,137 @@ class JobManager {
     console.log(`${'='.repeat(60)}\n`);
 
     try {
+      if (options.viewports?.length) return await this._auditViewports(url, options, startTime);
+
       // ── Step 1: Scrape + axe-core ──────────────────────────────────────
       console.log('📊 Step 1/3: Scraping page & running axe-core...');
-      const scrapedData = await this.scraper.scrapePage(url);
+      const scrapedData = await this.scraper.scrapePage(url, this._scrapeOptions(options));
       console.log(`   ✓ ${scrapedData.axeResults.violations.length} automated violations found`);
       console.log(`   ✓ Extracted ${scrapedData.content.links.length} links, ${scrapedData.content.images.length} images\n`);
 
-      // ── Step 2: LLM semantic analysis (optional) ──────────────────────
-      let llmResults = { violations: [] };
-      if (options.skipLLM !== true) {
-        console.log('🤖 Step 2/3: Running GPT-4 semantic analysis...');
-        llmResults = await this.llmAnalyzer.analyzeContent(scrapedData);
-        console.log(`   ✓ ${llmResults.violations?.length || 0} semantic violations found\n`);
-      } else {
-        console.log('⏭️  Step 2/3: Skipped (LLM disabled)\n');
+      return await this._analyzePage(scrapedData, options, startTime);
+    } catch (error) {
+      console.error('\n❌ Audit failed:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Discover the pages of a site from a root URL (or sitemap.xml) without
+   * auditing them — the consumer queues one audit job per page found.
+   * Pages at the depth limit are listed but never loaded, since their
+   * links would not be followed.
+   *
+   * @param {string} startUrl — Root page or sitemap URL
+   * @param {Object} options
+   * @param {Object} options.crawl — SiteCrawler options (maxDepth, maxPages, include, exclude, sitemap, deadline)
+   * @param {Object} options.auth — Credentials for pages behind a login (see scrapePage)
+   * @param {Object} [resume] — `state` from an earlier, deadline-truncated discovery run
+   * @returns {Object} { url, options, pages: [{ url, depth }], truncated, pending, skipped, state }
+   */
+  async discoverSite(startUrl, options = {}, resume = null) {
+    if (!this.initialized) await this.initialize();
+
+    // The politeness delay applies between real page loads only
+    const crawler = new SiteCrawler({ ...options.crawl, delay: 0 });
+    const { maxDepth, maxPages, delay } = { ...SiteCrawler.DEFAULT_CRAWL_OPTIONS, ...options.crawl };
+    console.log(`\n🕸️  Site discovery: ${startUrl} (max ${maxPages} pages, depth ${maxDepth})${resume ? ' — resumed' : ''}\n`);
+
+    const crawl = await crawler.crawl(startUrl, async (url, depth) => {
+      if (depth >= maxDepth) return { links: [] };
+      try {
+        const links = await this.scraper.collectLinks(url, { auth: options.auth });
+        if (delay > 0) await new Promise(resolve => setTimeout(resolve, delay));
+        return { links };
+      } catch (error) {
+        // The page's own audit job reports the failure
+        console.warn(`Could not collect links on ${url}: ${error.message}`);
+        return { links: [] };
       }
+    }, resume);
 
-      // ── Step 3: Combine & score ───────────────────────────────────────
-      console.log('🔄 Step 3/3: Combining results & calculating score...');
-      const combinedResults = this.combiner.combineResults(scrapedData.axeResults, llmResults);
-      const summary = this.combiner.generateSummary(combinedResults);
+    return {
+      url: crawl.startUrl,
+      options: { ...crawler.options, delay },
+      pages: crawl.pages.map(({ url, depth }) => ({ url, depth })),
+      truncated: crawl.truncated,                                 // 'maxPages' | 'deadline' | null
+      pending: crawl.pending.length,                              // Discovered but not queued
+      skipped: (resume?.skipped || 0) + crawl.skipped.length,     // Filtered by include/exclude
+      state: crawl.state,                                         // Set when discovery must resume
+    };
+  }
 
-      const duration = ((Date.now() - startTime) / 1000).toFixed(2);
-      console.log(`   ✓ Done in ${duration}s\n`);
+  /**
+   * Audit a scripted user flow: axe-core (and optionally GPT-4) runs after
+   * the initial load and again after every interaction step, so issues in
+   * opened modals, expanded menus or later checkout steps are caught.
+   *
+   * @param {string} url — Page where the flow starts
+   * @param {Array} steps — Ordered steps: click, type, fill, select, press,
+   *                         waitForSelector, waitForNavigation, navigate
+   * @param {Object} options — Same options as auditWebsite
+   * @returns {Object} { type: 'flow', results, summary, steps: [per-step reports], ... }
+   */
+  async auditUserFlow(url, steps, options = {}) {
+    if (!this.initialized) await this.initialize();
+
+    const startTime = Date.now();
+    console.log(`\n${'='.repeat(60)}`);
+    console.log(`User flow audit: ${url} (${steps.length} steps)`);
+    console.log(`${'='.repeat(60)}\n`);
+
+    try {
+      // ── Step 1: Run the flow, auditing after every step ──────────────
+      console.log('📊 Step 1/3: Running flow & axe-core after each step...');
+      const flowData = await this.scraper.scrapeFlow(url, steps, this._scrapeOptions(options));
+
+      // ── Steps 2–3 per flow step ───────────────────────────────────────
+      const stepReports = [];
+      const llmByStep = [];
+      for (const snapshot of flowData.steps) {
+        console.log(`\n[Flow ${snapshot.index}/${steps.length}] ${snapshot.label}`);
+        const llmResults = await this._runLLM(snapshot, options);
+        const report = this._buildReport(snapshot, llmResults, options, startTime);
+
+        llmByStep.push({ label: snapshot.index, llmResults });
+        stepReports.push({
+          index: snapshot.index,
+          label: snapshot.label,
+          step: snapshot.step,
+          ...report,
+        });
+      }
+
+      // ── Whole-flow result: every issue once, tagged with its steps ───
+      console.log('🔄 Combining results across all flow steps...');
+      const snapshots = flowData.steps.map(s => ({ label: s.index, axeResults: s.axeResults }));
+      const combinedResults = this.combiner.combineResults(
+        this.combiner.mergeAxeResults(snapshots, 'steps'),
+        this.combiner.mergeLlmResults(llmByStep, 'steps'),
+        { target: options.wcagTarget, scoringProfile: options.scoringProfile, url, suppressions: this._suppressions(options) },
+      );
+      const summary = this.combiner.generateSummary(combinedResults);
+      const duration = parseFloat(((Date.now() - startTime) / 1000).toFixed(2));
 
       this._printSummary(summary, combinedResults);
 
-      // ── Build response object ─────────────────────────────────────────
       return {
+        type: 'flow',
         url,
-        scannedAt: scrapedData.timestamp,
-        duration: parseFloat(duration),
+        scannedAt: flowData.timestamp,
+        duration,
         results: combinedResults,
         summary,
-        screenshot: scrapedData.screenshot || null,
+        screenshot: stepReports[0].screenshot,
+        annotations: stepReports[0].annotations,
         metadata: {
-          pageTitle: scrapedData.content.title,
-          totalElements: {
-            headings: scrapedData.content.headings.length,
-            links: scrapedData.content.links.length,
-            images: scrapedData.content.images.length,
-            forms: scrapedData.content.forms.length,
-            buttons: scrapedData.content.buttons.length,
-          },
-          viewport: scrapedData.metadata.viewport,
-          userAgent: scrapedData.metadata.userAgent,
+          ...stepReports[0].metadata,
+          flow: { steps: steps.length, finalUrl: stepReports[stepReports.length - 1].url },
         },
+        steps: stepReports,
       };
     } catch (error) {
-      console.error('\n❌ Audit failed:', error.message);
+      console.error('\n❌ Flow audit failed:', error.message);
       throw error;
     }
   }
@@ -146,11 +244,156 @@ class JobManager {
   }
 
   // ─── Private ────────────────────────────────────────────────────────────
+  /**
+   * Multi-viewport variant of auditWebsite: load and audit the page once per
+   * profile, then merge the axe-core results so each violation lists the
+   * viewports it occurs at (e.g. a menu button that only fails on mobile).
+   *
+   * @returns {Object} Audit report whose results cover every viewport, plus
+   *                   `viewports: [{ name, viewport, screenshot, annotations, results, summary }]`
+   */
+  async _auditViewports(url, options, startTime) {
+    const profiles = resolveViewports(options.viewports);
+
+    // ── Step 1: Scrape + axe-core at every viewport ──────────────────────
+    console.log(`📊 Step 1/3: Scraping at ${profiles.length} viewports & running axe-core...`);
+    const snapshots = [];
+    for (const { name, viewport } of profiles) {
+      const scrapedData = await this.scraper.scrapePage(url, { ...this._scrapeOptions(options), viewport });
+      console.log(`   ✓ ${name} (${viewport.width}×${viewport.height}): ${scrapedData.axeResults.violations.length} automated violations`);
+      snapshots.push({ name, viewport, scrapedData });
+    }
+    console.log('');
+
+    // Page text rarely changes between layouts — one GPT-4 pass (first profile) is enough;
+    // likewise the first profile's keyboard walk feeds the combined result
+    const llmResults = await this._runLLM(snapshots[0].scrapedData, options);
+    const axeResults = this.combiner.mergeAxeResults(
+      snapshots.map(s => ({ label: s.name, axeResults: s.scrapedData.axeResults })),
+      'viewports',
+    );
+    const report = this._buildReport({ ...snapshots[0].scrapedData, axeResults }, llmResults, options, startTime);
+
+    // Per-viewport breakdown is axe-core only (the LLM saw a single layout)
+    report.metadata.viewports = profiles;
+    report.viewports = snapshots.map(({ name, viewport, scrapedData }) => {
+      const results = this.combiner.combineResults(scrapedData.axeResults, null, {
+        keyboardResults: scrapedData.keyboardResults,
+        target: options.wcagTarget,
+        scoringProfile: options.scoringProfile,
+        url: scrapedData.url,
+        suppressions: this._suppressions(options),
+      });
+      return {
+        name,
+        viewport,
+        screenshot: scrapedData.screenshot || null,
+        annotations: scrapedData.annotations || null,
+        results,
+        summary: this.combiner.generateSummary(results),
+      };
+    });
+    return report;
+  }
+
+  /**
+   * Steps 2–3 of the pipeline for an already-scraped page
+   * (shared by single-page audits and site crawls)
+   *
+   * @param {Object} scrapedData — Output of AccessibilityScraper.scrapePage
+   * @param {Object} options — Same options as auditWebsite
+   * @param {number} startTime — Epoch ms when this page's audit started
+   * @returns {Object} Full audit report for the page
+   */
+  async _analyzePage(scrapedData, options, startTime) {
+    const llmResults = await this._runLLM(scrapedData, options);
+    return this._buildReport(scrapedData, llmResults, options, startTime);
+  }
+
+  /** Step 2 — LLM semantic analysis (optional) */
+  async _runLLM(scrapedData, options) {
+    if (options.skipLLM === true) {
+      console.log('⏭️  Step 2/3: Skipped (LLM disabled)\n');
+      return { violations: [] };
+    }
+
+    console.log('🤖 Step 2/3: Running GPT-4 semantic analysis...');
+    const llmResults = await this.llmAnalyzer.analyzeContent(scrapedData, { target: options.wcagTarget });
+    console.log(`   ✓ ${llmResults.violations?.length || 0} semantic violations found\n`);
+    return llmResults;
+  }
+
+  /** Step 3 — Combine axe-core + LLM results and build the report object */
+  _buildReport(scrapedData, llmResults, options, startTime) {
+    // ── Step 3: Combine & score ───────────────────────────────────────
+    console.log('🔄 Step 3/3: Combining results & calculating score...');
+    const combinedResults = this.combiner.combineResults(scrapedData.axeResults, llmResults, {
+      keyboardResults: scrapedData.keyboardResults,
+      target: options.wcagTarget,
+      scoringProfile: options.scoringProfile,
+      url: scrapedData.url,
+      suppressions: this._suppressions(options),
+    });
+    const summary = this.combiner.generateSummary(combinedResults);
+
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+    console.log(`   ✓ Done in ${duration}s\n`);
+
+    this._printSummary(summary, combinedResults);
+
+    // ── Build response object ─────────────────────────────────────────
+    return {
+      url: scrapedData.url,
+      scannedAt: scrapedData.timestamp,
+      duration: parseFloat(duration),
+      results: combinedResults,
+      summary,
+      screenshot: scrapedData.screenshot || null,
+      annotations: scrapedData.annotations || null, // Violation boxes in screenshot coordinates
+      keyboard: scrapedData.keyboardResults || null, // Focus order + raw keyboard findings
+      metadata: {
+        pageTitle: scrapedData.content.title,
+        totalElements: {
+          headings: scrapedData.content.headings.length,
+          links: scrapedData.content.links.length,
+          images: scrapedData.content.images.length,
+          forms: scrapedData.content.forms.length,
+          buttons: scrapedData.content.buttons.length,
+        },
+        viewport: scrapedData.metadata.viewport,
+        userAgent: scrapedData.metadata.userAgent,
+        auth: describeAuth(options.auth), // Redacted — names only, never secrets
+        // Exactly what axe-core ran with, so the result can be reproduced
+        axe: { ...describeAxeOptions(options.axe), version: scrapedData.axeResults.testEngine?.version || null },
+      },
+    };
+  }
+
+  /** Options passed through to AccessibilityScraper.scrapePage / scrapeFlow */
+  _scrapeOptions(options) {
+    return {
+      auth: options.auth,
+      keyboard: options.skipKeyboard !== true,
+      fullPage: options.fullPageScreenshot === true,
+      elementScreenshots: options.elementScreenshots,
+      axe: options.axe,
+    };
+  }
+
+  /** Waivers from SUPPRESSIONS_FILE (re-read per audit) plus the request's own */
+  _suppressions(options) {
+    return [...loadSuppressions(), ...(options.suppressions || [])];
+  }
+
   _printSummary(summary, results) {
     console.log(`${'─'.repeat(40)}`);
-    console.log(`Score: ${summary.overallScore}/100  |  Level: ${summary.complianceLevel}  |  Issues: ${summary.totalIssues}`);
+    console.log(`Score: ${summary.overallScore}/100 (${summary.scoringProfile})  |  Level: ${summary.complianceLevel} (${summary.target})  |  Issues: ${summary.totalIssues}`);
     console.log(`  Critical: ${summary.criticalIssues}  Serious: ${results.summary.serious}  Moderate: ${results.summary.moderate}  Minor: ${results.summary.minor}`);
-    console.log(`  WCAG A: ${results.wcagCoverage.A}%  AA: ${results.wcagCoverage.AA}%  AAA: ${results.wcagCoverage.AAA}%`);
+    const coverage = Object.entries(results.wcagCoverage).map(([level, pct]) => `${level}: ${pct}%`).join('  ');
+    console.log(`  WCAG ${coverage}  |  Not tested: ${summary.criteriaNotTested}`);
+    if (results.summary.suppressed || results.summary.waiversExpired) {
+      console.log(`  🔕 Suppressed: ${results.summary.suppressed}  |  Expired waivers: ${results.summary.waiversExpired}`);
+    }
     console.log(`${'─'.repeat(40)}\n`);
   }
 }
@@ -0,0 +1,41 @@
+/**
+ * common.js — Helpers shared by the report exporters in this folder
+ */
+
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/** Escape text for HTML / XML element content and attribute values */
+function escapeMarkup(value) {
+  return String(value ?? '').replace(/[&<>"']/g, ch => ESCAPES[ch]);
+}
+
+/** escapeMarkup for Office XML parts, minus the control characters XML 1.0 does not allow */
+function escapeXml(value) {
+  return escapeMarkup(String(value ?? '').replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, ''));
+}
+
+/**
+ * Download filename for an exported report
+ *
+ * @param {Object} report — Audit report ({ url, scannedAt, ... })
+ * @param {string} extension — File extension without the dot
+ * @param {string} prefix — Filename prefix
+ * @returns {string} e.g. "accessibility-report-shop.example.com-2026-10-19.html"
+ */
+function reportFilename(report, extension, prefix = 'accessibility-report') {
+  let host = 'audit';
+  try {
+    host = new URL(report.url).hostname;
+  } catch {
+    // Keep the generic name
+  }
+  const date = String(report.scannedAt || new Date().toISOString()).slice(0, 10);
+  return `${prefix}-${host}-${date}.${extension}`;
+}
+
+/** Single-page, viewport and flow reports carry a violation list; crawls and pending records don't */
+function isExportable(report) {
+  return Array.isArray(report?.results?.violations);
+}
+
+module.exports = { escapeMarkup, escapeXml, reportFilename, isExportable };
@@ -0,0 +1,302 @@
+/**
+ * html-report.js — Standalone HTML export of a finished audit
+ *
+ * Renders one self-contained file (inline CSS, screenshots as data URIs) for
+ * readers who don't use the dashboard: executive summary and score,
+ * severity breakdown (chart and table), WCAG coverage, the page screenshot
+ * when the report has one, and every violation with its fix guidance and
+ * affected elements, followed by suppressed and needs-review items. The PDF
+ * export (pdf-report.js) prints the same document behind a cover page.
+ *
+ * The report itself is meant to pass an accessibility audit: one h1, nested
+ * section headings, data tables with captions and header cells, a skip link,
+ * alt text on every image and AA-contrast colours with severity always given
+ * as text. DynamoDB records don't keep screenshots, so AWS exports go
+ * without them.
+ */
+
+const { escapeMarkup: esc, isExportable } = require('./common');
+
+const IMPACTS = ['critical', 'serious', 'moderate', 'minor'];
+const CRITERION_STATUS = {
+  passed: 'Passed',
+  failed: 'Failed',
+  notApplicable: 'Not applicable',
+  notTested: 'Not tested',
+};
+
+// Colours pass WCAG AA contrast against their backgrounds; severity is always spelled out too
+const STYLES = `
+  * { box-sizing: border-box; }
+  body { margin: 0; font: 16px/1.5 system-ui, -apple-system, "Segoe UI", Roboto, sans-serif; color: #1f2937; background: #ffffff; }
+  main { max-width: 1000px; margin: 0 auto; padding: 2rem 1.5rem 4rem; }
+  .skip-link { position: absolute; left: -9999px; }
+  .skip-link:focus { left: 1rem; top: 1rem; background: #1e3a8a; color: #ffffff; padding: 0.5rem 1rem; }
+  h1 { font-size: 1.9rem; margin: 0 0 0.25rem; }
+  h2 { font-size: 1.4rem; margin: 2.5rem 0 1rem; padding-bottom: 0.25rem; border-bottom: 2px solid #e5e7eb; }
+  h3 { font-size: 1.1rem; margin: 0; }
+  a { color: #1d4ed8; }
+  a:focus, summary:focus { outline: 3px solid #1d4ed8; outline-offset: 2px; }
+  .meta { color: #4b5563; margin: 0 0 0.25rem; }
+  .score { display: flex; flex-wrap: wrap; gap: 1rem; }
+  .stat { flex: 1 1 180px; border: 1px solid #d1d5db; border-radius: 8px; padding: 1rem; }
+  .stat-value { display: block; font-size: 2rem; font-weight: 700; }
+  table { width: 100%; border-collapse: collapse; margin: 0.5rem 0 1rem; font-size: 0.95rem; }
+  caption { text-align: left; font-weight: 600; padding: 0.25rem 0; }
+  th, td { border: 1px solid #d1d5db; padding: 0.4rem 0.6rem; text-align: left; vertical-align: top; }
+  th { background: #f3f4f6; }
+  code { font-family: ui-monospace, "Cascadia Code", Menlo, monospace; font-size: 0.85rem; word-break: break-all; }
+  .violation { border: 1px solid #d1d5db; border-radius: 8px; padding: 1rem; margin-bottom: 1rem; }
+  .violation-heading { display: flex; flex-wrap: wrap; align-items: center; gap: 0.5rem; }
+  .badge { display: inline-block; border-radius: 4px; padding: 0 0.5rem; font-size: 0.8rem; font-weight: 700; text-transform: uppercase; }
+  .critical { background: #fee2e2; color: #991b1b; }
+  .serious { background: #ffedd5; color: #9a3412; }
+  .moderate { background: #fef9c3; color: #854d0e; }
+  .minor { background: #dbeafe; color: #1e40af; }
+  .source { background: #f3f4f6; color: #374151; }
+  dl { display: grid; grid-template-columns: max-content 1fr; gap: 0.25rem 1rem; margin: 0.75rem 0; }
+  dt { font-weight: 600; }
+  dd { margin: 0; }
+  .screenshot { max-width: 100%; border: 1px solid #d1d5db; }
+  .chart { display: block; max-width: 560px; margin: 0.5rem 0 1rem; }
+  .cover { min-height: 90vh; display: flex; flex-direction: column; justify-content: center; break-after: page; }
+  .cover h1 { font-size: 2.4rem; }
+  .cover-score { font-size: 4rem; font-weight: 700; margin: 1.5rem 0 0; }
+  .element-shot { max-width: 160px; max-height: 100px; border: 1px solid #d1d5db; background: #ffffff; }
+  footer { margin-top: 3rem; color: #4b5563; font-size: 0.85rem; }
+  @media print { .skip-link { display: none; } .violation { break-inside: avoid; } }
+`;
+
+/** Data table with a caption, column headers and the first cell of each row as its row header */
+function table(caption, headers, rows) {
+  return `<table>
+<caption>${esc(caption)}</caption>
+<thead><tr>${headers.map(h => `<th scope="col">${esc(h)}</th>`).join('')}</tr></thead>
+<tbody>
+${rows.map(cells => `<tr>${cells.map((cell, i) => (i === 0 ? `<th scope="row">${cell}</th>` : `<td>${cell}</td>`)).join('')}</tr>`).join('\n')}
+</tbody>
+</table>`;
+}
+
+/** Horizontal bar chart of violations per severity; the table next to it carries the same numbers */
+function severityChart(counts) {
+  const max = Math.max(1, ...IMPACTS.map(impact => counts[impact] || 0));
+  const fills = { critical: '#b91c1c', serious: '#c2410c', moderate: '#a16207', minor: '#1d4ed8' };
+  const bars = IMPACTS.map((impact, i) => {
+    const value = counts[impact] || 0;
+    const y = i * 34;
+    return `<text x="0" y="${y + 21}" font-size="14" fill="#1f2937">${impact}</text>
+<rect x="90" y="${y + 6}" width="${Math.round((value / max) * 380)}" height="22" fill="${fills[impact]}"></rect>
+<text x="${96 + Math.round((value / max) * 380)}" y="${y + 22}" font-size="14" fill="#1f2937">${value}</text>`;
+  }).join('\n');
+  const label = IMPACTS.map(impact => `${counts[impact] || 0} ${impact}`).join(', ');
+  return `<svg class="chart" role="img" aria-labelledby="severity-chart-title" viewBox="0 0 520 ${IMPACTS.length * 34}" xmlns="http://www.w3.org/2000/svg">
+<title id="severity-chart-title">Violations by severity: ${esc(label)}</title>
+${bars}
+</svg>`;
+}
+
+/** Title page for printed / PDF reports */
+function coverPage(report) {
+  const { summary } = report;
+  return `<section class="cover" aria-labelledby="cover-heading">
+<h1 id="cover-heading">Accessibility audit report</h1>
+<p class="meta">${esc(report.metadata?.pageTitle || '')}</p>
+<p class="meta">${esc(report.url)}</p>
+<p class="meta">Audited ${esc(new Date(report.scannedAt).toUTCString())} against ${esc(report.results.target || summary.target)}</p>
+<p class="cover-score">${esc(summary.overallScore)} / 100</p>
+<p>Conformance: ${esc(summary.complianceLevel)}</p>
+</section>`;
+}
+
+function scoreSection(report) {
+  const { summary } = report;
+  const stat = (label, value) => `<div class="stat"><span class="stat-value">${esc(value)}</span>${esc(label)}</div>`;
+  return `<section aria-labelledby="score-heading">
+<h2 id="score-heading">Executive summary</h2>
+<div class="score">
+${stat('Compliance score (out of 100)', summary.overallScore)}
+${stat('Conformance', summary.complianceLevel)}
+${stat('Automated checks reach', summary.automatedLevel || 'None')}
+${stat('Issues', summary.totalIssues)}
+</div>
+<p>${esc(summary.recommendation)}</p>
+${summary.criteriaNotTested ? `<p>${esc(summary.criteriaNotTested)} success criteria cannot be checked automatically and need manual review.</p>` : ''}
+</section>`;
+}
+
+function severitySection(results) {
+  const counts = results.summary || {};
+  const rows = IMPACTS.map(impact => [`<span class="badge ${impact}">${impact}</span>`, esc(counts[impact] || 0)]);
+  rows.push(['Total', esc(counts.totalViolations || 0)]);
+  const extra = [
+    counts.suppressed ? `${counts.suppressed} suppressed under a waiver (not scored)` : '',
+    counts.outOfTarget ? `${counts.outOfTarget} outside the conformance target (not scored)` : '',
+  ].filter(Boolean);
+  return `<section aria-labelledby="severity-heading">
+<h2 id="severity-heading">Severity breakdown</h2>
+${severityChart(counts)}
+${table('Violations by severity', ['Severity', 'Violations'], rows)}
+${extra.map(line => `<p>${esc(line)}</p>`).join('\n')}
+</section>`;
+}
+
+function coverageSection(results) {
+  const criteria = results.wcagCriteria || [];
+  const levels = Object.keys(results.wcagCoverage || {});
+  const rows = levels.map(level => {
+    const atLevel = criteria.filter(c => c.level === level);
+    const count = status => atLevel.filter(c => c.status === status).length;
+    return [esc(level), `${esc(results.wcagCoverage[level])}%`, ...['passed', 'failed', 'notApplicable', 'notTested'].map(s => esc(count(s)))];
+  });
+  const failed = criteria.filter(c => c.status === 'failed').map(c => [
+    esc(c.id), esc(c.name || ''), esc(c.level), esc(c.failed.join(', ')),
+  ]);
+  return `<section aria-labelledby="coverage-heading">
+<h2 id="coverage-heading">${esc(results.target || 'WCAG')} coverage</h2>
+${table('Success criteria per conformance level', ['Level', 'Coverage', ...Object.values(CRITERION_STATUS)], rows)}
+${failed.length ? table('Failed success criteria', ['Criterion', 'Name', 'Level', 'Failing rules'], failed) : '<p>No success criterion failed the automated checks.</p>'}
+</section>`;
+}
+
+function screenshotSection(report) {
+  if (!report.screenshot) return '';
+  return `<section aria-labelledby="screenshot-heading">
+<h2 id="screenshot-heading">Screenshot</h2>
+<img class="screenshot" src="data:image/jpeg;base64,${report.screenshot}" alt="Screenshot of ${esc(report.url)} at the time of the audit">
+</section>`;
+}
+
+/** Every affected element (or the stored examples for older reports), with element screenshots where cropped */
+function elementsTable(v) {
+  const nodes = v.affectedNodes || (v.examples || []).filter(ex => ex && typeof ex === 'object');
+  if (nodes.length === 0) return '';
+  const shots = new Map((v.examples || []).filter(ex => ex?.screenshot).map(ex => [ex.target, ex.screenshot]));
+  const rows = nodes.map((n, i) => [
+    esc(i + 1),
+    `<code>${esc(n.target)}</code>`,
+    `<code>${esc(n.html)}</code>`,
+    shots.has(n.target)
+      ? `<img class="element-shot" src="data:image/jpeg;base64,${shots.get(n.target)}" alt="Element ${i + 1} affected by ${esc(v.id || v.type)}">`
+      : esc(n.failureSummary || n.message || ''),
+  ]);
+  return table(`Affected elements (${nodes.length})`, ['#', 'Selector', 'HTML', 'Details'], rows);
+}
+
+function violationBlock(v, index) {
+  const rule = v.id || v.type;
+  const quotes = (v.examples || []).filter(ex => typeof ex === 'string');
+  const details = [
+    ['How to fix', esc(v.recommendation || v.help)],
+    v.helpUrl && ['Guidance', `<a href="${esc(v.helpUrl)}">${esc(v.helpUrl)}</a>`],
+    v.wcagTags?.length && ['WCAG', esc(v.wcagTags.join(', '))],
+    v.nodes && ['Elements', esc(v.nodes)],
+    v.steps && ['Flow steps', esc(v.steps.map(s => (s === 0 ? 'load' : `step ${s}`)).join(', '))],
+    v.viewports && ['Viewports', esc(v.viewports.join(', '))],
+    v.outOfTarget && ['Scoring', 'Outside the conformance target; not scored'],
+    v.fingerprint && ['ID', `<code>${esc(v.fingerprint)}</code>`],
+  ].filter(Boolean);
+  return `<article class="violation" aria-labelledby="violation-${index}">
+<div class="violation-heading">
+<h3 id="violation-${index}">${index + 1}. ${esc(rule)}</h3>
+<span class="badge ${esc(v.impact)}">${esc(v.impact)}</span>
+<span class="badge source">${esc(v.source)}</span>
+</div>
+<p>${esc(v.description)}</p>
+<dl>
+${details.map(([term, value]) => `<dt>${esc(term)}</dt><dd>${value}</dd>`).join('\n')}
+</dl>
+${quotes.length ? `<p>Examples:</p><ul>${quotes.map(q => `<li><code>${esc(q)}</code></li>`).join('')}</ul>` : ''}
+${elementsTable(v)}
+</article>`;
+}
+
+function violationsSection(results) {
+  const violations = results.violations;
+  return `<section aria-labelledby="violations-heading">
+<h2 id="violations-heading">Violations (${violations.length})</h2>
+${violations.length ? violations.map(violationBlock).join('\n') : '<p>No violations were found by the automated checks.</p>'}
+</section>`;
+}
+
+function suppressedSection(results) {
+  const suppressed = results.suppressed || [];
+  if (suppressed.length === 0) return '';
+  const rows = suppressed.map(v => [
+    esc(v.id || v.type), esc(v.impact), esc(v.suppression.justification), esc(v.suppression.owner), esc(v.suppression.expires),
+  ]);
+  return `<section aria-labelledby="suppressed-heading">
+<h2 id="suppressed-heading">Suppressed (${suppressed.length})</h2>
+<p>Accepted under a waiver. Not scored, but they still fail their WCAG criteria.</p>
+${table('Waived violations', ['Rule', 'Severity', 'Justification', 'Owner', 'Expires'], rows)}
+</section>`;
+}
+
+function needsReviewSection(results) {
+  const items = results.needsReview || [];
+  if (items.length === 0) return '';
+  const rows = items.map(item => [
+    esc(item.id), esc(item.impact), esc(item.help || item.description),
+    esc(item.review ? item.review.status : 'Awaiting review'),
+  ]);
+  return `<section aria-labelledby="review-heading">
+<h2 id="review-heading">Needs manual review (${items.length})</h2>
+${table('Checks axe-core could not decide', ['Rule', 'Severity', 'Check', 'Review'], rows)}
+</section>`;
+}
+
+/**
+ * Render a finished audit as a standalone HTML document
+ *
+ * @param {Object} report — Audit report ({ url, scannedAt, results, summary, screenshot?, metadata? }),
+ *                          as returned by the job manager or stored in DynamoDB
+ * @param {Object} options
+ * @param {boolean} options.cover — Start with a title page (used for the PDF export)
+ * @returns {string} Complete HTML document
+ * @throws {Error} When the report has no violation list (crawl site record or pending audit)
+ */
+function renderHtmlReport(report, { cover = false } = {}) {
+  if (!isExportable(report)) throw new Error('Only finished page, viewport and flow audits can be exported');
+  const { results, summary } = report;
+  const title = `Accessibility audit report: ${report.url}`;
+  const meta = [
+    report.metadata?.pageTitle && `Page title: ${report.metadata.pageTitle}`,
+    `Audited: ${new Date(report.scannedAt).toUTCString()}`,
+    `Target: ${results.target || summary.target}`,
+    summary.scoringProfile && `Scoring profile: ${summary.scoringProfile}`,
+  ].filter(Boolean);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${esc(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<a class="skip-link" href="#violations-heading">Skip to violations</a>
+<main>
+${cover ? coverPage(report) : ''}
+<header>
+<${cover ? 'h2' : 'h1'}>${cover ? 'Report details' : 'Accessibility audit report'}</${cover ? 'h2' : 'h1'}>
+<p class="meta"><a href="${esc(report.url)}">${esc(report.url)}</a></p>
+${meta.map(line => `<p class="meta">${esc(line)}</p>`).join('\n')}
+</header>
+${scoreSection(report)}
+${severitySection(results)}
+${coverageSection(results)}
+${screenshotSection(report)}
+${violationsSection(results)}
+${suppressedSection(results)}
+${needsReviewSection(results)}
+<footer>
+<p>Automated checks (axe-core, keyboard and, where enabled, LLM review) cannot establish full conformance. Criteria marked "Not tested" need manual evaluation.</p>
+</footer>
+</main>
+</body>
+</html>
+`;
+}
+
+module.exports = { renderHtmlReport };
@@ -0,0 +1,172 @@
+/**
+ * junit.js — JUnit XML export for CI test dashboards
+ *
+ * Maps an audit onto the test-report shape Jenkins, GitLab, Azure DevOps and
+ * friends already chart:
+ *   - testsuite: one per audited page (a flow audit gives one per step)
+ *   - testcase:  one per axe-core rule, keyboard check and LLM finding type
+ *   - failure:   violations at or above the `failOn` impact (default: minor,
+ *                i.e. every in-target violation), with the affected elements
+ *                in the failure body
+ *   - skipped:   waived violations (suppressions.js) and checks still
+ *                awaiting manual review
+ * Rules axe-core passed (`passedRules`) and keyboard checks that found
+ * nothing are passing testcases, so the totals reflect everything that ran.
+ */
+
+const { escapeMarkup } = require('./common');
+
+const IMPACT_ORDER = { critical: 0, serious: 1, moderate: 2, minor: 3 };
+const DEFAULT_FAIL_ON = 'minor';
+
+/**
+ * Read the `failOn` query parameter
+ * @param {string} [value] — Lowest impact that fails a testcase, e.g. "serious"
+ * @returns {{ failOn: string } | { error: string }}
+ */
+function parseFailOn(value) {
+  if (value === undefined || value === '') return { failOn: DEFAULT_FAIL_ON };
+  if (!(value in IMPACT_ORDER)) {
+    return { error: `failOn must be one of: ${Object.keys(IMPACT_ORDER).join(', ')}` };
+  }
+  return { failOn: value };
+}
+
+/** Serialize attributes, skipping empty values */
+const attrs = fields => Object.entries(fields)
+  .filter(([, value]) => value !== undefined && value !== null)
+  .map(([key, value]) => ` ${key}="${escapeMarkup(value)}"`)
+  .join('');
+
+/** One entry per affected element: selector, markup and axe's failure summary (or the LLM's quote) */
+function nodeLines(v) {
+  const nodes = v.affectedNodes || v.examples || [];
+  return nodes.map(node => {
+    if (typeof node === 'string') return `- ${node}`;
+    const lines = [`- ${node.target || '(page)'}`];
+    if (node.html) lines.push(`    ${node.html}`);
+    if (node.failureSummary) lines.push(...node.failureSummary.split('\n').map(line => `    ${line}`));
+    return lines.join('\n');
+  });
+}
+
+/** Failure body: what is wrong, how to fix it, where it applies, and every element */
+function violationText(v) {
+  const lines = [v.description];
+  if (v.recommendation && v.recommendation !== v.description) lines.push(`Fix: ${v.recommendation}`);
+  if (v.wcagTags?.length) lines.push(`WCAG: ${v.wcagTags.join(', ')}`);
+  if (v.helpUrl) lines.push(`More: ${v.helpUrl}`);
+  if (v.steps) lines.push(`Flow steps: ${v.steps.join(', ')}`);
+  if (v.viewports) lines.push(`Viewports: ${v.viewports.join(', ')}`);
+  lines.push('', `Affected elements (${v.nodes ?? nodeLines(v).length}):`, ...nodeLines(v));
+  return lines.join('\n');
+}
+
+function testcase(classname, name, body = '') {
+  return `    <testcase${attrs({ classname, name, time: '0' })}${body ? `>\n${body}\n    </testcase>` : ' />'}`;
+}
+
+/**
+ * One testcase per axe rule, keyboard check and LLM finding type
+ *
+ * Violations below the threshold (or outside the conformance target) pass
+ * with the details in <system-out>. A rule with failing elements shows up in
+ * axe's passes too; the violation wins.
+ *
+ * @param {Object} results — Combined results (combiner.js)
+ * @param {string} failOn — Lowest failing impact
+ * @returns {Array<{ outcome: 'passed'|'failure'|'skipped', xml: string }>}
+ */
+function buildCases(results, failOn) {
+  const cases = [];
+  const seen = new Set();
+  const add = (source, id, outcome, body) => {
+    seen.add(`${source}:${id}`);
+    cases.push({ outcome, xml: testcase(source, id, body) });
+  };
+
+  for (const v of results.violations) {
+    const id = v.id || v.type;
+    const elements = v.nodes ?? nodeLines(v).length;
+    const text = escapeMarkup(violationText(v));
+    // An unrecognised impact must not pass the gate: it ranks as moderate
+    if (!v.outOfTarget && (IMPACT_ORDER[v.impact] ?? 2) <= IMPACT_ORDER[failOn]) {
+      const message = `${v.help || v.description} (${v.impact}, ${elements} element${elements === 1 ? '' : 's'})`;
+      add(v.source, id, 'failure', `      <failure${attrs({ message, type: v.impact })}>${text}</failure>`);
+    } else {
+      const why = v.outOfTarget ? 'outside the conformance target' : `below the ${failOn} threshold`;
+      add(v.source, id, 'passed', `      <system-out>${escapeMarkup(`Not failed: ${v.impact} violation ${why}.`)}\n${text}</system-out>`);
+    }
+  }
+  for (const v of results.suppressed || []) {
+    const { justification, owner, expires } = v.suppression;
+    add(v.source, v.id || v.type, 'skipped', `      <skipped${attrs({ message: `Waived until ${expires} (owner: ${owner}): ${justification}` })} />`);
+  }
+  for (const item of results.needsReview || []) {
+    if (seen.has(`axe-core:${item.id}`)) continue;
+    if (!item.review) add('axe-core', item.id, 'skipped', `      <skipped${attrs({ message: `Needs manual review: ${item.help}` })} />`);
+    else if (item.review.status === 'pass') add('axe-core', item.id, 'passed');
+  }
+  for (const rule of results.passedRules || []) {
+    if (!seen.has(`${rule.source}:${rule.id}`)) add(rule.source, rule.id, 'passed');
+  }
+  return cases;
+}
+
+/** <testsuite> for one page, with its score and target as properties */
+function testsuite({ name, url, timestamp, time, results, summary, failOn }) {
+  const cases = buildCases(results, failOn);
+  const count = outcome => cases.filter(c => c.outcome === outcome).length;
+  const totals = { tests: cases.length, failures: count('failure'), errors: 0, skipped: count('skipped') };
+  const properties = {
+    url,
+    target: results.target,
+    failOn,
+    score: summary?.overallScore ?? results.complianceScore,
+    complianceLevel: summary?.complianceLevel,
+  };
+  const xml = [
+    `  <testsuite${attrs({ name, ...totals, time, timestamp })}>`,
+    '    <properties>',
+    ...Object.entries(properties)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([key, value]) => `      <property${attrs({ name: key, value })} />`),
+    '    </properties>',
+    ...cases.map(c => c.xml),
+    '  </testsuite>',
+  ].join('\n');
+  return { totals, xml };
+}
+
+/**
+ * Render a finished audit as JUnit XML
+ * @param {Object} report — Audit record (single page, viewport or flow)
+ * @param {Object} [options]
+ * @param {string} [options.failOn] — Lowest impact that fails a testcase (see parseFailOn)
+ * @returns {string} XML document
+ */
+function toJUnit(report, { failOn = DEFAULT_FAIL_ON } = {}) {
+  const timestamp = String(report.scannedAt || new Date().toISOString()).slice(0, 19);
+  // Flow steps are stored under results
+  const steps = report.results.steps;
+  const pages = steps?.length
+    ? steps.map(step => ({
+      name: `Step ${step.index}: ${step.label} (${step.url || report.url})`,
+      url: step.url || report.url,
+      results: step.results,
+      summary: step.summary,
+    }))
+    : [{ name: report.url, url: report.url, results: report.results, summary: report.summary, time: report.duration }];
+
+  const suites = pages.map(page => testsuite({ ...page, timestamp, time: page.time ?? 0, failOn }));
+  const sum = key => suites.reduce((n, s) => n + s.totals[key], 0);
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites${attrs({ name: `Accessibility audit: ${report.url}`, tests: sum('tests'), failures: sum('failures'), errors: 0, skipped: sum('skipped'), time: report.duration ?? 0 })}>`,
+    ...suites.map(s => s.xml),
+    '</testsuites>',
+    '',
+  ].join('\n');
+}
+
+module.exports = { parseFailOn, toJUnit };
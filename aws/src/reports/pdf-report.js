@@ -0,0 +1,34 @@
+/**
+ * pdf-report.js — Paginated PDF export of a finished audit
+ *
+ * Prints the HTML report (html-report.js) behind a cover page with the
+ * scraper's headless Chromium, so no separate PDF library is needed. Every
+ * page carries the audited URL in its header and "Page n of m" in its
+ * footer. Sections: cover, executive summary (generateSummary), severity
+ * chart and table, WCAG coverage, then violation detail.
+ */
+
+const { escapeMarkup: esc } = require('./common');
+const { renderHtmlReport } = require('./html-report');
+
+const MARGIN = { top: '18mm', bottom: '18mm', left: '12mm', right: '12mm' };
+
+/**
+ * Render a finished audit as a PDF
+ *
+ * @param {Object} report — Audit report (see renderHtmlReport)
+ * @param {Object} scraper — Initialized AccessibilityScraper (its browser does the printing)
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+async function renderPdfReport(report, scraper) {
+  const html = renderHtmlReport(report, { cover: true });
+  const running = 'font-size: 8px; width: 100%; padding: 0 12mm; color: #4b5563;';
+  return scraper.printPdf(html, {
+    displayHeaderFooter: true,
+    headerTemplate: `<div style="${running}">${esc(report.url)}</div>`,
+    footerTemplate: `<div style="${running} text-align: right;">Page <span class="pageNumber"></span> of <span class="totalPages"></span></div>`,
+    margin: MARGIN,
+  });
+}
+
+module.exports = { renderPdfReport };
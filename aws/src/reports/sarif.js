@@ -0,0 +1,144 @@
+/**
+ * sarif.js — SARIF 2.1.0 export for code-scanning tools
+ *
+ * Lets accessibility findings sit next to other static-analysis results
+ * (GitHub code scanning, Azure DevOps, IDE SARIF viewers):
+ *   - rules:     one per axe-core rule / keyboard check / LLM finding type, with
+ *                WCAG tags, help text and help URL
+ *   - results:   one per affected element; level from `impact`
+ *                (critical/serious → error, moderate → warning, minor → note)
+ *   - locations: the page URL as artifact, the CSS selector as a logical location
+ *   - partialFingerprints: the violation and node fingerprints (fingerprint.js),
+ *                so uploads of later runs dedupe against earlier ones
+ * axe-core and keyboard rules belong to the driver; LLM findings belong to a
+ * separate `llm-analyzer` tool component so they can be triaged on their own.
+ * Violations waived in suppressions.js are included with an accepted external
+ * suppression.
+ */
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const LEVELS = { critical: 'error', serious: 'error', moderate: 'warning', minor: 'note' };
+const SECURITY_SEVERITY = { critical: '9.0', serious: '7.0', moderate: '4.0', minor: '1.0' };
+
+// Reference to tool.extensions[0]
+const LLM_COMPONENT = { name: 'llm-analyzer', index: 0 };
+
+/** reportingDescriptor for the rule (or LLM finding type) behind a violation */
+function describeRule(v) {
+  const id = v.id || v.type;
+  return {
+    id,
+    name: id,
+    shortDescription: { text: v.help || v.description },
+    fullDescription: { text: v.description },
+    ...(v.helpUrl && { helpUri: v.helpUrl }),
+    help: { text: v.recommendation || v.help || v.description },
+    defaultConfiguration: { level: LEVELS[v.impact] || 'warning' },
+    properties: {
+      tags: ['accessibility', v.source, ...(v.wcagTags || [])],
+      'security-severity': SECURITY_SEVERITY[v.impact] || '4.0',
+    },
+  };
+}
+
+/** The page as artifact; the element's selector as a logical location */
+function locationFor(url, node) {
+  return {
+    physicalLocation: { artifactLocation: { uri: url } },
+    ...(node?.target && { logicalLocations: [{ fullyQualifiedName: node.target, kind: 'element' }] }),
+  };
+}
+
+/**
+ * One result per affected element, so each carries its own selector and
+ * fingerprint; findings without elements (LLM quotes) become one page-level result
+ */
+function resultsFor(v, ruleRef, url) {
+  const rule = v.id || v.type;
+  const nodes = v.affectedNodes || (v.examples || []).filter(ex => ex && typeof ex === 'object' && ex.target);
+  const quotes = (v.examples || []).filter(ex => typeof ex === 'string');
+  const base = {
+    ...ruleRef,
+    level: LEVELS[v.impact] || 'warning',
+    ...(v.suppression && {
+      suppressions: [{ kind: 'external', status: 'accepted', justification: `${v.suppression.justification} (owner: ${v.suppression.owner}, expires ${v.suppression.expires})` }],
+    }),
+  };
+  const properties = { impact: v.impact, source: v.source, outOfTarget: Boolean(v.outOfTarget), ...(v.steps && { steps: v.steps }), ...(v.viewports && { viewports: v.viewports }) };
+
+  if (nodes.length === 0) {
+    return [{
+      ...base,
+      message: { text: quotes.length ? `${v.description} Examples: ${quotes.join(' | ')}` : v.description },
+      locations: [locationFor(url)],
+      partialFingerprints: { 'accessibilityViolation/v1': v.fingerprint },
+      properties,
+    }];
+  }
+  return nodes.map(node => ({
+    ...base,
+    message: { text: `${v.help || v.description} (${node.target})` },
+    locations: [locationFor(url, node)],
+    partialFingerprints: {
+      'accessibilityViolation/v1': v.fingerprint,
+      'accessibilityNode/v1': node.fingerprint || `${rule}:${node.target}`,
+    },
+    properties: { ...properties, selector: node.target, html: node.html, ...(node.failureSummary && { failureSummary: node.failureSummary }) },
+  }));
+}
+
+/**
+ * Build a SARIF 2.1.0 log for a finished audit
+ *
+ * @param {Object} report — Audit report ({ url, scannedAt, results, summary, metadata? })
+ * @returns {Object} SARIF log (serialize with JSON.stringify)
+ */
+function toSarif(report) {
+  const { results } = report;
+  const driverRules = [];
+  const llmRules = [];
+  const ruleIndex = new Map();
+  const sarifResults = [];
+
+  for (const v of [...results.violations, ...(results.suppressed || [])]) {
+    const llm = v.source === 'llm';
+    const key = `${llm ? 'llm' : 'driver'}:${v.id || v.type}`;
+    if (!ruleIndex.has(key)) {
+      const rules = llm ? llmRules : driverRules;
+      ruleIndex.set(key, rules.length);
+      rules.push(describeRule(v));
+    }
+    const ruleRef = llm
+      ? { ruleId: v.type, rule: { id: v.type, index: ruleIndex.get(key), toolComponent: LLM_COMPONENT } }
+      : { ruleId: v.id || v.type, ruleIndex: ruleIndex.get(key) };
+    sarifResults.push(...resultsFor(v, ruleRef, report.url));
+  }
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'accessibility-auditor',
+          version: '1.0.0',
+          informationUri: 'https://www.w3.org/WAI/standards-guidelines/wcag/',
+          rules: driverRules,
+          ...(report.metadata?.axe?.version && { properties: { axeCoreVersion: report.metadata.axe.version } }),
+        },
+        extensions: [{ name: LLM_COMPONENT.name, rules: llmRules }],
+      },
+      invocations: [{ executionSuccessful: true, ...(report.scannedAt && { startTimeUtc: report.scannedAt }) }],
+      artifacts: [{ location: { uri: report.url } }],
+      results: sarifResults,
+      properties: {
+        url: report.url,
+        target: results.target,
+        score: report.summary.overallScore,
+        complianceLevel: report.summary.complianceLevel,
+      },
+    }],
+  };
+}
+
+module.exports = { toSarif };
@@ -0,0 +1,218 @@
+/**
+ * vpat-report.js — Accessibility Conformance Report rendering (HTML and Word)
+ *
+ * Lays an ACR from analyzer/acr.js out in the VPAT® 2.x WCAG-edition
+ * structure: product information, evaluation methods, applicable standards,
+ * terms, then one table per WCAG level with Criteria / Conformance Level /
+ * Remarks and Explanations columns.
+ *   - HTML: standalone, accessible page (captions, header cells, lang)
+ *   - DOCX: Word document with heading styles and repeating table header
+ *           rows, zipped by zip.js, ready to be finished in Word
+ */
+
+const { escapeMarkup: esc, escapeXml } = require('./common');
+const { zip } = require('./zip');
+
+const LEVELS = ['A', 'AA', 'AAA'];
+
+// Wording from the VPAT 2.x "Terms" section
+const TERMS = [
+  ['Supports', 'The functionality of the product has at least one method that meets the criterion without known defects or meets with equivalent facilitation.'],
+  ['Partially Supports', 'Some functionality of the product does not meet the criterion.'],
+  ['Does Not Support', 'The majority of product functionality does not meet the criterion.'],
+  ['Not Applicable', 'The criterion is not relevant to the product.'],
+  ['Not Evaluated', 'The product has not been evaluated against the criterion.'],
+];
+
+const STYLES = `
+  body { margin: 0; font: 16px/1.5 system-ui, -apple-system, "Segoe UI", Roboto, sans-serif; color: #1f2937; background: #ffffff; }
+  main { max-width: 1000px; margin: 0 auto; padding: 2rem 1.5rem 4rem; }
+  h1 { font-size: 1.9rem; margin: 0 0 0.25rem; }
+  h2 { font-size: 1.4rem; margin: 2.5rem 0 1rem; padding-bottom: 0.25rem; border-bottom: 2px solid #e5e7eb; }
+  table { width: 100%; border-collapse: collapse; margin: 0.5rem 0 1rem; font-size: 0.95rem; }
+  caption { text-align: left; font-weight: 600; padding: 0.25rem 0; }
+  th, td { border: 1px solid #d1d5db; padding: 0.4rem 0.6rem; text-align: left; vertical-align: top; }
+  thead th { background: #f3f4f6; }
+  tbody th { font-weight: 400; }
+  .draft { border: 1px solid #a16207; background: #fef9c3; color: #713f12; padding: 0.75rem 1rem; border-radius: 8px; }
+  footer { margin-top: 3rem; color: #4b5563; font-size: 0.85rem; }
+  @media print { tr { break-inside: avoid; } }
+`;
+
+/** "Included In Report" text for a level: levels above the audit target are listed but not evaluated */
+const levelIncluded = (acr, level) => {
+  const targetLevel = String(acr.target).split(' ').pop();
+  return LEVELS.indexOf(level) <= LEVELS.indexOf(targetLevel) ? 'Yes' : 'No (listed as Not Evaluated)';
+};
+
+/** Text of the report, shared by both renderers so the HTML and Word versions say the same thing */
+function outline(acr) {
+  const title = `${acr.product.name || 'Product'} Accessibility Conformance Report`;
+  return {
+    title,
+    subtitle: `WCAG Edition — based on VPAT® Version 2.5 — ${acr.standard}`,
+    info: [
+      ['Name of Product/Version', [acr.product.name, acr.product.version].filter(Boolean).join(' ') || '—'],
+      ['Report Date', acr.reportDate],
+      ['Product Description', acr.product.description || '—'],
+      ['Contact Information', acr.product.contact || '—'],
+      ['Notes', `Draft generated from ${acr.scope.length} automated audit${acr.scope.length === 1 ? '' : 's'} of: ${acr.scope.map(s => s.url).join(', ')}. Review every row before publishing.`],
+      ['Evaluation Methods Used', acr.evaluationMethods],
+    ],
+    standards: [[
+      `Web Content Accessibility Guidelines ${acr.standard.replace('WCAG ', '')}`,
+      LEVELS.map(level => `Level ${level}: ${levelIncluded(acr, level)}`).join('; '),
+    ]],
+    tables: LEVELS.map((level, i) => ({
+      caption: `Table ${i + 1}: Success Criteria, Level ${level}`,
+      rows: acr.criteria.filter(c => c.level === level)
+        .map(c => [`${c.id} ${c.name} (Level ${level})`, c.conformance, c.remarks]),
+    })).filter(t => t.rows.length),
+  };
+}
+
+/** Captioned table; the first cell of each row is its header */
+function htmlTable(caption, headers, rows) {
+  return `<table>
+<caption>${esc(caption)}</caption>
+<thead><tr>${headers.map(h => `<th scope="col">${esc(h)}</th>`).join('')}</tr></thead>
+<tbody>
+${rows.map(cells => `<tr>${cells.map((cell, i) => (i === 0 ? `<th scope="row">${esc(cell)}</th>` : `<td>${esc(cell)}</td>`)).join('')}</tr>`).join('\n')}
+</tbody>
+</table>`;
+}
+
+/**
+ * Render an ACR as a standalone HTML page
+ * @param {Object} acr — From buildAcr / applyAcrEdits
+ * @returns {string} HTML document
+ */
+function renderAcrHtml(acr) {
+  const doc = outline(acr);
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${esc(doc.title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<main>
+<header>
+<h1>${esc(doc.title)}</h1>
+<p>${esc(doc.subtitle)}</p>
+<p class="draft">Draft: conformance levels and remarks are derived from automated testing and need expert review.</p>
+</header>
+<section aria-labelledby="info-heading">
+<h2 id="info-heading">Product information</h2>
+${htmlTable('Report details', ['Item', 'Details'], doc.info)}
+</section>
+<section aria-labelledby="standards-heading">
+<h2 id="standards-heading">Applicable Standards/Guidelines</h2>
+${htmlTable('Standards covered by this report', ['Standard/Guideline', 'Included In Report'], doc.standards)}
+</section>
+<section aria-labelledby="terms-heading">
+<h2 id="terms-heading">Terms</h2>
+${htmlTable('Conformance level definitions', ['Term', 'Definition'], TERMS)}
+</section>
+<section aria-labelledby="wcag-heading">
+<h2 id="wcag-heading">${esc(acr.standard)} Report</h2>
+${doc.tables.map(t => htmlTable(t.caption, ['Criteria', 'Conformance Level', 'Remarks and Explanations'], t.rows)).join('\n')}
+</section>
+<footer>Generated by AccessibilityAI Auditor on ${esc(acr.reportDate)}.</footer>
+</main>
+</body>
+</html>
+`;
+}
+
+// WordprocessingML: styled headings for the navigation pane, tables with repeating header rows
+const run = (text, bold) => `<w:r>${bold ? '<w:rPr><w:b/></w:rPr>' : ''}${String(text).split('\n')
+  .map(line => `<w:t xml:space="preserve">${escapeXml(line)}</w:t>`).join('<w:br/>')}</w:r>`;
+const paragraph = (text, style) => `<w:p>${style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : ''}${run(text)}</w:p>`;
+
+/** Captioned Word table with a repeating header row; rows don't break across pages */
+function docxTable(caption, headers, rows) {
+  const widths = headers.length === 3 ? [2600, 1800, 4960] : [2800, 6560];
+  const cell = (text, i, bold) => `<w:tc><w:tcPr><w:tcW w:w="${widths[i]}" w:type="dxa"/></w:tcPr><w:p>${run(text, bold)}</w:p></w:tc>`;
+  return `${paragraph(caption, 'Caption')}
+<w:tbl><w:tblPr><w:tblStyle w:val="TableGrid"/><w:tblW w:w="0" w:type="auto"/><w:tblCaption w:val="${escapeXml(caption)}"/></w:tblPr>
+<w:tblGrid>${widths.map(w => `<w:gridCol w:w="${w}"/>`).join('')}</w:tblGrid>
+<w:tr><w:trPr><w:tblHeader/></w:trPr>${headers.map((h, i) => cell(h, i, true)).join('')}</w:tr>
+${rows.map(cells => `<w:tr><w:trPr><w:cantSplit/></w:trPr>${cells.map((c, i) => cell(c, i, false)).join('')}</w:tr>`).join('\n')}
+</w:tbl>
+<w:p/>`;
+}
+
+const DOCX_STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:cs="Calibri"/><w:sz w:val="22"/><w:lang w:val="en-US"/></w:rPr></w:rPrDefault></w:docDefaults>
+<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:pPr><w:spacing w:after="120"/></w:pPr></w:style>
+<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:pPr><w:outlineLvl w:val="0"/></w:pPr><w:rPr><w:b/><w:sz w:val="40"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:basedOn w:val="Normal"/><w:pPr><w:keepNext/><w:spacing w:before="360"/><w:outlineLvl w:val="0"/></w:pPr><w:rPr><w:b/><w:sz w:val="32"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Caption"><w:name w:val="caption"/><w:basedOn w:val="Normal"/><w:pPr><w:keepNext/></w:pPr><w:rPr><w:b/></w:rPr></w:style>
+<w:style w:type="table" w:styleId="TableGrid"><w:name w:val="Table Grid"/><w:tblPr><w:tblBorders>${['top', 'left', 'bottom', 'right', 'insideH', 'insideV'].map(side => `<w:${side} w:val="single" w:sz="4" w:space="0" w:color="A6A6A6"/>`).join('')}</w:tblBorders><w:tblCellMar><w:left w:w="108" w:type="dxa"/><w:right w:w="108" w:type="dxa"/></w:tblCellMar></w:tblPr></w:style>
+</w:styles>`;
+
+const DOCX_CONTENT_TYPES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>`;
+
+const DOCX_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+</Relationships>`;
+
+const DOCUMENT_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`;
+
+/**
+ * Render an ACR as a Word document, for teams that finish VPATs in Word
+ * @param {Object} acr — From buildAcr / applyAcrEdits
+ * @returns {Buffer} .docx file
+ */
+function renderAcrDocx(acr) {
+  const doc = outline(acr);
+  const body = [
+    paragraph(doc.title, 'Title'),
+    paragraph(doc.subtitle),
+    paragraph('Draft: conformance levels and remarks are derived from automated testing and need expert review.'),
+    paragraph('Product information', 'Heading1'),
+    docxTable('Report details', ['Item', 'Details'], doc.info),
+    paragraph('Applicable Standards/Guidelines', 'Heading1'),
+    docxTable('Standards covered by this report', ['Standard/Guideline', 'Included In Report'], doc.standards),
+    paragraph('Terms', 'Heading1'),
+    docxTable('Conformance level definitions', ['Term', 'Definition'], TERMS),
+    paragraph(`${acr.standard} Report`, 'Heading1'),
+    ...doc.tables.map(t => docxTable(t.caption, ['Criteria', 'Conformance Level', 'Remarks and Explanations'], t.rows)),
+  ].join('\n');
+
+  return zip({
+    '[Content_Types].xml': DOCX_CONTENT_TYPES,
+    '_rels/.rels': DOCX_RELS,
+    'docProps/core.xml': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/">
+<dc:title>${escapeXml(doc.title)}</dc:title><dc:language>en-US</dc:language>
+</cp:coreProperties>`,
+    'word/_rels/document.xml.rels': DOCUMENT_RELS,
+    'word/styles.xml': DOCX_STYLES,
+    'word/document.xml': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:body>
+${body}
+<w:sectPr><w:pgSz w:w="12240" w:h="15840"/><w:pgMar w:top="1080" w:right="1080" w:bottom="1080" w:left="1080" w:header="720" w:footer="720" w:gutter="0"/></w:sectPr>
+</w:body>
+</w:document>`,
+  });
+}
+
+module.exports = { renderAcrHtml, renderAcrDocx };
@@ -0,0 +1,109 @@
+/**
+ * xlsx.js — Excel workbook export
+ *
+ * Two sheets, both with a bold, frozen header row and filters:
+ *   - Summary:    one row per page (score, level, counts), plus a totals
+ *                 row when the workbook covers several pages
+ *   - Violations: the spreadsheet.js rows, one per affected element
+ * The workbook is written by hand (SpreadsheetML parts with inline strings,
+ * packed by zip.js) rather than pulling a spreadsheet library into the bundle.
+ */
+
+const { escapeXml } = require('./common');
+const { zip } = require('./zip');
+const { COLUMNS, SUMMARY_COLUMNS, violationRows, pageSummary } = require('./spreadsheet');
+
+/** 0 → "A", 26 → "AA" */
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  return name;
+}
+
+// Inline strings keep the workbook free of a shared-string table; style 1 is the bold header
+function cell(value, ref, style) {
+  const s = style ? ` s="${style}"` : '';
+  if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"${s}><v>${value}</v></c>`;
+  if (value === '' || value === null || value === undefined) return '';
+  return `<c r="${ref}"${s} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+/** Sheet XML: header row, data rows, frozen header and an autofilter over the lot */
+function worksheet(columns, rows) {
+  const lastColumn = columnName(columns.length - 1);
+  const rowXml = [columns.map(c => c.label), ...rows.map(row => columns.map(c => row[c.key]))]
+    .map((values, r) => `<row r="${r + 1}">${values.map((v, i) => cell(v, `${columnName(i)}${r + 1}`, r === 0 ? 1 : 0)).join('')}</row>`);
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>
+<cols>${columns.map((c, i) => `<col min="${i + 1}" max="${i + 1}" width="${c.width}" customWidth="1"/>`).join('')}</cols>
+<sheetData>${rowXml.join('')}</sheetData>
+<autoFilter ref="A1:${lastColumn}${rows.length + 1}"/>
+</worksheet>`;
+}
+
+const SHEETS = ['Summary', 'Violations'];
+
+const CONTENT_TYPES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+${SHEETS.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('\n')}
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+</Types>`;
+
+const ROOT_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`;
+
+const WORKBOOK = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets>${SHEETS.map((name, i) => `<sheet name="${name}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')}</sheets>
+</workbook>`;
+
+const WORKBOOK_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+${SHEETS.map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('\n')}
+<Relationship Id="rId${SHEETS.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`;
+
+const STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>
+</styleSheet>`;
+
+/**
+ * Workbook with a per-page summary sheet and one violations row per affected element
+ * @param {Array<Object>} reports — One or more audit records
+ * @returns {Buffer} .xlsx file
+ */
+function toXlsx(reports) {
+  const summaries = reports.map(pageSummary);
+  if (summaries.length > 1) {
+    const total = key => summaries.reduce((n, s) => n + s[key], 0);
+    summaries.push({
+      url: `All pages (${reports.length})`,
+      score: Math.round(total('score') / reports.length),
+      ...Object.fromEntries(['rules', 'critical', 'serious', 'moderate', 'minor', 'elements', 'suppressed'].map(key => [key, total(key)])),
+    });
+  }
+  const rows = reports.flatMap(violationRows);
+
+  return zip({
+    '[Content_Types].xml': CONTENT_TYPES,
+    '_rels/.rels': ROOT_RELS,
+    'xl/workbook.xml': WORKBOOK,
+    'xl/_rels/workbook.xml.rels': WORKBOOK_RELS,
+    'xl/styles.xml': STYLES,
+    'xl/worksheets/sheet1.xml': worksheet(SUMMARY_COLUMNS, summaries),
+    'xl/worksheets/sheet2.xml': worksheet(COLUMNS, rows),
+  });
+}
+
+module.exports = { toXlsx };
@@ -0,0 +1,154 @@
+/**
+ * auth.js — Authenticated audit support (cookies, headers, basic auth, login scripts)
+ *
+ * Audit requests may carry an `auth` object:
+ *   {
+ *     cookies:   [{ name, value, domain?, path? }],       // Session cookies
+ *     headers:   { Authorization: 'Bearer …' },          // Extra HTTP headers (audited origin only)
+ *     basicAuth: { username, password },                  // HTTP basic auth (audited origin only)
+ *     login:     { url?, steps: [...] },                  // Scripted login (see page-actions.js)
+ *   }
+ *
+ * These are applied to the page *before* the scraper navigates to the audit URL.
+ * Secrets never reach stored reports — only describeAuth()'s redacted summary does.
+ */
+
+const { validateSteps, runSteps, describeStep } = require('./page-actions');
+
+/**
+ * Validate the shape of an auth object (used by the API before queueing)
+ * @returns {string|null} Error message, or null if valid / absent
+ */
+function validateAuth(auth) {
+  if (auth === undefined || auth === null) return null;
+  if (typeof auth !== 'object' || Array.isArray(auth)) return 'auth must be an object';
+
+  const { cookies, headers, basicAuth, login } = auth;
+
+  if (cookies !== undefined) {
+    if (!Array.isArray(cookies)) return 'auth.cookies must be an array';
+    const bad = cookies.findIndex(c => !c || typeof c.name !== 'string' || typeof c.value !== 'string');
+    if (bad !== -1) return `auth.cookies[${bad}] requires "name" and "value" strings`;
+  }
+
+  if (headers !== undefined) {
+    if (typeof headers !== 'object' || Array.isArray(headers)) return 'auth.headers must be an object of header names to values';
+    const bad = Object.entries(headers).find(([, v]) => typeof v !== 'string');
+    if (bad) return `auth.headers["${bad[0]}"] must be a string`;
+  }
+
+  if (basicAuth !== undefined) {
+    if (!basicAuth || typeof basicAuth.username !== 'string' || typeof basicAuth.password !== 'string') {
+      return 'auth.basicAuth requires "username" and "password" strings';
+    }
+  }
+
+  if (login !== undefined) {
+    if (!login || typeof login !== 'object') return 'auth.login must be an object';
+    if (login.url !== undefined) {
+      try {
+        new URL(login.url);
+      } catch {
+        return 'auth.login.url is not a valid URL';
+      }
+    }
+    const stepsError = validateSteps(login.steps, 'auth.login.steps');
+    if (stepsError) return stepsError;
+  }
+
+  return null;
+}
+
+/**
+ * Apply credentials to a fresh page and run the login script, if any
+ *
+ * @param {Page} page — Puppeteer page (ideally in an incognito context)
+ * @param {Object} auth — Validated auth object
+ * @param {string} targetUrl — Audit URL (default cookie scope & login page)
+ */
+async function applyAuth(page, auth, targetUrl) {
+  if (!auth) return;
+
+  const headers = { ...auth.headers };
+  // Basic auth is sent up front as a header, so it too only reaches the audited origin
+  // (page.authenticate() would answer a challenge from any origin the page loads)
+  if (auth.basicAuth) {
+    const { username, password } = auth.basicAuth;
+    headers.Authorization = `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+  }
+  if (Object.keys(headers).length > 0) {
+    await scopeHeaders(page, headers, targetUrl);
+  }
+
+  if (auth.cookies?.length) {
+    // Cookies without an explicit domain are scoped to the audited URL
+    await page.setCookie(...auth.cookies.map(c => (c.domain ? c : { ...c, url: targetUrl })));
+  }
+
+  if (auth.login) {
+    console.log(`Running login sequence (${auth.login.steps.length} steps)...`);
+    // Without a login URL, assume the target redirects to its login form
+    await page.goto(auth.login.url || targetUrl, { waitUntil: 'networkidle2', timeout: 30000 });
+    await runSteps(page, auth.login.steps, 'Login step');
+  }
+}
+
+/**
+ * Send the extra headers with requests to the audited origin only
+ *
+ * page.setExtraHTTPHeaders() would attach them to every request, handing
+ * e.g. a bearer token to each analytics script and CDN the page loads.
+ *
+ * @param {Page} page — Puppeteer page
+ * @param {Object} headers — Header names to values
+ * @param {string} targetUrl — Audit URL whose origin receives the headers
+ */
+async function scopeHeaders(page, headers, targetUrl) {
+  const origin = new URL(targetUrl).origin;
+  await page.setRequestInterception(true);
+  page.on('request', request => {
+    if (request.isInterceptResolutionHandled()) return;
+    if (originOf(request.url()) !== origin) {
+      request.continue();
+      return;
+    }
+    request.continue({ headers: { ...request.headers(), ...headers } });
+  });
+}
+
+/** Origin of a request URL (null for data: and other opaque URLs) */
+function originOf(url) {
+  try {
+    return new URL(url).origin;
+  } catch {
+    return null;
+  }
+}
+
+/** Origin and path of a login URL; its query string or fragment may carry tokens */
+function withoutQuery(url) {
+  const { origin, pathname } = new URL(url);
+  return `${origin}${pathname}`;
+}
+
+/**
+ * Redacted description of the auth used, safe to store with the report
+ * (cookie/header names only, no values or passwords; login and navigate
+ * step URLs without their query strings)
+ */
+function describeAuth(auth) {
+  if (!auth) return null;
+  return {
+    cookies: (auth.cookies || []).map(c => c.name),
+    headers: Object.keys(auth.headers || {}),
+    basicAuth: !!auth.basicAuth,
+    login: auth.login
+      ? {
+        url: auth.login.url ? withoutQuery(auth.login.url) : null,
+        steps: auth.login.steps.map(step => describeStep(step.url ? { ...step, url: withoutQuery(step.url) } : step)),
+      }
+      : null,
+  };
+}
+
+module.exports = { validateAuth, applyAuth, describeAuth };
@@ -0,0 +1,110 @@
+/**
+ * element-shots.js — Cropped screenshots of the elements behind each violation
+ *
+ * axe-core reports violating nodes as HTML + CSS selector, which means little
+ * to anyone who doesn't read markup. After axe-core runs, this crops a small
+ * image around the first few nodes of every rule and stores it on the node
+ * (`node.screenshot`, base64 JPEG). ResultCombiner copies it onto the
+ * matching example so the dashboard can show a thumbnail.
+ *
+ * Request option: `elementScreenshots` — crops per rule (0 disables, default 3)
+ */
+
+const DEFAULT_SHOTS_PER_RULE = 3;
+const MAX_SHOTS_PER_RULE = 10;
+const MAX_SHOTS = 60;          // Per page — keeps the report payload bounded
+const CROP_PADDING = 8;        // px of surrounding context
+const MAX_CROP_WIDTH = 480;    // Large elements (whole sections) are cropped to their top-left corner
+const MAX_CROP_HEIGHT = 320;
+
+/**
+ * Validate an `elementScreenshots` request option
+ * @returns {string|null} Error message, or null if valid / absent
+ */
+function validateElementShots(value) {
+  if (value === undefined || value === null) return null;
+  if (!Number.isInteger(value) || value < 0 || value > MAX_SHOTS_PER_RULE) {
+    return `elementScreenshots must be an integer between 0 and ${MAX_SHOTS_PER_RULE}`;
+  }
+  return null;
+}
+
+/**
+ * Runs inside the page: document-coordinate boxes for the first `perRule`
+ * nodes of each violation
+ * @returns {Array<{v: number, n: number, x: number, y: number, width: number, height: number}>}
+ */
+function measureNodes(violations, perRule) {
+  const found = [];
+  violations.forEach((violation, v) => {
+    violation.nodes.slice(0, perRule).forEach((node, n) => {
+      // Nodes inside iframes or shadow roots have multi-part targets
+      if (node.target.length !== 1 || typeof node.target[0] !== 'string') return;
+      let el;
+      try {
+        el = document.querySelector(node.target[0]);
+      } catch {
+        return;
+      }
+      const rect = el?.getBoundingClientRect();
+      if (!rect || rect.width === 0 || rect.height === 0) return;
+      found.push({
+        v,
+        n,
+        x: rect.left + window.scrollX,
+        y: rect.top + window.scrollY,
+        width: rect.width,
+        height: rect.height,
+      });
+    });
+  });
+  return found;
+}
+
+/**
+ * Crop each violating node and attach the image as `node.screenshot`
+ *
+ * @param {Page} page — Puppeteer page axe-core just ran on
+ * @param {Array} violations — axe-core violations (mutated)
+ * @param {number} perRule — Crops per rule; 0 disables
+ * @returns {number} How many crops were captured
+ */
+async function captureElementShots(page, violations, perRule = DEFAULT_SHOTS_PER_RULE) {
+  if (!perRule || !violations.length) return 0;
+
+  const found = await page.evaluate(measureNodes, violations, perRule);
+  const docSize = await page.evaluate(() => ({
+    width: document.documentElement.scrollWidth,
+    height: document.documentElement.scrollHeight,
+  }));
+
+  let captured = 0;
+  for (const box of found.slice(0, MAX_SHOTS)) {
+    // Clip is in document coordinates — Puppeteer captures beyond the viewport
+    const x = Math.max(0, Math.floor(box.x - CROP_PADDING));
+    const y = Math.max(0, Math.floor(box.y - CROP_PADDING));
+    const clip = {
+      x,
+      y,
+      width: Math.min(Math.ceil(box.width + CROP_PADDING * 2), MAX_CROP_WIDTH, docSize.width - x),
+      height: Math.min(Math.ceil(box.height + CROP_PADDING * 2), MAX_CROP_HEIGHT, docSize.height - y),
+    };
+    if (clip.width <= 0 || clip.height <= 0) continue;
+
+    try {
+      violations[box.v].nodes[box.n].screenshot = await page.screenshot({
+        clip,
+        encoding: 'base64',
+        type: 'jpeg',
+        quality: 70,
+      });
+      captured++;
+    } catch (error) {
+      // One bad crop shouldn't fail the audit
+      console.warn(`⚠️  Element screenshot failed for ${violations[box.v].id}: ${error.message}`);
+    }
+  }
+  return captured;
+}
+
+module.exports = { captureElementShots, validateElementShots };
@@ -0,0 +1,142 @@
+/**
+ * page-actions.js — Scripted browser steps (fill, type, select, press, click, wait, navigate)
+ *
+ * Used to drive a page before or while it is audited — login sequences
+ * (auth.js) and user-flow audits (scrapeFlow). E.g. a login sequence:
+ *   [
+ *     { action: 'navigate', url: 'https://app.example.com/login' },
+ *     { action: 'fill', selector: '#email', value: 'qa@example.com' },
+ *     { action: 'fill', selector: '#password', value: '••••••' },
+ *     { action: 'click', selector: 'button[type=submit]', waitForNavigation: true },
+ *   ]
+ *
+ * Steps are plain JSON so they can travel through the API body and SQS messages.
+ */
+
+const STEP_TIMEOUT = 15000; // Per-step wait limit (ms), overridable via step.timeout
+const MAX_STEP_TIMEOUT = 60000; // Upper bound for step.timeout (ms)
+const MAX_SETTLE = 10000;       // Upper bound for step.settle (ms)
+
+// Supported actions and the string fields each one requires
+const ACTIONS = {
+  fill: { requires: ['selector', 'value'] },     // Clear the field, then type
+  type: { requires: ['selector', 'value'] },     // Type without clearing
+  select: { requires: ['selector', 'value'] },   // Choose a <select> option by value
+  press: { requires: ['key'] },                  // e.g. 'Enter', 'Escape' (optional selector to focus first)
+  click: { requires: ['selector'] },
+  waitForNavigation: { requires: [] },
+  waitForSelector: { requires: ['selector'] },
+  navigate: { requires: ['url'] },
+};
+
+/**
+ * Validate a list of steps before they are queued
+ *
+ * @param {Array} steps — Step objects ({ action, selector?, value?, url? })
+ * @param {string} label — Field name used in error messages
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateSteps(steps, label = 'steps') {
+  if (!Array.isArray(steps) || steps.length === 0) return `${label} must be a non-empty array`;
+
+  for (let i = 0; i < steps.length; i++) {
+    const step = steps[i];
+    const spec = step && ACTIONS[step.action];
+    if (!spec) {
+      return `${label}[${i}].action must be one of: ${Object.keys(ACTIONS).join(', ')}`;
+    }
+    for (const field of spec.requires) {
+      if (typeof step[field] !== 'string' || step[field].length === 0) {
+        return `${label}[${i}] (${step.action}) requires a "${field}" string`;
+      }
+    }
+    if (step.action === 'navigate') {
+      try {
+        new URL(step.url);
+      } catch {
+        return `${label}[${i}].url is not a valid URL`;
+      }
+    }
+    if (step.timeout !== undefined && !isBoundedInt(step.timeout, MAX_STEP_TIMEOUT)) {
+      return `${label}[${i}].timeout must be an integer between 1 and ${MAX_STEP_TIMEOUT} (ms)`;
+    }
+    if (step.settle !== undefined && !isBoundedInt(step.settle, MAX_SETTLE)) {
+      return `${label}[${i}].settle must be an integer between 1 and ${MAX_SETTLE} (ms)`;
+    }
+  }
+  return null;
+}
+
+/** A whole number of milliseconds in 1..max */
+function isBoundedInt(value, max) {
+  return Number.isInteger(value) && value > 0 && value <= max;
+}
+
+/** Execute a single step on a Puppeteer page */
+async function runStep(page, step) {
+  const timeout = step.timeout || STEP_TIMEOUT;
+
+  switch (step.action) {
+    case 'fill':
+      await page.waitForSelector(step.selector, { visible: true, timeout });
+      await page.$eval(step.selector, el => { el.value = ''; }); // Clear pre-filled values
+      await page.type(step.selector, step.value);
+      break;
+    case 'type':
+      await page.waitForSelector(step.selector, { visible: true, timeout });
+      await page.type(step.selector, step.value);
+      break;
+    case 'select':
+      await page.waitForSelector(step.selector, { timeout });
+      await page.select(step.selector, step.value);
+      break;
+    case 'press':
+      if (step.selector) await page.focus(step.selector);
+      await page.keyboard.press(step.key);
+      break;
+    case 'click':
+      await page.waitForSelector(step.selector, { visible: true, timeout });
+      if (step.waitForNavigation) {
+        await Promise.all([
+          page.waitForNavigation({ waitUntil: 'networkidle2', timeout }),
+          page.click(step.selector),
+        ]);
+      } else {
+        await page.click(step.selector);
+      }
+      break;
+    case 'waitForNavigation':
+      await page.waitForNavigation({ waitUntil: 'networkidle2', timeout });
+      break;
+    case 'waitForSelector':
+      await page.waitForSelector(step.selector, { visible: step.visible !== false, timeout });
+      break;
+    case 'navigate':
+      await page.goto(step.url, { waitUntil: 'networkidle2', timeout: Math.max(timeout, 30000) });
+      break;
+    default:
+      throw new Error(`Unknown step action: ${step.action}`);
+  }
+}
+
+/**
+ * Execute steps in order; a failure reports which step broke
+ * (selectors only — never the typed values, which may be passwords)
+ */
+async function runSteps(page, steps, label = 'step') {
+  for (let i = 0; i < steps.length; i++) {
+    try {
+      await runStep(page, steps[i]);
+    } catch (error) {
+      throw new Error(`${label} ${i + 1} (${steps[i].action}${steps[i].selector ? ` ${steps[i].selector}` : ''}) failed: ${error.message}`);
+    }
+  }
+}
+
+/** Copy of a step that is safe to store in reports (typed values redacted) */
+function describeStep(step) {
+  const { value, ...rest } = step;
+  return value === undefined ? rest : { ...rest, value: '[redacted]' };
+}
+
+module.exports = { ACTIONS, validateSteps, runStep, runSteps, describeStep };
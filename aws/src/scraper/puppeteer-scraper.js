@@ -6,10 +6,19 @@
  *   2. Navigates to the target URL with automatic retry & exponential backoff
  *   3. Supports proxy rotation for distributed scraping at scale
  *   4. Injects axe-core (accessibility testing engine) into the page
- *   5. Runs automated WCAG 2.1 rule checks (50+ rules)
+ *   5. Runs automated WCAG 2.1 rule checks (50+ rules), optionally limited to
+ *      chosen tags / rules / selector scopes (see axe-config.js)
  *   6. Extracts page content (headings, links, images, forms, buttons)
  *      for later LLM analysis
  *   7. Takes a screenshot for the dashboard preview
+ *   8. Optionally applies cookies / headers / basic auth / a login script
+ *      before navigating (authenticated audits, see auth.js)
+ *   9. Runs scripted user flows, re-auditing the page after every step
+ *  10. Emulates named viewports / devices (see viewports.js)
+ *  11. Presses Tab through the page to check keyboard access (see keyboard-audit.js)
+ *  12. Optionally captures the full page and records the bounding box of
+ *      every violation node so the dashboard can draw overlays
+ *  13. Crops a thumbnail of each violating element (see element-shots.js)
  *
  * Fault tolerance:
  *   - Automatic retry with exponential backoff (up to 3 attempts)
@@ -36,6 +45,11 @@ if (IS_LAMBDA) {
 }
 const fs = require('fs');
 const path = require('path');
+const { applyAuth } = require('./auth');
+const { runStep, describeStep } = require('./page-actions');
+const { auditKeyboard } = require('./keyboard-audit');
+const { captureElementShots } = require('./element-shots');
+const { buildAxeRun } = require('./axe-config');
 
 // ─── Pre-load axe-core source at startup ─────────────────────────────────────
 // We read the axe-core JS file once and inject it into every page we scrape.
@@ -83,6 +97,68 @@ const DEFAULT_RETRY_OPTIONS = {
   ],
 };
 
+// ─── User-flow Configuration ─────────────────────────────────────────────────
+const FLOW_SETTLE_MS = 500; // Pause after each flow step before re-auditing
+
+/** Human-readable label for a flow step, e.g. "click #open-menu" */
+function describeStepLabel(step) {
+  const target = step.selector || step.url || step.key || '';
+  return target ? `${step.action} ${target}` : step.action;
+}
+
+// ─── Screenshot Annotation Configuration ─────────────────────────────────────
+const MAX_SCREENSHOT_HEIGHT = 10000; // Cap full-page captures on endless-scroll pages
+const MAX_BOXES_PER_RULE = 50;       // One noisy rule shouldn't bury the rest
+const MAX_BOXES = 300;
+
+/**
+ * Runs inside the page: resolve each axe violation node to its bounding box.
+ * Boxes are in document coordinates for a full-page capture and in viewport
+ * coordinates otherwise, so they line up with the screenshot pixels.
+ *
+ * @param {Array} violations — axe-core violations
+ * @param {boolean} fullPage — Whether the screenshot covers the whole document
+ * @param {number} maxPerRule — Box limit per rule
+ * @param {number} maxTotal — Box limit overall
+ * @returns {Array} [{ ruleId, impact, target, x, y, width, height }]
+ */
+function locateViolations(violations, fullPage, maxPerRule, maxTotal) {
+  const offsetX = fullPage ? window.scrollX : 0;
+  const offsetY = fullPage ? window.scrollY : 0;
+  const boxes = [];
+
+  for (const violation of violations) {
+    let count = 0;
+    for (const node of violation.nodes) {
+      if (count >= maxPerRule || boxes.length >= maxTotal) break;
+      // Targets inside iframes or shadow roots are arrays of selectors; skip them
+      const [selector, ...rest] = node.target;
+      if (rest.length || typeof selector !== 'string') continue;
+
+      let el;
+      try {
+        el = document.querySelector(selector);
+      } catch {
+        continue;
+      }
+      const rect = el?.getBoundingClientRect();
+      if (!rect || rect.width === 0 || rect.height === 0) continue; // Hidden elements can't be drawn
+
+      boxes.push({
+        ruleId: violation.id,
+        impact: node.impact || violation.impact,
+        target: selector,
+        x: Math.round(rect.left + offsetX),
+        y: Math.round(rect.top + offsetY),
+        width: Math.round(rect.width),
+        height: Math.round(rect.height),
+      });
+      count++;
+    }
+  }
+  return boxes;
+}
+
 class AccessibilityScraper {
   /**
    * @param {Object} options
@@ -193,123 +269,318 @@ class AccessibilityScraper {
    * Wraps the core logic with automatic retry & proxy rotation.
    *
    * @param {string} url — Full URL to scrape
-   * @returns {Object} { url, timestamp, axeResults, content, screenshot, metadata }
+   * @param {Object} options
+   * @param {Object} options.auth — Cookies, headers, basic auth or login steps (see auth.js)
+   * @param {Object} options.viewport — Puppeteer viewport to emulate (see viewports.js)
+   * @param {boolean} options.keyboard — Run the Tab-walk keyboard checks (default true)
+   * @param {boolean} options.fullPage — Capture the whole page instead of the viewport
+   * @param {Object} options.axe — Tags / rules / include / exclude for axe-core (see axe-config.js)
+   * @param {number} options.elementScreenshots — Element crops per rule (0 disables, default 3)
+   * @returns {Object} { url, timestamp, axeResults, content, screenshot, annotations, metadata, keyboardResults }
    */
-  async scrapePage(url) {
-    return this._withRetry(() => this._scrapePageCore(url), `Scraping ${url}`);
+  async scrapePage(url, options = {}) {
+    return this._withRetry(() => this._scrapePageCore(url, options), `Scraping ${url}`);
   }
 
   /**
    * Core scraping logic (called by scrapePage via retry wrapper)
    *
    * @param {string} url — Full URL to scrape
-   * @returns {Object} { url, timestamp, axeResults, content, screenshot, metadata }
+   * @param {Object} options — See scrapePage
+   * @returns {Object} { url, timestamp, axeResults, content, screenshot, annotations, metadata }
    */
-  async _scrapePageCore(url) {
+  async _scrapePageCore(url, options = {}) {
     if (!this.browser) throw new Error('Browser not initialized. Call initialize() first.');
 
-    const page = await this.browser.newPage();
+    const { page, context } = await this._openPage(options);
 
     try {
+      // ── Apply credentials / run login script ────────────────────────
+      if (options.auth) await applyAuth(page, options.auth, url);
+
       // ── Navigate to URL ─────────────────────────────────────────────
       console.log(`Navigating to ${url}...`);
       await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
 
-      // ── Inject & run axe-core ───────────────────────────────────────
-      if (!axeSource) throw new Error('axe-core not loaded. Run: npm install axe-core');
-      await page.evaluate(axeSource); // Inject axe-core library into page
-
-      const axeAvailable = await page.evaluate(() => typeof window.axe !== 'undefined');
-      if (!axeAvailable) throw new Error('axe-core failed to initialize');
-
-      console.log('Running axe-core checks...');
-      const axeResults = await page.evaluate(async () => {
-        return await window.axe.run({
-          resultTypes: ['violations', 'incomplete'],
-          rules: {
-            'color-contrast': { enabled: true },
-            'image-alt': { enabled: true },
-            'label': { enabled: true },
-            'link-name': { enabled: true },
-          },
-        });
-      });
-      console.log(`Found ${axeResults.violations.length} violations`);
-
-      // ── Extract page content for LLM analysis ──────────────────────
-      // We pull out structured data that GPT-4 can reason about:
-      // headings (hierarchy), links (text quality), images (alt text),
-      // forms (label presence), buttons (clear labeling)
-      const content = await page.evaluate(() => ({
-        html: document.documentElement.outerHTML,
-        text: document.body.innerText,
-        title: document.title,
-
-        headings: Array.from(document.querySelectorAll('h1,h2,h3,h4,h5,h6'))
-          .map(h => ({ level: h.tagName, text: h.innerText.trim() }))
-          .filter(h => h.text.length > 0),
-
-        links: Array.from(document.querySelectorAll('a'))
-          .map(a => ({
-            text: a.innerText.trim(),
-            href: a.href,
-            hasAriaLabel: a.hasAttribute('aria-label'),
-            ariaLabel: a.getAttribute('aria-label'),
-          }))
-          .filter(l => l.text.length > 0 || l.ariaLabel),
-
-        images: Array.from(document.querySelectorAll('img'))
-          .map(img => ({
-            src: img.src,
-            alt: img.alt || '',
-            hasAlt: img.hasAttribute('alt'),
-            width: img.width,
-            height: img.height,
-          })),
-
-        forms: Array.from(document.querySelectorAll('form')).map(form => ({
-          action: form.action,
-          method: form.method,
-          inputs: Array.from(form.querySelectorAll('input, textarea, select')).map(input => ({
-            type: input.type,
-            name: input.name,
-            id: input.id,
-            hasLabel: !!input.labels?.length,
-            ariaLabel: input.getAttribute('aria-label'),
-            placeholder: input.placeholder,
-          })),
-        })),
+      const analysis = await this._analyzeLoadedPage(page, { fullPage: options.fullPage, axe: options.axe });
 
-        buttons: Array.from(document.querySelectorAll('button')).map(btn => ({
-          text: btn.innerText.trim(),
-          type: btn.type,
-          disabled: btn.disabled,
-          ariaLabel: btn.getAttribute('aria-label'),
-        })),
-      }));
-
-      // ── Screenshot ─────────────────────────────────────────────────
-      const screenshot = await page.screenshot({
-        encoding: 'base64',
-        fullPage: false,    // Above-the-fold only to save memory
-        type: 'jpeg',
-        quality: 60,
-      });
+      // ── Element thumbnails ──────────────────────────────────────────
+      const shots = await captureElementShots(page, analysis.axeResults.violations, options.elementScreenshots);
+      if (shots) console.log(`📸 Captured ${shots} element screenshots`);
 
-      return {
-        url,
-        timestamp: new Date().toISOString(),
-        axeResults,
-        content,
-        screenshot,
-        metadata: {
-          viewport: page.viewport(),
-          userAgent: await page.evaluate(() => navigator.userAgent),
-        },
-      };
+      // ── Keyboard navigation ─────────────────────────────────────────
+      // Tabbing moves focus and can open menus, so it runs after axe-core and the screenshot
+      if (options.keyboard !== false) {
+        console.log('⌨️  Running keyboard navigation checks...');
+        analysis.keyboardResults = await auditKeyboard(page).catch(error => {
+          console.warn(`⚠️  Keyboard audit failed: ${error.message}`);
+          return { error: error.message }; // Graceful fallback — the rest of the audit still counts
+        });
+      }
+
+      return { url, ...analysis };
     } catch (error) {
       console.error(`Error scraping ${url}:`, error.message);
       throw error;
+    } finally {
+      await page.close();
+      if (context) await context.close();
+    }
+  }
+
+  /**
+   * Run a scripted user flow, auditing the page after load and after every step
+   * Wraps the core logic with automatic retry & proxy rotation.
+   *
+   * @param {string} url — Page where the flow starts
+   * @param {Array} steps — Ordered steps (see page-actions.js)
+   * @param {Object} options — See scrapePage
+   * @returns {Object} { url, timestamp, steps: [{ index, label, step, url, axeResults, content, screenshot, annotations, metadata }] }
+   */
+  async scrapeFlow(url, steps, options = {}) {
+    return this._withRetry(() => this._scrapeFlowCore(url, steps, options), `Flow ${url}`);
+  }
+
+  /** Core user-flow logic (called by scrapeFlow via retry wrapper) */
+  async _scrapeFlowCore(url, steps, options = {}) {
+    if (!this.browser) throw new Error('Browser not initialized. Call initialize() first.');
+
+    const { page, context } = await this._openPage(options);
+
+    try {
+      if (options.auth) await applyAuth(page, options.auth, url);
+
+      console.log(`Navigating to ${url}...`);
+      await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
+
+      // Snapshot 0 is the page as loaded, before any interaction
+      const snapshots = [{
+        index: 0,
+        label: 'Initial page load',
+        step: null,
+        url: page.url(),
+        ...(await this._analyzeLoadedPage(page, { fullPage: options.fullPage, axe: options.axe })),
+      }];
+
+      for (let i = 0; i < steps.length; i++) {
+        const step = steps[i];
+        const label = step.label || describeStepLabel(step);
+        console.log(`▶️  Flow step ${i + 1}/${steps.length}: ${label}`);
+
+        try {
+          await runStep(page, step);
+        } catch (error) {
+          throw new Error(`Flow step ${i + 1} (${label}) failed: ${error.message}`);
+        }
+        // Let modals / menus finish animating before axe looks at them
+        await new Promise(resolve => setTimeout(resolve, step.settle ?? FLOW_SETTLE_MS));
+
+        snapshots.push({
+          index: i + 1,
+          label,
+          step: describeStep(step), // Typed values redacted
+          url: page.url(),
+          ...(await this._analyzeLoadedPage(page, { fullPage: options.fullPage, axe: options.axe })),
+        });
+      }
+
+      return { url, timestamp: snapshots[0].timestamp, steps: snapshots };
+    } catch (error) {
+      console.error(`Error running flow on ${url}:`, error.message);
+      throw error;
+    } finally {
+      await page.close();
+      if (context) await context.close();
+    }
+  }
+
+  /**
+   * Load a page only to list its links — crawl discovery, no audit
+   *
+   * @param {string} url — Full URL to load
+   * @param {Object} options — { auth } (see scrapePage)
+   * @returns {Promise<string[]>} Absolute hrefs of every link on the rendered page
+   */
+  async collectLinks(url, options = {}) {
+    return this._withRetry(async () => {
+      if (!this.browser) throw new Error('Browser not initialized. Call initialize() first.');
+      const { page, context } = await this._openPage(options);
+      try {
+        if (options.auth) await applyAuth(page, options.auth, url);
+        await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
+        return await page.evaluate(() => Array.from(document.querySelectorAll('a[href]'), a => a.href));
+      } finally {
+        await page.close();
+        if (context) await context.close();
+      }
+    }, `Collecting links on ${url}`);
+  }
+
+  /**
+   * Open a new page — in an isolated (incognito) context for authenticated
+   * audits so sessions never leak into other audits sharing this browser —
+   * emulating the requested viewport before anything loads
+   */
+  async _openPage(options) {
+    const context = options.auth ? await this.browser.createIncognitoBrowserContext() : null;
+    const page = context ? await context.newPage() : await this.browser.newPage();
+    if (options.viewport) await page.setViewport(options.viewport);
+    return { page, context };
+  }
+
+  /**
+   * Audit whatever is currently rendered in `page`: run axe-core, extract
+   * content for the LLM and take a screenshot
+   *
+   * @param {Page} page — Puppeteer page that has finished loading
+   * @param {Object} options
+   * @param {boolean} options.fullPage — Capture the whole page instead of the viewport
+   * @param {Object} options.axe — axe-core run options from the request (see axe-config.js)
+   * @returns {Object} { timestamp, axeResults, content, screenshot, annotations, metadata }
+   */
+  async _analyzeLoadedPage(page, { fullPage = false, axe } = {}) {
+    // ── Inject & run axe-core ───────────────────────────────────────
+    if (!axeSource) throw new Error('axe-core not loaded. Run: npm install axe-core');
+    // Navigation (or a flow step that navigates) discards the injected library
+    const axeLoaded = await page.evaluate(() => typeof window.axe !== 'undefined');
+    if (!axeLoaded) await page.evaluate(axeSource); // Inject axe-core library into page
+
+    const axeAvailable = await page.evaluate(() => typeof window.axe !== 'undefined');
+    if (!axeAvailable) throw new Error('axe-core failed to initialize');
+
+    console.log('Running axe-core checks...');
+    const { context, runOptions } = buildAxeRun(axe);
+    const axeResults = await page.evaluate(async (context, runOptions) => {
+      return await window.axe.run(context || document, runOptions);
+    }, context, runOptions);
+    console.log(`Found ${axeResults.violations.length} violations`);
+
+    // ── Extract page content for LLM analysis ──────────────────────
+    // We pull out structured data that GPT-4 can reason about:
+    // headings (hierarchy), links (text quality), images (alt text),
+    // forms (label presence), buttons (clear labeling)
+    const content = await page.evaluate(() => ({
+      html: document.documentElement.outerHTML,
+      text: document.body.innerText,
+      title: document.title,
+
+      headings: Array.from(document.querySelectorAll('h1,h2,h3,h4,h5,h6'))
+        .map(h => ({ level: h.tagName, text: h.innerText.trim() }))
+        .filter(h => h.text.length > 0),
+
+      links: Array.from(document.querySelectorAll('a'))
+        .map(a => ({
+          text: a.innerText.trim(),
+          href: a.href,
+          hasAriaLabel: a.hasAttribute('aria-label'),
+          ariaLabel: a.getAttribute('aria-label'),
+        }))
+        .filter(l => l.text.length > 0 || l.ariaLabel),
+
+      images: Array.from(document.querySelectorAll('img'))
+        .map(img => ({
+          src: img.src,
+          alt: img.alt || '',
+          hasAlt: img.hasAttribute('alt'),
+          width: img.width,
+          height: img.height,
+        })),
+
+      forms: Array.from(document.querySelectorAll('form')).map(form => ({
+        action: form.action,
+        method: form.method,
+        inputs: Array.from(form.querySelectorAll('input, textarea, select')).map(input => ({
+          type: input.type,
+          name: input.name,
+          id: input.id,
+          hasLabel: !!input.labels?.length,
+          ariaLabel: input.getAttribute('aria-label'),
+          placeholder: input.placeholder,
+        })),
+      })),
+
+      buttons: Array.from(document.querySelectorAll('button')).map(btn => ({
+        text: btn.innerText.trim(),
+        type: btn.type,
+        disabled: btn.disabled,
+        ariaLabel: btn.getAttribute('aria-label'),
+      })),
+    }));
+
+    // ── Screenshot + violation boxes ───────────────────────────────
+    const { screenshot, annotations } = await this._captureScreenshot(page, axeResults.violations, fullPage);
+
+    return {
+      timestamp: new Date().toISOString(),
+      axeResults,
+      content,
+      screenshot,
+      annotations,
+      metadata: {
+        viewport: page.viewport(),
+        userAgent: await page.evaluate(() => navigator.userAgent),
+      },
+    };
+  }
+
+  /**
+   * Take the screenshot and locate every violation node on it
+   *
+   * @param {Page} page — Puppeteer page that has finished loading
+   * @param {Array} violations — axe-core violations
+   * @param {boolean} fullPage — Capture the whole page (up to MAX_SCREENSHOT_HEIGHT)
+   * @returns {Object} { screenshot, annotations: { fullPage, page: { width, height }, boxes } }
+   */
+  async _captureScreenshot(page, violations, fullPage) {
+    const size = await page.evaluate(() => ({
+      width: document.documentElement.scrollWidth,
+      height: document.documentElement.scrollHeight,
+      viewportWidth: window.innerWidth,
+      viewportHeight: window.innerHeight,
+    }));
+
+    // `page` is the captured area in CSS pixels — the dashboard scales boxes against it
+    const captured = fullPage
+      ? { width: size.width, height: Math.min(size.height, MAX_SCREENSHOT_HEIGHT) }
+      : { width: size.viewportWidth, height: size.viewportHeight };
+
+    const screenshot = await page.screenshot({
+      encoding: 'base64',
+      type: 'jpeg',
+      quality: 60,
+      // Above-the-fold only by default to save memory
+      ...(fullPage ? { clip: { x: 0, y: 0, ...captured } } : { fullPage: false }),
+    });
+
+    const boxes = await page.evaluate(locateViolations, violations, fullPage, MAX_BOXES_PER_RULE, MAX_BOXES);
+
+    return {
+      screenshot,
+      annotations: {
+        fullPage,
+        page: captured,
+        // Drop boxes that fall outside the captured area
+        boxes: boxes.filter(b => b.x < captured.width && b.y < captured.height
+          && b.x + b.width > 0 && b.y + b.height > 0),
+      },
+    };
+  }
+
+  /**
+   * Print an HTML document (a rendered report) to PDF with this browser
+   *
+   * @param {string} html — Complete, self-contained HTML document
+   * @param {Object} pdfOptions — Puppeteer page.pdf() options (A4 with backgrounds by default)
+   * @returns {Promise<Buffer>} PDF bytes
+   */
+  async printPdf(html, pdfOptions = {}) {
+    if (!this.browser) throw new Error('Browser not initialized. Call initialize() first.');
+    const page = await this.browser.newPage();
+    try {
+      // Reports are self-contained; nothing in them needs to run
+      await page.setJavaScriptEnabled(false);
+      await page.setContent(html, { waitUntil: 'load', timeout: 30000 });
+      return await page.pdf({ format: 'A4', printBackground: true, ...pdfOptions });
     } finally {
       await page.close();
     }
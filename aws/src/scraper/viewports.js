@@ -0,0 +1,76 @@
+/**
+ * viewports.js — Named viewport / device profiles for multi-viewport audits
+ *
+ * An audit request may carry `viewports`, a list of profile names and/or
+ * custom profiles:
+ *   ['mobile', 'desktop']
+ *   [{ name: 'small-laptop', width: 1280, height: 720, deviceScaleFactor: 1 }]
+ *
+ * The page is loaded and audited once per profile, so media queries, mobile
+ * menus and touch-only layouts are tested as real users would see them.
+ */
+
+/** Built-in profiles (Puppeteer setViewport options) */
+const VIEWPORT_PROFILES = {
+  mobile: { width: 375, height: 667, deviceScaleFactor: 2, isMobile: true, hasTouch: true },
+  tablet: { width: 768, height: 1024, deviceScaleFactor: 2, isMobile: true, hasTouch: true },
+  desktop: { width: 1366, height: 768, deviceScaleFactor: 1, isMobile: false, hasTouch: false },
+};
+
+const MAX_VIEWPORTS = 5; // Each profile is a full page load + axe-core run
+
+/**
+ * Validate a `viewports` request option (used by the API before queueing)
+ * @returns {string|null} Error message, or null if valid / absent
+ */
+function validateViewports(viewports) {
+  if (viewports === undefined || viewports === null) return null;
+  if (!Array.isArray(viewports) || viewports.length === 0) return 'viewports must be a non-empty array';
+  if (viewports.length > MAX_VIEWPORTS) return `viewports limited to ${MAX_VIEWPORTS} profiles`;
+
+  const names = new Set();
+  for (let i = 0; i < viewports.length; i++) {
+    const v = viewports[i];
+    if (typeof v === 'string') {
+      if (!VIEWPORT_PROFILES[v]) {
+        return `viewports[${i}] must be one of: ${Object.keys(VIEWPORT_PROFILES).join(', ')} (or a custom profile object)`;
+      }
+      names.add(v);
+      continue;
+    }
+    if (!v || typeof v.name !== 'string' || v.name.length === 0) return `viewports[${i}] requires a "name" string`;
+    for (const dim of ['width', 'height']) {
+      if (!Number.isInteger(v[dim]) || v[dim] < 200 || v[dim] > 3840) {
+        return `viewports[${i}].${dim} must be an integer between 200 and 3840`;
+      }
+    }
+    if (v.deviceScaleFactor !== undefined && !(typeof v.deviceScaleFactor === 'number' && v.deviceScaleFactor > 0 && v.deviceScaleFactor <= 4)) {
+      return `viewports[${i}].deviceScaleFactor must be a number between 0 and 4`;
+    }
+    names.add(v.name);
+  }
+  if (names.size !== viewports.length) return 'viewports must have unique names';
+  return null;
+}
+
+/**
+ * Turn a validated `viewports` option into concrete profiles
+ * @returns {Array<{name: string, viewport: Object}>}
+ */
+function resolveViewports(viewports) {
+  return viewports.map(v => {
+    if (typeof v === 'string') return { name: v, viewport: { ...VIEWPORT_PROFILES[v] } };
+    return {
+      name: v.name,
+      viewport: {
+        width: v.width,
+        height: v.height,
+        deviceScaleFactor: v.deviceScaleFactor || 1,
+        isMobile: !!v.isMobile,
+        hasTouch: !!v.hasTouch,
+      },
+    };
+  });
+}
+
+module.exports = { VIEWPORT_PROFILES, validateViewports, resolveViewports };
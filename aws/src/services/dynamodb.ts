@@ -19,6 +19,7 @@
 import {
   DynamoDBClient,
   DynamoDBClientConfig,
+  ConditionalCheckFailedException,
 } from '@aws-sdk/client-dynamodb';
 import {
   DynamoDBDocumentClient,
@@ -27,6 +28,7 @@ import {
   QueryCommand,
   ScanCommand,
   DeleteCommand,
+  UpdateCommand,
 } from '@aws-sdk/lib-dynamodb';
 
 // ─── Types ───────────────────────────────────────────────────────────────────
@@ -57,6 +59,21 @@ export interface AuditHistoryItem {
   criticalIssues: number;
 }
 
+/** A crawl's page count so far; `total` stays null until discovery has finished */
+export interface CrawlProgress {
+  finished: number;
+  total: number | null;
+}
+
+/** A page listed on a crawl record (`results.pages`); `success` is set once its audit job is done */
+export interface CrawlPageEntry {
+  auditId: string;
+  url: string;
+  depth: number;
+  success?: boolean;
+  error?: string;
+}
+
 // ─── Configuration ───────────────────────────────────────────────────────────
 
 const TABLE_NAME = process.env.DYNAMODB_TABLE || 'accessibility-audits';
@@ -222,6 +239,120 @@ export async function deleteAuditReport(auditId: string): Promise<void> {
   );
 }
 
+// ─── Crawl Progress ──────────────────────────────────────────────────────────
+//
+// A crawl record starts as `results: { type: 'crawl', pages: [], progress:
+// { finished: 0, total: null } }`. Discovery appends the pages it queues and
+// sets `total` when it is done; every page job marks its entry. Both updates
+// are atomic and return the new progress, so whichever lands last sees
+// finished === total and aggregates the site. The finished record keeps
+// `progress`, so a page job delivered again afterwards still reads it.
+
+const PROGRESS_NAMES: Record<string, string> = {
+  '#r': 'results', '#pages': 'pages', '#progress': 'progress', '#finished': 'finished', '#total': 'total', '#error': 'error',
+};
+
+/**
+ * List pages queued by a crawl's discovery run
+ *
+ * `offset` is the number of pages listed before, which makes a retried run
+ * a no-op. `final` closes the list: it sets the page total and the crawl
+ * summary (options, truncation, skipped count).
+ */
+export async function addCrawlPages(
+  crawlId: string,
+  offset: number,
+  pages: CrawlPageEntry[],
+  final?: { total: number; crawl: Record<string, any> }
+): Promise<CrawlProgress> {
+  if (IS_OFFLINE && !process.env.DYNAMODB_TABLE) {
+    const record = memoryStore.get(crawlId);
+    if (!record) throw new Error(`Crawl ${crawlId} not found`);
+    if (record.results.pages.length === offset) record.results.pages.push(...pages);
+    if (final) {
+      record.results.progress.total = final.total;
+      record.results.crawl = final.crawl;
+    }
+    return { ...record.results.progress };
+  }
+
+  const sets = final ? ['#r.#progress.#total = :total', '#r.crawl = :crawl'] : [];
+  const values = final ? { ':total': final.total, ':crawl': final.crawl } : {};
+  try {
+    return await updateCrawlProgress(crawlId, {
+      UpdateExpression: `SET ${['#r.#pages = list_append(#r.#pages, :pages)', ...sets].join(', ')}`,
+      ConditionExpression: 'size(#r.#pages) = :offset',
+      ExpressionAttributeValues: { ...values, ':pages': pages, ':offset': offset },
+    });
+  } catch (error) {
+    if (!(error instanceof ConditionalCheckFailedException)) throw error;
+    // A retried run: these pages were listed before it failed
+    if (sets.length === 0) return getCrawlProgress(crawlId);
+    return updateCrawlProgress(crawlId, { UpdateExpression: `SET ${sets.join(', ')}`, ExpressionAttributeValues: values });
+  }
+}
+
+/**
+ * Mark page `index` of a crawl as audited (or failed for good)
+ *
+ * A page is counted once, however often SQS delivers its job.
+ */
+export async function markCrawlPageDone(
+  crawlId: string,
+  index: number,
+  outcome: { success: boolean; error?: string }
+): Promise<CrawlProgress> {
+  if (IS_OFFLINE && !process.env.DYNAMODB_TABLE) {
+    const record = memoryStore.get(crawlId);
+    if (!record) throw new Error(`Crawl ${crawlId} not found`);
+    const entry = record.results.pages[index];
+    if (entry.success === undefined) {
+      Object.assign(entry, outcome);
+      record.results.progress.finished++;
+    }
+    return { ...record.results.progress };
+  }
+
+  const page = `#r.#pages[${index}]`;
+  const sets = [`${page}.success = :success`, '#r.#progress.#finished = #r.#progress.#finished + :one'];
+  if (outcome.error) sets.push(`${page}.#error = :error`);
+  try {
+    return await updateCrawlProgress(crawlId, {
+      UpdateExpression: `SET ${sets.join(', ')}`,
+      ConditionExpression: `attribute_not_exists(${page}.success)`,
+      ExpressionAttributeValues: { ':success': outcome.success, ':one': 1, ...(outcome.error && { ':error': outcome.error }) },
+    });
+  } catch (error) {
+    if (!(error instanceof ConditionalCheckFailedException)) throw error;
+    return getCrawlProgress(crawlId); // Counted by an earlier delivery
+  }
+}
+
+async function updateCrawlProgress(
+  crawlId: string,
+  update: { UpdateExpression: string; ConditionExpression?: string; ExpressionAttributeValues: Record<string, any> }
+): Promise<CrawlProgress> {
+  // DynamoDB rejects attribute names the expressions don't use
+  const expressions = `${update.UpdateExpression} ${update.ConditionExpression || ''}`;
+  const names = Object.fromEntries(Object.entries(PROGRESS_NAMES).filter(([alias]) => expressions.includes(alias)));
+  const result = await getClient().send(
+    new UpdateCommand({
+      TableName: TABLE_NAME,
+      Key: { auditId: crawlId },
+      ExpressionAttributeNames: names,
+      ...update,
+      ReturnValues: 'ALL_NEW',
+    })
+  );
+  return result.Attributes!.results.progress;
+}
+
+async function getCrawlProgress(crawlId: string): Promise<CrawlProgress> {
+  const record = await getAuditReport(crawlId);
+  if (!record) throw new Error(`Crawl ${crawlId} not found`);
+  return record.results.progress;
+}
+
 // ─── Helpers ─────────────────────────────────────────────────────────────────
 
 function toHistoryItem(record: AuditRecord): AuditHistoryItem {
@@ -243,4 +374,6 @@ export default {
   getAuditsByUrl,
   getRecentAudits,
   deleteAuditReport,
+  addCrawlPages,
+  markCrawlPageDone,
 };
@@ -0,0 +1,192 @@
+/**
+ * s3.ts — S3 storage for audit artifacts too large for a DynamoDB item
+ *
+ * A DynamoDB item is capped at 400KB, so audit records keep only a sample
+ * of each violation's failing elements (`examples`). The full node lists
+ * are written here, one JSON object per audit keyed by violation
+ * fingerprint, and loaded again by the API for paging and exports. Page
+ * and element screenshots are kept here too, and crawls park their
+ * discovery frontier here between consumer runs.
+ *
+ * Objects are expired by a bucket lifecycle rule after the same 90 days as
+ * the DynamoDB records. Falls back to in-memory storage when running
+ * locally without a bucket.
+ *
+ * Environment variables:
+ *   ARTIFACTS_BUCKET — Bucket name for audit artifacts
+ *   AWS_REGION       — AWS region (default: us-east-1)
+ *   IS_OFFLINE       — Set to 'true' to use in-memory fallback
+ */
+
+import { S3Client, PutObjectCommand, GetObjectCommand, NoSuchKey } from '@aws-sdk/client-s3';
+
+// ─── Configuration ───────────────────────────────────────────────────────────
+
+const BUCKET = process.env.ARTIFACTS_BUCKET || 'accessibility-audit-artifacts';
+const REGION = process.env.AWS_REGION || 'us-east-1';
+const IS_OFFLINE = process.env.IS_OFFLINE === 'true';
+
+let s3Client: S3Client | null = null;
+
+function getClient(): S3Client {
+  if (!s3Client) s3Client = new S3Client({ region: REGION });
+  return s3Client;
+}
+
+// ─── In-Memory Fallback (for local dev without S3) ───────────────────────────
+
+const memoryStore: Map<string, Buffer> = new Map();
+
+const useMemory = () => IS_OFFLINE && !process.env.ARTIFACTS_BUCKET;
+
+// ─── Public API ──────────────────────────────────────────────────────────────
+
+/**
+ * Store an artifact under `key`
+ */
+export async function saveArtifact(key: string, body: string | Buffer, contentType: string): Promise<void> {
+  if (useMemory()) {
+    memoryStore.set(key, Buffer.from(body));
+    return;
+  }
+
+  await getClient().send(
+    new PutObjectCommand({ Bucket: BUCKET, Key: key, Body: body, ContentType: contentType })
+  );
+}
+
+/**
+ * Load an artifact; null when it does not exist (or has expired)
+ */
+export async function getArtifact(key: string): Promise<Buffer | null> {
+  if (useMemory()) {
+    return memoryStore.get(key) || null;
+  }
+
+  try {
+    const result = await getClient().send(new GetObjectCommand({ Bucket: BUCKET, Key: key }));
+    return result.Body ? Buffer.from(await result.Body.transformToByteArray()) : null;
+  } catch (error) {
+    if (error instanceof NoSuchKey) return null;
+    throw error;
+  }
+}
+
+// ─── Node Lists ──────────────────────────────────────────────────────────────
+
+/**
+ * Store every failing element of an audit, keyed by violation fingerprint
+ *
+ * @returns The object key, kept on the record as `results.nodeListKey`
+ */
+export async function saveNodeLists(auditId: string, lists: Record<string, any[]>): Promise<string> {
+  const key = `nodes/${auditId}.json`;
+  await saveArtifact(key, JSON.stringify(lists), 'application/json');
+  return key;
+}
+
+/**
+ * Load the node lists written by saveNodeLists ({} when they have expired)
+ */
+export async function getNodeLists(key: string): Promise<Record<string, any[]>> {
+  const body = await getArtifact(key);
+  return body ? JSON.parse(body.toString('utf8')) : {};
+}
+
+/**
+ * Put the full node lists back on a stored record's combined results
+ * (a no-op for records without `nodeListKey`)
+ */
+export async function withNodeLists(results: Record<string, any>): Promise<Record<string, any>> {
+  if (!results?.nodeListKey) return results;
+
+  const lists = await getNodeLists(results.nodeListKey);
+  const withNodes = (items?: any[]) => items && items.map((item) => (
+    lists[item.fingerprint] ? { ...item, affectedNodes: lists[item.fingerprint] } : item
+  ));
+  return {
+    ...results,
+    violations: withNodes(results.violations),
+    ...(results.suppressed && { suppressed: withNodes(results.suppressed) }),
+    ...(results.needsReview && { needsReview: withNodes(results.needsReview) }),
+  };
+}
+
+/**
+ * Drop `affectedNodes` from combined results, keeping examples and node counts
+ *
+ * A busy page lists hundreds of failing elements at ~1KB each, which would
+ * push the record past the 400KB DynamoDB item limit. Per-step and
+ * per-viewport breakdowns drop them outright (the combined violations list
+ * every element once); the combined results' lists go to saveNodeLists.
+ */
+export function withoutNodeLists(results: Record<string, any>): Record<string, any> {
+  if (!results?.violations) return results;
+  const strip = (items: any[]) => items.map(({ affectedNodes, ...item }: any) => item);
+  return {
+    ...results,
+    violations: strip(results.violations),
+    ...(results.suppressed && { suppressed: strip(results.suppressed) }),
+    ...(results.needsReview && { needsReview: strip(results.needsReview) }),
+  };
+}
+
+// ─── Screenshots ─────────────────────────────────────────────────────────────
+
+/**
+ * Store an audit's page screenshot (base64 JPEG from the scraper)
+ *
+ * @returns The object key, kept on the record as `results.screenshotKey`
+ */
+export async function saveScreenshot(auditId: string, base64: string): Promise<string> {
+  const key = `screenshots/${auditId}.jpg`;
+  await saveArtifact(key, Buffer.from(base64, 'base64'), 'image/jpeg');
+  return key;
+}
+
+/**
+ * Store one cropped element screenshot (base64 JPEG from the scraper)
+ *
+ * @returns The object key, kept on the violation example as `screenshotKey`
+ */
+export async function saveElementShot(auditId: string, index: number, base64: string): Promise<string> {
+  const key = `screenshots/${auditId}/element-${index}.jpg`;
+  await saveArtifact(key, Buffer.from(base64, 'base64'), 'image/jpeg');
+  return key;
+}
+
+// ─── Crawl State ─────────────────────────────────────────────────────────────
+
+/**
+ * Store the frontier of a crawl whose discovery ran out of time
+ * (seen URLs + queue can be far larger than an SQS message allows)
+ *
+ * @returns The object key, passed on as the next crawl message's `resumeKey`
+ */
+export async function saveCrawlState(crawlId: string, run: number, state: Record<string, any>): Promise<string> {
+  const key = `crawls/${crawlId}/state-${run}.json`;
+  await saveArtifact(key, JSON.stringify(state), 'application/json');
+  return key;
+}
+
+/**
+ * Load a frontier written by saveCrawlState
+ */
+export async function getCrawlState(key: string): Promise<Record<string, any>> {
+  const body = await getArtifact(key);
+  if (!body) throw new Error(`Crawl state ${key} not found`);
+  return JSON.parse(body.toString('utf8'));
+}
+
+export default {
+  saveArtifact,
+  getArtifact,
+  saveNodeLists,
+  getNodeLists,
+  withNodeLists,
+  withoutNodeLists,
+  saveScreenshot,
+  saveElementShot,
+  saveCrawlState,
+  getCrawlState,
+};
@@ -29,23 +29,122 @@ import {
 
 // ─── Types ───────────────────────────────────────────────────────────────────
 
+export interface CrawlJobOptions {
+  maxDepth?: number;
+  maxPages?: number;
+  include?: string[]; // Path patterns, e.g. '/docs/*'
+  exclude?: string[];
+  sitemap?: string;   // Explicit sitemap.xml URL
+  useSitemap?: boolean; // Try <origin>/sitemap.xml (default true)
+  delay?: number;     // Politeness delay between page loads during discovery (ms)
+}
+
+/** A scripted page interaction — used by login sequences and user-flow audits */
+export interface AuthStep {
+  action:
+    | 'fill' | 'type' | 'select' | 'press' | 'click'
+    | 'waitForNavigation' | 'waitForSelector' | 'navigate';
+  selector?: string;
+  value?: string;
+  key?: string;     // For 'press', e.g. 'Enter' or 'Escape'
+  url?: string;
+  label?: string;   // Display name for the step in flow reports
+  settle?: number;  // ms to wait after the step before auditing (flows only)
+  waitForNavigation?: boolean;
+  timeout?: number;
+}
+
+/**
+ * Credentials for auditing pages behind a login. These travel in the SQS
+ * message (encrypted at rest by SQS SSE) but are never written to DynamoDB.
+ */
+export interface AuditAuthOptions {
+  cookies?: Array<{ name: string; value: string; domain?: string; path?: string }>;
+  headers?: Record<string, string>;
+  basicAuth?: { username: string; password: string };
+  login?: { url?: string; steps: AuthStep[] };
+}
+
+/** A built-in profile name ('mobile' | 'tablet' | 'desktop') or a custom profile */
+export type ViewportOption =
+  | string
+  | { name: string; width: number; height: number; deviceScaleFactor?: number; isMobile?: boolean; hasTouch?: boolean };
+
+/** axe-core run options (see scraper/axe-config.js) */
+export interface AxeAuditOptions {
+  tags?: string[]; // runOnly tags, e.g. ['wcag2a', 'wcag2aa']
+  rules?: Record<string, boolean>; // Rule id → enabled
+  include?: string[]; // Selector scopes to audit
+  exclude?: string[]; // Selector scopes to skip
+}
+
+/** Waiver for an accepted issue (see analyzer/suppressions.js); at least one of rule / selector / url / fingerprint */
+export interface SuppressionEntry {
+  id?: string;
+  rule?: string; // "*" wildcards allowed
+  selector?: string; // Pattern every example node's selector must match
+  url?: string; // URL or path-template pattern
+  fingerprint?: string;
+  justification: string;
+  owner: string;
+  expires: string; // ISO date; a date-only value lasts through that day (UTC)
+}
+
+/** A built-in scoring profile name ('classic' | 'balanced' | 'strict') or overrides of one (see analyzer/scoring-profiles.js) */
+export type ScoringProfileOption =
+  | string
+  | {
+      extends?: string;
+      name?: string;
+      weights?: Partial<Record<'critical' | 'serious' | 'moderate' | 'minor', number>>;
+      nodeScaling?: { type: 'none' | 'log' | 'capped'; cap?: number };
+      sources?: Partial<Record<'axe-core' | 'llm' | 'keyboard', number>>;
+      rules?: Record<string, number>; // Rule id → points, replacing the impact weight
+    };
+
 export interface AuditJobMessage {
   jobId: string;
+  type?: 'page' | 'crawl' | 'flow'; // Defaults to 'page'
   url: string;
   options: {
     skipLLM?: boolean;
+    skipKeyboard?: boolean; // Skip the Tab-walk keyboard checks
+    fullPageScreenshot?: boolean; // Capture the whole page when locating violation boxes
+    elementScreenshots?: number; // Cropped element thumbnails per rule (0 disables, default 3)
     priority?: 'high' | 'normal' | 'low';
     callbackUrl?: string; // Webhook to notify on completion
+    crawl?: CrawlJobOptions;
+    steps?: AuthStep[]; // User-flow steps (type 'flow')
+    viewports?: ViewportOption[];
+    auth?: AuditAuthOptions;
+    axe?: AxeAuditOptions;
+    wcagTarget?: string; // e.g. 'WCAG 2.2 AA' (see analyzer/wcag-criteria.js)
+    scoringProfile?: ScoringProfileOption;
+    suppressions?: SuppressionEntry[];
   };
   submittedAt: string;
   retryCount?: number;
+  crawlPage?: { crawlId: string; index: number; depth: number }; // A page found by a crawl
+  resumeKey?: string; // Crawl jobs: S3 key of the frontier left by an earlier discovery run
 }
 
 export interface BatchAuditJobMessage {
   batchId: string;
   urls: string[];
+  // Pages found by a crawl (batchId = crawl job ID): jobs are named
+  // <batchId>-page-<offset + i> and report back to the crawl record
+  crawl?: { offset: number; depths: number[] };
   options: {
     skipLLM?: boolean;
+    skipKeyboard?: boolean;
+    fullPageScreenshot?: boolean;
+    elementScreenshots?: number;
+    viewports?: ViewportOption[];
+    auth?: AuditAuthOptions;
+    axe?: AxeAuditOptions;
+    wcagTarget?: string; // e.g. 'WCAG 2.2 AA' (see analyzer/wcag-criteria.js)
+    scoringProfile?: ScoringProfileOption;
+    suppressions?: SuppressionEntry[];
   };
   submittedAt: string;
 }
@@ -128,12 +227,20 @@ export async function enqueueBatchAuditJobs(
   const messageIds: string[] = [];
 
   for (let i = 0; i < batch.urls.length; i++) {
-    const job: AuditJobMessage = {
-      jobId: `${batch.batchId}-${i}`,
-      url: batch.urls[i],
-      options: batch.options,
-      submittedAt: batch.submittedAt,
-    };
+    const job: AuditJobMessage = batch.crawl
+      ? {
+          jobId: `${batch.batchId}-page-${batch.crawl.offset + i}`,
+          url: batch.urls[i],
+          options: batch.options,
+          submittedAt: batch.submittedAt,
+          crawlPage: { crawlId: batch.batchId, index: batch.crawl.offset + i, depth: batch.crawl.depths[i] },
+        }
+      : {
+          jobId: `${batch.batchId}-${i}`,
+          url: batch.urls[i],
+          options: batch.options,
+          submittedAt: batch.submittedAt,
+        };
 
     const messageId = await enqueueAuditJob(job);
     messageIds.push(messageId);
@@ -20,6 +20,10 @@ export interface AxeViolationNode {
   html: string;
   target: string[];
   failureSummary: string;
+  any?: Array<{ id: string; message: string }>;
+  all?: Array<{ id: string; message: string }>;
+  none?: Array<{ id: string; message: string }>;
+  screenshot?: string; // Cropped element image (base64 JPEG), see element-shots.js
 }
 
 export interface AxeResults {
@@ -45,9 +49,27 @@ export interface LLMAnalysisResult {
   error?: string;
 }
 
+/** The waiver behind a suppression (see analyzer/suppressions.js) */
+export interface WaiverRef {
+  id: string | null;
+  justification: string;
+  owner: string;
+  expires: string;
+}
+
+/** One failing element of an axe-core violation (paged via /api/audit/:id/violations/:fingerprint/nodes) */
+export interface AffectedNode {
+  fingerprint: string;
+  target: string;
+  html: string;
+  failureSummary: string | null;
+  checks: { any: string[]; all: string[]; none: string[] }; // Messages of the checks behind the failure
+}
+
 /** Combined violation (unified format from both sources) */
 export interface CombinedViolation {
-  source: 'axe-core' | 'llm';
+  fingerprint: string;   // Stable across runs: source + rule + page template (see analyzer/fingerprint.js)
+  source: 'axe-core' | 'llm' | 'keyboard';
   id?: string;
   type: string;
   impact: 'critical' | 'serious' | 'moderate' | 'minor';
@@ -57,12 +79,95 @@ export interface CombinedViolation {
   wcagTags: string[];
   nodes?: number;
   examples: any[];
+  affectedNodes?: AffectedNode[]; // Every failing element (axe-core); `examples` is the first few
   recommendation: string;
   isSemanticIssue?: boolean;
+  matchedTarget?: string; // LLM findings: selector of the page element they quote (keys the fingerprint)
+  steps?: number[];      // User-flow steps where it occurs (flow audits)
+  viewports?: string[];  // Viewport profiles where it occurs (multi-viewport audits)
+  reviewed?: boolean;    // Came from a needs-review item a reviewer marked failed
+  outOfTarget: boolean;  // Only maps to criteria outside the conformance target (not scored)
+  sources?: Array<'axe-core' | 'llm'>; // Set when an LLM finding was merged into this axe violation
+  suppression?: WaiverRef;   // Waiver that moved it to `suppressed`
+  waiverExpired?: WaiverRef; // Lapsed waiver; the violation is active again
+  llmFindings?: Array<{ fingerprint: string; type: string; description: string; recommendation: string; examples: string[] }>;
+}
+
+/** axe-core "incomplete" result awaiting a human decision (not scored) */
+export interface NeedsReviewItem {
+  id: string;
+  fingerprint: string;
+  impact: 'critical' | 'serious' | 'moderate' | 'minor';
+  description: string;
+  help: string;
+  helpUrl: string;
+  wcagTags: string[];
+  nodes: number;
+  examples: Array<{ html: string; target: string; message: string; fingerprint: string }>;
+  affectedNodes: AffectedNode[];
+  review: { status: 'pass' | 'fail'; note: string | null; reviewedAt: string } | null;
+  steps?: number[];
+  viewports?: string[];
+}
+
+/** One WCAG success criterion in the conformance matrix */
+export interface WcagCriterionResult {
+  id: string; // e.g. '1.4.3'
+  name: string; // e.g. 'Contrast (Minimum)'
+  level: 'A' | 'AA' | 'AAA';
+  status: 'passed' | 'failed' | 'notApplicable' | 'notTested';
+  failed: string[]; // Violation rule ids / types
+  passed: string[]; // axe passes, reviewer passes
+  inapplicable: string[];
+  partial: string[]; // Keyboard checks that found nothing; the criterion still needs review
+  pending: string[]; // Needs-review items awaiting a decision
+}
+
+/** One Section 508 / EN 301 549 clause, mapped from a WCAG criterion */
+export interface StandardClauseResult {
+  clause: string; // e.g. '1.4.3' (508) or '9.1.4.3' (EN 301 549)
+  title: string;
+  wcag: string;
+  level: 'A' | 'AA';
+  status: 'passed' | 'failed' | 'notApplicable' | 'notTested';
+  violations: string[];
+}
+
+/** Per-clause results for one procurement standard */
+export interface StandardResult {
+  name: string;
+  basis: string; // Which WCAG version / levels the standard incorporates
+  status: 'passed' | 'failed' | 'notVerified';
+  summary: { passed: number; failed: number; notApplicable: number; notTested: number; total: number };
+  clauses: StandardClauseResult[];
+}
+
+/** Resolved scoring profile (see analyzer/scoring-profiles.js) */
+export interface ScoringProfile {
+  name: string;
+  description: string;
+  weights: Record<'critical' | 'serious' | 'moderate' | 'minor', number>;
+  nodeScaling: { type: 'none' | 'log' | 'capped'; cap?: number };
+  sources: Record<'axe-core' | 'llm' | 'keyboard', number>;
+  rules: Record<string, number>;
+}
+
+/** One line of the score breakdown: points = base × nodeFactor × sourceWeight */
+export interface ScoreDeduction {
+  rule: string;
+  source: 'axe-core' | 'llm' | 'keyboard';
+  impact: string;
+  nodes: number;
+  base: number;
+  nodeFactor: number;
+  sourceWeight: number;
+  points: number;
 }
 
 /** Combined audit results */
 export interface CombinedResults {
+  target: string; // Conformance target, e.g. 'WCAG 2.2 AA'
+  url: string | null;
   summary: {
     totalViolations: number;
     critical: number;
@@ -72,13 +177,33 @@ export interface CombinedResults {
     sources: {
       axeCore: number;
       llm: number;
+      keyboard: number;
     };
+    needsReview: number; // Items still awaiting review
+    outOfTarget: number; // Violations outside the target, excluded from the counts above
+    duplicatesRemoved: number; // LLM findings merged into matching axe-core violations
+    suppressed: number; // Covered by a current waiver, not counted above
+    waiversExpired: number; // Active again after their waiver lapsed
   };
   violations: CombinedViolation[];
-  wcagCoverage: {
+  suppressed: CombinedViolation[]; // Listed and still failing their criteria, but not scored
+  suppressions: Array<Record<string, string>>; // Waiver entries applied; re-checked when a review re-scores
+  needsReview: NeedsReviewItem[];
+  wcagCriteria: WcagCriterionResult[];
+  wcagCoverage: { // % of criteria per level that passed or do not apply (levels up to the target)
     A: number;
-    AA: number;
-    AAA: number;
+    AA?: number;
+    AAA?: number;
+  };
+  passedRules: Array<{ source: 'axe-core' | 'keyboard'; id: string; help: string | null }>; // Rules / checks that found nothing
+  standards: {
+    section508: StandardResult;
+    en301549: StandardResult;
+  };
+  scoring: {
+    profile: ScoringProfile;
+    deductions: ScoreDeduction[]; // Largest first
+    totalDeduction: number;
   };
   complianceScore: number;
 }
@@ -115,6 +240,7 @@ export interface ScrapedPageData {
     }>;
   };
   screenshot: string;
+  annotations: ScreenshotAnnotations;
   metadata: {
     viewport: { width: number; height: number };
     userAgent: string;
@@ -128,13 +254,19 @@ export interface AuditReport {
   duration: number;
   results: CombinedResults;
   summary: {
+    target: string;
     overallScore: number;
-    complianceLevel: string;
+    scoringProfile: string | null; // Name of the profile that produced overallScore
+    complianceLevel: string; // 'Not Compliant' | 'Not Verified' | 'A' | 'AA' | 'AAA'
+    automatedLevel: string; // Highest level with no failed criteria
+    criteriaNotTested: number;
     totalIssues: number;
     criticalIssues: number;
     recommendation: string;
   };
   screenshot: string | null;
+  annotations: ScreenshotAnnotations | null;
+  keyboard: KeyboardAuditResult | null;
   metadata: {
     pageTitle: string;
     totalElements: {
@@ -146,7 +278,75 @@ export interface AuditReport {
     };
     viewport: { width: number; height: number };
     userAgent: string;
+    viewports?: Array<{ name: string; viewport: ViewportProfile }>;
+    axe: {
+      tags: string[] | null; // null = axe-core's default rule set
+      rules: Record<string, boolean>;
+      include: string[] | null;
+      exclude: string[] | null;
+      version: string | null; // axe-core version that ran
+    };
   };
+  viewports?: Array<{
+    name: string;
+    viewport: ViewportProfile;
+    screenshot: string | null;
+    annotations: ScreenshotAnnotations | null;
+    results: CombinedResults;
+    summary: AuditReport['summary'];
+  }>;
+}
+
+/** Bounding box of one violation node, in screenshot CSS pixels */
+export interface ViolationBox {
+  ruleId: string;
+  impact: 'critical' | 'serious' | 'moderate' | 'minor';
+  target: string;
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+/** Violation boxes for the screenshot they were measured against */
+export interface ScreenshotAnnotations {
+  fullPage: boolean;
+  page: { width: number; height: number }; // Captured area
+  boxes: ViolationBox[];
+}
+
+/** Puppeteer viewport emulation settings for a named profile */
+export interface ViewportProfile {
+  width: number;
+  height: number;
+  deviceScaleFactor: number;
+  isMobile: boolean;
+  hasTouch: boolean;
+}
+
+/** An element reached (or not) by the keyboard Tab walk */
+export interface FocusedElement {
+  index?: number;
+  selector: string;
+  name: string;
+  tag: string;
+  role: string | null;
+  tabIndex: number;
+  html?: string;
+  bbox: { x: number; y: number; width: number; height: number };
+  focusVisible?: boolean;
+  reason?: string;
+}
+
+/** Output of keyboard-audit.js */
+export interface KeyboardAuditResult {
+  focusOrder: FocusedElement[];
+  completed: boolean; // Tabbed all the way through the page
+  trap: { elements: Array<{ selector: string; name: string; html: string }> } | null;
+  notFocusable: FocusedElement[];
+  positiveTabindex: FocusedElement[];
+  noVisibleFocus: FocusedElement[];
+  error?: string;
 }
 
 /** Retry configuration for fault-tolerant scraping */
@@ -5,7 +5,9 @@ import LoadingState from './components/LoadingState'
 import ScoreGauge from './components/ScoreGauge'
 import SeverityBreakdown from './components/SeverityBreakdown'
 import WcagCoverage from './components/WcagCoverage'
+import StandardsCompliance from './components/StandardsCompliance'
 import SourceBreakdown from './components/SourceBreakdown'
+import ScoreBreakdown from './components/ScoreBreakdown'
 import PageMeta from './components/PageMeta'
 import ViolationsTable from './components/ViolationsTable'
 import ArchitectureBanner from './components/ArchitectureBanner'
@@ -13,7 +15,14 @@ import Welcome from './components/Welcome'
 import AuditHistory from './components/AuditHistory'
 import ScreenshotPreview from './components/ScreenshotPreview'
 import SeverityChart from './components/SeverityChart'
-import { checkHealth, runAudit } from './api'
+import FlowSteps from './components/FlowSteps'
+import ViewportResults from './components/ViewportResults'
+import FocusOrder from './components/FocusOrder'
+import NeedsReview from './components/NeedsReview'
+import SuppressedList from './components/SuppressedList'
+import AuditComparison from './components/AuditComparison'
+import VpatEditor from './components/VpatEditor'
+import { checkHealth, runAudit, runFlowAudit, submitReview, reportUrl } from './api'
 
 export default function App() {
   const [serverStatus, setServerStatus] = useState('checking')
@@ -22,6 +31,7 @@ export default function App() {
   const [loadingStep, setLoadingStep] = useState('')
   const [error, setError] = useState(null)
   const [results, setResults] = useState(null)
+  const [focus, setFocus] = useState(null)
   const [auditHistory, setAuditHistory] = useState([])
 
   useEffect(() => {
@@ -40,10 +50,11 @@ export default function App() {
     }
   }
 
-  const handleAudit = useCallback(async (url, skipLLM) => {
+  const handleAudit = useCallback(async (url, skipLLM, { steps, viewports, fullPageScreenshot, wcagTarget, scoringProfile } = {}) => {
     setLoading(true)
     setError(null)
     setResults(null)
+    setFocus(null)
     setLoadingStep('Scraping page & running axe-core analysis...')
 
     try {
@@ -54,7 +65,9 @@ export default function App() {
         setLoadingStep('Combining results & calculating scores...')
       }, 8000)
 
-      const data = await runAudit(url, skipLLM)
+      const data = steps
+        ? await runFlowAudit(url, steps, skipLLM, fullPageScreenshot, wcagTarget, scoringProfile)
+        : await runAudit(url, skipLLM, viewports, fullPageScreenshot, wcagTarget, scoringProfile)
       
       clearTimeout(stepTimer1)
       clearTimeout(stepTimer2)
@@ -78,6 +91,15 @@ export default function App() {
     }
   }, [])
 
+  const handleReview = async (ruleId, status) => {
+    try {
+      const updated = await submitReview(results.auditId, ruleId, status)
+      setResults(prev => ({ ...prev, summary: updated.summary, results: updated.results }))
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
   const handleHistoryClick = (item) => {
     handleAudit(item.url, false)
   }
@@ -117,6 +139,16 @@ export default function App() {
               <div className="results-meta">
                 <span>⏱️ {results.duration}s</span>
                 <span>📅 {new Date(results.scannedAt).toLocaleString()}</span>
+                {results.auditId && (
+                  <>
+                    <a className="export-link" href={reportUrl(results.auditId, 'html')} download>
+                      ⬇️ HTML report
+                    </a>
+                    <a className="export-link" href={reportUrl(results.auditId, 'pdf')} download>
+                      ⬇️ PDF report
+                    </a>
+                  </>
+                )}
               </div>
             </div>
 
@@ -124,13 +156,26 @@ export default function App() {
               <ScoreGauge
                 score={results.summary.overallScore}
                 level={results.summary.complianceLevel}
+                automatedLevel={results.summary.automatedLevel}
+                notTested={results.summary.criteriaNotTested}
               />
               <SeverityBreakdown summary={results.results.summary} />
             </div>
 
-            <div className="results-grid-3">
-              <WcagCoverage coverage={results.results.wcagCoverage} />
-              <SourceBreakdown sources={results.results.summary.sources} />
+            <div className="results-grid">
+              <WcagCoverage
+                coverage={results.results.wcagCoverage}
+                criteria={results.results.wcagCriteria}
+                target={results.results.target}
+              />
+              <StandardsCompliance standards={results.results.standards} />
+            </div>
+
+            <div className="results-grid">
+              <SourceBreakdown
+                sources={results.results.summary.sources}
+                duplicatesRemoved={results.results.summary.duplicatesRemoved}
+              />
               <SeverityChart summary={results.results.summary} />
             </div>
 
@@ -152,11 +197,46 @@ export default function App() {
               </div>
             </div>
 
+            <ScoreBreakdown scoring={results.results.scoring} score={results.summary.overallScore} />
+
             {results.screenshot && (
-              <ScreenshotPreview screenshot={results.screenshot} url={results.url} />
+              <ScreenshotPreview
+                screenshot={results.screenshot}
+                url={results.url}
+                annotations={results.annotations}
+                violations={results.results.violations}
+                onSelectViolation={ruleId => setFocus({ ruleId, at: Date.now() })}
+              />
+            )}
+
+            <FocusOrder keyboard={results.keyboard} />
+
+            {results.auditId && (
+              <NeedsReview items={results.results.needsReview} onReview={handleReview} />
+            )}
+
+            <SuppressedList items={results.results.suppressed} />
+
+            {results.auditId && (
+              <AuditComparison auditId={results.auditId} url={results.url} scannedAt={results.scannedAt} />
+            )}
+
+            {results.auditId && (
+              <VpatEditor auditId={results.auditId} url={results.url} />
             )}
 
-            <ViolationsTable violations={results.results.violations} />
+            {results.type === 'flow' ? (
+              <FlowSteps steps={results.steps} violations={results.results.violations} focus={focus} />
+            ) : results.viewports ? (
+              <ViewportResults
+                viewports={results.viewports}
+                violations={results.results.violations}
+                url={results.url}
+                focus={focus}
+              />
+            ) : (
+              <ViolationsTable violations={results.results.violations} focus={focus} auditId={results.auditId} />
+            )}
           </>
         )}
 
@@ -10,11 +10,11 @@ export async function checkHealth() {
   }
 }
 
-export async function runAudit(url, skipLLM = false) {
+export async function runAudit(url, skipLLM = false, viewports, fullPageScreenshot = false, wcagTarget, scoringProfile) {
   const res = await fetch(`${API_BASE}/api/audit`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ url, skipLLM }),
+    body: JSON.stringify({ url, skipLLM, viewports, fullPageScreenshot, wcagTarget, scoringProfile }),
   });
 
   if (!res.ok) {
@@ -25,6 +25,21 @@ export async function runAudit(url, skipLLM = false) {
   return await res.json();
 }
 
+export async function runFlowAudit(url, steps, skipLLM = false, fullPageScreenshot = false, wcagTarget, scoringProfile) {
+  const res = await fetch(`${API_BASE}/api/audit/flow`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ url, steps, skipLLM, fullPageScreenshot, wcagTarget, scoringProfile }),
+  });
+
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({ message: 'Flow audit failed' }));
+    throw new Error(err.message || err.error || 'Flow audit failed');
+  }
+
+  return await res.json();
+}
+
 export async function runBatchAudit(urls, skipLLM = false) {
   const res = await fetch(`${API_BASE}/api/audit/batch`, {
     method: 'POST',
@@ -40,9 +55,25 @@ export async function runBatchAudit(urls, skipLLM = false) {
   return await res.json();
 }
 
-export async function getHistory() {
+export async function submitReview(auditId, ruleId, status, note) {
+  const res = await fetch(`${API_BASE}/api/audit/${encodeURIComponent(auditId)}/review`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ruleId, status, note }),
+  });
+
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({ message: 'Review update failed' }));
+    throw new Error(err.message || err.error || 'Review update failed');
+  }
+
+  return await res.json();
+}
+
+export async function getHistory(url) {
   try {
-    const res = await fetch(`${API_BASE}/api/audit/history`);
+    const query = url ? `?url=${encodeURIComponent(url)}` : '';
+    const res = await fetch(`${API_BASE}/api/audit/history${query}`);
     if (!res.ok) return { history: [] };
     return await res.json();
   } catch {
@@ -50,6 +81,70 @@ export async function getHistory() {
   }
 }
 
+export async function compareAudits(baseId, headId) {
+  const query = `base=${encodeURIComponent(baseId)}&head=${encodeURIComponent(headId)}`;
+  const res = await fetch(`${API_BASE}/api/audit/compare?${query}`);
+
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({ message: 'Comparison failed' }));
+    throw new Error(err.message || err.error || 'Comparison failed');
+  }
+
+  return await res.json();
+}
+
+export async function getAffectedNodes(auditId, fingerprint, offset = 0, limit = 50) {
+  const path = `/api/audit/${encodeURIComponent(auditId)}/violations/${encodeURIComponent(fingerprint)}/nodes`;
+  const res = await fetch(`${API_BASE}${path}?offset=${offset}&limit=${limit}`);
+
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({ message: 'Could not load elements' }));
+    throw new Error(err.message || err.error || 'Could not load elements');
+  }
+
+  return await res.json();
+}
+
+export async function draftVpat(request) {
+  const res = await fetch(`${API_BASE}/api/vpat`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(request),
+  });
+
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({ message: 'Conformance report failed' }));
+    throw new Error(err.message || err.error || 'Conformance report failed');
+  }
+
+  return await res.json();
+}
+
+export async function downloadVpat(format, request) {
+  const res = await fetch(`${API_BASE}/api/vpat/report.${format}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(request),
+  });
+
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({ message: 'Conformance report export failed' }));
+    throw new Error(err.message || err.error || 'Conformance report export failed');
+  }
+
+  const filename = (res.headers.get('Content-Disposition') || '').match(/filename="([^"]+)"/)?.[1] || `vpat.${format}`;
+  const href = URL.createObjectURL(await res.blob());
+  const link = document.createElement('a');
+  link.href = href;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(href);
+}
+
+export function reportUrl(auditId, format) {
+  return `${API_BASE}/api/audit/${encodeURIComponent(auditId)}/report.${format}`;
+}
+
 export async function getApiInfo() {
   const res = await fetch(`${API_BASE}/api/info`);
   return await res.json();
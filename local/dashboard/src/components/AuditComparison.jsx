@@ -0,0 +1,121 @@
+import React, { useState, useEffect } from 'react'
+import { getHistory, compareAudits } from '../api'
+
+const STATUSES = ['new', 'fixed', 'suppressed', 'unchanged']
+
+const signed = (n) => (n > 0 ? `+${n}` : `${n}`)
+
+export default function AuditComparison({ auditId, url, scannedAt }) {
+  const [earlier, setEarlier] = useState([])
+  const [baseId, setBaseId] = useState('')
+  const [diff, setDiff] = useState(null)
+  const [error, setError] = useState(null)
+  const [filter, setFilter] = useState('all')
+
+  useEffect(() => {
+    let cancelled = false
+    setDiff(null)
+    setBaseId('')
+    getHistory(url).then(data => {
+      if (cancelled) return
+      const others = (data.history || [])
+        .filter(h => h.auditId !== auditId && h.url === url && h.complianceLevel !== 'pending')
+      setEarlier(others)
+      if (others.length) setBaseId(others[0].auditId)
+    })
+    return () => { cancelled = true }
+  }, [auditId, url])
+
+  useEffect(() => {
+    if (!baseId) return
+    const other = earlier.find(h => h.auditId === baseId)
+    // The older audit is always the base, whichever one was picked
+    const [base, head] = other && other.scannedAt > scannedAt ? [auditId, baseId] : [baseId, auditId]
+    setError(null)
+    compareAudits(base, head)
+      .then(setDiff)
+      .catch(err => { setDiff(null); setError(err.message) })
+  }, [baseId, auditId, scannedAt, earlier])
+
+  if (earlier.length === 0) return null
+
+  const shown = diff ? diff.violations.filter(v => filter === 'all' || v.status === filter) : []
+
+  const describeNodes = (v) => {
+    const { base, head } = v.nodeCount
+    const counts = `${base ?? 0} → ${head ?? 0} element${head === 1 ? '' : 's'}`
+    const changed = v.nodes.filter(n => n.status !== 'unchanged')
+    if (changed.length === 0) return counts
+    return `${counts} · ${changed.map(n => `${n.status === 'new' ? '+' : '−'} ${n.target || n.text}`).join(', ')}`
+  }
+
+  return (
+    <div className="violations-section">
+      <div className="violations-table-container">
+        <div className="violations-table-header">
+          <h3>🔀 Compare with an earlier audit</h3>
+          <select className="target-select" value={baseId} onChange={(e) => setBaseId(e.target.value)}>
+            {earlier.map(h => (
+              <option key={h.auditId} value={h.auditId}>
+                {new Date(h.scannedAt).toLocaleString()} — score {h.score}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {error && <div style={{ padding: '1rem', color: '#ef4444' }}>{error}</div>}
+
+        {diff && (
+          <>
+            <div className="diff-summary">
+              <span>
+                Score {diff.score.base} → {diff.score.head}{' '}
+                <strong className={diff.score.change >= 0 ? 'diff-up' : 'diff-down'}>({signed(diff.score.change)})</strong>
+              </span>
+              {Object.entries(diff.coverage).map(([level, c]) => (
+                <span key={level}>
+                  {level} coverage {c.base ?? '—'}% → {c.head ?? '—'}%
+                  {c.change !== null && c.change !== 0 && (
+                    <strong className={c.change > 0 ? 'diff-up' : 'diff-down'}> ({signed(c.change)})</strong>
+                  )}
+                </span>
+              ))}
+              <span>
+                Elements: +{diff.summary.nodes.new} new, −{diff.summary.nodes.fixed} fixed
+              </span>
+              {diff.base.target !== diff.head.target && (
+                <span>Targets differ: {diff.base.target} vs {diff.head.target}</span>
+              )}
+            </div>
+
+            <div className="filter-group" style={{ padding: '0 1.25rem 0.75rem' }}>
+              <button className={`filter-btn ${filter === 'all' ? 'active' : ''}`} onClick={() => setFilter('all')}>
+                All ({diff.violations.length})
+              </button>
+              {STATUSES.map(s => (
+                <button key={s} className={`filter-btn ${filter === s ? 'active' : ''}`} onClick={() => setFilter(s)}>
+                  {s.charAt(0).toUpperCase() + s.slice(1)} ({diff.summary[s]})
+                </button>
+              ))}
+            </div>
+
+            <div className="violations-list">
+              {shown.map(v => (
+                <div key={v.fingerprint} className="violation-item">
+                  <div className="violation-header">
+                    <span className={`diff-status-badge ${v.status}`}>{v.status}</span>
+                    <span className={`violation-severity-badge ${v.impact}`}>{v.impact}</span>
+                    <span className="violation-title">{v.rule}</span>
+                    {v.impactBefore && <span className="violation-target-badge">was {v.impactBefore}</span>}
+                  </div>
+                  <div className="violation-description">{v.description}</div>
+                  <div className="violation-description" style={{ fontSize: '0.75rem' }}>{describeNodes(v)}</div>
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
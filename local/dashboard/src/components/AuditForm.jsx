@@ -7,9 +7,27 @@ const QUICK_URLS = [
   'https://github.com',
 ]
 
+const VIEWPORTS = ['mobile', 'tablet', 'desktop']
+
+const WCAG_TARGETS = ['WCAG 2.1 A', 'WCAG 2.1 AA', 'WCAG 2.1 AAA', 'WCAG 2.2 A', 'WCAG 2.2 AA', 'WCAG 2.2 AAA']
+
+const SCORING_PROFILES = ['classic', 'balanced', 'strict']
+
+const EXAMPLE_STEPS = `[
+  { "action": "click", "selector": "#open-menu", "label": "Open menu" },
+  { "action": "press", "key": "Escape" }
+]`
+
 export default function AuditForm({ onAudit, loading, serverStatus, llmEnabled }) {
   const [url, setUrl] = useState('')
   const [skipLLM, setSkipLLM] = useState(!llmEnabled)
+  const [mode, setMode] = useState('page')
+  const [stepsText, setStepsText] = useState('')
+  const [stepsError, setStepsError] = useState(null)
+  const [viewports, setViewports] = useState([])
+  const [fullPageScreenshot, setFullPageScreenshot] = useState(false)
+  const [wcagTarget, setWcagTarget] = useState('WCAG 2.1 AA')
+  const [scoringProfile, setScoringProfile] = useState('classic')
 
   useEffect(() => {
     setSkipLLM(!llmEnabled)
@@ -18,12 +36,35 @@ export default function AuditForm({ onAudit, loading, serverStatus, llmEnabled }
   const handleSubmit = (e) => {
     e.preventDefault()
     if (!url.trim() || loading) return
-    onAudit(url.trim(), skipLLM)
+    if (mode === 'page') {
+      onAudit(url.trim(), skipLLM, { viewports: viewports.length ? viewports : undefined, fullPageScreenshot, wcagTarget, scoringProfile })
+      return
+    }
+
+    let steps
+    try {
+      steps = JSON.parse(stepsText)
+    } catch {
+      setStepsError('Steps must be valid JSON')
+      return
+    }
+    if (!Array.isArray(steps) || steps.length === 0) {
+      setStepsError('Steps must be a non-empty JSON array')
+      return
+    }
+    setStepsError(null)
+    onAudit(url.trim(), skipLLM, { steps, fullPageScreenshot, wcagTarget, scoringProfile })
   }
 
   const handleQuickUrl = (quickUrl) => {
     setUrl(quickUrl)
-    onAudit(quickUrl, skipLLM)
+    onAudit(quickUrl, skipLLM, { fullPageScreenshot, wcagTarget, scoringProfile })
+  }
+
+  const toggleViewport = (name) => {
+    setViewports(prev => (prev.includes(name)
+      ? prev.filter(v => v !== name)
+      : VIEWPORTS.filter(v => v === name || prev.includes(v))))
   }
 
   return (
@@ -55,12 +96,64 @@ export default function AuditForm({ onAudit, loading, serverStatus, llmEnabled }
                 Auditing...
               </>
             ) : (
-              <>🚀 Start Audit</>
+              <>🚀 {mode === 'flow' ? 'Run Flow' : 'Start Audit'}</>
             )}
           </button>
         </div>
 
+        {mode === 'flow' && (
+          <>
+            <textarea
+              className="url-input steps-input"
+              placeholder={`Steps to run after the page loads (JSON), e.g.\n${EXAMPLE_STEPS}`}
+              value={stepsText}
+              onChange={(e) => setStepsText(e.target.value)}
+              disabled={loading}
+              aria-label="User flow steps (JSON)"
+            />
+            {stepsError && <div className="form-error">{stepsError}</div>}
+          </>
+        )}
+
         <div className="options-row">
+          <div className="filter-group">
+            {[['page', 'Single page'], ['flow', 'User flow']].map(([m, label]) => (
+              <button
+                key={m}
+                type="button"
+                className={`filter-btn ${mode === m ? 'active' : ''}`}
+                onClick={() => setMode(m)}
+                disabled={loading}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          <label className="checkbox-label">
+            Target
+            <select
+              className="target-select"
+              value={wcagTarget}
+              onChange={(e) => setWcagTarget(e.target.value)}
+              disabled={loading}
+            >
+              {WCAG_TARGETS.map(t => <option key={t} value={t}>{t}</option>)}
+            </select>
+          </label>
+
+          <label className="checkbox-label">
+            Scoring
+            <select
+              className="target-select"
+              value={scoringProfile}
+              onChange={(e) => setScoringProfile(e.target.value)}
+              disabled={loading}
+            >
+              {SCORING_PROFILES.map(p => <option key={p} value={p}>{p}</option>)}
+            </select>
+          </label>
+
           <label className="checkbox-label">
             <input
               type="checkbox"
@@ -70,20 +163,42 @@ export default function AuditForm({ onAudit, loading, serverStatus, llmEnabled }
             Skip LLM Analysis (faster, rule-based only)
           </label>
 
-          <div className="quick-urls">
-            <span>Quick test:</span>
-            {QUICK_URLS.map((u) => (
-              <button
-                key={u}
-                type="button"
-                className="quick-url-btn"
-                onClick={() => handleQuickUrl(u)}
-                disabled={loading}
-              >
-                {new URL(u).hostname}
-              </button>
-            ))}
-          </div>
+          <label className="checkbox-label">
+            <input
+              type="checkbox"
+              checked={fullPageScreenshot}
+              onChange={(e) => setFullPageScreenshot(e.target.checked)}
+            />
+            Full-page screenshot
+          </label>
+
+          {mode === 'page' && VIEWPORTS.map(v => (
+            <label key={v} className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={viewports.includes(v)}
+                onChange={() => toggleViewport(v)}
+              />
+              {v}
+            </label>
+          ))}
+
+          {mode === 'page' && (
+            <div className="quick-urls">
+              <span>Quick test:</span>
+              {QUICK_URLS.map((u) => (
+                <button
+                  key={u}
+                  type="button"
+                  className="quick-url-btn"
+                  onClick={() => handleQuickUrl(u)}
+                  disabled={loading}
+                >
+                  {new URL(u).hostname}
+                </button>
+              ))}
+            </div>
+          )}
         </div>
       </form>
     </div>
@@ -0,0 +1,48 @@
+import React, { useState } from 'react'
+
+const PREVIEW_COUNT = 10
+
+export default function FocusOrder({ keyboard }) {
+  const [showAll, setShowAll] = useState(false)
+
+  if (!keyboard || keyboard.error || !keyboard.focusOrder) return null
+
+  const { focusOrder, completed } = keyboard
+  const shown = showAll ? focusOrder : focusOrder.slice(0, PREVIEW_COUNT)
+
+  return (
+    <div className="card" style={{ marginBottom: '1.5rem' }}>
+      <div className="card-header">
+        <span className="card-title">⌨️ Keyboard Focus Order</span>
+        <span style={{ fontSize: '0.8rem', color: '#64748b' }}>
+          {focusOrder.length} stops{completed ? '' : ' (walk did not finish)'}
+        </span>
+      </div>
+
+      {focusOrder.length === 0 ? (
+        <div style={{ padding: '1rem', textAlign: 'center', color: '#64748b' }}>
+          Nothing on this page can be reached with the Tab key.
+        </div>
+      ) : (
+        <ol className="focus-order-list">
+          {shown.map(f => (
+            <li key={f.index} className="focus-order-item">
+              <span className="focus-order-index">{f.index}</span>
+              <span className="focus-order-name">{f.name || <em>no accessible name</em>}</span>
+              <code className="focus-order-selector">{f.selector}</code>
+              {f.focusVisible === false && (
+                <span className="violation-severity-badge serious">no visible focus</span>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {focusOrder.length > PREVIEW_COUNT && (
+        <button className="filter-btn" style={{ marginTop: '0.75rem' }} onClick={() => setShowAll(!showAll)}>
+          {showAll ? 'Show less' : `Show all ${focusOrder.length}`}
+        </button>
+      )}
+    </div>
+  )
+}
@@ -8,7 +8,7 @@ export default function Header({ serverStatus, llmEnabled }) {
           <div className="header-logo">♿</div>
           <div>
             <div className="header-title">AccessibilityAI Auditor</div>
-            <div className="header-subtitle">WCAG 2.1 Compliance Platform</div>
+            <div className="header-subtitle">WCAG 2.1 / 2.2 Compliance Platform</div>
           </div>
         </div>
 
@@ -2,6 +2,8 @@ import React from 'react'
 
 export default function PageMeta({ metadata, title }) {
   const elements = metadata.totalElements || {}
+  const axe = metadata.axe
+  const disabledRules = axe ? Object.keys(axe.rules).filter(id => !axe.rules[id]) : []
 
   return (
     <div className="card">
@@ -31,6 +33,15 @@ export default function PageMeta({ metadata, title }) {
           <div className="meta-label">Buttons</div>
         </div>
       </div>
+      {axe && (
+        <div className="flow-step-meta" style={{ marginTop: '0.75rem' }}>
+          <span>axe-core {axe.version || ''}</span>
+          <span>Tags: {axe.tags ? axe.tags.join(', ') : 'axe defaults'}</span>
+          {disabledRules.length > 0 && <span>Disabled: {disabledRules.join(', ')}</span>}
+          {axe.include && <span>Only: {axe.include.join(', ')}</span>}
+          {axe.exclude && <span>Excluded: {axe.exclude.join(', ')}</span>}
+        </div>
+      )}
     </div>
   )
 }
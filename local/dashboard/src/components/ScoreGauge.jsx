@@ -1,6 +1,6 @@
 import React from 'react'
 
-export default function ScoreGauge({ score, level }) {
+export default function ScoreGauge({ score, level, automatedLevel, notTested }) {
   const radius = 75
   const circumference = 2 * Math.PI * radius
   const offset = circumference - (score / 100) * circumference
@@ -53,6 +53,13 @@ export default function ScoreGauge({ score, level }) {
         <div className={`compliance-badge ${getBadgeClass(score)}`}>
           {score >= 90 ? '🛡️' : score >= 70 ? '⚡' : '⚠️'} {level}
         </div>
+
+        {automatedLevel && automatedLevel !== 'Not Compliant' && level !== automatedLevel && (
+          <div className="score-label" style={{ textAlign: 'center' }}>
+            No automated failures through {automatedLevel}
+            {notTested > 0 && ` · ${notTested} criteria need manual testing`}
+          </div>
+        )}
       </div>
     </div>
   )
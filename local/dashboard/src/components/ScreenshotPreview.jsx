@@ -1,34 +1,72 @@
 import React, { useState } from 'react'
 
-export default function ScreenshotPreview({ screenshot, url }) {
+// `screenshot` is inline base64; the AWS backend serves it from `src` instead
+export default function ScreenshotPreview({ screenshot, src, url, annotations, violations = [], onSelectViolation }) {
   const [showFull, setShowFull] = useState(false)
+  const [showBoxes, setShowBoxes] = useState(true)
 
-  if (!screenshot) return null
+  const image = src || (screenshot && `data:image/jpeg;base64,${screenshot}`)
+  if (!image) return null
+
+  // Number each box after its row in the violations table
+  const boxes = (annotations?.boxes || [])
+    .map(box => ({
+      ...box,
+      number: violations.findIndex(v => v.source === 'axe-core' && v.id === box.ruleId) + 1,
+    }))
+    .filter(box => box.number > 0)
+
+  const { width, height } = annotations?.page || {}
 
   return (
     <div className="card" style={{ marginBottom: '1.5rem' }}>
       <div className="card-header">
-        <span className="card-title">📸 Page Screenshot</span>
-        <button
-          className="filter-btn"
-          onClick={() => setShowFull(!showFull)}
-          style={{ cursor: 'pointer' }}
-        >
-          {showFull ? 'Collapse' : 'Expand'}
-        </button>
+        <span className="card-title">📸 Page Screenshot{annotations?.fullPage ? ' (full page)' : ''}</span>
+        <div className="filter-group">
+          {boxes.length > 0 && (
+            <button
+              className={`filter-btn ${showBoxes ? 'active' : ''}`}
+              onClick={() => setShowBoxes(!showBoxes)}
+            >
+              {boxes.length} issue markers
+            </button>
+          )}
+          <button
+            className="filter-btn"
+            onClick={() => setShowFull(!showFull)}
+            style={{ cursor: 'pointer' }}
+          >
+            {showFull ? 'Collapse' : 'Expand'}
+          </button>
+        </div>
       </div>
       <div className="screenshot-container">
-        <img
-          src={`data:image/jpeg;base64,${screenshot}`}
-          alt={`Screenshot of ${url}`}
-          className="screenshot-img"
-          style={{
-            maxHeight: showFull ? 'none' : '300px',
-            objectFit: 'cover',
-            objectPosition: 'top',
-            width: '100%',
-          }}
-        />
+        <div className="screenshot-frame" style={{ maxHeight: showFull ? 'none' : '300px' }}>
+          <img
+            src={image}
+            alt={`Screenshot of ${url}`}
+            className="screenshot-img"
+            style={{ width: '100%' }}
+          />
+          {showBoxes && width > 0 && height > 0 && boxes.map((box, i) => (
+            <button
+              key={i}
+              type="button"
+              className={`screenshot-box ${box.impact}`}
+              style={{
+                left: `${(box.x / width) * 100}%`,
+                top: `${(box.y / height) * 100}%`,
+                width: `${(box.width / width) * 100}%`,
+                height: `${(box.height / height) * 100}%`,
+              }}
+              title={`#${box.number} ${box.ruleId} — ${box.target}`}
+              aria-label={`Issue ${box.number}: ${box.ruleId}`}
+              onClick={() => onSelectViolation?.(box.ruleId)}
+            >
+              <span className="screenshot-box-number">{box.number}</span>
+            </button>
+          ))}
+        </div>
       </div>
     </div>
   )
@@ -1,7 +1,7 @@
 import React from 'react'
 
-export default function SourceBreakdown({ sources }) {
-  const safeSource = sources || { axeCore: 0, llm: 0 }
+export default function SourceBreakdown({ sources, duplicatesRemoved }) {
+  const safeSource = sources || { axeCore: 0, llm: 0, keyboard: 0 }
   return (
     <div className="card">
       <div className="card-header">
@@ -28,7 +28,22 @@ export default function SourceBreakdown({ sources }) {
             Semantic AI
           </div>
         </div>
+        <div className="source-item">
+          <div className="source-icon">⌨️</div>
+          <div className="source-name">Keyboard</div>
+          <div className="source-count" style={{ color: '#3b82f6' }}>
+            {safeSource.keyboard || 0}
+          </div>
+          <div style={{ fontSize: '0.7rem', color: '#64748b', marginTop: 4 }}>
+            Tab walk
+          </div>
+        </div>
       </div>
+      {duplicatesRemoved > 0 && (
+        <div style={{ fontSize: '0.75rem', color: '#64748b', marginTop: 12, textAlign: 'center' }}>
+          {duplicatesRemoved} LLM finding{duplicatesRemoved > 1 ? 's' : ''} matched axe-core and {duplicatesRemoved > 1 ? 'were' : 'was'} merged
+        </div>
+      )}
     </div>
   )
 }
@@ -0,0 +1,39 @@
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// offset / limit as they arrive in a query string
+function parsePage({ offset, limit } = {}) {
+  const start = offset === undefined ? 0 : Number(offset);
+  const size = limit === undefined ? DEFAULT_PAGE_SIZE : Number(limit);
+  if (!Number.isInteger(start) || start < 0) return { error: 'offset must be a non-negative integer' };
+  if (!Number.isInteger(size) || size < 1 || size > MAX_PAGE_SIZE) {
+    return { error: `limit must be an integer from 1 to ${MAX_PAGE_SIZE}` };
+  }
+  return { offset: start, limit: size };
+}
+
+// One page of a violation's (or needs-review item's) failing elements, looked up by fingerprint.
+// Results from before full node lists were kept only have their examples.
+function pageAffectedNodes(results, fingerprint, { offset, limit }) {
+  const lists = [['active', results.violations], ['suppressed', results.suppressed], ['needs-review', results.needsReview]];
+  for (const [status, items] of lists) {
+    const item = (items || []).find(v => v.fingerprint === fingerprint);
+    if (!item) continue;
+
+    const nodes = item.affectedNodes || (item.examples || []).filter(ex => ex && typeof ex === 'object');
+    return {
+      fingerprint,
+      rule: item.id || item.type,
+      source: item.source || 'axe-core',
+      status,
+      total: nodes.length,
+      offset,
+      limit,
+      hasMore: offset + limit < nodes.length,
+      nodes: nodes.slice(offset, offset + limit),
+    };
+  }
+  return null;
+}
+
+module.exports = { parsePage, pageAffectedNodes };
@@ -0,0 +1,114 @@
+const IMPACT_ORDER = { critical: 0, serious: 1, moderate: 2, minor: 3 };
+const STATUS_ORDER = { new: 0, fixed: 1, suppressed: 2, unchanged: 3 };
+
+// Results from before fingerprints existed fall back to rule identity
+const violationKey = v => v.fingerprint || `${v.source}:${v.id || v.type}`;
+const nodeKey = ex => (typeof ex === 'string' ? ex : ex.fingerprint || ex.target || ex.html);
+
+function sameUrl(a, b) {
+  const strip = url => String(url || '').replace(/\/+$/, '');
+  return strip(a) === strip(b);
+}
+
+// Both sides must be finished single-page (or flow / viewport) audits of the same URL
+function validateComparable(base, head) {
+  for (const [side, audit] of [['base', base], ['head', head]]) {
+    if (!Array.isArray(audit.results?.violations)) {
+      return `${side} audit has no page results to compare (still pending, or a crawl / batch record)`;
+    }
+  }
+  if (!sameUrl(base.url, head.url)) return `Audits are for different URLs: ${base.url} vs ${head.url}`;
+  return null;
+}
+
+function describeAudit(audit) {
+  return {
+    auditId: audit.auditId,
+    scannedAt: audit.scannedAt,
+    score: audit.summary.overallScore,
+    complianceLevel: audit.summary.complianceLevel,
+    target: audit.results.target || null,
+  };
+}
+
+function diffNodes(baseV, headV) {
+  // Records from before full node lists existed only hold the examples, so both sides fall back to them
+  const full = [baseV, headV].every(v => !v || v.affectedNodes);
+  const listed = v => (full ? v?.affectedNodes : v?.examples) || [];
+  const before = new Map(listed(baseV).map(ex => [nodeKey(ex), ex]));
+  const after = new Map(listed(headV).map(ex => [nodeKey(ex), ex]));
+  const describe = (status, ex) => (typeof ex === 'string'
+    ? { status, text: ex }
+    : { status, fingerprint: ex.fingerprint || null, target: ex.target || null, html: ex.html || null });
+
+  const nodes = [];
+  for (const [key, ex] of after) nodes.push(describe(before.has(key) ? 'unchanged' : 'new', ex));
+  for (const [key, ex] of before) if (!after.has(key)) nodes.push(describe('fixed', ex));
+  return nodes;
+}
+
+// Classify every violation and affected node of `head` against `base`
+function diffAudits(base, head) {
+  const baseActive = new Map(base.results.violations.map(v => [violationKey(v), v]));
+  const baseSuppressed = new Map((base.results.suppressed || []).map(v => [violationKey(v), v]));
+  const headActive = new Map(head.results.violations.map(v => [violationKey(v), v]));
+  const headSuppressed = new Map((head.results.suppressed || []).map(v => [violationKey(v), v]));
+
+  const entry = (status, key, baseV, headV) => {
+    const v = headV || baseV;
+    return {
+      status,
+      fingerprint: key,
+      rule: v.id || v.type,
+      source: v.source,
+      impact: v.impact,
+      ...(baseV && headV && baseV.impact !== headV.impact && { impactBefore: baseV.impact }),
+      description: v.help || v.description,
+      nodeCount: { base: baseV?.nodes ?? null, head: headV?.nodes ?? null },
+      nodes: diffNodes(baseV, headV),
+    };
+  };
+
+  const violations = [];
+  for (const [key, headV] of headActive) {
+    const baseV = baseActive.get(key) || baseSuppressed.get(key);
+    violations.push(entry(baseV ? 'unchanged' : 'new', key, baseV, headV));
+  }
+  for (const [key, baseV] of baseActive) {
+    if (headActive.has(key)) continue;
+    // Waived rather than fixed
+    const headV = headSuppressed.get(key);
+    violations.push(headV ? entry('suppressed', key, baseV, headV) : entry('fixed', key, baseV, null));
+  }
+  violations.sort((a, b) => STATUS_ORDER[a.status] - STATUS_ORDER[b.status]
+    || (IMPACT_ORDER[a.impact] ?? 2) - (IMPACT_ORDER[b.impact] ?? 2));
+
+  const summary = { new: 0, fixed: 0, unchanged: 0, suppressed: 0, nodes: { new: 0, fixed: 0, unchanged: 0 } };
+  for (const v of violations) {
+    summary[v.status]++;
+    if (v.status === 'suppressed') continue;
+    for (const node of v.nodes) summary.nodes[node.status]++;
+  }
+
+  const coverage = {};
+  const levels = new Set([...Object.keys(base.results.wcagCoverage || {}), ...Object.keys(head.results.wcagCoverage || {})]);
+  for (const level of levels) {
+    const before = base.results.wcagCoverage?.[level] ?? null;
+    const after = head.results.wcagCoverage?.[level] ?? null;
+    coverage[level] = { base: before, head: after, change: before === null || after === null ? null : after - before };
+  }
+
+  const baseInfo = describeAudit(base);
+  const headInfo = describeAudit(head);
+  return {
+    url: head.url,
+    base: baseInfo,
+    head: headInfo,
+    score: { base: baseInfo.score, head: headInfo.score, change: headInfo.score - baseInfo.score },
+    coverage,
+    summary,
+    violations,
+  };
+}
+
+module.exports = { validateComparable, diffAudits };
@@ -1,19 +1,70 @@
+const { DEFAULT_TARGET, targetLevels, criteriaForTarget, tagsToCriteria } = require('./wcag-criteria');
+const { mapToStandards } = require('./standards-mapping');
+const { resolveProfile, scoreViolations } = require('./scoring-profiles');
+const { assignFingerprints } = require('./fingerprint');
+const { applySuppressions } = require('./suppressions');
+const { aggregatePages } = require('./site-aggregator');
+
+const IMPACT_ORDER = { critical: 0, serious: 1, moderate: 2, minor: 3 };
+
+// Criteria the keyboard audit checks. A heuristic that finds nothing is partial evidence only:
+// the criterion still needs a manual check before it can count as passed
+const KEYBOARD_CHECKS = {
+  'keyboard-trap': ['wcag212'],
+  'clickable-not-focusable': ['wcag211'],
+  'positive-tabindex': ['wcag243'],
+  'focus-not-visible': ['wcag247'],
+};
+
+// axe-core rules that test the same thing as an LLM finding type. Only used when the
+// LLM quoted no element to match; every criterion of the finding must stay covered.
+const LLM_AXE_RULES = {
+  'missing-alt-text': ['image-alt', 'input-image-alt', 'area-alt', 'role-img-alt', 'svg-img-alt', 'object-alt'],
+  'low-color-contrast': ['color-contrast'],
+};
+
+// The model's severity is free text; anything off the axe-core scale counts as moderate, as in scoring
+function llmImpact(severity) {
+  const impact = String(severity || '').toLowerCase();
+  return impact in IMPACT_ORDER ? impact : 'moderate';
+}
+
+function normalizeQuote(value) {
+  return String(value || '').toLowerCase().replace(/["'`]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+function llmQuotes(violation) {
+  return (violation.examples || [])
+    .map(ex => normalizeQuote(typeof ex === 'string' ? ex : ex?.html))
+    .filter(q => q.length >= 3);
+}
+
+// A quote names an element by its markup or by its text content
+function quoteMatches(quote, element) {
+  const text = quote.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+  return element.includes(quote)
+    || (element.length >= 10 && quote.includes(element))
+    || (text.length >= 3 && element.includes(text));
+}
+
+// Every failing element, with the individual check messages behind its failure summary
+function describeNodes(nodes) {
+  const messages = checks => (checks || []).map(c => c.message).filter(Boolean);
+  return nodes.map(n => ({
+    target: n.target.join(' > '),
+    html: n.html,
+    failureSummary: n.failureSummary || null,
+    checks: { any: messages(n.any), all: messages(n.all), none: messages(n.none) },
+  }));
+}
+
 class ResultCombiner {
-  combineResults(axeResults, llmResults) {
-    const combined = {
-      summary: {
-        totalViolations: 0,
-        critical: 0, serious: 0, moderate: 0, minor: 0,
-        sources: { axeCore: 0, llm: 0 },
-      },
-      violations: [],
-      wcagCoverage: {},
-      complianceScore: 0,
-    };
+  combineResults(axeResults, llmResults, { keyboardResults, target = DEFAULT_TARGET, scoringProfile, url, suppressions = [] } = {}) {
+    const violations = [];
 
     if (axeResults?.violations) {
       for (const v of axeResults.violations) {
-        combined.violations.push({
+        violations.push({
           source: 'axe-core',
           id: v.id,
           type: v.id,
@@ -23,70 +74,501 @@ class ResultCombiner {
           helpUrl: v.helpUrl,
           wcagTags: v.tags.filter(t => t.startsWith('wcag')),
           nodes: v.nodes.length,
-          examples: v.nodes.slice(0, 3).map(n => ({
+          // Nodes past the first three are kept only when the scraper cropped them
+          examples: v.nodes.filter((n, i) => i < 3 || n.screenshot).map(n => ({
             html: n.html,
             target: n.target.join(' > '),
             failureSummary: n.failureSummary,
+            ...(n.screenshot && { screenshot: n.screenshot }),
           })),
+          affectedNodes: describeNodes(v.nodes),
           recommendation: v.help,
+          ...(v.steps && { steps: v.steps }),
+          ...(v.viewports && { viewports: v.viewports }),
         });
-
-        combined.summary[v.impact]++;
-        combined.summary.totalViolations++;
-        combined.summary.sources.axeCore++;
       }
     }
 
     if (llmResults?.violations) {
       for (const v of llmResults.violations) {
-        const severity = v.severity.toLowerCase();
-        combined.violations.push({
+        violations.push({
           source: 'llm',
           type: v.type,
-          impact: severity,
+          impact: llmImpact(v.severity),
           description: v.description,
           recommendation: v.recommendation,
           examples: v.examples || [],
           wcagTags: this._inferWCAGTags(v.type),
           isSemanticIssue: true,
+          ...(v.steps && { steps: v.steps }),
         });
+      }
+    }
+
+    violations.push(...this._keyboardViolations(keyboardResults));
+
+    // axe-core could not decide these; a reviewer confirms them, so they are not scored
+    const needsReview = (axeResults?.incomplete || []).map(v => ({
+      id: v.id,
+      impact: v.impact || 'moderate',
+      description: v.description,
+      help: v.help,
+      helpUrl: v.helpUrl,
+      wcagTags: v.tags.filter(t => t.startsWith('wcag')),
+      nodes: v.nodes.length,
+      examples: v.nodes.slice(0, 3).map(n => ({
+        html: n.html,
+        target: n.target.join(' > '),
+        message: [...(n.any || []), ...(n.all || []), ...(n.none || [])][0]?.message || n.failureSummary,
+      })),
+      affectedNodes: describeNodes(v.nodes),
+      review: null,
+      ...(v.steps && { steps: v.steps }),
+      ...(v.viewports && { viewports: v.viewports }),
+    }));
+
+    this._pinQuotedElements(violations, axeResults);
+    assignFingerprints(violations, needsReview, url);
+    const { kept, duplicatesRemoved } = this._reconcile(violations);
+    return this._score(kept, needsReview, this._collectEvidence(axeResults, keyboardResults), {
+      target,
+      duplicatesRemoved,
+      profile: resolveProfile(scoringProfile),
+      url,
+      suppressions,
+    });
+  }
+
+  applyReview(combinedResults, ruleId, { status, note } = {}) {
+    const needsReview = (combinedResults.needsReview || []).map(item => (item.id !== ruleId ? item : {
+      ...item,
+      review: status === 'pending' ? null : { status, note: note || null, reviewedAt: new Date().toISOString() },
+    }));
+
+    // Confirmed failures count like any other violation; passes simply leave the queue.
+    // Suppressed ones go back in the pool so waivers are re-checked (and may have expired).
+    const violations = [...combinedResults.violations, ...(combinedResults.suppressed || [])].filter(v => !v.reviewed);
+    for (const item of needsReview) {
+      if (item.review?.status !== 'fail') continue;
+      violations.push({
+        source: 'axe-core',
+        id: item.id,
+        type: item.id,
+        impact: item.impact,
+        description: item.description,
+        help: item.help,
+        helpUrl: item.helpUrl,
+        wcagTags: item.wcagTags,
+        nodes: item.nodes,
+        examples: item.examples,
+        ...(item.affectedNodes && { affectedNodes: item.affectedNodes }),
+        recommendation: item.help,
+        reviewed: true,
+        fingerprint: item.fingerprint,
+        ...(item.steps && { steps: item.steps }),
+        ...(item.viewports && { viewports: item.viewports }),
+      });
+    }
+    const evidence = this._evidenceFromCriteria(combinedResults.wcagCriteria, needsReview, combinedResults.passedRules);
+    return this._score(violations, needsReview, evidence, {
+      target: combinedResults.target || DEFAULT_TARGET,
+      duplicatesRemoved: combinedResults.summary?.duplicatesRemoved || 0,
+      profile: combinedResults.scoring?.profile || resolveProfile(),
+      url: combinedResults.url,
+      suppressions: combinedResults.suppressions || [],
+    });
+  }
+
+  _score(pool, needsReview, evidence, { target, duplicatesRemoved = 0, profile, url, suppressions = [] }) {
+    const { active: violations, suppressed } = applySuppressions(pool, suppressions, { url });
+    const summary = {
+      totalViolations: 0,
+      critical: 0, serious: 0, moderate: 0, minor: 0,
+      sources: { axeCore: 0, llm: 0, keyboard: 0 },
+      needsReview: needsReview.filter(item => !item.review).length,
+      outOfTarget: 0,
+      duplicatesRemoved,
+      suppressed: suppressed.length,
+      waiversExpired: violations.filter(v => v.waiverExpired).length,
+    };
+    const sourceKeys = { 'axe-core': 'axeCore', llm: 'llm', keyboard: 'keyboard' };
+    const inTarget = new Set(criteriaForTarget(target).map(c => c.id));
 
-        if (combined.summary[severity] !== undefined) {
-          combined.summary[severity]++;
-        } else {
-          combined.summary.moderate++;
+    for (const v of pool) {
+      // Only mapped to criteria the target doesn't include (e.g. AAA contrast on an AA audit): listed, not scored
+      const criteria = tagsToCriteria(v.wcagTags);
+      v.outOfTarget = criteria.length > 0 && !criteria.some(id => inTarget.has(id));
+    }
+
+    for (const v of violations) {
+      if (v.outOfTarget) {
+        summary.outOfTarget++;
+        continue;
+      }
+
+      if (summary[v.impact] !== undefined) {
+        summary[v.impact]++;
+      } else {
+        summary.moderate++;
+      }
+      summary.totalViolations++;
+      summary.sources[sourceKeys[v.source]]++;
+    }
+
+    const bySeverity = (a, b) => (IMPACT_ORDER[a.impact] ?? 2) - (IMPACT_ORDER[b.impact] ?? 2);
+    violations.sort(bySeverity);
+    suppressed.sort(bySeverity);
+
+    // A waiver keeps an accepted issue out of the score, not out of conformance
+    const failing = [...violations, ...suppressed];
+    const wcagCriteria = this._buildCriteria(failing, needsReview, evidence, target);
+    const { score, deductions, totalDeduction } = scoreViolations(violations, profile);
+
+    return {
+      target,
+      url: url || null,
+      summary,
+      violations,
+      suppressed,
+      suppressions,
+      needsReview,
+      wcagCriteria,
+      wcagCoverage: this._calculateWCAGCoverage(wcagCriteria, target),
+      passedRules: evidence.rules || [],
+      standards: mapToStandards(failing, wcagCriteria),
+      scoring: { profile, deductions, totalDeduction },
+      complianceScore: score,
+    };
+  }
+
+  // An LLM finding on the same criterion and elements as an axe rule is the same issue twice:
+  // fold it into the axe violation (which keeps the count) and credit both sources
+  _reconcile(violations) {
+    const axe = violations.filter(v => v.source === 'axe-core');
+    const kept = [];
+    let duplicatesRemoved = 0;
+
+    for (const v of violations) {
+      const match = v.source === 'llm' && axe.find(a => this._isDuplicate(a, v));
+      if (!match) {
+        kept.push(v);
+        continue;
+      }
+
+      duplicatesRemoved++;
+      match.sources = ['axe-core', 'llm'];
+      match.llmFindings = [...(match.llmFindings || []), {
+        fingerprint: v.fingerprint,
+        type: v.type,
+        description: v.description,
+        recommendation: v.recommendation,
+        examples: v.examples,
+      }];
+      if ((IMPACT_ORDER[v.impact] ?? 2) < (IMPACT_ORDER[match.impact] ?? 2)) match.impact = v.impact;
+      if (match.steps && v.steps) match.steps = [...new Set([...match.steps, ...v.steps])].sort((a, b) => a - b);
+    }
+    return { kept, duplicatesRemoved };
+  }
+
+  _isDuplicate(axeViolation, llmViolation) {
+    const criteria = tagsToCriteria(axeViolation.wcagTags);
+    const llmCriteria = tagsToCriteria(llmViolation.wcagTags);
+    if (!llmCriteria.some(id => criteria.includes(id))) return false;
+
+    // Without quoted elements only a rule known to test the same thing counts; a shared criterion is not enough
+    const quotes = llmQuotes(llmViolation);
+    if (quotes.length === 0) {
+      return (LLM_AXE_RULES[llmViolation.type] || []).includes(axeViolation.id)
+        && llmCriteria.every(id => criteria.includes(id));
+    }
+
+    const elements = (axeViolation.affectedNodes || axeViolation.examples || [])
+      .map(ex => normalizeQuote(ex?.html)).filter(Boolean);
+    return quotes.some(q => elements.some(el => quoteMatches(q, el)));
+  }
+
+  // Pin each LLM finding to the element it quotes, among everything axe-core checked, so its
+  // fingerprint follows the element instead of the model's wording. Shortest markup = most specific.
+  _pinQuotedElements(violations, axeResults) {
+    const elements = new Map();
+    for (const type of ['violations', 'incomplete', 'passes']) {
+      for (const rule of axeResults?.[type] || []) {
+        for (const node of rule.nodes || []) {
+          const target = node.target.join(' > ');
+          if (!elements.has(target)) elements.set(target, normalizeQuote(node.html));
+        }
+      }
+    }
+    const bySize = [...elements].filter(([, html]) => html).sort((a, b) => a[1].length - b[1].length);
+
+    for (const v of violations) {
+      if (v.source !== 'llm') continue;
+      for (const quote of llmQuotes(v)) {
+        const match = bySize.find(([, html]) => quoteMatches(quote, html));
+        if (match) {
+          v.matchedTarget = match[0];
+          break;
         }
-        combined.summary.totalViolations++;
-        combined.summary.sources.llm++;
       }
     }
+  }
 
-    combined.wcagCoverage = this._calculateWCAGCoverage(combined.violations);
-    combined.complianceScore = this._calculateScore(combined.summary);
+  _collectEvidence(axeResults, keyboard) {
+    const evidence = { passed: {}, inapplicable: {}, partial: {} };
+    for (const rule of axeResults?.passes || []) this._addEvidence(evidence.passed, rule.tags, rule.id);
+    for (const rule of axeResults?.inapplicable || []) this._addEvidence(evidence.inapplicable, rule.tags, rule.id);
+    if (keyboard && !keyboard.error) {
+      for (const [type, tags] of Object.entries(KEYBOARD_CHECKS)) this._addEvidence(evidence.partial, tags, type);
+    }
+    // Whole rules that found nothing to flag, for reports that count passing checks
+    const failedChecks = new Set(this._keyboardViolations(keyboard).map(v => v.type));
+    evidence.rules = [
+      ...(axeResults?.passes || []).map(rule => ({ source: 'axe-core', id: rule.id, help: rule.help || null })),
+      ...(keyboard && !keyboard.error ? Object.keys(KEYBOARD_CHECKS) : [])
+        .filter(type => !failedChecks.has(type))
+        .map(type => ({ source: 'keyboard', id: type, help: null })),
+    ];
+    return evidence;
+  }
 
-    const order = { critical: 0, serious: 1, moderate: 2, minor: 3 };
-    combined.violations.sort((a, b) => order[a.impact] - order[b.impact]);
+  // Reviewer passes are rebuilt from needsReview, so only the scraped evidence is carried over
+  _evidenceFromCriteria(criteria = [], needsReview = [], rules = []) {
+    const reviewIds = new Set(needsReview.map(item => item.id));
+    const evidence = { passed: {}, inapplicable: {}, partial: {}, rules };
+    for (const c of criteria) {
+      evidence.passed[c.id] = c.passed.filter(id => !reviewIds.has(id));
+      evidence.inapplicable[c.id] = c.inapplicable;
+      evidence.partial[c.id] = c.partial || [];
+    }
+    return evidence;
+  }
 
-    return combined;
+  _addEvidence(bucket, tags, name) {
+    for (const id of tagsToCriteria(tags)) {
+      if (!bucket[id]) bucket[id] = [];
+      if (!bucket[id].includes(name)) bucket[id].push(name);
+    }
   }
 
-  generateSummary(combinedResults) {
-    const { summary, complianceScore, wcagCoverage } = combinedResults;
+  _buildCriteria(violations, needsReview, evidence, target) {
+    const failed = {};
+    const pending = {};
+    const passed = {};
+    for (const [id, rules] of Object.entries(evidence.passed)) passed[id] = [...rules];
+
+    for (const v of violations) this._addEvidence(failed, v.wcagTags, v.id || v.type);
+    for (const item of needsReview) {
+      if (!item.review) this._addEvidence(pending, item.wcagTags, item.id);
+      else if (item.review.status === 'pass') this._addEvidence(passed, item.wcagTags, item.id);
+    }
+
+    const criteria = [];
+    for (const { id, name, level } of criteriaForTarget(target)) {
+      const entry = {
+        id,
+        name,
+        level,
+        status: 'notTested',
+        failed: failed[id] || [],
+        passed: passed[id] || [],
+        inapplicable: evidence.inapplicable[id] || [],
+        partial: evidence.partial?.[id] || [],
+        pending: pending[id] || [],
+      };
+      // An undecided check outranks passes from other rules: the criterion still needs a human
+      if (entry.failed.length) entry.status = 'failed';
+      else if (entry.pending.length) entry.status = 'notTested';
+      else if (entry.passed.length) entry.status = 'passed';
+      else if (entry.partial.length) entry.status = 'notTested';
+      else if (entry.inapplicable.length) entry.status = 'notApplicable';
+      criteria.push(entry);
+    }
+    return criteria;
+  }
 
+  // A level is only claimed when every criterion up to it passed or does not apply
+  _conformance(criteria, target) {
     let level = 'Not Compliant';
-    if (wcagCoverage.AAA >= 90) level = 'AAA';
-    else if (wcagCoverage.AA >= 90) level = 'AA';
-    else if (wcagCoverage.A >= 90) level = 'A';
+    let automatedLevel = 'Not Compliant';
+    let clean = true;
+    let verified = true;
+
+    for (const lvl of targetLevels(target)) {
+      const atLevel = criteria.filter(c => c.level === lvl);
+      clean = clean && !atLevel.some(c => c.status === 'failed');
+      verified = verified && clean && !atLevel.some(c => c.status === 'notTested');
+      if (clean) automatedLevel = lvl;
+      if (verified) level = lvl;
+    }
+
+    if (level === 'Not Compliant' && automatedLevel !== 'Not Compliant') level = 'Not Verified';
+    return { level, automatedLevel, notTested: criteria.filter(c => c.status === 'notTested').length };
+  }
+
+  generateSummary(combinedResults) {
+    const { summary, complianceScore, scoring, wcagCriteria = [], target = DEFAULT_TARGET } = combinedResults;
+    const conformance = this._conformance(wcagCriteria, target);
 
     return {
+      target,
       overallScore: complianceScore,
-      complianceLevel: level,
+      scoringProfile: scoring?.profile.name || null,
+      complianceLevel: conformance.level,
+      automatedLevel: conformance.automatedLevel,
+      criteriaNotTested: conformance.notTested,
       totalIssues: summary.totalViolations,
       criticalIssues: summary.critical,
       recommendation: this._getRecommendation(complianceScore),
     };
   }
 
+  mergeAxeResults(snapshots, tagKey) {
+    const merged = { testEngine: snapshots[0]?.axeResults?.testEngine };
+    for (const type of ['violations', 'incomplete', 'passes', 'inapplicable']) {
+      const byRule = new Map();
+      for (const { label, axeResults } of snapshots) {
+        for (const rule of axeResults?.[type] || []) {
+          if (!byRule.has(rule.id)) byRule.set(rule.id, { ...rule, nodes: [], [tagKey]: [] });
+          const entry = byRule.get(rule.id);
+          if (!entry[tagKey].includes(label)) entry[tagKey].push(label);
+
+          for (const node of rule.nodes || []) {
+            const target = (node.target || []).join(' > ');
+            if (!entry.nodes.some(n => (n.target || []).join(' > ') === target)) entry.nodes.push(node);
+          }
+        }
+      }
+      merged[type] = Array.from(byRule.values());
+    }
+    return merged;
+  }
+
+  mergeLlmResults(snapshots, tagKey) {
+    const byType = new Map();
+    for (const { label, llmResults } of snapshots) {
+      for (const v of llmResults?.violations || []) {
+        if (!byType.has(v.type)) byType.set(v.type, { ...v, examples: [], [tagKey]: [] });
+        const entry = byType.get(v.type);
+        if (!entry[tagKey].includes(label)) entry[tagKey].push(label);
+        for (const ex of v.examples || []) {
+          if (!entry.examples.includes(ex) && entry.examples.length < 5) entry.examples.push(ex);
+        }
+      }
+    }
+    return { violations: Array.from(byType.values()) };
+  }
+
+  combineSiteResults(pages) {
+    const audited = pages.filter(p => p.success);
+    const site = {
+      pagesAudited: audited.length,
+      pagesFailed: pages.length - audited.length,
+      averageScore: 0,
+      complianceLevel: 'Not Compliant',
+      summary: {
+        totalViolations: 0,
+        critical: 0, serious: 0, moderate: 0, minor: 0,
+        findings: { total: 0, unique: 0, sharedElements: 0 },
+      },
+      rules: [],
+      sharedIssues: [],
+      scoreDistribution: null,
+      worstPages: [],
+      pages: [],
+    };
+    if (audited.length === 0) return site;
+
+    const levels = ['Not Compliant', 'Not Verified', 'A', 'AA', 'AAA'];
+    let lowestLevel = levels.length - 1;
+    let scoreTotal = 0;
+
+    for (const { url, data } of audited) {
+      const { summary } = data.results;
+      scoreTotal += data.summary.overallScore;
+      lowestLevel = Math.min(lowestLevel, Math.max(0, levels.indexOf(data.summary.complianceLevel)));
+
+      for (const sev of ['totalViolations', 'critical', 'serious', 'moderate', 'minor']) {
+        site.summary[sev] += summary[sev] || 0;
+      }
+
+      site.pages.push({
+        url,
+        score: data.summary.overallScore,
+        complianceLevel: data.summary.complianceLevel,
+        totalIssues: data.summary.totalIssues,
+        criticalIssues: data.summary.criticalIssues,
+      });
+    }
+
+    site.averageScore = Math.round(scoreTotal / audited.length);
+    site.complianceLevel = levels[lowestLevel];
+    const { findings, ...aggregate } = aggregatePages(audited);
+    site.summary.findings = findings;
+    Object.assign(site, aggregate);
+    site.pages.sort((a, b) => a.score - b.score);
+    return site;
+  }
+
+  _keyboardViolations(keyboard) {
+    if (!keyboard || keyboard.error) return [];
+    const violations = [];
+    const toExamples = (elements) => elements.slice(0, 3).map(el => ({ html: el.html, target: el.selector }));
+
+    if (keyboard.trap) {
+      violations.push({
+        source: 'keyboard',
+        type: 'keyboard-trap',
+        impact: 'critical',
+        description: 'Keyboard focus gets stuck cycling between these elements and Escape does not release it.',
+        recommendation: 'Make sure Tab and Shift+Tab can move focus out of every component, or that Escape closes it and returns focus.',
+        wcagTags: ['wcag212'],
+        nodes: keyboard.trap.elements.length,
+        examples: toExamples(keyboard.trap.elements),
+      });
+    }
+
+    if (keyboard.notFocusable?.length) {
+      violations.push({
+        source: 'keyboard',
+        type: 'clickable-not-focusable',
+        impact: 'serious',
+        description: 'Elements respond to mouse clicks but cannot be reached with the Tab key.',
+        recommendation: 'Use a native <button> or <a href>, or add tabindex="0", an ARIA role and Enter/Space key handlers.',
+        wcagTags: ['wcag211'],
+        nodes: keyboard.notFocusable.length,
+        examples: toExamples(keyboard.notFocusable),
+      });
+    }
+
+    if (keyboard.positiveTabindex?.length) {
+      violations.push({
+        source: 'keyboard',
+        type: 'positive-tabindex',
+        impact: 'moderate',
+        description: 'Elements with a positive tabindex are focused before everything else, out of reading order.',
+        recommendation: 'Remove positive tabindex values and order the DOM so the natural tab order matches the visual order.',
+        wcagTags: ['wcag243'],
+        nodes: keyboard.positiveTabindex.length,
+        examples: toExamples(keyboard.positiveTabindex),
+      });
+    }
+
+    if (keyboard.noVisibleFocus?.length) {
+      violations.push({
+        source: 'keyboard',
+        type: 'focus-not-visible',
+        impact: 'serious',
+        description: 'Focused elements show no visible focus indicator, so keyboard users cannot tell where they are.',
+        recommendation: 'Do not remove the outline without replacement; add a clear :focus-visible style.',
+        wcagTags: ['wcag247'],
+        nodes: keyboard.noVisibleFocus.length,
+        examples: toExamples(keyboard.noVisibleFocus),
+      });
+    }
+
+    return violations;
+  }
+
   _inferWCAGTags(violationType) {
     const mapping = {
       'unclear-link-text':      ['wcag244', 'wcag249'],
@@ -98,49 +580,21 @@ class ResultCombiner {
       'missing-alt-text':       ['wcag111'],
       'low-color-contrast':     ['wcag143'],
       'missing-form-labels':    ['wcag332', 'wcag131'],
+      'illogical-focus-order':  ['wcag243'],
     };
     return mapping[violationType] || [];
   }
 
-  _calculateWCAGCoverage(violations) {
-    const guidelines = {
-      A: ['1.1.1','1.2.1','1.2.2','1.2.3','1.3.1','1.3.2','1.3.3','1.4.1','1.4.2',
-          '2.1.1','2.1.2','2.1.4','2.2.1','2.2.2','2.3.1','2.4.1','2.4.2','2.4.3',
-          '2.4.4','2.5.1','2.5.2','2.5.3','2.5.4','3.1.1','3.2.1','3.2.2','3.3.1',
-          '3.3.2','4.1.1','4.1.2','4.1.3'],
-      AA: ['1.2.4','1.2.5','1.3.4','1.3.5','1.4.3','1.4.4','1.4.5','1.4.10','1.4.11',
-           '1.4.12','1.4.13','2.4.5','2.4.6','2.4.7','2.5.5','2.5.6','3.1.2','3.2.3',
-           '3.2.4','3.3.3','3.3.4'],
-      AAA: ['1.2.6','1.2.7','1.2.8','1.2.9','1.4.6','1.4.7','1.4.8','1.4.9','2.1.3',
-            '2.2.3','2.2.4','2.2.5','2.2.6','2.3.2','2.3.3','2.4.8','2.4.9','2.4.10',
-            '2.5.5','2.5.6','3.1.3','3.1.4','3.1.5','3.1.6','3.2.5','3.3.5','3.3.6'],
-    };
-
-    const violated = new Set();
-    for (const v of violations) {
-      for (const tag of (v.wcagTags || [])) {
-        const m = tag.match(/wcag(\d)(\d)(\d)/);
-        if (m) violated.add(`${m[1]}.${m[2]}.${m[3]}`);
-      }
-    }
-
+  _calculateWCAGCoverage(criteria, target) {
     const coverage = {};
-    for (const [level, criteria] of Object.entries(guidelines)) {
-      const fails = criteria.filter(c => violated.has(c)).length;
-      coverage[level] = Math.round(((criteria.length - fails) / criteria.length) * 100);
+    for (const level of targetLevels(target)) {
+      const atLevel = criteria.filter(c => c.level === level);
+      const covered = atLevel.filter(c => c.status === 'passed' || c.status === 'notApplicable').length;
+      coverage[level] = atLevel.length ? Math.round((covered / atLevel.length) * 100) : 0;
     }
     return coverage;
   }
 
-  _calculateScore(summary) {
-    const weights = { critical: -10, serious: -5, moderate: -2, minor: -1 };
-    let score = 100;
-    for (const [sev, weight] of Object.entries(weights)) {
-      score += summary[sev] * weight;
-    }
-    return Math.max(0, Math.min(100, score));
-  }
-
   _getRecommendation(score) {
     if (score >= 90) return 'Excellent accessibility compliance. Focus on remaining minor issues.';
     if (score >= 70) return 'Good progress. Prioritize fixing critical and serious violations.';
@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const { tagsToCriteria } = require('./wcag-criteria');
+
+// Path segments that differ per record rather than per template: numbers, UUIDs, long hex ids
+const ID_SEGMENT = /^(\d+|[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}|(?=[a-f]*\d)[0-9a-f]{12,})$/i;
+
+function hash(parts) {
+  return crypto.createHash('sha256').update(parts.join('\u0000')).digest('hex').slice(0, 16);
+}
+
+// "https://shop.example.com/products/123/?ref=x" -> "/products/:id"; the host is left out so
+// staging and production runs line up
+function pageTemplate(url) {
+  let pathname;
+  try {
+    pathname = new URL(url).pathname;
+  } catch {
+    return '';
+  }
+  const segments = pathname.toLowerCase().split('/').filter(Boolean)
+    .map(segment => (ID_SEGMENT.test(segment) ? ':id' : segment));
+  return `/${segments.join('/')}`;
+}
+
+// Whitespace, and generated ids / CSS-in-JS classes that change between builds, are ignored
+function normalizeSelector(selector) {
+  return String(selector || '')
+    .replace(/\s*([>+~])\s*/g, ' $1 ')
+    .replace(/\s+/g, ' ')
+    .replace(/\.(css|sc|jsx|emotion|svelte)-[\w-]+/g, '.$1-*')
+    .replace(/([#.][\w-]*?)\d{3,}[\w-]*/g, '$1*')
+    .trim();
+}
+
+function nodeFingerprint(rule, page, selector) {
+  return hash(['node', rule, page, normalizeSelector(selector)]);
+}
+
+// axe-core and keyboard rules occur once per page; LLM types can repeat, so the element they
+// quote (matchedTarget, pinned by the combiner) tells them apart. Never their prose: it changes
+// every run, so without a matched element only the type and criteria count
+function violationFingerprint(violation, page, kind = violation.source) {
+  const rule = violation.id || violation.type;
+  const parts = [kind, rule, page];
+  if (violation.source === 'llm') {
+    parts.push(violation.matchedTarget
+      ? normalizeSelector(violation.matchedTarget)
+      : tagsToCriteria(violation.wcagTags || []).join(','));
+  }
+  return hash(parts);
+}
+
+// Stamp violations, needs-review items and their example and affected nodes. Collisions inside one
+// result set get a -2, -3... suffix in list order.
+function assignFingerprints(violations, needsReview, url) {
+  const page = pageTemplate(url);
+  const seen = new Map();
+  const unique = (fingerprint) => {
+    const count = (seen.get(fingerprint) || 0) + 1;
+    seen.set(fingerprint, count);
+    return count === 1 ? fingerprint : `${fingerprint}-${count}`;
+  };
+
+  const stamp = (item, kind) => {
+    const rule = item.id || item.type;
+    item.fingerprint = unique(violationFingerprint(item, page, kind));
+    for (const ex of [...(item.examples || []), ...(item.affectedNodes || [])]) {
+      if (ex && typeof ex === 'object' && ex.target) ex.fingerprint = nodeFingerprint(rule, page, ex.target);
+    }
+  };
+
+  for (const v of violations) stamp(v, v.source);
+  for (const item of needsReview) stamp(item, 'needs-review');
+}
+
+module.exports = { pageTemplate, normalizeSelector, nodeFingerprint, violationFingerprint, assignFingerprints };
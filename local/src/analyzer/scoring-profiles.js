@@ -0,0 +1,119 @@
+const IMPACTS = ['critical', 'serious', 'moderate', 'minor'];
+const SOURCES = ['axe-core', 'llm', 'keyboard'];
+const NODE_SCALING = ['none', 'log', 'capped'];
+
+// weights: points per rule by impact, before node scaling
+// nodeScaling: none = flat per rule, log = x(1 + log10(nodes)), capped = x min(nodes, cap)
+// sources: multiplier per detection source; rules: points that replace the impact weight for a rule id
+const PROFILES = {
+  classic: {
+    description: 'Flat 10/5/2/1 points per rule, however many elements fail',
+    weights: { critical: 10, serious: 5, moderate: 2, minor: 1 },
+    nodeScaling: { type: 'none' },
+    sources: { 'axe-core': 1, llm: 1, keyboard: 1 },
+    rules: {},
+  },
+  balanced: {
+    description: 'Lighter per-rule weights that grow with the number of failing elements; LLM findings count half',
+    weights: { critical: 6, serious: 3, moderate: 1, minor: 0.5 },
+    nodeScaling: { type: 'log' },
+    sources: { 'axe-core': 1, llm: 0.5, keyboard: 1 },
+    rules: { region: 0.25 }, // Best practice that fires on most content outside landmarks
+  },
+  strict: {
+    description: 'Classic weights multiplied per failing element, up to 3',
+    weights: { critical: 10, serious: 5, moderate: 2, minor: 1 },
+    nodeScaling: { type: 'capped', cap: 3 },
+    sources: { 'axe-core': 1, llm: 1, keyboard: 1 },
+    rules: {},
+  },
+};
+const DEFAULT_PROFILE = 'classic';
+
+const isWeight = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+// A profile name, or { extends, name, weights, nodeScaling, sources, rules } overriding one
+function validateProfile(spec) {
+  if (spec === undefined) return null;
+  const names = Object.keys(PROFILES).join(', ');
+  if (typeof spec === 'string') {
+    return PROFILES[spec] ? null : `scoringProfile must be one of: ${names}, or a custom profile object`;
+  }
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    return 'scoringProfile must be a profile name or an object';
+  }
+  if (spec.extends !== undefined && !PROFILES[spec.extends]) return `scoringProfile.extends must be one of: ${names}`;
+  if (spec.name !== undefined && typeof spec.name !== 'string') return 'scoringProfile.name must be a string';
+
+  for (const [impact, weight] of Object.entries(spec.weights || {})) {
+    if (!IMPACTS.includes(impact)) return `scoringProfile.weights keys must be: ${IMPACTS.join(', ')}`;
+    if (!isWeight(weight)) return `scoringProfile.weights.${impact} must be a non-negative number`;
+  }
+  for (const [source, weight] of Object.entries(spec.sources || {})) {
+    if (!SOURCES.includes(source)) return `scoringProfile.sources keys must be: ${SOURCES.join(', ')}`;
+    if (!isWeight(weight)) return `scoringProfile.sources.${source} must be a non-negative number`;
+  }
+  for (const [rule, weight] of Object.entries(spec.rules || {})) {
+    if (!isWeight(weight)) return `scoringProfile.rules.${rule} must be a non-negative number`;
+  }
+
+  const scaling = spec.nodeScaling;
+  if (scaling !== undefined) {
+    if (!NODE_SCALING.includes(scaling?.type)) return `scoringProfile.nodeScaling.type must be one of: ${NODE_SCALING.join(', ')}`;
+    if (scaling.type === 'capped' && !(Number.isInteger(scaling.cap) && scaling.cap >= 1)) {
+      return 'scoringProfile.nodeScaling.cap must be a positive integer';
+    }
+  }
+  return null;
+}
+
+// Expand a (validated) name or custom object into a complete profile, stored with the results
+function resolveProfile(spec = DEFAULT_PROFILE) {
+  if (typeof spec === 'string') return { name: spec, ...(PROFILES[spec] || PROFILES[DEFAULT_PROFILE]) };
+
+  const base = PROFILES[spec.extends || DEFAULT_PROFILE];
+  return {
+    name: spec.name || `custom (${spec.extends || DEFAULT_PROFILE})`,
+    description: spec.description || base.description,
+    weights: { ...base.weights, ...spec.weights },
+    nodeScaling: spec.nodeScaling || base.nodeScaling,
+    sources: { ...base.sources, ...spec.sources },
+    rules: { ...base.rules, ...spec.rules },
+  };
+}
+
+function nodeFactor(nodes, scaling) {
+  if (scaling.type === 'log') return 1 + Math.log10(nodes);
+  if (scaling.type === 'capped') return Math.min(nodes, scaling.cap);
+  return 1;
+}
+
+const round2 = value => Math.round(value * 100) / 100;
+
+// Start at 100 and deduct each in-target violation; the deductions explain the score line by line
+function scoreViolations(violations, profile) {
+  const deductions = [];
+  for (const v of violations) {
+    if (v.outOfTarget) continue;
+    const rule = v.id || v.type;
+    const nodes = Math.max(1, v.nodes || 1);
+    // Unknown LLM severities count as moderate
+    const base = Object.hasOwn(profile.rules, rule)
+      ? profile.rules[rule]
+      : profile.weights[v.impact] ?? profile.weights.moderate;
+    const factor = round2(nodeFactor(nodes, profile.nodeScaling));
+    const sourceWeight = profile.sources[v.source] ?? 1;
+    const points = round2(base * factor * sourceWeight);
+    if (points > 0) deductions.push({ rule, source: v.source, impact: v.impact, nodes, base, nodeFactor: factor, sourceWeight, points });
+  }
+  deductions.sort((a, b) => b.points - a.points);
+
+  const totalDeduction = round2(deductions.reduce((sum, d) => sum + d.points, 0));
+  return {
+    score: Math.max(0, Math.min(100, Math.round(100 - totalDeduction))),
+    deductions,
+    totalDeduction,
+  };
+}
+
+module.exports = { PROFILES, DEFAULT_PROFILE, validateProfile, resolveProfile, scoreViolations };
@@ -0,0 +1,51 @@
+const { criteriaFor, tagsToCriteria } = require('./wcag-criteria');
+
+const STANDARDS = {
+  section508: {
+    name: 'Revised Section 508',
+    basis: 'E205.4 Web content — WCAG 2.0 Level A and AA',
+    version: '2.0',
+    clause: id => id,
+  },
+  en301549: {
+    name: 'EN 301 549 V3.2.1',
+    basis: 'Chapter 9 Web — WCAG 2.1 Level A and AA',
+    version: '2.1',
+    clause: id => `9.${id}`,
+  },
+};
+
+// Failures come straight from the violation tags, so clauses outside the audit's WCAG target still fail.
+// Everything else reuses the WCAG matrix; a criterion the target didn't cover is not tested.
+function mapToStandards(violations, wcagCriteria = []) {
+  const failedBy = {};
+  for (const v of violations) {
+    for (const id of tagsToCriteria(v.wcagTags)) {
+      if (!failedBy[id]) failedBy[id] = [];
+      const name = v.id || v.type;
+      if (!failedBy[id].includes(name)) failedBy[id].push(name);
+    }
+  }
+  const matrix = new Map(wcagCriteria.map(c => [c.id, c]));
+
+  const results = {};
+  for (const [key, standard] of Object.entries(STANDARDS)) {
+    const summary = { passed: 0, failed: 0, notApplicable: 0, notTested: 0, total: 0 };
+    const clauses = criteriaFor(standard.version, 'AA').map(c => {
+      const failed = failedBy[c.id] || [];
+      const status = failed.length ? 'failed' : (matrix.get(c.id)?.status || 'notTested');
+      summary[status]++;
+      summary.total++;
+      return { clause: standard.clause(c.id), title: c.name, wcag: c.id, level: c.level, status, violations: failed };
+    });
+
+    let status = 'passed';
+    if (summary.failed) status = 'failed';
+    else if (summary.notTested) status = 'notVerified';
+
+    results[key] = { name: standard.name, basis: standard.basis, status, summary, clauses };
+  }
+  return results;
+}
+
+module.exports = { STANDARDS, mapToStandards };
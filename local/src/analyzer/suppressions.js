@@ -0,0 +1,96 @@
+const fs = require('fs');
+const { pageTemplate } = require('./fingerprint');
+
+const MAX_SUPPRESSIONS = 200;
+const MATCH_KEYS = ['rule', 'selector', 'url', 'fingerprint'];
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// "*" matches any run of characters; everything else is literal
+function globToRegExp(pattern) {
+  const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${escaped.join('.*')}$`, 'i');
+}
+
+// A date-only expiry is good through the end of that day (UTC)
+function expiresAt(expires) {
+  const time = new Date(expires).getTime();
+  return DATE_ONLY.test(expires) ? time + 24 * 60 * 60 * 1000 : time;
+}
+
+function validateSuppressions(suppressions) {
+  if (suppressions === undefined) return null;
+  if (!Array.isArray(suppressions)) return 'suppressions must be an array';
+  if (suppressions.length > MAX_SUPPRESSIONS) return `suppressions can have at most ${MAX_SUPPRESSIONS} entries`;
+
+  for (const [i, s] of suppressions.entries()) {
+    const where = `suppressions[${i}]`;
+    if (!s || typeof s !== 'object' || Array.isArray(s)) return `${where} must be an object`;
+    if (!MATCH_KEYS.some(key => s[key] !== undefined)) return `${where} needs at least one of: ${MATCH_KEYS.join(', ')}`;
+    for (const key of [...MATCH_KEYS, 'id']) {
+      if (s[key] !== undefined && (typeof s[key] !== 'string' || !s[key].trim())) return `${where}.${key} must be a non-empty string`;
+    }
+    for (const key of ['justification', 'owner', 'expires']) {
+      if (typeof s[key] !== 'string' || !s[key].trim()) return `${where}.${key} is required`;
+    }
+    if (Number.isNaN(expiresAt(s.expires))) return `${where}.expires must be a date, e.g. 2025-12-31`;
+  }
+  return null;
+}
+
+// Entries from SUPPRESSIONS_FILE; a missing or broken file is reported and skipped
+function loadSuppressions(file = process.env.SUPPRESSIONS_FILE) {
+  if (!file) return [];
+  try {
+    const suppressions = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const error = validateSuppressions(suppressions);
+    if (error) throw new Error(error);
+    return suppressions;
+  } catch (error) {
+    console.warn(`Ignoring suppressions file ${file}: ${error.message}`);
+    return [];
+  }
+}
+
+// Every given key has to match. A selector pattern has to cover every affected node,
+// so a waiver for a widget doesn't hide the same rule failing elsewhere on the page.
+function matches(s, v, url) {
+  if (s.fingerprint && v.fingerprint !== s.fingerprint) return false;
+  if (s.rule && !globToRegExp(s.rule).test(v.id || v.type)) return false;
+  if (s.url && !(globToRegExp(s.url).test(url || '') || globToRegExp(s.url).test(pageTemplate(url)))) return false;
+  if (s.selector) {
+    const targets = (v.affectedNodes || v.examples || []).map(ex => ex?.target).filter(Boolean);
+    if (targets.length === 0 || !targets.every(t => globToRegExp(s.selector).test(t))) return false;
+  }
+  return true;
+}
+
+const describe = s => ({
+  id: s.id || null,
+  justification: s.justification,
+  owner: s.owner,
+  expires: s.expires,
+});
+
+// Split violations into active and suppressed. A violation only covered by expired waivers
+// stays active and is marked with the waiver that lapsed.
+function applySuppressions(violations, suppressions = [], { url, now = Date.now() } = {}) {
+  const active = [];
+  const suppressed = [];
+
+  for (const v of violations) {
+    delete v.suppression;
+    delete v.waiverExpired;
+    const matching = suppressions.filter(s => matches(s, v, url));
+    const current = matching.find(s => expiresAt(s.expires) > now);
+    if (current) {
+      v.suppression = describe(current);
+      suppressed.push(v);
+      continue;
+    }
+    if (matching.length) v.waiverExpired = describe(matching[0]);
+    active.push(v);
+  }
+  return { active, suppressed };
+}
+
+module.exports = { validateSuppressions, loadSuppressions, applySuppressions };
@@ -1,6 +1,27 @@
 const express = require('express');
 const cors = require('cors');
 const JobManager = require('../orchestrator/job-manager');
+const ResultCombiner = require('../analyzer/combiner');
+const SiteCrawler = require('../crawler/site-crawler');
+const { validateAuth } = require('../scraper/auth');
+const { validateSteps } = require('../scraper/page-actions');
+const { validateViewports } = require('../scraper/viewports');
+const { validateElementShots } = require('../scraper/element-shots');
+const { validateAxeOptions } = require('../scraper/axe-config');
+const { validateTarget } = require('../analyzer/wcag-criteria');
+const { validateProfile } = require('../analyzer/scoring-profiles');
+const { validateSuppressions } = require('../analyzer/suppressions');
+const { validateComparable, diffAudits } = require('../analyzer/audit-diff');
+const { parsePage, pageAffectedNodes } = require('../analyzer/affected-nodes');
+const { validateAcrOptions, buildAcr, applyAcrEdits } = require('../analyzer/acr');
+const { reportFilename, isExportable } = require('../reports/common');
+const { renderHtmlReport } = require('../reports/html-report');
+const { renderPdfReport } = require('../reports/pdf-report');
+const { toSarif } = require('../reports/sarif');
+const { parseFailOn, toJUnit } = require('../reports/junit');
+const { toCsv } = require('../reports/spreadsheet');
+const { toXlsx } = require('../reports/xlsx');
+const { renderAcrHtml, renderAcrDocx } = require('../reports/vpat-report');
 require('dotenv').config();
 
 const app = express();
@@ -11,6 +32,76 @@ app.use(express.json({ limit: '10mb' }));
 
 let jobManager;
 const auditHistory = [];
+const audits = new Map();
+const siteRuns = new Map();
+const combiner = new ResultCombiner();
+
+const REVIEW_STATUSES = ['pass', 'fail', 'pending'];
+const MAX_CRAWL_PAGES = 500;
+
+// Export formats for GET /api/audit/:id/report.<format>
+const REPORT_FORMATS = {
+  html: { type: 'text/html', render: renderHtmlReport },
+  pdf: { type: 'application/pdf', render: report => renderPdfReport(report, jobManager.scraper) },
+  sarif: { type: 'application/sarif+json', render: report => JSON.stringify(toSarif(report), null, 2) },
+  // JUnit XML; ?failOn=<impact> sets the lowest impact that fails a testcase
+  xml: { type: 'application/xml', options: query => parseFailOn(query.failOn), render: toJUnit },
+  // One row per affected element; these also export whole batches and crawls
+  csv: { type: 'text/csv', render: report => toCsv([report]), renderPages: toCsv },
+  xlsx: { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', render: report => toXlsx([report]), renderPages: toXlsx },
+};
+const PAGE_FORMATS = Object.keys(REPORT_FORMATS).filter(format => REPORT_FORMATS[format].renderPages);
+
+// Accessibility Conformance Report (VPAT) formats for POST /api/vpat/report.<format>
+const ACR_FORMATS = {
+  html: { type: 'text/html', render: renderAcrHtml },
+  docx: { type: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', render: renderAcrDocx },
+};
+
+// Options shared by every audit route; returns the 400 response body, or null when they are valid
+function validateAuditOptions({ auth, axe, wcagTarget, scoringProfile, suppressions }) {
+  const targetError = validateTarget(wcagTarget);
+  if (targetError) return { error: targetError, provided: wcagTarget };
+  const error = validateAuth(auth) || validateAxeOptions(axe) || validateProfile(scoringProfile) || validateSuppressions(suppressions);
+  return error ? { error } : null;
+}
+
+function toHistoryEntry(auditId, url, results) {
+  return {
+    auditId,
+    id: auditId,
+    url,
+    scannedAt: results.scannedAt,
+    duration: results.duration,
+    score: results.summary.overallScore,
+    complianceLevel: results.summary.complianceLevel,
+    totalIssues: results.summary.totalIssues,
+    criticalIssues: results.summary.criticalIssues,
+  };
+}
+
+function recordAudit(url, results) {
+  const auditId = Date.now().toString();
+  auditHistory.unshift(toHistoryEntry(auditId, url, results));
+  audits.set(auditId, { url, results });
+  if (auditHistory.length > 50) audits.delete(auditHistory.pop().auditId);
+  return auditId;
+}
+
+// Batches and crawls are kept (the last 10) so their pages can be exported together; crawls
+// are recorded as running and filled in when they finish, and a running one is never evicted
+function recordSiteRun(type, url, pages, status = 'completed') {
+  const runId = Date.now().toString();
+  siteRuns.set(runId, { type, url, scannedAt: new Date().toISOString(), status, pages });
+  if (siteRuns.size > 10) {
+    const finished = [...siteRuns].find(([, run]) => run.status !== 'running');
+    if (finished) siteRuns.delete(finished[0]);
+  }
+  return {
+    runId,
+    exports: Object.fromEntries(PAGE_FORMATS.map(format => [format, `/api/audit/site/${runId}/report.${format}`])),
+  };
+}
 
 (async () => {
   try {
@@ -46,14 +137,32 @@ app.get('/api/info', (req, res) => {
       '/api/info': 'API information',
       '/api/audit': 'POST - Audit a single URL',
       '/api/audit/batch': 'POST - Audit multiple URLs',
-      '/api/audit/history': 'GET - Recent audit history',
+      '/api/audit/crawl': 'POST - Start crawling and auditing a whole site (poll /api/audit/site/:runId)',
+      '/api/audit/flow': 'POST - Audit a scripted user flow step by step',
+      '/api/audit/history': 'GET - Recent audit history (?url= for one URL)',
+      '/api/audit/compare': 'GET - New, fixed and unchanged violations between two audits (?base=&head=)',
+      '/api/audit/:id': 'GET - Fetch a stored audit',
+      '/api/audit/:id/review': 'POST - Mark a needs-review item as pass or fail',
+      '/api/audit/:id/violations/:fingerprint/nodes': 'GET - Every failing element of a violation, paged (?offset=&limit=)',
+      '/api/audit/:id/report.html': 'GET - Standalone HTML report',
+      '/api/audit/:id/report.pdf': 'GET - PDF report (cover, summary, coverage, charts, violation detail)',
+      '/api/audit/:id/report.sarif': 'GET - SARIF 2.1.0 log for code-scanning tools',
+      '/api/audit/:id/report.xml': 'GET - JUnit XML for CI test dashboards (?failOn=critical|serious|moderate|minor)',
+      '/api/audit/:id/report.csv': 'GET - Violations as CSV, one row per affected element',
+      '/api/audit/:id/report.xlsx': 'GET - Violations as an Excel workbook with a summary sheet',
+      '/api/audit/site/:runId': 'GET - Status and results of a batch or crawl',
+      '/api/audit/site/:runId/report.csv': 'GET - Every page of a batch or crawl in one CSV (runId from its response)',
+      '/api/audit/site/:runId/report.xlsx': 'GET - Every page of a batch or crawl in one workbook',
+      '/api/vpat': 'POST - Draft VPAT 2.x conformance report from audits ({ auditIds, runId, product, edits })',
+      '/api/vpat/report.html': 'POST - The conformance report with reviewer edits applied, as HTML',
+      '/api/vpat/report.docx': 'POST - The conformance report with reviewer edits applied, as a Word document',
     },
     author: 'Sudeep Aryan Gaddameedi',
   });
 });
 
 app.post('/api/audit', async (req, res) => {
-  const { url, skipLLM } = req.body;
+  const { url, skipLLM, skipKeyboard, fullPageScreenshot, elementScreenshots, auth, viewports, axe, wcagTarget, scoringProfile, suppressions } = req.body;
 
   if (!url) {
     return res.status(400).json({ error: 'URL is required', example: { url: 'https://example.com' } });
@@ -63,29 +172,25 @@ app.post('/api/audit', async (req, res) => {
   } catch {
     return res.status(400).json({ error: 'Invalid URL format', provided: url });
   }
+  const optionsError = validateAuditOptions(req.body);
+  if (optionsError) {
+    return res.status(400).json(optionsError);
+  }
+  const viewportError = validateViewports(viewports);
+  if (viewportError) {
+    return res.status(400).json({ error: viewportError });
+  }
+  const shotsError = validateElementShots(elementScreenshots);
+  if (shotsError) {
+    return res.status(400).json({ error: shotsError });
+  }
 
   try {
-    console.log(`Audit request: ${url}`);
-    const results = await jobManager.auditWebsite(url, { skipLLM });
-
-    const auditId = Date.now().toString();
-
-    const historyEntry = {
-      auditId,
-      id: auditId,
-      url,
-      scannedAt: results.scannedAt,
-      duration: results.duration,
-      score: results.summary.overallScore,
-      complianceLevel: results.summary.complianceLevel,
-      totalIssues: results.summary.totalIssues,
-      criticalIssues: results.summary.criticalIssues,
-    };
-
-    auditHistory.unshift(historyEntry);
-    if (auditHistory.length > 50) auditHistory.pop();
-
-    res.json({ success: true, ...results });
+    console.log(`Audit request: ${url}${auth ? ' (authenticated)' : ''}`);
+    const results = await jobManager.auditWebsite(url, { skipLLM, skipKeyboard, fullPageScreenshot, elementScreenshots, auth, viewports, axe, wcagTarget, scoringProfile, suppressions });
+
+    const auditId = recordAudit(url, results);
+    res.json({ success: true, auditId, ...results });
   } catch (error) {
     console.error('Audit failed:', error);
     res.status(500).json({ success: false, error: 'Audit failed', message: error.message, url });
@@ -93,7 +198,7 @@ app.post('/api/audit', async (req, res) => {
 });
 
 app.post('/api/audit/batch', async (req, res) => {
-  const { urls, skipLLM } = req.body;
+  const { urls, skipLLM, skipKeyboard, fullPageScreenshot, elementScreenshots, auth, viewports, axe, wcagTarget, scoringProfile, suppressions } = req.body;
 
   if (!urls || !Array.isArray(urls) || urls.length === 0) {
     return res.status(400).json({ error: 'URLs array is required' });
@@ -101,10 +206,22 @@ app.post('/api/audit/batch', async (req, res) => {
   if (urls.length > 10) {
     return res.status(400).json({ error: 'Batch limited to 10 URLs', provided: urls.length });
   }
+  const optionsError = validateAuditOptions(req.body);
+  if (optionsError) {
+    return res.status(400).json(optionsError);
+  }
+  const viewportError = validateViewports(viewports);
+  if (viewportError) {
+    return res.status(400).json({ error: viewportError });
+  }
+  const shotsError = validateElementShots(elementScreenshots);
+  if (shotsError) {
+    return res.status(400).json({ error: shotsError });
+  }
 
   try {
     console.log(`Batch audit: ${urls.length} URLs`);
-    const results = await jobManager.auditMultiplePages(urls, { skipLLM });
+    const results = await jobManager.auditMultiplePages(urls, { skipLLM, skipKeyboard, fullPageScreenshot, elementScreenshots, auth, viewports, axe, wcagTarget, scoringProfile, suppressions });
 
     res.json({
       success: true,
@@ -113,6 +230,8 @@ app.post('/api/audit/batch', async (req, res) => {
         successful: results.filter(r => r.success).length,
         failed: results.filter(r => !r.success).length,
       },
+      site: combiner.combineSiteResults(results),
+      ...recordSiteRun('batch', urls[0], results),
       results,
     });
   } catch (error) {
@@ -121,8 +240,281 @@ app.post('/api/audit/batch', async (req, res) => {
   }
 });
 
+app.post('/api/audit/crawl', (req, res) => {
+  const { url, skipLLM, skipKeyboard, auth, axe, wcagTarget, scoringProfile, suppressions, crawl = {} } = req.body;
+
+  if (!url) {
+    return res.status(400).json({ error: 'URL is required', example: { url: 'https://example.com', crawl: { maxPages: 50, maxDepth: 2 } } });
+  }
+  try {
+    new URL(url);
+  } catch {
+    return res.status(400).json({ error: 'Invalid URL format', provided: url });
+  }
+  const crawlError = SiteCrawler.validateOptions(crawl, MAX_CRAWL_PAGES);
+  if (crawlError) {
+    return res.status(400).json(crawlError);
+  }
+  const optionsError = validateAuditOptions(req.body);
+  if (optionsError) {
+    return res.status(400).json(optionsError);
+  }
+
+  // Hundreds of pages outlast any HTTP timeout: answer at once and poll GET /api/audit/site/:runId
+  console.log(`Crawl request: ${url}`);
+  const { runId, exports } = recordSiteRun('crawl', url, [], 'running');
+  const run = siteRuns.get(runId);
+  jobManager.crawlSite(url, { skipLLM, skipKeyboard, auth, axe, wcagTarget, scoringProfile, suppressions, crawl })
+    .then(results => Object.assign(run, { status: 'completed', url: results.url, pages: results.pages, results }))
+    .catch(error => {
+      console.error('Crawl failed:', error);
+      Object.assign(run, { status: 'failed', error: error.message });
+    });
+
+  res.status(202).json({ success: true, runId, status: 'running', statusUrl: `/api/audit/site/${runId}`, exports });
+});
+
+app.post('/api/audit/flow', async (req, res) => {
+  const { url, steps, skipLLM, fullPageScreenshot, auth, axe, wcagTarget, scoringProfile, suppressions } = req.body;
+
+  if (!url) {
+    return res.status(400).json({
+      error: 'URL is required',
+      example: { url: 'https://example.com', steps: [{ action: 'click', selector: '#open-menu' }] },
+    });
+  }
+  try {
+    new URL(url);
+  } catch {
+    return res.status(400).json({ error: 'Invalid URL format', provided: url });
+  }
+  const stepsError = validateSteps(steps);
+  if (stepsError) {
+    return res.status(400).json({ error: stepsError });
+  }
+  if (steps.length > 25) {
+    return res.status(400).json({ error: 'Flow limited to 25 steps', provided: steps.length });
+  }
+  const optionsError = validateAuditOptions(req.body);
+  if (optionsError) {
+    return res.status(400).json(optionsError);
+  }
+
+  try {
+    console.log(`Flow audit request: ${url} (${steps.length} steps)`);
+    const results = await jobManager.auditUserFlow(url, steps, { skipLLM, fullPageScreenshot, auth, axe, wcagTarget, scoringProfile, suppressions });
+
+    const auditId = recordAudit(url, results);
+    res.json({ success: true, auditId, ...results });
+  } catch (error) {
+    console.error('Flow audit failed:', error);
+    res.status(500).json({ success: false, error: 'Flow audit failed', message: error.message, url });
+  }
+});
+
 app.get('/api/audit/history', (req, res) => {
-  res.json({ success: true, count: auditHistory.length, history: auditHistory, source: 'in-memory' });
+  const { url } = req.query;
+  const history = url ? auditHistory.filter(h => h.url === url) : auditHistory;
+  res.json({ success: true, count: history.length, history, source: 'in-memory' });
+});
+
+app.get('/api/audit/compare', (req, res) => {
+  const { base, head } = req.query;
+  if (!base || !head) {
+    return res.status(400).json({ error: 'base and head audit IDs are required', example: '/api/audit/compare?base=<id>&head=<id>' });
+  }
+  for (const auditId of [base, head]) {
+    if (!audits.has(auditId)) return res.status(404).json({ error: 'Audit not found', auditId });
+  }
+
+  const [baseAudit, headAudit] = [base, head].map(auditId => {
+    const audit = audits.get(auditId);
+    return { auditId, url: audit.url, ...audit.results };
+  });
+  const error = validateComparable(baseAudit, headAudit);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  res.json({ success: true, ...diffAudits(baseAudit, headAudit) });
+});
+
+app.get('/api/audit/:id', (req, res) => {
+  const audit = audits.get(req.params.id);
+  if (!audit) {
+    return res.status(404).json({ error: 'Audit not found', auditId: req.params.id });
+  }
+  res.json({ success: true, auditId: req.params.id, ...audit.results });
+});
+
+app.get('/api/audit/:id/violations/:fingerprint/nodes', (req, res) => {
+  const { id, fingerprint } = req.params;
+  const page = parsePage(req.query);
+  if (page.error) {
+    return res.status(400).json({ error: page.error });
+  }
+
+  const audit = audits.get(id);
+  if (!audit) {
+    return res.status(404).json({ error: 'Audit not found', auditId: id });
+  }
+  const nodes = pageAffectedNodes(audit.results.results || {}, fingerprint, page);
+  if (!nodes) {
+    return res.status(404).json({ error: 'No violation with this fingerprint', auditId: id, fingerprint });
+  }
+
+  res.json({ success: true, auditId: id, ...nodes });
+});
+
+app.get('/api/audit/:id/report.:format', async (req, res) => {
+  const { id, format } = req.params;
+  const exporter = REPORT_FORMATS[format];
+  if (!exporter) {
+    return res.status(404).json({ error: `Unknown report format: ${format}`, formats: Object.keys(REPORT_FORMATS) });
+  }
+  const audit = audits.get(id);
+  if (!audit) {
+    return res.status(404).json({ error: 'Audit not found', auditId: id });
+  }
+  if (!isExportable(audit.results)) {
+    return res.status(400).json({ error: 'Only finished page, viewport and flow audits can be exported', auditId: id });
+  }
+  const options = exporter.options ? exporter.options(req.query) : {};
+  if (options.error) {
+    return res.status(400).json({ error: options.error });
+  }
+
+  try {
+    const body = await exporter.render(audit.results, options);
+    res.attachment(reportFilename(audit.results, format)).type(exporter.type).send(body);
+  } catch (error) {
+    console.error('Report export failed:', error);
+    res.status(500).json({ success: false, error: 'Report export failed', message: error.message });
+  }
+});
+
+app.get('/api/audit/site/:runId', (req, res) => {
+  const run = siteRuns.get(req.params.runId);
+  if (!run) {
+    return res.status(404).json({ error: 'Batch or crawl not found', runId: req.params.runId });
+  }
+  const { results, ...state } = run;
+  res.json({ success: run.status !== 'failed', runId: req.params.runId, ...state, ...results });
+});
+
+app.get('/api/audit/site/:runId/report.:format', async (req, res) => {
+  const { runId, format } = req.params;
+  const exporter = REPORT_FORMATS[format];
+  if (!exporter?.renderPages) {
+    return res.status(404).json({ error: `Unknown site report format: ${format}`, formats: PAGE_FORMATS });
+  }
+  const run = siteRuns.get(runId);
+  if (!run) {
+    return res.status(404).json({ error: 'Batch or crawl not found', runId });
+  }
+  if (run.status === 'running') {
+    return res.status(409).json({ error: `This ${run.type} is still running`, runId, statusUrl: `/api/audit/site/${runId}` });
+  }
+  const reports = run.pages.filter(page => page.success && isExportable(page.data)).map(page => page.data);
+  if (reports.length === 0) {
+    return res.status(400).json({ error: `No page of this ${run.type} was audited`, runId });
+  }
+
+  try {
+    const body = await exporter.renderPages(reports);
+    res.attachment(reportFilename(run, format, `accessibility-${run.type}`)).type(exporter.type).send(body);
+  } catch (error) {
+    console.error('Report export failed:', error);
+    res.status(500).json({ success: false, error: 'Report export failed', message: error.message });
+  }
+});
+
+app.post('/api/audit/:id/review', (req, res) => {
+  const { ruleId, status, note } = req.body;
+  const audit = audits.get(req.params.id);
+
+  if (!audit) {
+    return res.status(404).json({ error: 'Audit not found', auditId: req.params.id });
+  }
+  if (!REVIEW_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${REVIEW_STATUSES.join(', ')}`, provided: status });
+  }
+  if (note !== undefined && !(typeof note === 'string' && note.length <= 500)) {
+    return res.status(400).json({ error: 'note must be a string of at most 500 characters' });
+  }
+  if (!audit.results.results.needsReview?.some(item => item.id === ruleId)) {
+    return res.status(404).json({ error: 'No needs-review item for this rule', ruleId });
+  }
+
+  const results = combiner.applyReview(audit.results.results, ruleId, { status, note });
+  audit.results = { ...audit.results, results, summary: combiner.generateSummary(results) };
+
+  const index = auditHistory.findIndex(h => h.auditId === req.params.id);
+  if (index !== -1) auditHistory[index] = toHistoryEntry(req.params.id, audit.url, audit.results);
+
+  res.json({ success: true, auditId: req.params.id, ...audit.results });
+});
+
+// The finished audits a conformance report covers: listed audits plus every page of a batch or crawl
+function acrReports({ auditIds = [], runId } = {}) {
+  if (!Array.isArray(auditIds) || auditIds.some(id => typeof id !== 'string')) {
+    return { status: 400, error: 'auditIds must be an array of audit IDs' };
+  }
+  if (auditIds.length === 0 && !runId) {
+    return { status: 400, error: 'auditIds or runId is required', example: { auditIds: ['<auditId>'], product: { name: 'Shop', version: '2.4' } } };
+  }
+
+  const reports = [];
+  for (const auditId of auditIds) {
+    const audit = audits.get(auditId);
+    if (!audit) return { status: 404, error: 'Audit not found', auditId };
+    if (!isExportable(audit.results)) return { status: 400, error: 'Only finished page, viewport and flow audits can be reported on', auditId };
+    reports.push({ auditId, url: audit.url, ...audit.results });
+  }
+  if (runId) {
+    const run = siteRuns.get(runId);
+    if (!run) return { status: 404, error: 'Batch or crawl not found', runId };
+    if (run.status === 'running') return { status: 409, error: `This ${run.type} is still running`, runId };
+    reports.push(...run.pages.filter(page => page.success && isExportable(page.data)).map(page => page.data));
+  }
+  if (reports.length === 0) return { status: 400, error: 'No audited page to report on' };
+  if (reports.length > 50) return { status: 400, error: 'A conformance report can cover at most 50 audits', provided: reports.length };
+  return { reports };
+}
+
+function draftAcr(body) {
+  const optionsError = validateAcrOptions(body);
+  if (optionsError) return { status: 400, error: optionsError };
+  const { reports, ...failure } = acrReports(body);
+  if (!reports) return failure;
+  return { acr: applyAcrEdits(buildAcr(reports, { product: body.product }), body.edits) };
+}
+
+app.post('/api/vpat', (req, res) => {
+  const { acr, status, ...error } = draftAcr(req.body);
+  if (!acr) {
+    return res.status(status).json(error);
+  }
+  res.json({ success: true, acr });
+});
+
+app.post('/api/vpat/report.:format', async (req, res) => {
+  const exporter = ACR_FORMATS[req.params.format];
+  if (!exporter) {
+    return res.status(404).json({ error: `Unknown report format: ${req.params.format}`, formats: Object.keys(ACR_FORMATS) });
+  }
+  const { acr, status, ...error } = draftAcr(req.body);
+  if (!acr) {
+    return res.status(status).json(error);
+  }
+
+  try {
+    const body = await exporter.render(acr);
+    res.attachment(reportFilename(acr.scope[0], req.params.format, 'vpat')).type(exporter.type).send(body);
+  } catch (error) {
+    console.error('Report export failed:', error);
+    res.status(500).json({ success: false, error: 'Report export failed', message: error.message });
+  }
 });
 
 app.use((req, res) => {
@@ -0,0 +1,226 @@
+const DEFAULT_CRAWL_OPTIONS = {
+  maxDepth: 2,
+  maxPages: 50,
+  include: [],
+  exclude: [],
+  sitemap: null,
+  useSitemap: true,
+  delay: 1000,
+  deadline: null,
+};
+
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|mc_cid|mc_eid)$/i;
+const SKIPPED_EXTENSIONS = /\.(pdf|zip|gz|rar|7z|jpe?g|png|gif|svg|webp|ico|mp3|mp4|webm|avi|mov|docx?|xlsx?|pptx?|csv|xml|json|css|js)$/i;
+const MAX_SITEMAP_FILES = 10;
+const CRAWL_OPTION_KEYS = ['maxDepth', 'maxPages', 'include', 'exclude', 'sitemap', 'useSitemap', 'delay'];
+const MAX_DEPTH = 10;
+const MAX_DELAY = 10000;
+const MAX_PATTERNS = 50;
+
+class SiteCrawler {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_CRAWL_OPTIONS, ...options };
+    this.includePatterns = this.options.include.map(toPattern);
+    this.excludePatterns = this.options.exclude.map(toPattern);
+  }
+
+  async crawl(startUrl, visit) {
+    const root = SiteCrawler.normalizeUrl(startUrl);
+    if (!root) throw new Error(`Invalid start URL: ${startUrl}`);
+
+    const origin = new URL(root).origin;
+    const { maxDepth, maxPages, delay, deadline } = this.options;
+    const seen = new Set();
+    const queue = [];
+    const pages = [];
+    const skipped = [];
+    let truncated = null;
+
+    const enqueue = (url, depth, from, isRoot = false) => {
+      const normalized = SiteCrawler.normalizeUrl(url, from);
+      if (!normalized || seen.has(normalized)) return;
+      seen.add(normalized);
+
+      if (new URL(normalized).origin !== origin) return;
+      if (!isRoot && !this._isAllowed(normalized)) {
+        skipped.push({ url: normalized, reason: 'filtered' });
+        return;
+      }
+      queue.push({ url: normalized, depth });
+    };
+
+    const sitemapUrls = await this._loadSitemap(root, origin);
+    if (!root.endsWith('.xml')) enqueue(root, 0, null, true);
+    for (const url of sitemapUrls) enqueue(url, 0);
+    console.log(`Crawl seeded with ${queue.length} URL(s)${sitemapUrls.length ? ` (${sitemapUrls.length} from sitemap)` : ''}`);
+
+    while (queue.length > 0) {
+      if (pages.length >= maxPages) {
+        truncated = 'maxPages';
+        break;
+      }
+      if (deadline && Date.now() >= deadline) {
+        truncated = 'deadline';
+        break;
+      }
+
+      const { url, depth } = queue.shift();
+      console.log(`[crawl ${pages.length + 1}/${maxPages}] depth=${depth} ${url}`);
+
+      try {
+        const result = await visit(url, depth);
+        pages.push({ success: true, url, depth, data: result.report });
+
+        if (depth < maxDepth) {
+          for (const href of result.links || []) enqueue(href, depth + 1, url);
+        }
+      } catch (error) {
+        pages.push({ success: false, url, depth, error: error.message });
+      }
+
+      if (queue.length > 0 && delay > 0) {
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+
+    return {
+      startUrl: root,
+      pages,
+      skipped,
+      pending: queue.map(q => q.url),
+      truncated,
+    };
+  }
+
+  static normalizeUrl(href, base) {
+    let url;
+    try {
+      url = base ? new URL(href, base) : new URL(href);
+    } catch {
+      return null;
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+    if (SKIPPED_EXTENSIONS.test(url.pathname) && !/sitemap[^/]*\.xml$/i.test(url.pathname)) return null;
+
+    url.hash = '';
+    for (const key of [...url.searchParams.keys()]) {
+      if (TRACKING_PARAMS.test(key)) url.searchParams.delete(key);
+    }
+    url.searchParams.sort();
+    url.pathname = url.pathname.replace(/\/index\.html?$/i, '/').replace(/\/{2,}/g, '/');
+    if (url.pathname.length > 1 && url.pathname.endsWith('/')) {
+      url.pathname = url.pathname.slice(0, -1);
+    }
+    return url.toString();
+  }
+
+  // Request-supplied options; `deadline` is set by callers, never by clients
+  static validateOptions(crawl, maxPagesCap) {
+    if (crawl === undefined) return null;
+    if (Object.prototype.toString.call(crawl) !== '[object Object]') {
+      return { error: 'crawl must be an object of crawl options', provided: crawl };
+    }
+    const unknown = Object.keys(crawl).filter(key => !CRAWL_OPTION_KEYS.includes(key));
+    if (unknown.length) {
+      return { error: `Unknown crawl option(s): ${unknown.join(', ')}`, allowed: CRAWL_OPTION_KEYS };
+    }
+
+    const { maxPages, maxDepth, delay, useSitemap, sitemap } = crawl;
+    if (maxPages !== undefined && !(Number.isInteger(maxPages) && maxPages > 0 && maxPages <= maxPagesCap)) {
+      return { error: `crawl.maxPages must be an integer between 1 and ${maxPagesCap}`, provided: maxPages };
+    }
+    if (maxDepth !== undefined && !(Number.isInteger(maxDepth) && maxDepth >= 0 && maxDepth <= MAX_DEPTH)) {
+      return { error: `crawl.maxDepth must be an integer between 0 and ${MAX_DEPTH}`, provided: maxDepth };
+    }
+    if (delay !== undefined && !(Number.isInteger(delay) && delay >= 0 && delay <= MAX_DELAY)) {
+      return { error: `crawl.delay must be an integer between 0 and ${MAX_DELAY} (ms)`, provided: delay };
+    }
+    if (useSitemap !== undefined && typeof useSitemap !== 'boolean') {
+      return { error: 'crawl.useSitemap must be a boolean', provided: useSitemap };
+    }
+    if (sitemap !== undefined && sitemap !== null && !isHttpUrl(sitemap)) {
+      return { error: 'crawl.sitemap must be an http(s) URL', provided: sitemap };
+    }
+    for (const key of ['include', 'exclude']) {
+      const patterns = crawl[key];
+      if (patterns !== undefined && !(Array.isArray(patterns) && patterns.length <= MAX_PATTERNS && patterns.every(p => typeof p === 'string' && p))) {
+        return { error: `crawl.${key} must be an array of at most ${MAX_PATTERNS} URL path patterns`, provided: patterns };
+      }
+    }
+    return null;
+  }
+
+  _isAllowed(url) {
+    const { pathname, search } = new URL(url);
+    const target = pathname + search;
+    if (this.excludePatterns.some(p => p.test(target))) return false;
+    if (this.includePatterns.length && !this.includePatterns.some(p => p.test(target))) return false;
+    return true;
+  }
+
+  async _loadSitemap(root, origin) {
+    let sitemapUrl = this.options.sitemap;
+    if (!sitemapUrl && root.endsWith('.xml')) sitemapUrl = root;
+    const explicit = !!sitemapUrl;
+    if (!sitemapUrl && this.options.useSitemap) sitemapUrl = `${origin}/sitemap.xml`;
+    if (!sitemapUrl) return [];
+
+    const urls = [];
+    const files = [sitemapUrl];
+    let fetched = 0;
+
+    while (files.length > 0 && fetched < MAX_SITEMAP_FILES) {
+      const file = files.shift();
+      fetched++;
+      try {
+        const res = await fetch(file, { signal: AbortSignal.timeout(10000) });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const xml = await res.text();
+        const locs = Array.from(xml.matchAll(/<loc>\s*([^<\s]+)\s*<\/loc>/gi), m => decodeXml(m[1]));
+
+        // Child sitemaps are only followed on the site being crawled
+        if (/<sitemapindex[\s>]/i.test(xml)) files.push(...locs.filter(loc => isOnOrigin(loc, origin)));
+        else urls.push(...locs);
+      } catch (error) {
+        if (explicit) throw new Error(`Failed to load sitemap ${file}: ${error.message}`);
+        console.log(`No sitemap at ${file} (${error.message}), crawling links only`);
+      }
+    }
+    return urls;
+  }
+}
+
+function toPattern(pattern) {
+  if (pattern instanceof RegExp) return pattern;
+  const escaped = String(pattern).replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+function isHttpUrl(value) {
+  try {
+    return typeof value === 'string' && ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+function isOnOrigin(url, origin) {
+  try {
+    return new URL(url).origin === origin;
+  } catch {
+    return false;
+  }
+}
+
+function decodeXml(value) {
+  return value
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'");
+}
+
+SiteCrawler.DEFAULT_CRAWL_OPTIONS = DEFAULT_CRAWL_OPTIONS;
+
+module.exports = SiteCrawler;
@@ -1,6 +1,11 @@
 const AccessibilityScraper = require('../scraper/puppeteer-scraper');
 const LLMAnalyzer = require('../analyzer/llm-analyzer');
 const ResultCombiner = require('../analyzer/combiner');
+const SiteCrawler = require('../crawler/site-crawler');
+const { describeAuth } = require('../scraper/auth');
+const { resolveViewports } = require('../scraper/viewports');
+const { describeAxeOptions } = require('../scraper/axe-config');
+const { loadSuppressions } = require('../analyzer/suppressions');
 
 class JobManager {
   constructor(openaiKey) {
@@ -27,51 +32,117 @@ class JobManager {
     console.log(`${'='.repeat(60)}\n`);
 
     try {
+      if (options.viewports?.length) return await this._auditViewports(url, options, startTime);
+
       console.log('Step 1/3: Scraping page and running axe-core...');
-      const scrapedData = await this.scraper.scrapePage(url);
+      const scrapedData = await this.scraper.scrapePage(url, this._scrapeOptions(options));
       console.log(`  ${scrapedData.axeResults.violations.length} automated violations found`);
       console.log(`  Extracted ${scrapedData.content.links.length} links, ${scrapedData.content.images.length} images\n`);
 
-      let llmResults = { violations: [] };
-      if (options.skipLLM !== true) {
-        console.log('Step 2/3: Running GPT-4 semantic analysis...');
-        llmResults = await this.llmAnalyzer.analyzeContent(scrapedData);
-        console.log(`  ${llmResults.violations?.length || 0} semantic violations found\n`);
-      } else {
-        console.log('Step 2/3: Skipped (LLM disabled)\n');
+      return await this._analyzePage(scrapedData, options, startTime);
+    } catch (error) {
+      console.error('\nAudit failed:', error.message);
+      throw error;
+    }
+  }
+
+  async crawlSite(startUrl, options = {}) {
+    if (!this.initialized) await this.initialize();
+
+    const startTime = Date.now();
+    const crawler = new SiteCrawler(options.crawl);
+    console.log(`\nSite crawl: ${startUrl} (max ${crawler.options.maxPages} pages, depth ${crawler.options.maxDepth})\n`);
+
+    const crawl = await crawler.crawl(startUrl, async (url) => {
+      const pageStart = Date.now();
+      // Screenshots and focus orders for every page would dominate the site report; keep it lean.
+      const scrapedData = await this.scraper.scrapePage(url, { ...this._scrapeOptions(options), elementScreenshots: 0 });
+      const report = await this._analyzePage(scrapedData, options, pageStart);
+      report.screenshot = null;
+      report.annotations = null;
+      report.keyboard = null;
+      return { report, links: scrapedData.content.links.map(l => l.href) };
+    });
+
+    const site = this.combiner.combineSiteResults(crawl.pages);
+    const duration = parseFloat(((Date.now() - startTime) / 1000).toFixed(2));
+    console.log(`\nCrawl complete: ${site.pagesAudited} audited, ${site.pagesFailed} failed, average score ${site.averageScore}`);
+    const { findings } = site.summary;
+    console.log(`Findings: ${findings.total} (${findings.unique} counting ${findings.sharedElements} shared template elements once)\n`);
+
+    return {
+      type: 'crawl',
+      url: crawl.startUrl,
+      scannedAt: new Date(startTime).toISOString(),
+      duration,
+      crawl: {
+        options: crawler.options,
+        truncated: crawl.truncated,
+        pending: crawl.pending.length,
+        skipped: crawl.skipped.length,
+      },
+      site,
+      pages: crawl.pages,
+    };
+  }
+
+  async auditUserFlow(url, steps, options = {}) {
+    if (!this.initialized) await this.initialize();
+
+    const startTime = Date.now();
+    console.log(`\n${'='.repeat(60)}`);
+    console.log(`User flow audit: ${url} (${steps.length} steps)`);
+    console.log(`${'='.repeat(60)}\n`);
+
+    try {
+      console.log('Step 1/3: Running flow and axe-core after each step...');
+      const flowData = await this.scraper.scrapeFlow(url, steps, this._scrapeOptions(options));
+
+      const stepReports = [];
+      const llmByStep = [];
+      for (const snapshot of flowData.steps) {
+        console.log(`\n[Flow ${snapshot.index}/${steps.length}] ${snapshot.label}`);
+        const llmResults = await this._runLLM(snapshot, options);
+        const report = this._buildReport(snapshot, llmResults, options, startTime);
+
+        llmByStep.push({ label: snapshot.index, llmResults });
+        stepReports.push({
+          index: snapshot.index,
+          label: snapshot.label,
+          step: snapshot.step,
+          ...report,
+        });
       }
 
-      console.log('Step 3/3: Combining results and calculating score...');
-      const combinedResults = this.combiner.combineResults(scrapedData.axeResults, llmResults);
+      console.log('Combining results across all flow steps...');
+      const snapshots = flowData.steps.map(s => ({ label: s.index, axeResults: s.axeResults }));
+      const combinedResults = this.combiner.combineResults(
+        this.combiner.mergeAxeResults(snapshots, 'steps'),
+        this.combiner.mergeLlmResults(llmByStep, 'steps'),
+        { target: options.wcagTarget, scoringProfile: options.scoringProfile, url, suppressions: this._suppressions(options) },
+      );
       const summary = this.combiner.generateSummary(combinedResults);
-
-      const duration = ((Date.now() - startTime) / 1000).toFixed(2);
-      console.log(`  Done in ${duration}s\n`);
+      const duration = parseFloat(((Date.now() - startTime) / 1000).toFixed(2));
 
       this._printSummary(summary, combinedResults);
 
       return {
+        type: 'flow',
         url,
-        scannedAt: scrapedData.timestamp,
-        duration: parseFloat(duration),
+        scannedAt: flowData.timestamp,
+        duration,
         results: combinedResults,
         summary,
-        screenshot: scrapedData.screenshot || null,
+        screenshot: stepReports[0].screenshot,
+        annotations: stepReports[0].annotations,
         metadata: {
-          pageTitle: scrapedData.content.title,
-          totalElements: {
-            headings: scrapedData.content.headings.length,
-            links: scrapedData.content.links.length,
-            images: scrapedData.content.images.length,
-            forms: scrapedData.content.forms.length,
-            buttons: scrapedData.content.buttons.length,
-          },
-          viewport: scrapedData.metadata.viewport,
-          userAgent: scrapedData.metadata.userAgent,
+          ...stepReports[0].metadata,
+          flow: { steps: steps.length, finalUrl: stepReports[stepReports.length - 1].url },
         },
+        steps: stepReports,
       };
     } catch (error) {
-      console.error('\nAudit failed:', error.message);
+      console.error('\nFlow audit failed:', error.message);
       throw error;
     }
   }
@@ -105,11 +176,131 @@ class JobManager {
     console.log('Job manager closed');
   }
 
+  async _auditViewports(url, options, startTime) {
+    const profiles = resolveViewports(options.viewports);
+    console.log(`Step 1/3: Scraping at ${profiles.length} viewports and running axe-core...`);
+
+    const snapshots = [];
+    for (const { name, viewport } of profiles) {
+      const scrapedData = await this.scraper.scrapePage(url, { ...this._scrapeOptions(options), viewport });
+      console.log(`  ${name} (${viewport.width}x${viewport.height}): ${scrapedData.axeResults.violations.length} automated violations`);
+      snapshots.push({ name, viewport, scrapedData });
+    }
+    console.log('');
+
+    // Page text rarely changes between layouts, so only the first profile goes to the LLM
+    // (and its keyboard walk is the one reported for the combined result)
+    const llmResults = await this._runLLM(snapshots[0].scrapedData, options);
+    const axeResults = this.combiner.mergeAxeResults(
+      snapshots.map(s => ({ label: s.name, axeResults: s.scrapedData.axeResults })),
+      'viewports',
+    );
+    const report = this._buildReport({ ...snapshots[0].scrapedData, axeResults }, llmResults, options, startTime);
+
+    report.metadata.viewports = profiles;
+    report.viewports = snapshots.map(({ name, viewport, scrapedData }) => {
+      const results = this.combiner.combineResults(scrapedData.axeResults, null, {
+        keyboardResults: scrapedData.keyboardResults,
+        target: options.wcagTarget,
+        scoringProfile: options.scoringProfile,
+        url: scrapedData.url,
+        suppressions: this._suppressions(options),
+      });
+      return {
+        name,
+        viewport,
+        screenshot: scrapedData.screenshot || null,
+        annotations: scrapedData.annotations || null,
+        results,
+        summary: this.combiner.generateSummary(results),
+      };
+    });
+    return report;
+  }
+
+  async _analyzePage(scrapedData, options, startTime) {
+    const llmResults = await this._runLLM(scrapedData, options);
+    return this._buildReport(scrapedData, llmResults, options, startTime);
+  }
+
+  async _runLLM(scrapedData, options) {
+    if (options.skipLLM === true) {
+      console.log('Step 2/3: Skipped (LLM disabled)\n');
+      return { violations: [] };
+    }
+
+    console.log('Step 2/3: Running GPT-4 semantic analysis...');
+    const llmResults = await this.llmAnalyzer.analyzeContent(scrapedData, { target: options.wcagTarget });
+    console.log(`  ${llmResults.violations?.length || 0} semantic violations found\n`);
+    return llmResults;
+  }
+
+  _buildReport(scrapedData, llmResults, options, startTime) {
+    console.log('Step 3/3: Combining results and calculating score...');
+    const combinedResults = this.combiner.combineResults(scrapedData.axeResults, llmResults, {
+      keyboardResults: scrapedData.keyboardResults,
+      target: options.wcagTarget,
+      scoringProfile: options.scoringProfile,
+      url: scrapedData.url,
+      suppressions: this._suppressions(options),
+    });
+    const summary = this.combiner.generateSummary(combinedResults);
+
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+    console.log(`  Done in ${duration}s\n`);
+
+    this._printSummary(summary, combinedResults);
+
+    return {
+      url: scrapedData.url,
+      scannedAt: scrapedData.timestamp,
+      duration: parseFloat(duration),
+      results: combinedResults,
+      summary,
+      screenshot: scrapedData.screenshot || null,
+      annotations: scrapedData.annotations || null,
+      keyboard: scrapedData.keyboardResults || null,
+      metadata: {
+        pageTitle: scrapedData.content.title,
+        totalElements: {
+          headings: scrapedData.content.headings.length,
+          links: scrapedData.content.links.length,
+          images: scrapedData.content.images.length,
+          forms: scrapedData.content.forms.length,
+          buttons: scrapedData.content.buttons.length,
+        },
+        viewport: scrapedData.metadata.viewport,
+        userAgent: scrapedData.metadata.userAgent,
+        auth: describeAuth(options.auth),
+        axe: { ...describeAxeOptions(options.axe), version: scrapedData.axeResults.testEngine?.version || null },
+      },
+    };
+  }
+
+  _scrapeOptions(options) {
+    return {
+      auth: options.auth,
+      keyboard: options.skipKeyboard !== true,
+      fullPage: options.fullPageScreenshot === true,
+      elementScreenshots: options.elementScreenshots,
+      axe: options.axe,
+    };
+  }
+
+  // The file is re-read per audit so waiver edits apply without a restart
+  _suppressions(options) {
+    return [...loadSuppressions(), ...(options.suppressions || [])];
+  }
+
   _printSummary(summary, results) {
     console.log('─'.repeat(40));
-    console.log(`Score: ${summary.overallScore}/100  |  Level: ${summary.complianceLevel}  |  Issues: ${summary.totalIssues}`);
+    console.log(`Score: ${summary.overallScore}/100 (${summary.scoringProfile})  |  Level: ${summary.complianceLevel} (${summary.target})  |  Issues: ${summary.totalIssues}`);
     console.log(`  Critical: ${summary.criticalIssues}  Serious: ${results.summary.serious}  Moderate: ${results.summary.moderate}  Minor: ${results.summary.minor}`);
-    console.log(`  WCAG A: ${results.wcagCoverage.A}%  AA: ${results.wcagCoverage.AA}%  AAA: ${results.wcagCoverage.AAA}%`);
+    const coverage = Object.entries(results.wcagCoverage).map(([level, pct]) => `${level}: ${pct}%`).join('  ');
+    console.log(`  WCAG ${coverage}  |  Not tested: ${summary.criteriaNotTested}`);
+    if (results.summary.suppressed || results.summary.waiversExpired) {
+      console.log(`  Suppressed: ${results.summary.suppressed}  |  Expired waivers: ${results.summary.waiversExpired}`);
+    }
     console.log('─'.repeat(40) + '\n');
   }
 }
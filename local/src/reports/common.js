@@ -0,0 +1,30 @@
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Safe for HTML and XML text and attribute values
+function escapeMarkup(value) {
+  return String(value ?? '').replace(/[&<>"']/g, ch => ESCAPES[ch]);
+}
+
+// Office documents: also drops the control characters XML 1.0 does not allow
+function escapeXml(value) {
+  return escapeMarkup(String(value ?? '').replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, ''));
+}
+
+// "accessibility-report-shop.example.com-2026-10-19.html"
+function reportFilename(report, extension, prefix = 'accessibility-report') {
+  let host = 'audit';
+  try {
+    host = new URL(report.url).hostname;
+  } catch {
+    // Keep the generic name
+  }
+  const date = String(report.scannedAt || new Date().toISOString()).slice(0, 10);
+  return `${prefix}-${host}-${date}.${extension}`;
+}
+
+// Single-page, viewport and flow reports carry a violation list; crawls and pending records don't
+function isExportable(report) {
+  return Array.isArray(report?.results?.violations);
+}
+
+module.exports = { escapeMarkup, escapeXml, reportFilename, isExportable };
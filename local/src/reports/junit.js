@@ -0,0 +1,131 @@
+const { escapeMarkup } = require('./common');
+
+const IMPACT_ORDER = { critical: 0, serious: 1, moderate: 2, minor: 3 };
+const DEFAULT_FAIL_ON = 'minor';
+
+// ?failOn=serious fails only critical and serious violations; the rest pass with a note
+function parseFailOn(value) {
+  if (value === undefined || value === '') return { failOn: DEFAULT_FAIL_ON };
+  if (!(value in IMPACT_ORDER)) {
+    return { error: `failOn must be one of: ${Object.keys(IMPACT_ORDER).join(', ')}` };
+  }
+  return { failOn: value };
+}
+
+const attrs = fields => Object.entries(fields)
+  .filter(([, value]) => value !== undefined && value !== null)
+  .map(([key, value]) => ` ${key}="${escapeMarkup(value)}"`)
+  .join('');
+
+function nodeLines(v) {
+  const nodes = v.affectedNodes || v.examples || [];
+  return nodes.map(node => {
+    if (typeof node === 'string') return `- ${node}`;
+    const lines = [`- ${node.target || '(page)'}`];
+    if (node.html) lines.push(`    ${node.html}`);
+    if (node.failureSummary) lines.push(...node.failureSummary.split('\n').map(line => `    ${line}`));
+    return lines.join('\n');
+  });
+}
+
+function violationText(v) {
+  const lines = [v.description];
+  if (v.recommendation && v.recommendation !== v.description) lines.push(`Fix: ${v.recommendation}`);
+  if (v.wcagTags?.length) lines.push(`WCAG: ${v.wcagTags.join(', ')}`);
+  if (v.helpUrl) lines.push(`More: ${v.helpUrl}`);
+  if (v.steps) lines.push(`Flow steps: ${v.steps.join(', ')}`);
+  if (v.viewports) lines.push(`Viewports: ${v.viewports.join(', ')}`);
+  lines.push('', `Affected elements (${v.nodes ?? nodeLines(v).length}):`, ...nodeLines(v));
+  return lines.join('\n');
+}
+
+function testcase(classname, name, body = '') {
+  return `    <testcase${attrs({ classname, name, time: '0' })}${body ? `>\n${body}\n    </testcase>` : ' />'}`;
+}
+
+// One testcase per axe rule, keyboard check and LLM finding type; rules axe passed count as passing testcases
+function buildCases(results, failOn) {
+  const cases = [];
+  const seen = new Set();
+  const add = (source, id, outcome, body) => {
+    seen.add(`${source}:${id}`);
+    cases.push({ outcome, xml: testcase(source, id, body) });
+  };
+
+  for (const v of results.violations) {
+    const id = v.id || v.type;
+    const elements = v.nodes ?? nodeLines(v).length;
+    const text = escapeMarkup(violationText(v));
+    // An unrecognised impact must not pass the gate: it ranks as moderate
+    if (!v.outOfTarget && (IMPACT_ORDER[v.impact] ?? 2) <= IMPACT_ORDER[failOn]) {
+      const message = `${v.help || v.description} (${v.impact}, ${elements} element${elements === 1 ? '' : 's'})`;
+      add(v.source, id, 'failure', `      <failure${attrs({ message, type: v.impact })}>${text}</failure>`);
+    } else {
+      const why = v.outOfTarget ? 'outside the conformance target' : `below the ${failOn} threshold`;
+      add(v.source, id, 'passed', `      <system-out>${escapeMarkup(`Not failed: ${v.impact} violation ${why}.`)}\n${text}</system-out>`);
+    }
+  }
+  for (const v of results.suppressed || []) {
+    const { justification, owner, expires } = v.suppression;
+    add(v.source, v.id || v.type, 'skipped', `      <skipped${attrs({ message: `Waived until ${expires} (owner: ${owner}): ${justification}` })} />`);
+  }
+  for (const item of results.needsReview || []) {
+    if (seen.has(`axe-core:${item.id}`)) continue;
+    if (!item.review) add('axe-core', item.id, 'skipped', `      <skipped${attrs({ message: `Needs manual review: ${item.help}` })} />`);
+    else if (item.review.status === 'pass') add('axe-core', item.id, 'passed');
+  }
+  for (const rule of results.passedRules || []) {
+    if (!seen.has(`${rule.source}:${rule.id}`)) add(rule.source, rule.id, 'passed');
+  }
+  return cases;
+}
+
+function testsuite({ name, url, timestamp, time, results, summary, failOn }) {
+  const cases = buildCases(results, failOn);
+  const count = outcome => cases.filter(c => c.outcome === outcome).length;
+  const totals = { tests: cases.length, failures: count('failure'), errors: 0, skipped: count('skipped') };
+  const properties = {
+    url,
+    target: results.target,
+    failOn,
+    score: summary?.overallScore ?? results.complianceScore,
+    complianceLevel: summary?.complianceLevel,
+  };
+  const xml = [
+    `  <testsuite${attrs({ name, ...totals, time, timestamp })}>`,
+    '    <properties>',
+    ...Object.entries(properties)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([key, value]) => `      <property${attrs({ name: key, value })} />`),
+    '    </properties>',
+    ...cases.map(c => c.xml),
+    '  </testsuite>',
+  ].join('\n');
+  return { totals, xml };
+}
+
+// JUnit XML for CI test dashboards: one testsuite per audited page (each flow step is its own page)
+function toJUnit(report, { failOn = DEFAULT_FAIL_ON } = {}) {
+  const timestamp = String(report.scannedAt || new Date().toISOString()).slice(0, 19);
+  const steps = report.steps;
+  const pages = steps?.length
+    ? steps.map(step => ({
+      name: `Step ${step.index}: ${step.label} (${step.url || report.url})`,
+      url: step.url || report.url,
+      results: step.results,
+      summary: step.summary,
+    }))
+    : [{ name: report.url, url: report.url, results: report.results, summary: report.summary, time: report.duration }];
+
+  const suites = pages.map(page => testsuite({ ...page, timestamp, time: page.time ?? 0, failOn }));
+  const sum = key => suites.reduce((n, s) => n + s.totals[key], 0);
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites${attrs({ name: `Accessibility audit: ${report.url}`, tests: sum('tests'), failures: sum('failures'), errors: 0, skipped: sum('skipped'), time: report.duration ?? 0 })}>`,
+    ...suites.map(s => s.xml),
+    '</testsuites>',
+    '',
+  ].join('\n');
+}
+
+module.exports = { parseFailOn, toJUnit };
@@ -0,0 +1,19 @@
+const { escapeMarkup: esc } = require('./common');
+const { renderHtmlReport } = require('./html-report');
+
+const MARGIN = { top: '18mm', bottom: '18mm', left: '12mm', right: '12mm' };
+
+// The HTML report behind a cover page, printed by the scraper's browser with the URL and
+// page numbers in the running header / footer
+async function renderPdfReport(report, scraper) {
+  const html = renderHtmlReport(report, { cover: true });
+  const running = 'font-size: 8px; width: 100%; padding: 0 12mm; color: #4b5563;';
+  return scraper.printPdf(html, {
+    displayHeaderFooter: true,
+    headerTemplate: `<div style="${running}">${esc(report.url)}</div>`,
+    footerTemplate: `<div style="${running} text-align: right;">Page <span class="pageNumber"></span> of <span class="totalPages"></span></div>`,
+    margin: MARGIN,
+  });
+}
+
+module.exports = { renderPdfReport };
@@ -0,0 +1,118 @@
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const LEVELS = { critical: 'error', serious: 'error', moderate: 'warning', minor: 'note' };
+const SECURITY_SEVERITY = { critical: '9.0', serious: '7.0', moderate: '4.0', minor: '1.0' };
+
+// LLM findings get their own tool component so they can be triaged apart from rule-based checks
+const LLM_COMPONENT = { name: 'llm-analyzer', index: 0 };
+
+function describeRule(v) {
+  const id = v.id || v.type;
+  return {
+    id,
+    name: id,
+    shortDescription: { text: v.help || v.description },
+    fullDescription: { text: v.description },
+    ...(v.helpUrl && { helpUri: v.helpUrl }),
+    help: { text: v.recommendation || v.help || v.description },
+    defaultConfiguration: { level: LEVELS[v.impact] || 'warning' },
+    properties: {
+      tags: ['accessibility', v.source, ...(v.wcagTags || [])],
+      'security-severity': SECURITY_SEVERITY[v.impact] || '4.0',
+    },
+  };
+}
+
+function locationFor(url, node) {
+  return {
+    physicalLocation: { artifactLocation: { uri: url } },
+    ...(node?.target && { logicalLocations: [{ fullyQualifiedName: node.target, kind: 'element' }] }),
+  };
+}
+
+// One result per affected element, so each carries its own selector and fingerprint;
+// findings without elements (LLM quotes) become one page-level result
+function resultsFor(v, ruleRef, url) {
+  const rule = v.id || v.type;
+  const nodes = v.affectedNodes || (v.examples || []).filter(ex => ex && typeof ex === 'object' && ex.target);
+  const quotes = (v.examples || []).filter(ex => typeof ex === 'string');
+  const base = {
+    ...ruleRef,
+    level: LEVELS[v.impact] || 'warning',
+    ...(v.suppression && {
+      suppressions: [{ kind: 'external', status: 'accepted', justification: `${v.suppression.justification} (owner: ${v.suppression.owner}, expires ${v.suppression.expires})` }],
+    }),
+  };
+  const properties = { impact: v.impact, source: v.source, outOfTarget: Boolean(v.outOfTarget), ...(v.steps && { steps: v.steps }), ...(v.viewports && { viewports: v.viewports }) };
+
+  if (nodes.length === 0) {
+    return [{
+      ...base,
+      message: { text: quotes.length ? `${v.description} Examples: ${quotes.join(' | ')}` : v.description },
+      locations: [locationFor(url)],
+      partialFingerprints: { 'accessibilityViolation/v1': v.fingerprint },
+      properties,
+    }];
+  }
+  return nodes.map(node => ({
+    ...base,
+    message: { text: `${v.help || v.description} (${node.target})` },
+    locations: [locationFor(url, node)],
+    partialFingerprints: {
+      'accessibilityViolation/v1': v.fingerprint,
+      'accessibilityNode/v1': node.fingerprint || `${rule}:${node.target}`,
+    },
+    properties: { ...properties, selector: node.target, html: node.html, ...(node.failureSummary && { failureSummary: node.failureSummary }) },
+  }));
+}
+
+// SARIF 2.1.0 log for a finished audit: axe-core and keyboard rules under the driver,
+// LLM finding types under their own extension; waived violations are listed as suppressed
+function toSarif(report) {
+  const { results } = report;
+  const driverRules = [];
+  const llmRules = [];
+  const ruleIndex = new Map();
+  const sarifResults = [];
+
+  for (const v of [...results.violations, ...(results.suppressed || [])]) {
+    const llm = v.source === 'llm';
+    const key = `${llm ? 'llm' : 'driver'}:${v.id || v.type}`;
+    if (!ruleIndex.has(key)) {
+      const rules = llm ? llmRules : driverRules;
+      ruleIndex.set(key, rules.length);
+      rules.push(describeRule(v));
+    }
+    const ruleRef = llm
+      ? { ruleId: v.type, rule: { id: v.type, index: ruleIndex.get(key), toolComponent: LLM_COMPONENT } }
+      : { ruleId: v.id || v.type, ruleIndex: ruleIndex.get(key) };
+    sarifResults.push(...resultsFor(v, ruleRef, report.url));
+  }
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'accessibility-auditor',
+          version: '1.0.0',
+          informationUri: 'https://www.w3.org/WAI/standards-guidelines/wcag/',
+          rules: driverRules,
+          ...(report.metadata?.axe?.version && { properties: { axeCoreVersion: report.metadata.axe.version } }),
+        },
+        extensions: [{ name: LLM_COMPONENT.name, rules: llmRules }],
+      },
+      invocations: [{ executionSuccessful: true, ...(report.scannedAt && { startTimeUtc: report.scannedAt }) }],
+      artifacts: [{ location: { uri: report.url } }],
+      results: sarifResults,
+      properties: {
+        url: report.url,
+        target: results.target,
+        score: report.summary.overallScore,
+        complianceLevel: report.summary.complianceLevel,
+      },
+    }],
+  };
+}
+
+module.exports = { toSarif };
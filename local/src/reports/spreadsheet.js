@@ -0,0 +1,108 @@
+const { CRITERIA, tagsToCriteria } = require('../analyzer/wcag-criteria');
+
+const CRITERION_NAMES = new Map(CRITERIA.map(c => [c.id, c.name]));
+
+const COLUMNS = [
+  { key: 'url', label: 'URL', width: 40 },
+  { key: 'source', label: 'Source', width: 10 },
+  { key: 'rule', label: 'Rule / type', width: 28 },
+  { key: 'impact', label: 'Impact', width: 10 },
+  { key: 'status', label: 'Status', width: 12 },
+  { key: 'wcag', label: 'WCAG criteria', width: 32 },
+  { key: 'selector', label: 'Selector', width: 40 },
+  { key: 'html', label: 'HTML', width: 60 },
+  { key: 'recommendation', label: 'Recommendation', width: 60 },
+  { key: 'helpUrl', label: 'Help URL', width: 40 },
+  { key: 'fingerprint', label: 'Fingerprint', width: 20 },
+];
+
+const SUMMARY_COLUMNS = [
+  { key: 'url', label: 'URL', width: 40 },
+  { key: 'scannedAt', label: 'Scanned', width: 22 },
+  { key: 'score', label: 'Score', width: 8 },
+  { key: 'complianceLevel', label: 'Compliance', width: 16 },
+  { key: 'target', label: 'Target', width: 14 },
+  { key: 'rules', label: 'Violations', width: 11 },
+  { key: 'critical', label: 'Critical', width: 9 },
+  { key: 'serious', label: 'Serious', width: 9 },
+  { key: 'moderate', label: 'Moderate', width: 10 },
+  { key: 'minor', label: 'Minor', width: 8 },
+  { key: 'elements', label: 'Affected elements', width: 18 },
+  { key: 'suppressed', label: 'Suppressed', width: 11 },
+];
+
+const describeCriteria = tags => tagsToCriteria(tags)
+  .map(id => (CRITERION_NAMES.has(id) ? `${id} ${CRITERION_NAMES.get(id)}` : id))
+  .join('; ');
+
+// Flow reports carry the merged results; their steps repeat the same findings
+function violationRows(report) {
+  const { results } = report;
+  const rows = [];
+  const listed = [
+    ...results.violations.map(v => [v, v.outOfTarget ? 'out of target' : 'open']),
+    ...(results.suppressed || []).map(v => [v, 'suppressed']),
+  ];
+  for (const [v, status] of listed) {
+    const common = {
+      url: report.url,
+      source: v.source,
+      rule: v.id || v.type,
+      impact: v.impact,
+      status,
+      wcag: describeCriteria(v.wcagTags),
+      recommendation: v.recommendation || v.help || v.description,
+      helpUrl: v.helpUrl || '',
+    };
+    const nodes = v.affectedNodes || v.examples || [];
+    if (nodes.length === 0) {
+      rows.push({ ...common, selector: '', html: '', fingerprint: v.fingerprint || '' });
+      continue;
+    }
+    for (const node of nodes) {
+      // LLM examples are quoted markup or text rather than located elements
+      rows.push(typeof node === 'string'
+        ? { ...common, selector: '', html: node, fingerprint: v.fingerprint || '' }
+        : { ...common, selector: node.target || '', html: node.html || '', fingerprint: node.fingerprint || v.fingerprint || '' });
+    }
+  }
+  return rows;
+}
+
+function pageSummary(report) {
+  const { results, summary = {} } = report;
+  const counts = { critical: 0, serious: 0, moderate: 0, minor: 0 };
+  // Impacts off the scale (older LLM findings) count as moderate, as in scoring
+  for (const v of results.violations) if (!v.outOfTarget) counts[v.impact in counts ? v.impact : 'moderate']++;
+  return {
+    url: report.url,
+    scannedAt: report.scannedAt || '',
+    score: summary.overallScore ?? results.complianceScore,
+    complianceLevel: summary.complianceLevel || '',
+    target: results.target || '',
+    rules: results.violations.length,
+    ...counts,
+    elements: results.violations.reduce((n, v) => n + (v.nodes || v.examples?.length || 0), 0),
+    suppressed: (results.suppressed || []).length,
+  };
+}
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  let text = String(value ?? '');
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per affected element across every page; the BOM makes Excel read it as UTF-8
+function toCsv(reports) {
+  const lines = [COLUMNS.map(c => csvCell(c.label)).join(',')];
+  for (const report of reports) {
+    for (const row of violationRows(report)) lines.push(COLUMNS.map(c => csvCell(row[c.key])).join(','));
+  }
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = { COLUMNS, SUMMARY_COLUMNS, violationRows, pageSummary, toCsv };
@@ -0,0 +1,110 @@
+const { validateSteps, runSteps, describeStep } = require('./page-actions');
+
+function validateAuth(auth) {
+  if (auth === undefined || auth === null) return null;
+  if (typeof auth !== 'object' || Array.isArray(auth)) return 'auth must be an object';
+
+  const { cookies, headers, basicAuth, login } = auth;
+
+  if (cookies !== undefined) {
+    if (!Array.isArray(cookies)) return 'auth.cookies must be an array';
+    const bad = cookies.findIndex(c => !c || typeof c.name !== 'string' || typeof c.value !== 'string');
+    if (bad !== -1) return `auth.cookies[${bad}] requires "name" and "value" strings`;
+  }
+
+  if (headers !== undefined) {
+    if (typeof headers !== 'object' || Array.isArray(headers)) return 'auth.headers must be an object of header names to values';
+    const bad = Object.entries(headers).find(([, v]) => typeof v !== 'string');
+    if (bad) return `auth.headers["${bad[0]}"] must be a string`;
+  }
+
+  if (basicAuth !== undefined) {
+    if (!basicAuth || typeof basicAuth.username !== 'string' || typeof basicAuth.password !== 'string') {
+      return 'auth.basicAuth requires "username" and "password" strings';
+    }
+  }
+
+  if (login !== undefined) {
+    if (!login || typeof login !== 'object') return 'auth.login must be an object';
+    if (login.url !== undefined) {
+      try {
+        new URL(login.url);
+      } catch {
+        return 'auth.login.url is not a valid URL';
+      }
+    }
+    const stepsError = validateSteps(login.steps, 'auth.login.steps');
+    if (stepsError) return stepsError;
+  }
+
+  return null;
+}
+
+async function applyAuth(page, auth, targetUrl) {
+  if (!auth) return;
+
+  const headers = { ...auth.headers };
+  // Basic auth rides along as a header: page.authenticate() would answer any origin's challenge
+  if (auth.basicAuth) {
+    const { username, password } = auth.basicAuth;
+    headers.Authorization = `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+  }
+  if (Object.keys(headers).length > 0) {
+    await scopeHeaders(page, headers, targetUrl);
+  }
+
+  if (auth.cookies?.length) {
+    await page.setCookie(...auth.cookies.map(c => (c.domain ? c : { ...c, url: targetUrl })));
+  }
+
+  if (auth.login) {
+    console.log(`Running login sequence (${auth.login.steps.length} steps)...`);
+    await page.goto(auth.login.url || targetUrl, { waitUntil: 'networkidle2', timeout: 30000 });
+    await runSteps(page, auth.login.steps, 'Login step');
+  }
+}
+
+// Headers only go to the audited origin, never to third-party scripts and CDNs
+async function scopeHeaders(page, headers, targetUrl) {
+  const origin = new URL(targetUrl).origin;
+  await page.setRequestInterception(true);
+  page.on('request', request => {
+    if (request.isInterceptResolutionHandled()) return;
+    if (originOf(request.url()) !== origin) {
+      request.continue();
+      return;
+    }
+    request.continue({ headers: { ...request.headers(), ...headers } });
+  });
+}
+
+function originOf(url) {
+  try {
+    return new URL(url).origin;
+  } catch {
+    return null;
+  }
+}
+
+// A login URL's query string or fragment may carry tokens; keep origin and path only
+function withoutQuery(url) {
+  const { origin, pathname } = new URL(url);
+  return `${origin}${pathname}`;
+}
+
+function describeAuth(auth) {
+  if (!auth) return null;
+  return {
+    cookies: (auth.cookies || []).map(c => c.name),
+    headers: Object.keys(auth.headers || {}),
+    basicAuth: !!auth.basicAuth,
+    login: auth.login
+      ? {
+        url: auth.login.url ? withoutQuery(auth.login.url) : null,
+        steps: auth.login.steps.map(step => describeStep(step.url ? { ...step, url: withoutQuery(step.url) } : step)),
+      }
+      : null,
+  };
+}
+
+module.exports = { validateAuth, applyAuth, describeAuth };
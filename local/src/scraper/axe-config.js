@@ -0,0 +1,81 @@
+const axe = require('axe-core');
+
+const AXE_TAGS = ['wcag2a', 'wcag2aa', 'wcag2aaa', 'wcag21a', 'wcag21aa', 'wcag22aa', 'best-practice'];
+const MAX_SELECTORS = 20;
+
+const DEFAULT_RULES = {
+  'color-contrast': { enabled: true },
+  'image-alt': { enabled: true },
+  'label': { enabled: true },
+  'link-name': { enabled: true },
+};
+
+const KNOWN_RULES = new Set(axe.getRules().map(r => r.ruleId));
+
+function validateSelectors(list, field) {
+  if (list === undefined) return null;
+  if (!Array.isArray(list) || list.length === 0) return `axe.${field} must be a non-empty array of CSS selectors`;
+  if (list.length > MAX_SELECTORS) return `axe.${field} limited to ${MAX_SELECTORS} selectors`;
+  const bad = list.findIndex(s => typeof s !== 'string' || s.trim().length === 0);
+  if (bad !== -1) return `axe.${field}[${bad}] must be a non-empty CSS selector string`;
+  return null;
+}
+
+function validateAxeOptions(options) {
+  if (options === undefined || options === null) return null;
+  if (typeof options !== 'object' || Array.isArray(options)) return 'axe must be an object';
+
+  const { tags, rules } = options;
+  if (tags !== undefined) {
+    if (!Array.isArray(tags) || tags.length === 0) return 'axe.tags must be a non-empty array';
+    const unknown = tags.find(t => !AXE_TAGS.includes(t));
+    if (unknown !== undefined) return `Unknown axe tag "${unknown}". Allowed: ${AXE_TAGS.join(', ')}`;
+  }
+
+  if (rules !== undefined) {
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+      return 'axe.rules must be an object of rule id to true/false';
+    }
+    for (const [id, enabled] of Object.entries(rules)) {
+      if (!KNOWN_RULES.has(id)) return `Unknown axe rule "${id}"`;
+      if (typeof enabled !== 'boolean') return `axe.rules["${id}"] must be true or false`;
+    }
+  }
+
+  return validateSelectors(options.include, 'include') || validateSelectors(options.exclude, 'exclude');
+}
+
+function buildAxeRun(options = {}) {
+  // axe-core lets an explicit `enabled` win over runOnly, so the defaults only apply without tags
+  const rules = options.tags ? {} : { ...DEFAULT_RULES };
+  for (const [id, enabled] of Object.entries(options.rules || {})) {
+    rules[id] = { enabled };
+  }
+
+  const runOptions = {
+    resultTypes: ['violations', 'incomplete'],
+    rules,
+    ...(options.tags && { runOnly: { type: 'tag', values: options.tags } }),
+  };
+
+  // null means the whole document; the page side substitutes it
+  const context = options.include || options.exclude
+    ? {
+      ...(options.include && { include: options.include }),
+      ...(options.exclude && { exclude: options.exclude }),
+    }
+    : null;
+
+  return { context, runOptions };
+}
+
+function describeAxeOptions(options = {}) {
+  return {
+    tags: options.tags || null,
+    rules: options.rules || {},
+    include: options.include || null,
+    exclude: options.exclude || null,
+  };
+}
+
+module.exports = { AXE_TAGS, validateAxeOptions, buildAxeRun, describeAxeOptions };
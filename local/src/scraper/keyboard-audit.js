@@ -0,0 +1,207 @@
+const MAX_TABS = 150;
+const MAX_FOCUS_CHECKS = 40;
+const MAX_REPORTED = 20;
+const FOCUS_PADDING = 4;
+
+const FOCUSABLE = [
+  'a[href]', 'area[href]', 'button', 'input:not([type="hidden"])', 'select', 'textarea',
+  'summary', 'iframe', '[tabindex]', '[contenteditable=""]', '[contenteditable="true"]',
+].join(', ');
+
+const CLICKABLE_ROLES = ['button', 'link', 'checkbox', 'radio', 'switch', 'tab', 'menuitem', 'option', 'treeitem'];
+
+function installHelpers(focusable, clickableRoles, maxReported) {
+  const cssPath = (el) => {
+    const parts = [];
+    for (let node = el; node && node.nodeType === 1 && parts.length < 5; node = node.parentElement) {
+      if (node.id) {
+        parts.unshift(`#${CSS.escape(node.id)}`);
+        break;
+      }
+      const tag = node.tagName.toLowerCase();
+      const siblings = node.parentElement
+        ? Array.from(node.parentElement.children).filter(c => c.tagName === node.tagName)
+        : [];
+      parts.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(node) + 1})` : tag);
+    }
+    return parts.join(' > ');
+  };
+
+  const accessibleName = (el) => {
+    const labelledBy = el.getAttribute('aria-labelledby');
+    const name = el.getAttribute('aria-label')
+      || (labelledBy && labelledBy.split(/\s+/).map(id => document.getElementById(id)?.innerText || '').join(' '))
+      || (el.labels && el.labels[0]?.innerText)
+      || el.getAttribute('alt')
+      || el.getAttribute('title')
+      || el.innerText
+      || el.value
+      || el.getAttribute('placeholder')
+      || '';
+    return name.replace(/\s+/g, ' ').trim().slice(0, 80);
+  };
+
+  const isReachable = (el) => el.matches(focusable) && el.tabIndex >= 0 && !el.disabled;
+
+  const isVisible = (el) => {
+    const rect = el.getBoundingClientRect();
+    const style = getComputedStyle(el);
+    return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none';
+  };
+
+  const describe = (el) => {
+    const rect = el.getBoundingClientRect();
+    return {
+      selector: cssPath(el),
+      name: accessibleName(el),
+      tag: el.tagName.toLowerCase(),
+      role: el.getAttribute('role'),
+      tabIndex: el.tabIndex,
+      html: el.outerHTML.slice(0, 200),
+      bbox: {
+        x: Math.round(rect.left + window.scrollX),
+        y: Math.round(rect.top + window.scrollY),
+        width: Math.round(rect.width),
+        height: Math.round(rect.height),
+      },
+      inViewport: rect.bottom > 0 && rect.right > 0 && rect.top < innerHeight && rect.left < innerWidth,
+    };
+  };
+
+  window.__keyboardAudit = {
+    describeActive() {
+      const el = document.activeElement;
+      if (!el || el === document.body || el === document.documentElement) return null;
+      return describe(el);
+    },
+
+    findClickableNotFocusable() {
+      const found = [];
+      for (const el of document.body.querySelectorAll('*')) {
+        if (found.length >= maxReported) break;
+        if (isReachable(el) || el.closest('label') || !isVisible(el)) continue;
+
+        let ancestor = el.parentElement;
+        while (ancestor && !isReachable(ancestor)) ancestor = ancestor.parentElement;
+        if (ancestor) continue;
+
+        const role = el.getAttribute('role');
+        const pointer = getComputedStyle(el).cursor === 'pointer'
+          && (!el.parentElement || getComputedStyle(el.parentElement).cursor !== 'pointer');
+        if (el.hasAttribute('onclick') || clickableRoles.includes(role) || pointer) {
+          found.push(describe(el));
+        }
+      }
+      return found;
+    },
+
+    findPositiveTabindex() {
+      return Array.from(document.querySelectorAll('[tabindex]'))
+        .filter(el => el.tabIndex > 0)
+        .slice(0, maxReported)
+        .map(describe);
+    },
+  };
+}
+
+async function auditKeyboard(page, options = {}) {
+  const maxTabs = options.maxTabs || MAX_TABS;
+  const maxFocusChecks = options.maxFocusChecks ?? MAX_FOCUS_CHECKS;
+
+  await page.evaluate(installHelpers, FOCUSABLE, CLICKABLE_ROLES, MAX_REPORTED);
+  const notFocusable = await page.evaluate(() => window.__keyboardAudit.findClickableNotFocusable());
+  const positiveTabindex = await page.evaluate(() => window.__keyboardAudit.findPositiveTabindex());
+
+  await page.evaluate(() => {
+    document.activeElement?.blur();
+    window.scrollTo(0, 0);
+  });
+
+  const focusOrder = [];
+  const noVisibleFocus = [];
+  const seen = new Map();
+  let trap = null;
+  let completed = false;
+
+  for (let i = 0; i < maxTabs; i++) {
+    await page.keyboard.press('Tab');
+    const focused = await page.evaluate(() => window.__keyboardAudit.describeActive());
+
+    // Focus went back to the browser UI: the whole page was tabbed through
+    if (!focused) {
+      completed = true;
+      break;
+    }
+
+    // Focus inside an iframe reports the iframe itself on every Tab
+    const last = focusOrder[focusOrder.length - 1];
+    if (focused.tag === 'iframe' && last?.selector === focused.selector) continue;
+
+    if (seen.has(focused.selector)) {
+      const start = seen.get(focused.selector);
+      if (start === 0) {
+        completed = true;
+      } else {
+        trap = await confirmTrap(page, focusOrder.slice(start));
+      }
+      break;
+    }
+    seen.set(focused.selector, focusOrder.length);
+
+    if (!focused.inViewport || focused.bbox.width === 0 || focused.bbox.height === 0) {
+      focused.focusVisible = false;
+      noVisibleFocus.push({ ...focused, reason: 'Focused element is off-screen or has no size' });
+    } else if (focusOrder.length < maxFocusChecks) {
+      focused.focusVisible = await hasVisibleFocus(page, focused.bbox);
+      if (!focused.focusVisible) {
+        noVisibleFocus.push({ ...focused, reason: 'No visible change when the element receives focus' });
+      }
+    }
+
+    focusOrder.push({ index: focusOrder.length + 1, ...focused });
+  }
+
+  return {
+    focusOrder: focusOrder.map(({ html, inViewport, ...entry }) => entry),
+    completed,
+    trap,
+    notFocusable,
+    positiveTabindex,
+    noVisibleFocus: noVisibleFocus.slice(0, MAX_REPORTED),
+  };
+}
+
+async function hasVisibleFocus(page, bbox) {
+  const clip = {
+    x: Math.max(0, bbox.x - FOCUS_PADDING),
+    y: Math.max(0, bbox.y - FOCUS_PADDING),
+    width: bbox.width + FOCUS_PADDING * 2,
+    height: bbox.height + FOCUS_PADDING * 2,
+  };
+
+  const handle = await page.evaluateHandle(() => document.activeElement);
+  try {
+    const focused = await page.screenshot({ clip, type: 'png' });
+    await page.evaluate(el => el.blur(), handle);
+    const blurred = await page.screenshot({ clip, type: 'png' });
+    // Restore focus so the next Tab continues from this element
+    await page.evaluate(el => el.focus({ preventScroll: true }), handle);
+    return !focused.equals(blurred);
+  } finally {
+    await handle.dispose();
+  }
+}
+
+async function confirmTrap(page, loop) {
+  // Dialogs may legitimately contain focus as long as Escape releases it
+  await page.keyboard.press('Escape');
+  await page.keyboard.press('Tab');
+  const after = await page.evaluate(() => window.__keyboardAudit.describeActive());
+  if (after && !loop.some(entry => entry.selector === after.selector)) return null;
+
+  return {
+    elements: loop.map(({ selector, name, html }) => ({ selector, name, html })),
+  };
+}
+
+module.exports = { auditKeyboard };
@@ -0,0 +1,112 @@
+const STEP_TIMEOUT = 15000;
+const MAX_STEP_TIMEOUT = 60000;
+const MAX_SETTLE = 10000;
+
+const ACTIONS = {
+  fill: { requires: ['selector', 'value'] },
+  type: { requires: ['selector', 'value'] },
+  select: { requires: ['selector', 'value'] },
+  press: { requires: ['key'] },
+  click: { requires: ['selector'] },
+  waitForNavigation: { requires: [] },
+  waitForSelector: { requires: ['selector'] },
+  navigate: { requires: ['url'] },
+};
+
+function validateSteps(steps, label = 'steps') {
+  if (!Array.isArray(steps) || steps.length === 0) return `${label} must be a non-empty array`;
+
+  for (let i = 0; i < steps.length; i++) {
+    const step = steps[i];
+    const spec = step && ACTIONS[step.action];
+    if (!spec) {
+      return `${label}[${i}].action must be one of: ${Object.keys(ACTIONS).join(', ')}`;
+    }
+    for (const field of spec.requires) {
+      if (typeof step[field] !== 'string' || step[field].length === 0) {
+        return `${label}[${i}] (${step.action}) requires a "${field}" string`;
+      }
+    }
+    if (step.action === 'navigate') {
+      try {
+        new URL(step.url);
+      } catch {
+        return `${label}[${i}].url is not a valid URL`;
+      }
+    }
+    if (step.timeout !== undefined && !isBoundedInt(step.timeout, MAX_STEP_TIMEOUT)) {
+      return `${label}[${i}].timeout must be an integer between 1 and ${MAX_STEP_TIMEOUT} (ms)`;
+    }
+    if (step.settle !== undefined && !isBoundedInt(step.settle, MAX_SETTLE)) {
+      return `${label}[${i}].settle must be an integer between 1 and ${MAX_SETTLE} (ms)`;
+    }
+  }
+  return null;
+}
+
+function isBoundedInt(value, max) {
+  return Number.isInteger(value) && value > 0 && value <= max;
+}
+
+async function runStep(page, step) {
+  const timeout = step.timeout || STEP_TIMEOUT;
+
+  switch (step.action) {
+    case 'fill':
+      await page.waitForSelector(step.selector, { visible: true, timeout });
+      await page.$eval(step.selector, el => { el.value = ''; });
+      await page.type(step.selector, step.value);
+      break;
+    case 'type':
+      await page.waitForSelector(step.selector, { visible: true, timeout });
+      await page.type(step.selector, step.value);
+      break;
+    case 'select':
+      await page.waitForSelector(step.selector, { timeout });
+      await page.select(step.selector, step.value);
+      break;
+    case 'press':
+      if (step.selector) await page.focus(step.selector);
+      await page.keyboard.press(step.key);
+      break;
+    case 'click':
+      await page.waitForSelector(step.selector, { visible: true, timeout });
+      if (step.waitForNavigation) {
+        await Promise.all([
+          page.waitForNavigation({ waitUntil: 'networkidle2', timeout }),
+          page.click(step.selector),
+        ]);
+      } else {
+        await page.click(step.selector);
+      }
+      break;
+    case 'waitForNavigation':
+      await page.waitForNavigation({ waitUntil: 'networkidle2', timeout });
+      break;
+    case 'waitForSelector':
+      await page.waitForSelector(step.selector, { visible: step.visible !== false, timeout });
+      break;
+    case 'navigate':
+      await page.goto(step.url, { waitUntil: 'networkidle2', timeout: Math.max(timeout, 30000) });
+      break;
+    default:
+      throw new Error(`Unknown step action: ${step.action}`);
+  }
+}
+
+async function runSteps(page, steps, label = 'step') {
+  for (let i = 0; i < steps.length; i++) {
+    try {
+      await runStep(page, steps[i]);
+    } catch (error) {
+      throw new Error(`${label} ${i + 1} (${steps[i].action}${steps[i].selector ? ` ${steps[i].selector}` : ''}) failed: ${error.message}`);
+    }
+  }
+}
+
+function describeStep(step) {
+  const { value, ...rest } = step;
+  return value === undefined ? rest : { ...rest, value: '[redacted]' };
+}
+
+module.exports = { ACTIONS, validateSteps, runStep, runSteps, describeStep };
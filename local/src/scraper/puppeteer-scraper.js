@@ -1,5 +1,10 @@
 const puppeteer = require('puppeteer');
 const fs = require('fs');
+const { applyAuth } = require('./auth');
+const { runStep, describeStep } = require('./page-actions');
+const { auditKeyboard } = require('./keyboard-audit');
+const { captureElementShots } = require('./element-shots');
+const { buildAxeRun } = require('./axe-config');
 
 let axeSource;
 try {
@@ -27,6 +32,53 @@ const DEFAULT_RETRY_OPTIONS = {
   ],
 };
 
+const FLOW_SETTLE_MS = 500;
+const MAX_SCREENSHOT_HEIGHT = 10000;
+const MAX_BOXES_PER_RULE = 50;
+const MAX_BOXES = 300;
+
+function locateViolations(violations, fullPage, maxPerRule, maxTotal) {
+  const offsetX = fullPage ? window.scrollX : 0;
+  const offsetY = fullPage ? window.scrollY : 0;
+  const boxes = [];
+
+  for (const violation of violations) {
+    let count = 0;
+    for (const node of violation.nodes) {
+      if (count >= maxPerRule || boxes.length >= maxTotal) break;
+      // Targets inside iframes or shadow roots are arrays of selectors; skip them
+      const [selector, ...rest] = node.target;
+      if (rest.length || typeof selector !== 'string') continue;
+
+      let el;
+      try {
+        el = document.querySelector(selector);
+      } catch {
+        continue;
+      }
+      const rect = el?.getBoundingClientRect();
+      if (!rect || rect.width === 0 || rect.height === 0) continue;
+
+      boxes.push({
+        ruleId: violation.id,
+        impact: node.impact || violation.impact,
+        target: selector,
+        x: Math.round(rect.left + offsetX),
+        y: Math.round(rect.top + offsetY),
+        width: Math.round(rect.width),
+        height: Math.round(rect.height),
+      });
+      count++;
+    }
+  }
+  return boxes;
+}
+
+function describeStepLabel(step) {
+  const target = step.selector || step.url || step.key || '';
+  return target ? `${step.action} ${target}` : step.action;
+}
+
 class AccessibilityScraper {
   constructor(options = {}) {
     this.browser = null;
@@ -99,108 +151,228 @@ class AccessibilityScraper {
     }
   }
 
-  async scrapePage(url) {
-    return this._withRetry(() => this._scrapePageCore(url), `Scraping ${url}`);
+  async scrapePage(url, options = {}) {
+    return this._withRetry(() => this._scrapePageCore(url, options), `Scraping ${url}`);
   }
 
-  async _scrapePageCore(url) {
+  async _scrapePageCore(url, options = {}) {
     if (!this.browser) throw new Error('Browser not initialized. Call initialize() first.');
 
-    const page = await this.browser.newPage();
+    const { page, context } = await this._openPage(options);
 
     try {
+      if (options.auth) await applyAuth(page, options.auth, url);
+
       console.log(`Navigating to ${url}...`);
       await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
 
-      if (!axeSource) throw new Error('axe-core not loaded. Run: npm install axe-core');
-      await page.evaluate(axeSource);
-
-      const axeAvailable = await page.evaluate(() => typeof window.axe !== 'undefined');
-      if (!axeAvailable) throw new Error('axe-core failed to initialize');
-
-      console.log('Running axe-core checks...');
-      const axeResults = await page.evaluate(async () => {
-        return await window.axe.run({
-          resultTypes: ['violations', 'incomplete'],
-          rules: {
-            'color-contrast': { enabled: true },
-            'image-alt': { enabled: true },
-            'label': { enabled: true },
-            'link-name': { enabled: true },
-          },
-        });
-      });
-      console.log(`Found ${axeResults.violations.length} violations`);
-
-      const content = await page.evaluate(() => ({
-        html: document.documentElement.outerHTML,
-        text: document.body.innerText,
-        title: document.title,
-
-        headings: Array.from(document.querySelectorAll('h1,h2,h3,h4,h5,h6'))
-          .map(h => ({ level: h.tagName, text: h.innerText.trim() }))
-          .filter(h => h.text.length > 0),
-
-        links: Array.from(document.querySelectorAll('a'))
-          .map(a => ({
-            text: a.innerText.trim(),
-            href: a.href,
-            hasAriaLabel: a.hasAttribute('aria-label'),
-            ariaLabel: a.getAttribute('aria-label'),
-          }))
-          .filter(l => l.text.length > 0 || l.ariaLabel),
-
-        images: Array.from(document.querySelectorAll('img'))
-          .map(img => ({
-            src: img.src,
-            alt: img.alt || '',
-            hasAlt: img.hasAttribute('alt'),
-            width: img.width,
-            height: img.height,
-          })),
-
-        forms: Array.from(document.querySelectorAll('form')).map(form => ({
-          action: form.action,
-          method: form.method,
-          inputs: Array.from(form.querySelectorAll('input, textarea, select')).map(input => ({
-            type: input.type,
-            name: input.name,
-            id: input.id,
-            hasLabel: !!input.labels?.length,
-            ariaLabel: input.getAttribute('aria-label'),
-            placeholder: input.placeholder,
-          })),
-        })),
+      const analysis = await this._analyzeLoadedPage(page, { fullPage: options.fullPage, axe: options.axe });
 
-        buttons: Array.from(document.querySelectorAll('button')).map(btn => ({
-          text: btn.innerText.trim(),
-          type: btn.type,
-          disabled: btn.disabled,
-          ariaLabel: btn.getAttribute('aria-label'),
-        })),
-      }));
+      const shots = await captureElementShots(page, analysis.axeResults.violations, options.elementScreenshots);
+      if (shots) console.log(`Captured ${shots} element screenshots`);
 
-      const screenshot = await page.screenshot({
-        encoding: 'base64',
-        fullPage: false,
-        type: 'jpeg',
-        quality: 60,
-      });
+      // Tabbing moves focus and can open menus, so it runs after axe-core and the screenshot
+      if (options.keyboard !== false) {
+        console.log('Running keyboard navigation checks...');
+        analysis.keyboardResults = await auditKeyboard(page).catch(error => {
+          console.warn('Keyboard audit failed:', error.message);
+          return { error: error.message };
+        });
+      }
 
-      return {
-        url,
-        timestamp: new Date().toISOString(),
-        axeResults,
-        content,
-        screenshot,
-        metadata: {
-          viewport: page.viewport(),
-          userAgent: await page.evaluate(() => navigator.userAgent),
-        },
-      };
+      return { url, ...analysis };
     } catch (error) {
       console.error(`Error scraping ${url}:`, error.message);
       throw error;
+    } finally {
+      await page.close();
+      if (context) await context.close();
+    }
+  }
+
+  async scrapeFlow(url, steps, options = {}) {
+    return this._withRetry(() => this._scrapeFlowCore(url, steps, options), `Flow ${url}`);
+  }
+
+  async _scrapeFlowCore(url, steps, options = {}) {
+    if (!this.browser) throw new Error('Browser not initialized. Call initialize() first.');
+
+    const { page, context } = await this._openPage(options);
+
+    try {
+      if (options.auth) await applyAuth(page, options.auth, url);
+
+      console.log(`Navigating to ${url}...`);
+      await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
+
+      const snapshots = [{
+        index: 0,
+        label: 'Initial page load',
+        step: null,
+        url: page.url(),
+        ...(await this._analyzeLoadedPage(page, { fullPage: options.fullPage, axe: options.axe })),
+      }];
+
+      for (let i = 0; i < steps.length; i++) {
+        const step = steps[i];
+        const label = step.label || describeStepLabel(step);
+        console.log(`Flow step ${i + 1}/${steps.length}: ${label}`);
+
+        try {
+          await runStep(page, step);
+        } catch (error) {
+          throw new Error(`Flow step ${i + 1} (${label}) failed: ${error.message}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, step.settle ?? FLOW_SETTLE_MS));
+
+        snapshots.push({
+          index: i + 1,
+          label,
+          step: describeStep(step),
+          url: page.url(),
+          ...(await this._analyzeLoadedPage(page, { fullPage: options.fullPage, axe: options.axe })),
+        });
+      }
+
+      return { url, timestamp: snapshots[0].timestamp, steps: snapshots };
+    } catch (error) {
+      console.error(`Error running flow on ${url}:`, error.message);
+      throw error;
+    } finally {
+      await page.close();
+      if (context) await context.close();
+    }
+  }
+
+  async _openPage(options) {
+    // Authenticated audits get an isolated context so sessions never leak between audits
+    const context = options.auth ? await this.browser.createIncognitoBrowserContext() : null;
+    const page = context ? await context.newPage() : await this.browser.newPage();
+    if (options.viewport) await page.setViewport(options.viewport);
+    return { page, context };
+  }
+
+  async _analyzeLoadedPage(page, { fullPage = false, axe } = {}) {
+    if (!axeSource) throw new Error('axe-core not loaded. Run: npm install axe-core');
+    // Navigation (or a flow step that navigates) discards the injected script
+    const axeLoaded = await page.evaluate(() => typeof window.axe !== 'undefined');
+    if (!axeLoaded) await page.evaluate(axeSource);
+
+    const axeAvailable = await page.evaluate(() => typeof window.axe !== 'undefined');
+    if (!axeAvailable) throw new Error('axe-core failed to initialize');
+
+    console.log('Running axe-core checks...');
+    const { context, runOptions } = buildAxeRun(axe);
+    const axeResults = await page.evaluate(async (context, runOptions) => {
+      return await window.axe.run(context || document, runOptions);
+    }, context, runOptions);
+    console.log(`Found ${axeResults.violations.length} violations`);
+
+    const content = await page.evaluate(() => ({
+      html: document.documentElement.outerHTML,
+      text: document.body.innerText,
+      title: document.title,
+
+      headings: Array.from(document.querySelectorAll('h1,h2,h3,h4,h5,h6'))
+        .map(h => ({ level: h.tagName, text: h.innerText.trim() }))
+        .filter(h => h.text.length > 0),
+
+      links: Array.from(document.querySelectorAll('a'))
+        .map(a => ({
+          text: a.innerText.trim(),
+          href: a.href,
+          hasAriaLabel: a.hasAttribute('aria-label'),
+          ariaLabel: a.getAttribute('aria-label'),
+        }))
+        .filter(l => l.text.length > 0 || l.ariaLabel),
+
+      images: Array.from(document.querySelectorAll('img'))
+        .map(img => ({
+          src: img.src,
+          alt: img.alt || '',
+          hasAlt: img.hasAttribute('alt'),
+          width: img.width,
+          height: img.height,
+        })),
+
+      forms: Array.from(document.querySelectorAll('form')).map(form => ({
+        action: form.action,
+        method: form.method,
+        inputs: Array.from(form.querySelectorAll('input, textarea, select')).map(input => ({
+          type: input.type,
+          name: input.name,
+          id: input.id,
+          hasLabel: !!input.labels?.length,
+          ariaLabel: input.getAttribute('aria-label'),
+          placeholder: input.placeholder,
+        })),
+      })),
+
+      buttons: Array.from(document.querySelectorAll('button')).map(btn => ({
+        text: btn.innerText.trim(),
+        type: btn.type,
+        disabled: btn.disabled,
+        ariaLabel: btn.getAttribute('aria-label'),
+      })),
+    }));
+
+    const { screenshot, annotations } = await this._captureScreenshot(page, axeResults.violations, fullPage);
+
+    return {
+      timestamp: new Date().toISOString(),
+      axeResults,
+      content,
+      screenshot,
+      annotations,
+      metadata: {
+        viewport: page.viewport(),
+        userAgent: await page.evaluate(() => navigator.userAgent),
+      },
+    };
+  }
+
+  async _captureScreenshot(page, violations, fullPage) {
+    const size = await page.evaluate(() => ({
+      width: document.documentElement.scrollWidth,
+      height: document.documentElement.scrollHeight,
+      viewportWidth: window.innerWidth,
+      viewportHeight: window.innerHeight,
+    }));
+
+    // Boxes use the same CSS pixel space as the image: document coordinates for a
+    // full-page capture, viewport coordinates otherwise
+    const captured = fullPage
+      ? { width: size.width, height: Math.min(size.height, MAX_SCREENSHOT_HEIGHT) }
+      : { width: size.viewportWidth, height: size.viewportHeight };
+
+    const screenshot = await page.screenshot({
+      encoding: 'base64',
+      type: 'jpeg',
+      quality: 60,
+      ...(fullPage ? { clip: { x: 0, y: 0, ...captured } } : { fullPage: false }),
+    });
+
+    const boxes = await page.evaluate(locateViolations, violations, fullPage, MAX_BOXES_PER_RULE, MAX_BOXES);
+
+    return {
+      screenshot,
+      annotations: {
+        fullPage,
+        page: captured,
+        boxes: boxes.filter(b => b.x < captured.width && b.y < captured.height
+          && b.x + b.width > 0 && b.y + b.height > 0),
+      },
+    };
+  }
+
+  async printPdf(html, pdfOptions = {}) {
+    if (!this.browser) throw new Error('Browser not initialized. Call initialize() first.');
+    const page = await this.browser.newPage();
+    try {
+      // Reports are self-contained; nothing in them needs to run
+      await page.setJavaScriptEnabled(false);
+      await page.setContent(html, { waitUntil: 'load', timeout: 30000 });
+      return await page.pdf({ format: 'A4', printBackground: true, ...pdfOptions });
     } finally {
       await page.close();
     }